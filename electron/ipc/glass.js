@@ -175,6 +175,7 @@ function register(ctx) {
       defaultOpacity: glassConfig.defaultOpacity ?? 0.85,
       autoPin: glassConfig.autoPin ?? true,
       lockTargetLang: glassConfig.lockTargetLang ?? true,
+      useGlossary: glassConfig.useGlossary ?? true,
       // 翻译设置
       targetLanguage: currentTargetLang,
       sourceLanguage: currentSourceLang,
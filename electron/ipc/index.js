@@ -15,6 +15,7 @@ const registerSelectionIPC = require('./selection');
 const registerSecureStorageIPC = require('./secure-storage');
 const registerOcrIPC = require('./ocr');
 const registerPrivacyIPC = require('./privacy');
+const registerJobsIPC = require('./jobs');
 const { registerThemeIPC } = require('./theme');
 
 /**
@@ -106,7 +107,10 @@ function initIPC(deps) {
   registerOcrIPC(context);
   registerPrivacyIPC(context);
   
-  // 批次 3.7: 主题管理
+  // 批次 3.7: 文档翻译任务持久化
+  registerJobsIPC(context);
+  
+  // 批次 3.8: 主题管理
   registerThemeIPC({ store: deps.store, logger });
   
   logger.success('All IPC handlers initialized');
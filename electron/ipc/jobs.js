@@ -0,0 +1,158 @@
+// electron/ipc/jobs.js
+// 文档翻译任务持久化 IPC handlers
+// 包含：任务列表、读取、保存、原文件副本、删除
+//
+// 每个任务保存在 userData/document-jobs 下：
+// - <id>.json   任务快照（段落、状态、译文、设置、术语表快照）
+// - <id>.source 原文件副本（二进制格式导出时需要原始包）
+
+const { ipcMain } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+const { CHANNELS } = require('../shared/channels');
+const logger = require('../utils/logger')('IPC:Jobs');
+
+const JOB_ID_REGEX = /^[\w-]{1,64}$/;
+
+/**
+ * 注册文档任务相关 IPC handlers
+ * @param {Object} ctx - 共享上下文
+ */
+function register(ctx) {
+  const { app } = ctx;
+  const jobsDir = path.join(app.getPath('userData'), 'document-jobs');
+
+  // 任务 ID 只允许字母数字、下划线和连字符，防止路径穿越
+  const jobPath = (id, ext) => {
+    if (!JOB_ID_REGEX.test(id || '')) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(jobsDir, `${id}${ext}`);
+  };
+
+  // 先写临时文件再重命名，避免写到一半时崩溃留下损坏的快照
+  // 临时文件名各不相同，同一任务的两次保存同时进行时不会互相覆盖临时文件
+  let tempCounter = 0;
+  const writeAtomic = async (filePath, data) => {
+    await fs.mkdir(jobsDir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+    try {
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  };
+
+  // ==================== 列表 ====================
+
+  /**
+   * 列出已保存的任务（只返回摘要，按更新时间倒序）
+   */
+  ipcMain.handle(CHANNELS.JOBS.LIST, async () => {
+    try {
+      const files = await fs.readdir(jobsDir).catch(() => []);
+      const jobs = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(jobsDir, file), 'utf8'));
+          jobs.push({
+            id: job.id,
+            fingerprint: job.fingerprint,
+            filename: job.filename,
+            formatName: job.formatName,
+            sourceLang: job.settings?.sourceLang,
+            targetLang: job.settings?.targetLang,
+            progress: job.progress,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+          });
+        } catch (error) {
+          logger.warn('Skip unreadable job:', file, error.message);
+        }
+      }
+      return jobs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    } catch (error) {
+      logger.error('List error:', error.message);
+      return [];
+    }
+  });
+
+  // ==================== 读写 ====================
+
+  /**
+   * 读取完整任务快照
+   */
+  ipcMain.handle(CHANNELS.JOBS.LOAD, async (event, id) => {
+    try {
+      return JSON.parse(await fs.readFile(jobPath(id, '.json'), 'utf8'));
+    } catch (error) {
+      logger.error('Load error:', id, error.message);
+      return null;
+    }
+  });
+
+  /**
+   * 保存任务快照
+   */
+  ipcMain.handle(CHANNELS.JOBS.SAVE, async (event, job) => {
+    try {
+      await writeAtomic(jobPath(job?.id, '.json'), JSON.stringify(job));
+      logger.debug('Saved:', job.id);
+      return { success: true };
+    } catch (error) {
+      logger.error('Save error:', job?.id, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * 保存原文件副本
+   */
+  ipcMain.handle(CHANNELS.JOBS.SAVE_SOURCE, async (event, id, data) => {
+    try {
+      await writeAtomic(jobPath(id, '.source'), Buffer.from(data));
+      return { success: true };
+    } catch (error) {
+      logger.error('Save source error:', id, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * 读取原文件副本（不存在时返回 null）
+   */
+  ipcMain.handle(CHANNELS.JOBS.LOAD_SOURCE, async (event, id) => {
+    try {
+      const buffer = await fs.readFile(jobPath(id, '.source'));
+      return new Uint8Array(buffer);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Load source error:', id, error.message);
+      }
+      return null;
+    }
+  });
+
+  // ==================== 删除 ====================
+
+  /**
+   * 删除任务及原文件副本
+   */
+  ipcMain.handle(CHANNELS.JOBS.DELETE, async (event, id) => {
+    try {
+      await fs.rm(jobPath(id, '.json'), { force: true });
+      await fs.rm(jobPath(id, '.source'), { force: true });
+      logger.info('Deleted:', id);
+      return { success: true };
+    } catch (error) {
+      logger.error('Delete error:', id, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('Jobs IPC handlers registered');
+}
+
+module.exports = register;
@@ -163,6 +163,7 @@ async function showSelectionTrigger(mouseX, mouseY, rect) {
         minChars: selectionSettings.minChars || 2,
         maxChars: selectionSettings.maxChars || 500,
         windowOpacity: selectionSettings.windowOpacity || 95,  // 窗口透明度
+        useGlossary: selectionSettings.useGlossary ?? true,
       },
       translation: {
         targetLanguage: currentTargetLang,
@@ -220,6 +221,7 @@ function showSelectionWithText(text) {
     settings: {
       windowOpacity: selectionSettings.windowOpacity || 95,
       autoCloseOnCopy: selectionSettings.autoCloseOnCopy || false,
+      useGlossary: selectionSettings.useGlossary ?? true,
     },
   });
 }
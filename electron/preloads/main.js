@@ -58,6 +58,12 @@ const validChannels = {
     "theme:sync",  // 同步主题
     "logs:open-directory",  // 打开日志目录
     "logs:get-directory",   // 获取日志目录路径
+    "jobs:list",         // 文档翻译任务列表
+    "jobs:load",         // 读取任务
+    "jobs:save",         // 保存任务
+    "jobs:save-source",  // 保存原文件副本
+    "jobs:load-source",  // 读取原文件副本
+    "jobs:delete",       // 删除任务
   ],
 };
 
@@ -136,6 +142,15 @@ const electronAPI = {
     delete: (key) => ipcRenderer.invoke("secure-storage:delete", key),
     isAvailable: () => ipcRenderer.invoke("secure-storage:is-available"),
   },
+  // 文档翻译任务（断点续译）
+  jobs: {
+    list: () => ipcRenderer.invoke("jobs:list"),
+    load: (id) => ipcRenderer.invoke("jobs:load", id),
+    save: (job) => ipcRenderer.invoke("jobs:save", job),
+    saveSource: (id, data) => ipcRenderer.invoke("jobs:save-source", id, data),
+    loadSource: (id) => ipcRenderer.invoke("jobs:load-source", id),
+    delete: (id) => ipcRenderer.invoke("jobs:delete", id),
+  },
   // 玻璃翻译窗口
   glass: {
     open: () => ipcRenderer.invoke("glass:open"),
@@ -143,6 +143,14 @@ const CHANNELS = {
     CHANGED: 'theme:changed',            // 主题变化通知
     SYNC: 'theme:sync',                  // 同步主题到子窗口
   },
+  JOBS: {
+    LIST: 'jobs:list',
+    LOAD: 'jobs:load',
+    SAVE: 'jobs:save',
+    SAVE_SOURCE: 'jobs:save-source',
+    LOAD_SOURCE: 'jobs:load-source',
+    DELETE: 'jobs:delete',
+  },
   SECURE_STORAGE: {
     ENCRYPT: 'secure-storage:encrypt',
     DECRYPT: 'secure-storage:decrypt',
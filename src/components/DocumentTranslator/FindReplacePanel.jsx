@@ -0,0 +1,143 @@
+// src/components/DocumentTranslator/FindReplacePanel.jsx
+// 查找替换面板：在原文 / 译文中查找（支持正则），预览每处匹配，一键替换全部译文
+
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { X, Search, Replace, Regex, CaseSensitive, WholeWord } from 'lucide-react';
+import {
+  buildSearchRegex,
+  findMatches,
+  replaceAllInSegments,
+} from '../../utils/find-replace.js';
+
+const SCOPES = ['both', 'source', 'target'];
+
+const FindReplacePanel = ({ segments, onReplaceAll, onNavigate, onClose, disabled, t }) => {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [scope, setScope] = useState('both');
+  const [options, setOptions] = useState({ regex: false, caseSensitive: false, wholeWord: false });
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  // 正则无效时给出错误提示，不查找
+  const { pattern, error } = useMemo(() => {
+    try {
+      return { pattern: buildSearchRegex(query, options), error: null };
+    } catch (e) {
+      return { pattern: null, error: e.message };
+    }
+  }, [query, options]);
+
+  const result = useMemo(
+    // 替换内容为空时不显示替换预览
+    () => findMatches(segments, pattern, { scope, replacement: replacement || undefined, regex: options.regex }),
+    [segments, pattern, scope, replacement, options.regex]
+  );
+  const targetHits = result.matches.some(match => match.field === 'target');
+
+  const toggleOption = (key) => setOptions(prev => ({ ...prev, [key]: !prev[key] }));
+
+  const replaceAll = () => {
+    const replaced = replaceAllInSegments(segments, pattern, replacement, { regex: options.regex, query });
+    if (replaced.count > 0) {
+      onReplaceAll(replaced);
+    }
+  };
+
+  return (
+    <div className="find-panel">
+      <div className="find-row">
+        <Search size={14} />
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('documentTranslator.find.findPlaceholder')}
+          className={error ? 'invalid' : ''}
+        />
+        <button
+          className={`find-toggle ${options.regex ? 'active' : ''}`}
+          onClick={() => toggleOption('regex')}
+          title={t('documentTranslator.find.regex')}
+        >
+          <Regex size={14} />
+        </button>
+        <button
+          className={`find-toggle ${options.caseSensitive ? 'active' : ''}`}
+          onClick={() => toggleOption('caseSensitive')}
+          title={t('documentTranslator.find.caseSensitive')}
+        >
+          <CaseSensitive size={14} />
+        </button>
+        <button
+          className={`find-toggle ${options.wholeWord ? 'active' : ''}`}
+          onClick={() => toggleOption('wholeWord')}
+          title={t('documentTranslator.find.wholeWord')}
+        >
+          <WholeWord size={14} />
+        </button>
+        <select value={scope} onChange={(e) => setScope(e.target.value)}>
+          {SCOPES.map(id => (
+            <option key={id} value={id}>{t(`documentTranslator.find.scope_${id}`)}</option>
+          ))}
+        </select>
+        <button className="dt-close" onClick={onClose}>
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="find-row">
+        <Replace size={14} />
+        <input
+          type="text"
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          placeholder={t(options.regex ? 'documentTranslator.find.replaceRegexPlaceholder' : 'documentTranslator.find.replacePlaceholder')}
+        />
+        <span className="find-summary">
+          {error
+            ? <span className="find-error">{error}</span>
+            : t('documentTranslator.find.summary', { count: result.total, segments: result.segmentCount })}
+        </span>
+        <button
+          className="dt-btn"
+          onClick={replaceAll}
+          disabled={disabled || !pattern || scope === 'source' || !targetHits}
+          title={t('documentTranslator.find.replaceAllHint')}
+        >
+          {t('documentTranslator.find.replaceAll')}
+        </button>
+      </div>
+
+      {result.matches.length > 0 && (
+        <div className="find-results">
+          {result.matches.map(match => (
+            <button
+              key={`${match.segmentId}:${match.field}:${match.start}`}
+              className="find-result"
+              onClick={() => onNavigate(match.segmentId)}
+            >
+              <span className="term-check-index">#{match.index + 1}</span>
+              <span className={`find-field ${match.field}`}>{t(`documentTranslator.find.field_${match.field}`)}</span>
+              <span className="find-context">
+                {match.before}
+                <mark className={match.replaced !== undefined ? 'replaced' : ''}>{match.text}</mark>
+                {match.replaced !== undefined && <mark className="replacement">{match.replaced}</mark>}
+                {match.after}
+              </span>
+            </button>
+          ))}
+          {result.total > result.matches.length && (
+            <div className="find-more">{t('documentTranslator.find.more', { count: result.total - result.matches.length })}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FindReplacePanel;
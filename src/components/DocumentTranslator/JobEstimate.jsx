@@ -0,0 +1,168 @@
+// src/components/DocumentTranslator/JobEstimate.jsx
+// 任务预估：各翻译源的请求数、用量、耗时和费用（价格可编辑），以及上次任务的预估与实际对比
+
+import { X, DollarSign, Play } from 'lucide-react';
+import { PRICE_UNIT, priceKey } from '../../utils/job-estimate.js';
+
+const formatNumber = (value) => Math.round(value).toLocaleString();
+
+const formatCost = (value, currency) => (
+  value === null || value === undefined ? '—' : `${value.toFixed(value < 1 ? 4 : 2)} ${currency}`
+);
+
+const formatDiff = (diff) => (
+  diff === null ? '' : `${diff > 0 ? '+' : ''}${Math.round(diff * 100)}%`
+);
+
+const JobEstimate = ({
+  estimate,
+  primaryId,
+  comparison,
+  prices,
+  currency,
+  onPriceChange,
+  onCurrencyChange,
+  onStart,
+  onClose,
+  formatTime,
+  t,
+}) => {
+  const formatMetric = (key, value) => {
+    if (value === null || value === undefined) return '—';
+    if (key === 'time') return formatTime(value * 1000);
+    if (key === 'cost') return formatCost(value, currency);
+    return formatNumber(value);
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal job-estimate" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <DollarSign size={18} />
+          <h3>{t('documentTranslator.estimate.title')}</h3>
+          <span className="term-count">
+            {t('documentTranslator.estimate.summary', {
+              segments: estimate.segments,
+              tokens: formatNumber(estimate.sourceTokens),
+              chars: formatNumber(estimate.sourceChars),
+            })}
+          </span>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {estimate.rows.length === 0 ? (
+          <div className="term-empty">{t('documentTranslator.estimate.noProviders')}</div>
+        ) : (
+          <table className="estimate-table">
+            <thead>
+              <tr>
+                <th>{t('documentTranslator.estimate.column_provider')}</th>
+                <th>{t('documentTranslator.estimate.column_requests')}</th>
+                <th>{t('documentTranslator.estimate.column_usage')}</th>
+                <th>{t('documentTranslator.estimate.column_time')}</th>
+                <th title={t('documentTranslator.estimate.priceHint', { unit: PRICE_UNIT.toLocaleString() })}>
+                  {t('documentTranslator.estimate.column_price')}
+                </th>
+                <th>{t('documentTranslator.estimate.column_cost')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {estimate.rows.map(row => {
+                const key = priceKey(row.providerId, row.model);
+                const price = prices[key] || row.price || {};
+                const setPrice = (field, value) => onPriceChange(key, { ...price, [field]: value === '' ? undefined : Number(value) });
+                return (
+                  <tr key={row.providerId} className={row.providerId === primaryId ? 'primary' : ''}>
+                    <td>
+                      <span className="estimate-provider">{row.name}</span>
+                      {row.model && <span className="estimate-model">{row.model}</span>}
+                      {row.providerId === primaryId && <span className="estimate-badge">{t('documentTranslator.estimate.used')}</span>}
+                    </td>
+                    <td>{formatNumber(row.requests)}</td>
+                    <td>
+                      {row.unit === 'tokens'
+                        ? t('documentTranslator.estimate.tokens', { input: formatNumber(row.inputTokens), output: formatNumber(row.outputTokens) })
+                        : t('documentTranslator.estimate.chars', { count: formatNumber(row.chars) })}
+                    </td>
+                    <td title={t(row.measured ? 'documentTranslator.estimate.latencyMeasured' : 'documentTranslator.estimate.latencyAssumed', { ms: row.latencyMs })}>
+                      {formatTime(row.seconds * 1000)}
+                      {!row.measured && <span className="estimate-assumed">*</span>}
+                    </td>
+                    <td className="estimate-price">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={price.input ?? ''}
+                        onChange={(e) => setPrice('input', e.target.value)}
+                        placeholder={t(row.unit === 'tokens' ? 'documentTranslator.estimate.priceInput' : 'documentTranslator.estimate.priceChars')}
+                      />
+                      {row.unit === 'tokens' && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={price.output ?? ''}
+                          onChange={(e) => setPrice('output', e.target.value)}
+                          placeholder={t('documentTranslator.estimate.priceOutput')}
+                        />
+                      )}
+                    </td>
+                    <td>{formatCost(row.cost, currency)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <div className="estimate-notes">
+          <label>
+            {t('documentTranslator.estimate.currency')}
+            <input type="text" value={currency} onChange={(e) => onCurrencyChange(e.target.value)} maxLength={8} />
+          </label>
+          <span>{t('documentTranslator.estimate.note', { unit: PRICE_UNIT.toLocaleString() })}</span>
+        </div>
+
+        {comparison && (
+          <>
+            <div className="export-section-title">{t('documentTranslator.estimate.comparisonTitle')}</div>
+            <table className="estimate-table comparison">
+              <thead>
+                <tr>
+                  <th />
+                  <th>{t('documentTranslator.estimate.estimated')}</th>
+                  <th>{t('documentTranslator.estimate.actual')}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map(item => (
+                  <tr key={item.key}>
+                    <td>{t(`documentTranslator.estimate.metric_${item.key}`)}</td>
+                    <td>{formatMetric(item.key, item.estimated)}</td>
+                    <td>{formatMetric(item.key, item.actual)}</td>
+                    <td className={`estimate-diff ${item.diff > 0.2 ? 'over' : ''}`}>{formatDiff(item.diff)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div className="dt-modal-actions">
+          {onStart && (
+            <button className="btn-primary" onClick={onStart}>
+              <Play size={14} />
+              <span>{t('documentTranslator.estimate.start')}</span>
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JobEstimate;
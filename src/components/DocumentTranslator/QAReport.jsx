@@ -0,0 +1,107 @@
+// src/components/DocumentTranslator/QAReport.jsx
+// 译文质量检查报告：按检查项筛选，点击段落可跳转，可导出 CSV
+
+import { useState, useMemo } from 'react';
+import { X, ShieldCheck, FileDown } from 'lucide-react';
+import { QA_CHECKS, checkDocumentQA, describeIssue, qaReportToCSV } from '../../utils/translation-qa.js';
+import { downloadFile } from '../../utils/glossary-io.js';
+
+// 例句截断长度
+const EXCERPT_LENGTH = 80;
+
+const excerpt = (text) => (
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text
+);
+
+const QAReport = ({ segments, sourceLang, targetLang, filename, onNavigate, onClose, t }) => {
+  const [activeTypes, setActiveTypes] = useState(() => new Set(QA_CHECKS));
+
+  const report = useMemo(
+    () => checkDocumentQA(segments, { sourceLang, targetLang }),
+    [segments, sourceLang, targetLang]
+  );
+  const segmentMap = useMemo(() => new Map(segments.map(s => [s.id, s])), [segments]);
+  const visibleIssues = report.issues.filter(issue => activeTypes.has(issue.type));
+
+  const toggleType = (type) => {
+    setActiveTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(type)) next.delete(type);
+      else next.add(type);
+      return next;
+    });
+  };
+
+  const navigate = (segmentId) => {
+    onNavigate(segmentId);
+    onClose();
+  };
+
+  const exportCSV = () => {
+    const csv = qaReportToCSV(visibleIssues, segments, {
+      headers: ['segment', 'check', 'severity', 'detail', 'source', 'target']
+        .map(key => t(`documentTranslator.qa.column_${key}`)),
+      label: issue => t(`qa.type_${issue.type}`),
+      describe: issue => describeIssue(issue, t),
+    });
+    const baseName = (filename || 'document').replace(/\.[^.]+$/, '');
+    downloadFile(csv, `${baseName}_qa.csv`, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal qa-report" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <ShieldCheck size={18} />
+          <h3>{t('documentTranslator.qa.title')}</h3>
+          <span className="term-count">{t('documentTranslator.qa.summary', { count: report.issues.length })}</span>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="qa-filters">
+          {QA_CHECKS.map(type => (
+            <button
+              key={type}
+              className={`qa-filter ${activeTypes.has(type) ? 'active' : ''}`}
+              onClick={() => toggleType(type)}
+              disabled={report.counts[type] === 0}
+            >
+              {t(`qa.type_${type}`)}
+              <span className="term-frequency">{report.counts[type]}</span>
+            </button>
+          ))}
+        </div>
+
+        {visibleIssues.length === 0 ? (
+          <div className="term-empty">{t('documentTranslator.qa.clean')}</div>
+        ) : (
+          <div className="term-table">
+            {visibleIssues.map((issue, i) => {
+              const segment = segmentMap.get(issue.segmentId);
+              return (
+                <button key={`${issue.segmentId}:${issue.type}:${i}`} className="term-check-segment qa-issue" onClick={() => navigate(issue.segmentId)}>
+                  <span className="term-check-index">#{issue.index + 1}</span>
+                  <span className={`qa-type ${issue.severity}`}>{t(`qa.type_${issue.type}`)}</span>
+                  <span className="qa-detail">{describeIssue(issue, t)}</span>
+                  <span className="term-example">{excerpt(segment.original)}</span>
+                  <span className="term-example">{excerpt(segment.translated)}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="dt-modal-actions">
+          <button className="btn-secondary" onClick={exportCSV} disabled={visibleIssues.length === 0}>
+            <FileDown size={14} />
+            <span>{t('documentTranslator.qa.export')}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QAReport;
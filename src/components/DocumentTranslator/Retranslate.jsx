@@ -0,0 +1,144 @@
+// src/components/DocumentTranslator/Retranslate.jsx
+// 局部重新翻译：选择段落范围或大纲中的一个章节，换用其它翻译源 / 模板重新翻译
+// 旧译文保留为段落的一个版本，可在段落上切回
+
+import { useState, useMemo } from 'react';
+import { X, Repeat } from 'lucide-react';
+import { getSectionSegments } from '../../utils/document-context.js';
+import { isReviewLocked } from '../../utils/segment-review.js';
+
+const Retranslate = ({
+  segments,
+  headings,
+  providers,
+  templates,
+  initialScope,
+  defaultProvider,
+  defaultTemplate,
+  onRun,
+  onClose,
+  t,
+}) => {
+  // { type: 'range', from, to }（段落序号，从 1 开始）或 { type: 'section', headingId }
+  const [scope, setScope] = useState(initialScope);
+  const [provider, setProvider] = useState(defaultProvider);
+  const [template, setTemplate] = useState(defaultTemplate);
+
+  const selected = useMemo(() => {
+    const inScope = scope.type === 'section'
+      ? getSectionSegments(headings, segments, scope.headingId)
+      : segments.filter((s, index) => index + 1 >= scope.from && index + 1 <= scope.to);
+    return inScope.filter(s => s.status !== 'skipped');
+  }, [scope, headings, segments]);
+  const locked = selected.filter(isReviewLocked).length;
+
+  const setRange = (field, value) => {
+    setScope(prev => ({ type: 'range', from: prev.from ?? 1, to: prev.to ?? segments.length, [field]: Number(value) }));
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal retranslate" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <Repeat size={18} />
+          <h3>{t('documentTranslator.retranslate.title')}</h3>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="retranslate-form">
+          <label className="retranslate-scope">
+            <input
+              type="radio"
+              checked={scope.type === 'range'}
+              onChange={() => setScope({ type: 'range', from: 1, to: segments.length })}
+            />
+            <span>{t('documentTranslator.retranslate.range')}</span>
+            <input
+              type="number"
+              min="1"
+              max={segments.length}
+              value={scope.type === 'range' ? scope.from : ''}
+              onChange={(e) => setRange('from', e.target.value)}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="1"
+              max={segments.length}
+              value={scope.type === 'range' ? scope.to : ''}
+              onChange={(e) => setRange('to', e.target.value)}
+            />
+          </label>
+
+          {headings.length > 0 && (
+            <label className="retranslate-scope">
+              <input
+                type="radio"
+                checked={scope.type === 'section'}
+                onChange={() => setScope({ type: 'section', headingId: headings[0].segmentId })}
+              />
+              <span>{t('documentTranslator.retranslate.section')}</span>
+              <select
+                className="dt-select"
+                value={scope.type === 'section' ? String(scope.headingId) : ''}
+                onChange={(e) => {
+                  const heading = headings.find(h => String(h.segmentId) === e.target.value);
+                  if (heading) setScope({ type: 'section', headingId: heading.segmentId });
+                }}
+              >
+                {scope.type !== 'section' && <option value="" />}
+                {headings.map(heading => (
+                  <option key={heading.segmentId} value={String(heading.segmentId)}>
+                    {`${'\u00a0\u00a0'.repeat(Math.max(0, heading.level - 1))}${heading.text}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="retranslate-field">
+            <span>{t('documentTranslator.footer.provider')}</span>
+            <select className="dt-select" value={provider} onChange={(e) => setProvider(e.target.value)}>
+              <option value="">{t('documentTranslator.footer.providerAuto')}</option>
+              {providers.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="retranslate-field">
+            <span>{t('documentTranslator.footer.template')}</span>
+            <select className="dt-select" value={template} onChange={(e) => setTemplate(e.target.value)}>
+              {templates.map(item => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="retranslate-summary">
+          {t('documentTranslator.retranslate.summary', { count: selected.length })}
+          {locked > 0 && ` ${t('documentTranslator.retranslate.lockedNote', { count: locked })}`}
+        </div>
+
+        <div className="dt-modal-actions">
+          <button className="btn-secondary" onClick={onClose}>
+            {t('common.cancel')}
+          </button>
+          <button
+            className="btn-primary"
+            onClick={() => onRun(selected.map(s => s.id), { provider, template })}
+            disabled={selected.length === 0}
+          >
+            <Repeat size={14} />
+            <span>{t('documentTranslator.retranslate.run', { count: selected.length })}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Retranslate;
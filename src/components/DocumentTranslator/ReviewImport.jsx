@@ -0,0 +1,143 @@
+// src/components/DocumentTranslator/ReviewImport.jsx
+// 导回审校表：逐条高亮审校人员对译文的修改，可逐条接受 / 拒绝后应用
+
+import { useState, useMemo } from 'react';
+import { X, FileUp, Check, XCircle, MessageSquare } from 'lucide-react';
+import { diffText } from '../../utils/review-io.js';
+
+// 原文截断长度
+const EXCERPT_LENGTH = 120;
+
+const excerpt = (text) => (
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text
+);
+
+const DiffView = ({ before, after }) => {
+  const parts = useMemo(() => diffText(before, after), [before, after]);
+  return (
+    <div className="review-diff">
+      {parts.map((part, i) => (
+        part.type === 'equal'
+          ? <span key={i}>{part.text}</span>
+          : <span key={i} className={`review-diff-${part.type}`}>{part.text}</span>
+      ))}
+    </div>
+  );
+};
+
+const ReviewImport = ({ filename, result, segments, onApply, onNavigate, onClose, t }) => {
+  // segmentId → 'accept' | 'reject'；未决定的不应用
+  const [decisions, setDecisions] = useState(() => new Map());
+  const segmentMap = useMemo(() => new Map(segments.map(s => [s.id, s])), [segments]);
+  const accepted = result.corrections.filter(c => decisions.get(c.segmentId) === 'accept');
+
+  const decide = (segmentId, decision) => {
+    setDecisions(prev => {
+      const next = new Map(prev);
+      if (next.get(segmentId) === decision) next.delete(segmentId);
+      else next.set(segmentId, decision);
+      return next;
+    });
+  };
+
+  const decideAll = (decision) => {
+    setDecisions(new Map(result.corrections.map(c => [c.segmentId, decision])));
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal review-import" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <FileUp size={18} />
+          <h3>{t('documentTranslator.reviewSheet.importTitle', { filename })}</h3>
+          <span className="term-count">
+            {t('documentTranslator.reviewSheet.importSummary', {
+              count: result.corrections.length,
+              unchanged: result.unchanged,
+            })}
+          </span>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {(result.unknown > 0 || result.mismatched > 0) && (
+          <div className="review-import-warning">
+            {t('documentTranslator.reviewSheet.importSkipped', { unknown: result.unknown, mismatched: result.mismatched })}
+          </div>
+        )}
+
+        {result.corrections.length === 0 && result.comments.length === 0 ? (
+          <div className="term-empty">{t('documentTranslator.reviewSheet.noChanges')}</div>
+        ) : (
+          <div className="term-table">
+            {result.corrections.map(correction => {
+              const decision = decisions.get(correction.segmentId);
+              const segment = segmentMap.get(correction.segmentId);
+              return (
+                <div key={correction.segmentId} className={`review-correction ${decision || ''}`}>
+                  <div className="review-correction-header">
+                    <button className="term-check-index" onClick={() => onNavigate(correction.segmentId)}>
+                      #{correction.index + 1}
+                    </button>
+                    <span className="term-example">{excerpt(segment?.original || '')}</span>
+                    <button
+                      className={`review-decision accept ${decision === 'accept' ? 'active' : ''}`}
+                      onClick={() => decide(correction.segmentId, 'accept')}
+                      title={t('documentTranslator.reviewSheet.accept')}
+                    >
+                      <Check size={14} />
+                    </button>
+                    <button
+                      className={`review-decision reject ${decision === 'reject' ? 'active' : ''}`}
+                      onClick={() => decide(correction.segmentId, 'reject')}
+                      title={t('documentTranslator.reviewSheet.reject')}
+                    >
+                      <XCircle size={14} />
+                    </button>
+                  </div>
+                  <DiffView before={correction.before} after={correction.after} />
+                  {correction.comment && (
+                    <div className="review-comment">
+                      <MessageSquare size={12} />
+                      <span>{correction.comment}</span>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            {result.comments.length > 0 && (
+              <>
+                <div className="export-section-title">{t('documentTranslator.reviewSheet.commentsOnly')}</div>
+                {result.comments.map(item => (
+                  <button key={item.segmentId} className="term-check-segment" onClick={() => onNavigate(item.segmentId)}>
+                    <span className="term-check-index">#{item.index + 1}</span>
+                    <span className="review-comment">
+                      <MessageSquare size={12} />
+                      <span>{item.comment}</span>
+                    </span>
+                  </button>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="dt-modal-actions">
+          <button className="btn-secondary" onClick={() => decideAll('reject')} disabled={result.corrections.length === 0}>
+            {t('documentTranslator.reviewSheet.rejectAll')}
+          </button>
+          <button className="btn-secondary" onClick={() => decideAll('accept')} disabled={result.corrections.length === 0}>
+            {t('documentTranslator.reviewSheet.acceptAll')}
+          </button>
+          <button className="btn-primary" onClick={() => onApply(accepted)} disabled={accepted.length === 0}>
+            {t('documentTranslator.reviewSheet.apply', { count: accepted.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewImport;
@@ -0,0 +1,87 @@
+// src/components/DocumentTranslator/TermCheckReport.jsx
+// 术语检查报告：对所有已翻译段落检查术语库译文和禁用译法，点击段落可跳转
+
+import { useState, useMemo } from 'react';
+import { X, SpellCheck, ChevronDown, ChevronRight } from 'lucide-react';
+import { checkDocumentTerms, glossaryEntriesFromFavorites } from '../../utils/term-check.js';
+import useTranslationStore from '../../stores/translation-store';
+
+// 例句截断长度
+const EXCERPT_LENGTH = 80;
+
+const excerpt = (text) => (
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text
+);
+
+const TermCheckReport = ({ segments, sourceLang, targetLang, onNavigate, onClose, t }) => {
+  const favorites = useTranslationStore(state => state.favorites);
+  const [expanded, setExpanded] = useState(null);
+
+  const report = useMemo(
+    () => checkDocumentTerms(segments, glossaryEntriesFromFavorites(favorites), { sourceLang, targetLang }),
+    [segments, favorites, sourceLang, targetLang]
+  );
+  const segmentMap = useMemo(() => new Map(segments.map((s, i) => [s.id, { ...s, index: i }])), [segments]);
+  const forbiddenCount = report.issues.filter(issue => issue.type === 'forbidden').length;
+
+  const navigate = (segmentId) => {
+    onNavigate(segmentId);
+    onClose();
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal term-check-report" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <SpellCheck size={18} />
+          <h3>{t('documentTranslator.termCheck.title')}</h3>
+          <span className="term-count">
+            {t('documentTranslator.termCheck.summary', {
+              missing: report.issues.length - forbiddenCount,
+              forbidden: forbiddenCount,
+            })}
+          </span>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {report.byTerm.length === 0 ? (
+          <div className="term-empty">{t('documentTranslator.termCheck.clean')}</div>
+        ) : (
+          <div className="term-table">
+            {report.byTerm.map(group => {
+              const key = `${group.type}:${group.id}`;
+              const isExpanded = expanded === key;
+              return (
+                <div key={key} className={`term-check-group ${group.type}`}>
+                  <button className="term-check-summary" onClick={() => setExpanded(isExpanded ? null : key)}>
+                    {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    <span className={`term-type ${group.type}`}>{t(`documentTranslator.termCheck.type_${group.type}`)}</span>
+                    <span className="term-text">{group.source}</span>
+                    <span className={group.type === 'forbidden' ? 'term-check-forbidden' : 'term-check-target'}>{group.target}</span>
+                    {group.replacement && <span className="term-check-target">→ {group.replacement}</span>}
+                    <span className="term-frequency">{group.count}</span>
+                  </button>
+                  {isExpanded && group.segmentIds.map(segmentId => {
+                    const segment = segmentMap.get(segmentId);
+                    if (!segment) return null;
+                    return (
+                      <button key={segmentId} className="term-check-segment" onClick={() => navigate(segmentId)}>
+                        <span className="term-check-index">#{segment.index + 1}</span>
+                        <span className="term-example">{excerpt(segment.original)}</span>
+                        <span className="term-example">{excerpt(segment.translated)}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TermCheckReport;
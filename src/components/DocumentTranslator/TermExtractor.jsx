@@ -0,0 +1,162 @@
+// src/components/DocumentTranslator/TermExtractor.jsx
+// 术语提取弹窗：翻译前列出候选术语，可请 AI 建议译文，确认后一键加入术语库
+
+import { useState, useMemo } from 'react';
+import { X, Sparkles, Loader, BookOpen, Check } from 'lucide-react';
+import createLogger from '../../utils/logger.js';
+import {
+  extractTerms,
+  buildTermTranslationMessages,
+  parseTermTranslations,
+} from '../../utils/term-extraction.js';
+import { LANGUAGE_NAMES } from '../../config/templates.js';
+import translationService from '../../services/translation.js';
+import useTranslationStore from '../../stores/translation-store';
+
+const logger = createLogger('TermExtractor');
+
+// 每次请 AI 翻译的术语数
+const SUGGEST_CHUNK_SIZE = 40;
+
+const TermExtractor = ({ segments, sourceLang, targetLang, onClose, onAdded, notify, t }) => {
+  const getGlossaryTerms = useTranslationStore(state => state.getGlossaryTerms);
+  const addToFavorites = useTranslationStore(state => state.addToFavorites);
+
+  // 已在术语库中的词不再列出
+  const candidates = useMemo(
+    () => extractTerms(segments, { exclude: getGlossaryTerms().map(term => term.source) }),
+    [segments, getGlossaryTerms]
+  );
+  const [selected, setSelected] = useState(() => new Set(candidates.map(item => item.term)));
+  const [translations, setTranslations] = useState({});
+  const [isSuggesting, setIsSuggesting] = useState(false);
+
+  const toggleTerm = (term) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(term)) next.delete(term);
+      else next.add(term);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.size === candidates.length ? new Set() : new Set(candidates.map(item => item.term))));
+  };
+
+  // 请 AI 为选中且尚无译文的术语给出建议
+  const suggestTranslations = async () => {
+    const pending = candidates.filter(item => selected.has(item.term) && !translations[item.term]?.trim());
+    if (pending.length === 0) return;
+
+    setIsSuggesting(true);
+    try {
+      for (let i = 0; i < pending.length; i += SUGGEST_CHUNK_SIZE) {
+        const chunk = pending.slice(i, i + SUGGEST_CHUNK_SIZE);
+        const result = await translationService.chatCompletion(
+          buildTermTranslationMessages(chunk, { targetLang: LANGUAGE_NAMES[targetLang] || targetLang })
+        );
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        const suggested = parseTermTranslations(result.content);
+        setTranslations(prev => {
+          const next = { ...prev };
+          for (const { term } of chunk) {
+            if (suggested[term] && !next[term]?.trim()) next[term] = suggested[term];
+          }
+          return next;
+        });
+      }
+    } catch (error) {
+      logger.error('Suggest translations error:', error);
+      notify?.(t('documentTranslator.terms.suggestFailed', { error: error.message }), 'error');
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  // 选中且有译文的术语加入术语库（folderId: 'glossary'）
+  const acceptable = candidates.filter(item => selected.has(item.term) && translations[item.term]?.trim());
+
+  const addToGlossary = () => {
+    const now = Date.now();
+    acceptable.forEach((item, index) => {
+      addToFavorites({
+        id: `term_${now}_${index}`,
+        sourceText: item.term,
+        translatedText: translations[item.term].trim(),
+        sourceLanguage: sourceLang,
+        targetLanguage: targetLang,
+        timestamp: now,
+        tags: [],
+        note: item.examples[0] || '',
+        folderId: 'glossary',
+      });
+    });
+    notify?.(t('documentTranslator.terms.added', { count: acceptable.length }), 'success');
+    onAdded?.();
+    onClose();
+  };
+
+  return (
+    <div className="dt-modal-overlay" onClick={onClose}>
+      <div className="dt-modal term-extractor" onClick={e => e.stopPropagation()}>
+        <div className="dt-modal-header">
+          <BookOpen size={18} />
+          <h3>{t('documentTranslator.terms.title')}</h3>
+          <span className="term-count">{t('documentTranslator.terms.found', { count: candidates.length })}</span>
+          <button className="dt-close" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {candidates.length === 0 ? (
+          <div className="term-empty">{t('documentTranslator.terms.empty')}</div>
+        ) : (
+          <div className="term-table">
+            <div className="term-row term-row-header">
+              <input type="checkbox" checked={selected.size === candidates.length} onChange={toggleAll} />
+              <span>{t('documentTranslator.terms.term')}</span>
+              <span>{t('documentTranslator.terms.frequency')}</span>
+              <span>{t('documentTranslator.terms.translation')}</span>
+            </div>
+            {candidates.map(item => (
+              <div key={item.term} className={`term-row ${selected.has(item.term) ? '' : 'unselected'}`}>
+                <input type="checkbox" checked={selected.has(item.term)} onChange={() => toggleTerm(item.term)} />
+                <div className="term-source">
+                  <span className="term-text">{item.term}</span>
+                  <span className={`term-type ${item.type}`}>{t(`documentTranslator.terms.type_${item.type}`)}</span>
+                  {item.examples.map((example, i) => (
+                    <div key={i} className="term-example">{example}</div>
+                  ))}
+                </div>
+                <span className="term-frequency">{item.frequency}</span>
+                <input
+                  type="text"
+                  className="term-translation"
+                  value={translations[item.term] || ''}
+                  onChange={(e) => setTranslations(prev => ({ ...prev, [item.term]: e.target.value }))}
+                  placeholder={t('documentTranslator.terms.translationPlaceholder')}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="dt-modal-actions">
+          <button className="btn-secondary" onClick={suggestTranslations} disabled={isSuggesting || selected.size === 0}>
+            {isSuggesting ? <Loader size={14} className="spinning" /> : <Sparkles size={14} />}
+            <span>{t('documentTranslator.terms.suggest')}</span>
+          </button>
+          <button className="btn-primary" onClick={addToGlossary} disabled={acceptable.length === 0}>
+            <Check size={14} />
+            <span>{t('documentTranslator.terms.addToGlossary', { count: acceptable.length })}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TermExtractor;
@@ -9,7 +9,9 @@ import {
   ChevronDown, ChevronRight, Settings, AlertCircle, CheckCircle, Clock,
   Loader, Eye, EyeOff, ArrowUp, Filter, FileDown, Trash2,
   SkipForward, RefreshCw, Languages, Zap, Lock, Key,
-  List, Hash, DollarSign, Database, BookOpen, ChevronLeft
+  List, Hash, DollarSign, Database, BookOpen, ChevronLeft,
+  Save, StickyNote, Layers, SpellCheck, ShieldCheck, Pencil, CheckCheck, Undo2,
+  Search, History, FileUp, Repeat, Check
 } from 'lucide-react';
 import createLogger from '../../utils/logger.js';
 import {
@@ -22,12 +24,112 @@ import {
   exportVTT,
   exportDOCX,
   exportPDFHTML,
+  exportXLIFF,
+  exportResourceFile,
+  exportMarkdown,
+  exportHTML,
+  exportASS,
+  exportDOCXPackage,
+  exportPPTX,
+  exportXLSX,
+  exportEPUB,
+  parseXLSX,
+  detectHeadings,
   SUPPORTED_FORMATS,
 } from '../../utils/document-parser.js';
+import { buildDocumentContext, DEFAULT_CONTEXT_OPTIONS } from '../../utils/document-context.js';
+import { mergeCuesIntoSentences, expandSentences, getCueParts } from '../../utils/subtitle-sentences.js';
+import {
+  DEFAULT_SUBTITLE_LIMITS,
+  checkSubtitles,
+  getSubtitleCues,
+  balanceLines,
+  buildShortenMessages,
+} from '../../utils/subtitle-qa.js';
 import translationService from '../../services/translation.js';
+import documentJobs, { summarizeProgress, isJobFinished } from '../../services/document-jobs.js';
+import {
+  PROJECT_EXTENSION,
+  createProjectFile,
+  readProjectFile,
+  selectGlossarySubset,
+} from '../../utils/project-file.js';
+import {
+  REVIEW_STATUS,
+  REVIEW_STATUSES,
+  getReviewStatus,
+  isReviewLocked,
+  applyMachineResult,
+  editSegment,
+  editCueParts,
+  confirmSegment,
+  undoSegment,
+  addSegmentVersion,
+  switchSegmentVersion,
+  findNextUnconfirmed,
+  countReviewStatuses,
+  keepConfirmedOnly,
+} from '../../utils/segment-review.js';
+import {
+  exportReviewDOCX,
+  exportReviewXLSX,
+  importReviewFile,
+  diffReviewRows,
+  applyReviewCorrections,
+} from '../../utils/review-io.js';
+import {
+  DEFAULT_CURRENCY,
+  estimateJob,
+  createUsage,
+  recordUsage,
+  compareWithActual,
+  planRequests,
+} from '../../utils/job-estimate.js';
+import { getTemplateList } from '../../config/templates.js';
+import { isProviderAllowed } from '../../config/privacy-modes.js';
+import { runConcurrent } from '../../utils/concurrency.js';
 import useTranslationStore from '../../stores/translation-store';
+import TermExtractor from './TermExtractor.jsx';
+import TermCheckReport from './TermCheckReport.jsx';
+import QAReport from './QAReport.jsx';
+import FindReplacePanel from './FindReplacePanel.jsx';
+import ReviewImport from './ReviewImport.jsx';
+import JobEstimate from './JobEstimate.jsx';
+import Retranslate from './Retranslate.jsx';
 import './styles.css';
 
+// 并发与限速设置的本地存储键
+const PARALLEL_STORAGE_KEY = 'document-translator-parallel';
+const MAX_CONCURRENCY = 8;
+
+// 价格表的本地存储键；原文超过此 token 数时开始翻译前先显示预估
+const PRICES_STORAGE_KEY = 'document-translator-prices';
+const PREFLIGHT_MIN_TOKENS = 20000;
+
+/**
+ * 读取保存的价格表
+ */
+const loadPriceTable = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRICES_STORAGE_KEY) || '{}');
+    return { currency: saved.currency || DEFAULT_CURRENCY, prices: saved.prices || {} };
+  } catch {
+    return { currency: DEFAULT_CURRENCY, prices: {} };
+  }
+};
+
+/**
+ * 读取保存的并发数 / 各翻译源 RPM 限制
+ */
+const loadParallelSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PARALLEL_STORAGE_KEY) || '{}');
+    return { concurrency: saved.concurrency || 1, rpmLimits: saved.rpmLimits || {} };
+  } catch {
+    return { concurrency: 1, rpmLimits: {} };
+  }
+};
+
 // 段落状态
 const STATUS = {
   PENDING: 'pending',
@@ -37,10 +139,57 @@ const STATUS = {
   SKIPPED: 'skipped',
 };
 
+/**
+ * 段落译文编辑框：Ctrl+Enter 保存并确认，Esc 取消
+ */
+const SegmentEditor = ({ initialText, onSave, onCancel, t }) => {
+  const [text, setText] = useState(initialText);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      onSave(text, { confirm: true });
+    }
+  };
+
+  return (
+    <div className="segment-editor">
+      <textarea
+        ref={inputRef}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={Math.min(Math.max(text.split('\n').length, 2), 10)}
+        placeholder={t('documentTranslator.review.editPlaceholder')}
+      />
+      <div className="segment-editor-actions">
+        <span className="segment-editor-hint">{t('documentTranslator.review.editHint')}</span>
+        <button onClick={onCancel}>{t('common.cancel')}</button>
+        <button onClick={() => onSave(text)}>{t('common.save')}</button>
+        <button className="primary" onClick={() => onSave(text, { confirm: true })}>
+          <CheckCheck size={12} /> {t('documentTranslator.review.saveConfirm')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
 /**
  * 单个段落组件
  */
-const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
+const SegmentItem = React.memo(({
+  segment, displayStyle, onRetry, onCuePartsChange, subtitleIssues, onFixSubtitle, isFixing,
+  isEditing, onStartEdit, onSaveEdit, onCancelEdit, onConfirm, onUndo,
+  isRetranslating, onRetranslate, onSwitchVersion, getVersionName, t,
+}) => {
   const statusIcon = {
     [STATUS.PENDING]: <Clock size={14} className="status-icon pending" />,
     [STATUS.TRANSLATING]: <Loader size={14} className="status-icon translating" />,
@@ -50,10 +199,28 @@ const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
   };
 
   const isSubtitle = segment.type === 'subtitle';
+  const review = getReviewStatus(segment);
+  const canEdit = segment.status !== STATUS.SKIPPED && segment.status !== STATUS.TRANSLATING;
+  const [showHistory, setShowHistory] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const hasVersions = segment.versions?.length > 1;
+  // 整句模式：译文拆回各条字幕的对应关系，可手动调整
+  const cueParts = segment.cues?.length > 1 && segment.status === STATUS.COMPLETED ? getCueParts(segment) : null;
+  const manualCueParts = cueParts && segment.cueParts === cueParts;
+  // 字幕可读性问题按字幕条目分组
+  const issueGroups = useMemo(() => {
+    if (!subtitleIssues) return [];
+    const groups = new Map();
+    for (const issue of subtitleIssues) {
+      if (!groups.has(issue.cue)) groups.set(issue.cue, []);
+      groups.get(issue.cue).push(issue);
+    }
+    return [...groups.entries()];
+  }, [subtitleIssues]);
 
   return (
     <div 
-      className={`segment-item ${segment.status} ${displayStyle}`}
+      className={`segment-item ${segment.status} ${displayStyle} review-${review} ${isEditing ? 'editing' : ''}`}
       data-segment-id={segment.id}
     >
       {/* 段落序号和状态 */}
@@ -66,13 +233,71 @@ const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
         {isSubtitle && (
           <span className="timecode">{segment.timecode}</span>
         )}
+        {(segment.unitId || segment.key) && (
+          <span className="unit-id" title={segment.note || undefined}>{segment.unitId || segment.key}</span>
+        )}
+        {segment.tmMatch && (
+          <span
+            className={`tm-badge ${segment.tmMatch.score === 100 ? 'exact' : 'fuzzy'}`}
+            title={segment.tmMatch.score < 100 ? segment.tmMatch.target : undefined}
+          >
+            {t('documentTranslator.tm.badge', { score: segment.tmMatch.score })}
+          </span>
+        )}
         {segment.status === STATUS.ERROR && (
           <button className="retry-btn" onClick={() => onRetry(segment.id)} title={t('documentTranslator.actions.retry')}>
             <RotateCcw size={12} />
           </button>
         )}
+        {segment.status !== STATUS.SKIPPED && review !== REVIEW_STATUS.DRAFT && (
+          <span className={`review-badge ${review}`}>{t(`documentTranslator.review.status_${review}`)}</span>
+        )}
+        {hasVersions && (
+          <button
+            className={`version-badge ${showVersions ? 'active' : ''}`}
+            onClick={() => setShowVersions(!showVersions)}
+            title={t('documentTranslator.retranslate.versions')}
+          >
+            <Layers size={12} /> {segment.currentVersionId}
+          </button>
+        )}
+        {isRetranslating && <Loader size={14} className="spinning" />}
+        {canEdit && !isEditing && !isRetranslating && (
+          <span className="segment-actions">
+            {segment.undoStack?.length > 0 && (
+              <>
+                <button
+                  className={showHistory ? 'active' : ''}
+                  onClick={() => setShowHistory(!showHistory)}
+                  title={t('documentTranslator.review.history')}
+                >
+                  <History size={12} />
+                </button>
+                <button onClick={() => onUndo(segment.id)} title={t('documentTranslator.review.undo')}>
+                  <Undo2 size={12} />
+                </button>
+              </>
+            )}
+            <button onClick={() => onStartEdit(segment.id)} title={t('documentTranslator.review.edit')}>
+              <Pencil size={12} />
+            </button>
+            <button onClick={() => onRetranslate(segment.id)} title={t('documentTranslator.retranslate.fromSegment')}>
+              <Repeat size={12} />
+            </button>
+            {segment.translated?.trim() && review !== REVIEW_STATUS.CONFIRMED && (
+              <button onClick={() => onConfirm(segment.id)} title={t('documentTranslator.review.confirm')}>
+                <CheckCheck size={12} />
+              </button>
+            )}
+          </span>
+        )}
       </div>
 
+      {/* 本地化文件的上下文说明 */}
+      {segment.note && displayStyle !== 'translated-only' && (
+        <div className="segment-note">{segment.note}</div>
+      )}
+
       {/* 原文 */}
       {displayStyle !== 'translated-only' && (
         <div className="segment-original">
@@ -80,9 +305,20 @@ const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
         </div>
       )}
 
-      {/* 译文 */}
-      {displayStyle !== 'source-only' && segment.status !== STATUS.SKIPPED && (
-        <div className={`segment-translated ${segment.status}`}>
+      {/* 译文（双击编辑） */}
+      {isEditing && (
+        <SegmentEditor
+          initialText={segment.translated || ''}
+          onSave={(text, options) => onSaveEdit(segment.id, text, options)}
+          onCancel={onCancelEdit}
+          t={t}
+        />
+      )}
+      {!isEditing && displayStyle !== 'source-only' && segment.status !== STATUS.SKIPPED && (
+        <div
+          className={`segment-translated ${segment.status}`}
+          onDoubleClick={canEdit ? () => onStartEdit(segment.id) : undefined}
+        >
           {segment.status === STATUS.TRANSLATING && (
             <span className="translating-hint">
               <Loader size={14} className="spinning" /> {t('documentTranslator.status.translating')}
@@ -99,6 +335,101 @@ const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
           )}
         </div>
       )}
+
+      {/* 译文版本（重新翻译前的译文） */}
+      {showVersions && hasVersions && (
+        <div className="segment-versions">
+          {segment.versions.map(version => (
+            <button
+              key={version.id}
+              className={`segment-version ${version.id === segment.currentVersionId ? 'active' : ''}`}
+              onClick={() => onSwitchVersion(segment.id, version.id)}
+              disabled={isEditing || isRetranslating}
+            >
+              <span className="segment-version-name">{getVersionName(version)}</span>
+              <span className="segment-version-text">{version.text}</span>
+              {version.id === segment.currentVersionId && <Check size={12} />}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* 修改记录（最新的在前） */}
+      {showHistory && segment.undoStack?.length > 0 && (
+        <div className="segment-history">
+          {[...segment.undoStack].reverse().map((entry, i) => (
+            <div key={`${entry.time}:${i}`} className="segment-history-entry">
+              <span className="segment-history-time">{entry.time ? new Date(entry.time).toLocaleString() : ''}</span>
+              <span className="segment-history-change">
+                {entry.change?.type === 'replace'
+                  ? t('documentTranslator.review.change_replace', {
+                    find: entry.change.find,
+                    replace: entry.change.replace,
+                    count: entry.change.count,
+                  })
+                  : t(`documentTranslator.review.change_${entry.change?.type || 'edit'}`, {
+                    version: entry.change?.version,
+                    template: entry.change?.template,
+                    provider: entry.change?.provider || t('documentTranslator.footer.providerAuto'),
+                  })}
+                {entry.change?.confirm && ` · ${t('documentTranslator.review.change_confirm')}`}
+                {entry.change?.comment && ` · ${entry.change.comment}`}
+              </span>
+              {entry.translated && <span className="segment-history-previous">{entry.translated}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {issueGroups.length > 0 && displayStyle !== 'source-only' && (
+        <div className="subtitle-qa">
+          {issueGroups.map(([cue, issues]) => (
+            <div className="subtitle-qa-row" key={cue ?? 'all'}>
+              {cue !== null && (
+                <span className="subtitle-qa-cue">{t('documentTranslator.subtitleQA.cue', { index: cue + 1 })}</span>
+              )}
+              {issues.map(issue => (
+                <span key={issue.type} className={`subtitle-qa-issue ${issue.type}`}>
+                  <AlertCircle size={12} /> {t(`documentTranslator.subtitleQA.issue_${issue.type}`, { value: issue.value, limit: issue.limit })}
+                </span>
+              ))}
+              {issues.some(issue => issue.type !== 'cps') && (
+                <button onClick={() => onFixSubtitle(segment.id, cue, 'balance')} disabled={isFixing}>
+                  {t('documentTranslator.subtitleQA.balance')}
+                </button>
+              )}
+              <button onClick={() => onFixSubtitle(segment.id, cue, 'shorten')} disabled={isFixing}>
+                {isFixing ? <Loader size={12} className="spinning" /> : <Zap size={12} />}
+                {t('documentTranslator.subtitleQA.shorten')}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {cueParts && displayStyle !== 'source-only' && (
+        <div className="cue-mapping">
+          <div className="cue-mapping-header">
+            <span>{t('documentTranslator.cueMapping.title')}</span>
+            {manualCueParts && (
+              <button onClick={() => onCuePartsChange(segment.id, null)}>
+                <RefreshCw size={12} /> {t('documentTranslator.cueMapping.resplit')}
+              </button>
+            )}
+          </div>
+          {segment.cues.map((cue, i) => (
+            <div className="cue-row" key={cue.id}>
+              <span className="timecode">{cue.timecode}</span>
+              <span className="cue-original">{cue.original}</span>
+              <input
+                type="text"
+                value={cueParts[i]}
+                onChange={(e) => onCuePartsChange(segment.id, cueParts.map((part, j) => (j === i ? e.target.value : part)))}
+              />
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 });
@@ -106,7 +437,7 @@ const SegmentItem = React.memo(({ segment, displayStyle, onRetry, t }) => {
 /**
  * 大纲项组件
  */
-const OutlineItem = ({ item, onNavigate, level = 0 }) => {
+const OutlineItem = ({ item, onNavigate, onRetranslate, retranslateTitle, level = 0 }) => {
   const [expanded, setExpanded] = useState(true);
   const hasChildren = item.children && item.children.length > 0;
   
@@ -127,6 +458,15 @@ const OutlineItem = ({ item, onNavigate, level = 0 }) => {
         <span className={`outline-text level-${item.level}`}>
           {item.text}
         </span>
+        {onRetranslate && (
+          <button
+            className="outline-action"
+            onClick={(e) => { e.stopPropagation(); onRetranslate(item.segmentId); }}
+            title={retranslateTitle}
+          >
+            <Repeat size={12} />
+          </button>
+        )}
       </div>
       {hasChildren && expanded && (
         <div className="outline-children">
@@ -135,6 +475,8 @@ const OutlineItem = ({ item, onNavigate, level = 0 }) => {
               key={idx} 
               item={child} 
               onNavigate={onNavigate}
+              onRetranslate={onRetranslate}
+              retranslateTitle={retranslateTitle}
               level={level + 1}
             />
           ))}
@@ -147,17 +489,34 @@ const OutlineItem = ({ item, onNavigate, level = 0 }) => {
 // 日志实例
 const logger = createLogger('DocTranslator');
 
+/**
+ * 写回修复后的字幕译文，按手动编辑处理（记撤销点，审校状态改为已编辑）
+ * @param {object} segment
+ * @param {Map<number|null, string>} texts - 字幕序号（整句模式）或 null（整段）→ 新译文
+ * @param {object} change - 记入修改记录的说明
+ */
+const fixSubtitleText = (segment, texts, change) => {
+  if (texts.has(null)) return editSegment(segment, texts.get(null), { change });
+  const parts = getCueParts(segment).map((part, i) => (texts.has(i) ? texts.get(i) : part));
+  return editCueParts(segment, parts, { change });
+};
+
 /**
  * 主组件
  */
 const DocumentTranslator = ({ 
   onClose, 
   notify,
-  sourceLang = 'auto',
-  targetLang = 'zh',
+  sourceLang: defaultSourceLang = 'auto',
+  targetLang: defaultTargetLang = 'zh',
 }) => {
   const { t } = useTranslation();
   
+  // 恢复的任务沿用当时的语言对，否则使用主界面的语言设置
+  const [jobLangs, setJobLangs] = useState(null);
+  const sourceLang = jobLangs?.sourceLang ?? defaultSourceLang;
+  const targetLang = jobLangs?.targetLang ?? defaultTargetLang;
+  
   // 显示样式配置 - 使用 i18n
   const DISPLAY_STYLES = useMemo(() => [
     { id: 'below', name: t('documentTranslator.displayStyles.below'), icon: '⬇️' },
@@ -177,6 +536,10 @@ const DocumentTranslator = ({
   // 翻译记忆缓存
   const translationCache = useRef(new Map());
   
+  // 持久化任务（id、指纹、术语表快照），以及已保存的任务列表
+  const jobRef = useRef(null);
+  const [savedJobs, setSavedJobs] = useState([]);
+  
   // 翻译状态
   const [isTranslating, setIsTranslating] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
@@ -186,8 +549,62 @@ const DocumentTranslator = ({
   // 批量翻译模式
   const [batchMode, setBatchMode] = useState(true);  // 默认启用批量模式
   const [batchSize, setBatchSize] = useState(10);     // 每批处理数量
+  
+  // 并发：同时进行的批次数（单条模式下为同时翻译的段落数），以及各翻译源每分钟请求数上限
+  const [concurrency, setConcurrency] = useState(() => loadParallelSettings().concurrency);
+  const [rpmLimits, setRpmLimits] = useState(() => loadParallelSettings().rpmLimits);
+  const [showParallel, setShowParallel] = useState(false);
   const [useGlossary, setUseGlossary] = useState(true);  // 启用术语表
   
+  // 滚动上下文：附带前文和章节路径给 LLM 翻译源
+  const [useContext, setUseContext] = useState(false);
+  const [contextTokens, setContextTokens] = useState(DEFAULT_CONTEXT_OPTIONS.maxTokens);
+  const segmentsRef = useRef(segments);
+  const headingsRef = useRef([]);
+  
+  // 翻译模板与翻译源（空字符串表示按全局优先级自动选择）
+  const [template, setTemplate] = useState('natural');
+  const [provider, setProvider] = useState('');
+  const [availableProviders, setAvailableProviders] = useState([]);
+  const templates = useMemo(() => getTemplateList().filter(item => item.id !== 'ocr'), []);
+  
+  // 项目备注
+  const [notes, setNotes] = useState('');
+  const [showNotes, setShowNotes] = useState(false);
+  
+  // 术语提取弹窗
+  const [showTerms, setShowTerms] = useState(false);
+  
+  // 术语检查报告
+  const [showTermCheck, setShowTermCheck] = useState(false);
+  
+  // 译文质量检查报告
+  const [showQA, setShowQA] = useState(false);
+  
+  // 审校：正在编辑的段落、列表筛选、只导出已确认的译文
+  const [editingId, setEditingId] = useState(null);
+  const [reviewFilter, setReviewFilter] = useState('all');
+  const [exportConfirmedOnly, setExportConfirmedOnly] = useState(false);
+  const reviewCursorRef = useRef(null);
+  
+  // 查找替换面板
+  const [showFind, setShowFind] = useState(false);
+  
+  // 审校表：导出时是否带批注列、导回的对比结果
+  const [reviewSheetComments, setReviewSheetComments] = useState(true);
+  const [reviewImport, setReviewImport] = useState(null);
+  const reviewInputRef = useRef(null);
+  
+  // 费用预估：{ mode: 'preflight' | 'view', segments }、价格表、上次任务的预估与实际用量
+  const [estimateView, setEstimateView] = useState(null);
+  const [priceTable, setPriceTable] = useState(loadPriceTable);
+  const [lastRun, setLastRun] = useState(null);
+  const runUsageRef = useRef(createUsage());
+  
+  // 局部重新翻译：弹窗的初始范围、正在重新翻译的段落
+  const [retranslateScope, setRetranslateScope] = useState(null);
+  const [retranslatingIds, setRetranslatingIds] = useState(() => new Set());
+  
   // 获取术语表
   const getGlossaryTerms = useTranslationStore(state => state.getGlossaryTerms);
   const translationMode = useTranslationStore(state => state.translationMode);
@@ -203,6 +620,16 @@ const DocumentTranslator = ({
   const [showStats, setShowStats] = useState(false);
   const [showScrollTop, setShowScrollTop] = useState(false);
   
+  // 字幕整句模式
+  const [sentenceMode, setSentenceMode] = useState(false);
+  
+  // 字幕可读性限制
+  const [subtitleLimits, setSubtitleLimits] = useState(DEFAULT_SUBTITLE_LIMITS);
+  const [fixingSegmentId, setFixingSegmentId] = useState(null);
+  
+  // XLSX 工作表 / 列过滤
+  const [sheetFilter, setSheetFilter] = useState({ sheets: [], columns: '' });
+  
   // 密码弹窗
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [pendingFile, setPendingFile] = useState(null);
@@ -239,14 +666,33 @@ const DocumentTranslator = ({
       .filter(s => s.status === STATUS.COMPLETED)
       .reduce((sum, s) => sum + (s.tokens || 0), 0);
     const cacheHits = segments.filter(s => s.fromCache).length;
+    const memoryHits = segments.filter(s => s.fromMemory).length;
     const progress = total > 0 ? Math.round((completed / (total - skipped)) * 100) : 0;
     
     return { 
       total, completed, failed, skipped, pending, translating,
-      totalTokens, usedTokens, cacheHits, progress 
+      totalTokens, usedTokens, cacheHits, memoryHits, progress 
     };
   }, [segments]);
 
+  // 各审校状态的段落数，以及按状态筛选后的列表
+  const reviewCounts = useMemo(() => countReviewStatuses(segments), [segments]);
+  const visibleSegments = useMemo(() => (
+    reviewFilter === 'all'
+      ? segments
+      : segments.filter(s => s.status !== STATUS.SKIPPED && getReviewStatus(s) === reviewFilter)
+  ), [segments, reviewFilter]);
+
+  // 字幕可读性检查（段落 id → 问题列表）
+  const subtitleIssues = useMemo(
+    () => (segments[0]?.type === 'subtitle' ? checkSubtitles(segments, subtitleLimits) : new Map()),
+    [segments, subtitleLimits]
+  );
+  const subtitleIssueCount = useMemo(
+    () => [...subtitleIssues.values()].reduce((sum, issues) => sum + new Set(issues.map(i => i.cue)).size, 0),
+    [subtitleIssues]
+  );
+
   // 计时器
   useEffect(() => {
     let timer;
@@ -258,6 +704,104 @@ const DocumentTranslator = ({
     return () => clearInterval(timer);
   }, [isTranslating, startTime, isPaused]);
 
+  // 并发翻译时需要读取最新的译文作为上下文
+  useEffect(() => {
+    segmentsRef.current = segments;
+  }, [segments]);
+
+  // 已保存的任务列表（仅在上传界面显示）
+  const refreshSavedJobs = useCallback(async () => {
+    setSavedJobs(await documentJobs.list());
+  }, []);
+
+  useEffect(() => {
+    if (!document) refreshSavedJobs();
+  }, [document, refreshSavedJobs]);
+
+  // 已配置的翻译源（供手动指定）
+  useEffect(() => {
+    translationService.init()
+      .then(() => setAvailableProviders(translationService.getProvidersStatus().filter(p => p.configured)))
+      .catch(error => logger.warn('Load providers error:', error));
+  }, []);
+
+  // 并发 / 限速设置跨文档保留，RPM 限制交给翻译服务在请求前执行
+  useEffect(() => {
+    localStorage.setItem(PARALLEL_STORAGE_KEY, JSON.stringify({ concurrency, rpmLimits }));
+    translationService.setRateLimits(rpmLimits);
+  }, [concurrency, rpmLimits]);
+
+  useEffect(() => {
+    localStorage.setItem(PRICES_STORAGE_KEY, JSON.stringify(priceTable));
+  }, [priceTable]);
+
+  // 预估用的翻译源：当前隐私模式允许的已配置翻译源
+  const estimateProviders = useMemo(() => (
+    availableProviders
+      .filter(p => isProviderAllowed(p.id, translationMode))
+      .map(p => ({ id: p.id, name: p.name, type: p.type, model: p.config?.model || '' }))
+  ), [availableProviders, translationMode]);
+  // 任务使用手动指定的翻译源，否则为优先级最高的可用翻译源
+  const primaryProviderId = provider
+    || translationService.getPriority().find(id => estimateProviders.some(p => p.id === id))
+    || estimateProviders[0]?.id;
+
+  const jobEstimate = useMemo(() => (
+    estimateView && estimateJob(estimateView.segments, { ...estimateView.options, prices: priceTable.prices })
+  ), [estimateView, priceTable.prices]);
+
+  // 上次任务：开始时的预估（按当前价格重算）与实际用量
+  const estimateComparison = useMemo(() => {
+    if (!lastRun || estimateView?.mode !== 'view') return null;
+    const [row] = estimateJob(lastRun.segments, { ...lastRun.options, prices: priceTable.prices }).rows;
+    return row ? compareWithActual(row, lastRun.usage, {
+      elapsedMs: lastRun.elapsedMs,
+      providers: estimateProviders,
+      prices: priceTable.prices,
+      contextTokens: lastRun.options.contextTokens,
+    }) : null;
+  }, [lastRun, estimateView, estimateProviders, priceTable.prices]);
+
+  // 当前翻译设置（任务快照 / 项目文件共用）
+  const settings = useMemo(() => ({
+    sourceLang,
+    targetLang,
+    batchMode,
+    batchSize,
+    concurrency,
+    useGlossary,
+    useContext,
+    contextTokens,
+    filters,
+    sentenceMode,
+    subtitleLimits,
+    template,
+    provider,
+    displayStyle,
+  }), [sourceLang, targetLang, batchMode, batchSize, concurrency, useGlossary, useContext, contextTokens, filters, sentenceMode, subtitleLimits, template, provider, displayStyle]);
+
+  // 自动保存任务：段落、状态、译文或设置变化后延迟写盘
+  useEffect(() => {
+    if (!document || !jobRef.current || segments.length === 0) return;
+    const { id, fingerprint, createdAt, glossary } = jobRef.current;
+    documentJobs.scheduleSave({
+      id,
+      fingerprint,
+      createdAt,
+      glossary,
+      document,
+      outline,
+      segments,
+      settings,
+      notes,
+    });
+  }, [document, outline, segments, settings, notes]);
+
+  // 关闭时写入未保存的修改
+  useEffect(() => () => {
+    documentJobs.flush();
+  }, []);
+
   // 格式化时间
   const formatTime = (ms) => {
     const seconds = Math.floor(ms / 1000);
@@ -283,9 +827,130 @@ const DocumentTranslator = ({
     setIsDragOver(false);
   }, []);
 
+  // 恢复文档、段落和设置（任务快照与项目文件共用）
+  const restoreSnapshot = useCallback((snapshot) => {
+    const { settings: saved = {} } = snapshot;
+    setDocument(snapshot.document);
+    setSegments(snapshot.segments);
+    setOutline(snapshot.outline || []);
+    setSheetFilter({ sheets: snapshot.document.sheets || [], columns: '' });
+    setJobLangs({
+      sourceLang: saved.sourceLang ?? defaultSourceLang,
+      targetLang: saved.targetLang ?? defaultTargetLang,
+    });
+    if (saved.batchMode !== undefined) setBatchMode(saved.batchMode);
+    if (saved.batchSize) setBatchSize(saved.batchSize);
+    if (saved.concurrency) setConcurrency(saved.concurrency);
+    if (saved.useGlossary !== undefined) setUseGlossary(saved.useGlossary);
+    if (saved.useContext !== undefined) setUseContext(saved.useContext);
+    if (saved.contextTokens) setContextTokens(saved.contextTokens);
+    if (saved.filters) setFilters(saved.filters);
+    if (saved.template) setTemplate(saved.template);
+    if (saved.displayStyle) setDisplayStyle(saved.displayStyle);
+    setProvider(saved.provider || '');
+    setSentenceMode(!!saved.sentenceMode);
+    setSubtitleLimits(saved.subtitleLimits || DEFAULT_SUBTITLE_LIMITS);
+    setNotes(snapshot.notes || '');
+    setShowNotes(false);
+    setStartTime(null);
+    setElapsedTime(0);
+  }, [defaultSourceLang, defaultTargetLang]);
+
+  // 恢复已保存的任务：已完成的段落保持不变，继续翻译时只处理待翻译和失败的段落
+  const resumeJob = useCallback(async (id) => {
+    setIsLoading(true);
+    try {
+      const job = await documentJobs.load(id);
+      if (!job?.segments) {
+        throw new Error(t('documentTranslator.jobs.missing'));
+      }
+      const { sourceKind, ...documentInfo } = job.document || {};
+      const sourceBuffer = sourceKind === 'buffer' ? await documentJobs.loadSource(id) : null;
+
+      jobRef.current = {
+        id: job.id,
+        fingerprint: job.fingerprint,
+        createdAt: job.createdAt,
+        glossary: job.glossary,
+        resumed: true,
+      };
+      restoreSnapshot({
+        ...job,
+        document: { ...documentInfo, sourceBuffer: sourceBuffer || undefined },
+      });
+
+      const { completed = 0, total = 0 } = job.progress || {};
+      notify?.(t('documentTranslator.jobs.resumed', { completed, total }), 'success');
+    } catch (error) {
+      logger.error('Resume job error:', error);
+      notify?.(t('documentTranslator.jobs.resumeFailed', { error: error.message }), 'error');
+      refreshSavedJobs();
+    } finally {
+      setIsLoading(false);
+    }
+  }, [restoreSnapshot, notify, t, refreshSavedJobs]);
+
+  // 打开项目文件：恢复段落、译文、设置和备注，术语表使用项目中保存的子集
+  const openProject = useCallback(async (file) => {
+    setIsLoading(true);
+    try {
+      const project = await readProjectFile(file);
+      jobRef.current = {
+        id: documentJobs.createId(),
+        fingerprint: project.document.fingerprint || null,
+        createdAt: Date.now(),
+        glossary: project.glossary,
+        resumed: true,
+      };
+      documentJobs.saveSource(jobRef.current.id, project.document.sourceBuffer);
+      restoreSnapshot(project);
+      notify?.(t('documentTranslator.project.opened', { filename: project.document.filename }), 'success');
+    } catch (error) {
+      logger.error('Open project error:', error);
+      notify?.(t('documentTranslator.project.openFailed', { error: error.message }), 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [restoreSnapshot, notify, t]);
+
+  // 保存项目文件
+  const saveProject = async () => {
+    if (!document || segments.length === 0) return;
+    try {
+      const blob = await createProjectFile({
+        document: { ...document, fingerprint: jobRef.current?.fingerprint || undefined },
+        segments,
+        outline,
+        settings,
+        glossary: selectGlossarySubset(jobRef.current?.glossary || getGlossaryTerms(), segments),
+        notes,
+      });
+      const url = URL.createObjectURL(blob);
+      const a = window.document.createElement('a');
+      a.href = url;
+      a.download = `${document.filename.replace(/\.[^.]+$/, '')}.${PROJECT_EXTENSION}`;
+      a.click();
+      URL.revokeObjectURL(url);
+      notify?.(t('documentTranslator.project.saved'), 'success');
+    } catch (error) {
+      logger.error('Save project error:', error);
+      notify?.(t('documentTranslator.project.saveFailed', { error: error.message }), 'error');
+    }
+  };
+
+  // 放弃已保存的任务
+  const discardJob = useCallback(async (id) => {
+    await documentJobs.discard(id);
+    refreshSavedJobs();
+  }, [refreshSavedJobs]);
+
   // 加载文件
   const loadFile = useCallback(async (file, filePassword = null) => {
     logger.debug('Loading file:', file.name, file.type, file.size);
+    if (file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`)) {
+      await openProject(file);
+      return;
+    }
     setIsLoading(true);
     
     try {
@@ -301,14 +966,43 @@ const DocumentTranslator = ({
       logger.debug('parseDocument result:', result);
       
       if (result.success) {
+        // 同一文件（指纹相同）且目标语言相同的任务存在时直接续译
+        const fingerprint = documentJobs.isAvailable()
+          ? await documentJobs.fingerprint(await file.arrayBuffer())
+          : null;
+        const existing = fingerprint && (await documentJobs.list())
+          .find(job => job.fingerprint === fingerprint && job.targetLang === targetLang);
+        if (existing) {
+          setShowPasswordModal(false);
+          setPendingFile(null);
+          setPassword('');
+          await resumeJob(existing.id);
+          return;
+        }
+
+        jobRef.current = {
+          id: documentJobs.createId(),
+          fingerprint,
+          createdAt: Date.now(),
+          glossary: null,
+          resumed: false,
+        };
+        documentJobs.saveSource(jobRef.current.id, result.sourceBuffer);
+        setJobLangs(null);
         setDocument({
           filename: result.filename,
           format: result.format,
           formatName: result.formatName,
           stats: result.stats,
           pageCount: result.pageCount,
+          sourceContent: result.sourceContent,
+          sourceBuffer: result.sourceBuffer,
+          sheets: result.sheets,
         });
         setSegments(result.segments);
+        setSheetFilter({ sheets: result.sheets || [], columns: '' });
+        setSentenceMode(false);
+        setNotes('');
         setOutline(result.outline || []);
         setShowPasswordModal(false);
         setPendingFile(null);
@@ -340,7 +1034,7 @@ const DocumentTranslator = ({
     } finally {
       setIsLoading(false);
     }
-  }, [filters, targetLang, notify, t]);
+  }, [filters, targetLang, resumeJob, openProject, notify, t]);
 
   // 提交密码
   const handlePasswordSubmit = useCallback(async () => {
@@ -380,20 +1074,88 @@ const DocumentTranslator = ({
     e.target.value = null;
   }, [loadFile]);
 
+  // 用户编辑 / 确认 / 接受审校修改的译文写入翻译记忆库（机器译文不写入；无痕模式由 Service 层忽略）
+  const rememberSegment = useCallback((segment) => {
+    if (!segment?.translated?.trim()) return;
+    translationService.rememberTranslation(segment.original, segment.translated, {
+      sourceLang,
+      targetLang,
+      privacyMode: translationMode,
+      origin: 'document',
+      template: segment.override?.template || template,
+      glossary: useGlossary ? (jobRef.current?.glossary || getGlossaryTerms()) : null,
+    });
+  }, [sourceLang, targetLang, translationMode, template, useGlossary, getGlossaryTerms]);
+
+  // 可直接复用的记忆库匹配（模板、术语与本次翻译一致）；已检索过时传入 tmMatch
+  const findReusableMemory = (segment, tmMatch) => translationService.findReusableMemory(segment.original, {
+    sourceLang,
+    targetLang,
+    privacyMode: translationMode,
+    template: segment.override?.template || template,
+    glossary: getJobGlossary(),
+    tmMatch,
+  });
+
   // 开始翻译
-  const startTranslation = async () => {
+  // 待翻译的段落（用户编辑 / 确认过的段落不再交给翻译源）
+  const getPendingSegments = () => segments.filter(s => (
+    (s.status === STATUS.PENDING || s.status === STATUS.ERROR) && !isReviewLocked(s)
+  ));
+
+  // 需要请求翻译源的段落：去掉缓存和记忆库完全匹配的段落
+  const getRequestSegments = (pending) => pending.filter(s => (
+    !translationCache.current.has(`${s.original}|${sourceLang}|${targetLang}`)
+    && !findReusableMemory(s)
+  ));
+
+  // 预估参数（价格在显示时代入，修改价格后立即生效）
+  const getEstimateOptions = (providers) => ({
+    providers: providers.map(p => ({ ...p, latency: translationService.getProviderLatency(p.id) })),
+    sourceLang,
+    targetLang,
+    batchMode,
+    batchSize,
+    concurrency,
+    rpmLimits,
+    contextTokens: useContext ? contextTokens : 0,
+  });
+
+  const openEstimate = (mode) => {
+    setEstimateView({ mode, segments: getRequestSegments(getPendingSegments()), options: getEstimateOptions(estimateProviders) });
+  };
+
+  // 原文较多时先显示预估，确认后再开始
+  const requestStart = () => {
+    const tokens = getPendingSegments().reduce((sum, s) => sum + (s.tokens || 0), 0);
+    if (tokens >= PREFLIGHT_MIN_TOKENS && estimateProviders.length > 0) {
+      openEstimate('preflight');
+    } else {
+      startTranslation();
+    }
+  };
+
+  const startTranslation = async ({ showComparison = false } = {}) => {
     if (isTranslating) return;
     
     setIsTranslating(true);
     setIsPaused(false);
+    headingsRef.current = useContext ? detectHeadings(segments) : [];
     pauseRef.current = false;
     abortRef.current = false;
-    setStartTime(Date.now());
+    const startedAt = Date.now();
+    setStartTime(startedAt);
+    runUsageRef.current = createUsage();
+    
+    // 新任务每次开始时刷新术语表快照，恢复的任务沿用保存时的术语表
+    if (jobRef.current && (!jobRef.current.resumed || !jobRef.current.glossary)) {
+      jobRef.current.glossary = getGlossaryTerms();
+    }
     
     // 获取待翻译的段落
-    let pendingSegments = segments.filter(s => s.status === STATUS.PENDING || s.status === STATUS.ERROR);
+    const pendingSegments = getPendingSegments();
     
-    // 先检查缓存，标记可从缓存获取的段落
+    // 先检查缓存和翻译记忆库，标记可直接获取的段落
     const toTranslate = [];
     for (const segment of pendingSegments) {
       const cacheKey = `${segment.original}|${sourceLang}|${targetLang}`;
@@ -402,15 +1164,41 @@ const DocumentTranslator = ({
       if (cachedTranslation) {
         // 使用缓存
         setSegments(prev => prev.map(s => 
-          s.id === segment.id ? { 
-            ...s, 
+          s.id === segment.id ? applyMachineResult(s, { 
             status: STATUS.COMPLETED, 
             translated: cachedTranslation,
             fromCache: true,
-          } : s
+          }) : s
+        ));
+        continue;
+      }
+      
+      // 每个段落只检索一次记忆库，结果随段落交给翻译，不再重复检索
+      const tmMatch = translationService.lookupMemory(segment.original, {
+        sourceLang,
+        targetLang,
+        privacyMode: translationMode,
+      });
+      const reusable = findReusableMemory(segment, tmMatch);
+      
+      if (reusable) {
+        // 完全匹配且模板、术语一致：直接复用
+        setSegments(prev => prev.map(s => 
+          s.id === segment.id ? applyMachineResult(s, { 
+            status: STATUS.COMPLETED, 
+            translated: tmMatch.target,
+            fromMemory: true,
+            tmMatch,
+          }) : s
         ));
       } else {
-        toTranslate.push(segment);
+        // 模糊匹配（或模板 / 术语不同的完全匹配）：记录下来供显示，仍交给翻译源
+        if (tmMatch) {
+          setSegments(prev => prev.map(s => 
+            s.id === segment.id ? { ...s, tmMatch } : s
+          ));
+        }
+        toTranslate.push({ ...segment, tmMatch });
       }
     }
     
@@ -420,6 +1208,10 @@ const DocumentTranslator = ({
       return;
     }
     
+    // 开始前的预估（延迟取开始时的实测值），结束后与实际用量对比
+    const runProvider = estimateProviders.find(p => p.id === primaryProviderId);
+    const runEstimate = runProvider && { segments: toTranslate, options: getEstimateOptions([runProvider]) };
+    
     // 根据模式选择翻译方式
     if (batchMode) {
       // 批量翻译模式
@@ -432,45 +1224,84 @@ const DocumentTranslator = ({
     setIsTranslating(false);
     if (!abortRef.current) {
       notify?.(t('documentTranslator.notify.translationComplete'), 'success');
+      if (runEstimate) {
+        setLastRun({ ...runEstimate, usage: runUsageRef.current, elapsedMs: Date.now() - startedAt });
+        if (showComparison) {
+          setEstimateView({ mode: 'view', segments: toTranslate, options: getEstimateOptions(estimateProviders) });
+        }
+      }
     }
   };
 
-  // 批量翻译模式
+  // 段落（批次第一段）的前文上下文，未启用时返回 undefined
+  const getContextFor = (segmentId, headings = headingsRef.current) => {
+    if (!useContext) return undefined;
+    const current = segmentsRef.current;
+    const index = current.findIndex(s => s.id === segmentId);
+    return buildDocumentContext(current, index, { headings, maxTokens: contextTokens }) || undefined;
+  };
+
+  // 暂停时等待；返回 false 表示已停止
+  const waitWhilePaused = async () => {
+    while (pauseRef.current && !abortRef.current) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return !abortRef.current;
+  };
+
+  // 当前任务的术语表（未启用时为空）
+  const getJobGlossary = () => (
+    useGlossary ? (jobRef.current?.glossary || getGlossaryTerms()) : []
+  );
+
+  // 批量翻译模式：最多 concurrency 个批次同时进行，结果按段落 id 回写，不依赖返回顺序
   const translateBatchMode = async (toTranslate) => {
     // 获取术语表（如果启用）
-    const glossary = useGlossary ? getGlossaryTerms() : [];
+    const glossary = getJobGlossary();
     if (glossary.length > 0) {
       logger.debug(`Using glossary with ${glossary.length} terms`);
     }
     
-    // 分批处理
-    for (let i = 0; i < toTranslate.length; i += batchSize) {
-      if (abortRef.current) break;
-      
+    // 分批（与预估使用同一分组方式；指定了翻译源 / 模板的段落单独成批）
+    const batches = planRequests(toTranslate, { batchMode: true, batchSize });
+    
+    await runConcurrent(batches, concurrency, async (batch) => {
       // 暂停检查
-      while (pauseRef.current) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        if (abortRef.current) break;
-      }
-      if (abortRef.current) break;
+      if (!(await waitWhilePaused())) return;
       
-      const batch = toTranslate.slice(i, i + batchSize);
       const batchIds = batch.map(s => s.id);
       const batchTexts = batch.map(s => s.original);
       
       // 标记这批段落为翻译中
       setSegments(prev => prev.map(s => 
-        batchIds.includes(s.id) ? { ...s, status: STATUS.TRANSLATING } : s
+        batchIds.includes(s.id) ? applyMachineResult(s, { status: STATUS.TRANSLATING }) : s
       ));
       
       try {
         // 批量翻译
+        // 同一批的段落 override 相同，重新翻译时指定的翻译源 / 模板继续使用
+        const { override } = batch[0];
         const result = await translationService.translateBatch(batchTexts, {
           sourceLang,
           targetLang,
+          template: override?.template || template,
+          provider: override?.provider || provider || undefined,
+          context: getContextFor(batch[0].id),
           glossary: glossary.length > 0 ? glossary : undefined,
+          privacyMode: translationMode,
         });
         
+        // 只统计实际发送给翻译源的段落；失败的批量请求同样计入，回退后的逐段请求另行统计
+        const requested = result.requestedIndexes || [];
+        if (requested.length > 0) {
+          runUsageRef.current = recordUsage(runUsageRef.current, {
+            provider: result.provider,
+            source: requested.map(i => batchTexts[i]).join('\n'),
+            target: result.success ? requested.map(i => result.translations[i]).join('\n') : '',
+            success: result.success,
+          });
+        }
+        
         if (result.success && result.translations) {
           // 更新翻译结果
           setSegments(prev => prev.map(s => {
@@ -481,11 +1312,10 @@ const DocumentTranslator = ({
               const cacheKey = `${s.original}|${sourceLang}|${targetLang}`;
               translationCache.current.set(cacheKey, translation);
               
-              return {
-                ...s,
+              return applyMachineResult(s, {
                 status: STATUS.COMPLETED,
                 translated: translation,
-              };
+              });
             }
             return s;
           }));
@@ -496,41 +1326,61 @@ const DocumentTranslator = ({
         // 批量失败，回退到单条翻译
         logger.warn('Batch translation failed, falling back to single mode:', error);
         for (const segment of batch) {
-          if (abortRef.current) break;
+          if (!(await waitWhilePaused())) break;
           await translateSingleSegment(segment);
         }
+        // 停止时把尚未开始的段落恢复为待翻译
+        if (abortRef.current) {
+          setSegments(prev => prev.map(s => 
+            batchIds.includes(s.id) && s.status === STATUS.TRANSLATING
+              ? applyMachineResult(s, { status: STATUS.PENDING })
+              : s
+          ));
+        }
       }
-    }
+    }, { shouldStop: () => abortRef.current });
   };
 
-  // 单条翻译模式
+  // 单条翻译模式：最多 concurrency 个段落同时翻译
   const translateSingleMode = async (toTranslate) => {
-    for (const segment of toTranslate) {
-      if (abortRef.current) break;
-      
+    await runConcurrent(toTranslate, concurrency, async (segment) => {
       // 暂停检查
-      while (pauseRef.current) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        if (abortRef.current) break;
-      }
-      if (abortRef.current) break;
-      
+      if (!(await waitWhilePaused())) return;
       await translateSingleSegment(segment);
-    }
+    }, { shouldStop: () => abortRef.current });
   };
 
   // 翻译单个段落
   const translateSingleSegment = async (segment) => {
+    // 排队期间被用户编辑的段落不再翻译
+    if (isReviewLocked(segmentsRef.current.find(s => s.id === segment.id) || segment)) return;
     setSegments(prev => prev.map(s => 
-      s.id === segment.id ? { ...s, status: STATUS.TRANSLATING } : s
+      s.id === segment.id ? applyMachineResult(s, { status: STATUS.TRANSLATING }) : s
     ));
     
     try {
+      // 重新翻译时指定过翻译源 / 模板的段落继续使用该设置
       const result = await translationService.translate(segment.original, {
         sourceLang,
         targetLang,
+        template: segment.override?.template || template,
+        provider: segment.override?.provider || provider || undefined,
+        context: getContextFor(segment.id),
+        glossary: getJobGlossary(),
+        privacyMode: translationMode,
+        tmMatch: segment.tmMatch,
       });
       
+      // 缓存 / 记忆库命中没有请求翻译源，不计入用量
+      if (!result.fromCache && !result.fromMemory) {
+        runUsageRef.current = recordUsage(runUsageRef.current, {
+          provider: result.provider,
+          source: segment.original,
+          target: result.text,
+          success: result.success,
+        });
+      }
+      
       if (result.success) {
         const translated = result.text || result.translatedText || '';
         // 缓存翻译结果
@@ -538,26 +1388,33 @@ const DocumentTranslator = ({
         translationCache.current.set(cacheKey, translated);
         
         setSegments(prev => prev.map(s => 
-          s.id === segment.id ? { 
-            ...s, 
+          s.id === segment.id ? applyMachineResult(s, { 
             status: STATUS.COMPLETED, 
             translated,
-          } : s
+            fromMemory: !!result.fromMemory,
+            tmMatch: result.tmMatch || s.tmMatch || null,
+          }) : s
         ));
       } else {
         throw new Error(result.error);
       }
     } catch (error) {
       setSegments(prev => prev.map(s => 
-        s.id === segment.id ? { 
-          ...s, 
+        s.id === segment.id ? applyMachineResult(s, { 
           status: STATUS.ERROR, 
           error: error.message,
-        } : s
+        }) : s
       ));
     }
   };
 
+  // 术语加入术语库后，当前任务改用更新后的术语表
+  const handleTermsAdded = useCallback(() => {
+    if (jobRef.current) {
+      jobRef.current.glossary = getGlossaryTerms();
+    }
+  }, [getGlossaryTerms]);
+
   // 暂停/继续
   const togglePause = () => {
     pauseRef.current = !pauseRef.current;
@@ -575,25 +1432,32 @@ const DocumentTranslator = ({
   // 重试单个段落
   const retrySegment = async (segmentId) => {
     const segment = segments.find(s => s.id === segmentId);
-    if (!segment) return;
+    if (!segment || isReviewLocked(segment)) return;
     
     setSegments(prev => prev.map(s => 
-      s.id === segmentId ? { ...s, status: STATUS.TRANSLATING } : s
+      s.id === segmentId ? applyMachineResult(s, { status: STATUS.TRANSLATING }) : s
     ));
     
     try {
       const result = await translationService.translate(segment.original, {
         sourceLang,
         targetLang,
+        template: segment.override?.template || template,
+        provider: segment.override?.provider || provider || undefined,
+        context: getContextFor(segmentId, useContext ? detectHeadings(segments) : []),
+        glossary: getJobGlossary(),
+        privacyMode: translationMode,
       });
       
       if (result.success) {
+        const translated = result.text || result.translatedText || '';
         setSegments(prev => prev.map(s => 
-          s.id === segmentId ? { 
-            ...s, 
+          s.id === segmentId ? applyMachineResult(s, { 
             status: STATUS.COMPLETED, 
-            translated: result.text || result.translatedText || '',
-          } : s
+            translated,
+            fromMemory: !!result.fromMemory,
+            tmMatch: result.tmMatch || s.tmMatch || null,
+          }) : s
         ));
         notify?.(t('documentTranslator.notify.retrySuccess'), 'success');
       } else {
@@ -601,11 +1465,10 @@ const DocumentTranslator = ({
       }
     } catch (error) {
       setSegments(prev => prev.map(s => 
-        s.id === segmentId ? { 
-          ...s, 
+        s.id === segmentId ? applyMachineResult(s, { 
           status: STATUS.ERROR, 
           error: error.message,
-        } : s
+        }) : s
       ));
       notify?.(t('documentTranslator.notify.retryFailed', { error: error.message }), 'error');
     }
@@ -613,15 +1476,349 @@ const DocumentTranslator = ({
 
   // 重试所有失败
   const retryAllFailed = async () => {
-    const failedIds = segments.filter(s => s.status === STATUS.ERROR).map(s => s.id);
+    const failedIds = segments.filter(s => s.status === STATUS.ERROR && !isReviewLocked(s)).map(s => s.id);
     for (const id of failedIds) {
       await retrySegment(id);
     }
   };
 
+  // 审校：修改 / 确认 / 撤销单个段落
+  const updateSegment = useCallback((segmentId, update) => {
+    setSegments(prev => prev.map(s => (s.id === segmentId ? update(s) : s)));
+  }, []);
+
+  // 跳到下一个未确认的段落并打开编辑框；筛选隐藏了该段落时切回全部
+  const goToNextUnconfirmed = useCallback((fromId = reviewCursorRef.current ?? undefined) => {
+    const next = findNextUnconfirmed(segmentsRef.current, fromId);
+    if (!next) {
+      setEditingId(null);
+      notify?.(t('documentTranslator.review.allConfirmed'), 'success');
+      return;
+    }
+    if (reviewFilter !== 'all' && getReviewStatus(next) !== reviewFilter) {
+      setReviewFilter('all');
+    }
+    reviewCursorRef.current = next.id;
+    setEditingId(next.status === STATUS.TRANSLATING ? null : next.id);
+    // 等筛选 / 编辑框渲染后再滚动
+    setTimeout(() => {
+      listRef.current?.querySelector(`[data-segment-id="${next.id}"]`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 0);
+  }, [reviewFilter, notify, t]);
+
+  const startEdit = useCallback((segmentId) => {
+    reviewCursorRef.current = segmentId;
+    setEditingId(segmentId);
+  }, []);
+
+  const cancelEdit = useCallback(() => setEditingId(null), []);
+
+  // 保存编辑；同时确认时接着打开下一个未确认的段落
+  const saveEdit = useCallback((segmentId, text, { confirm = false } = {}) => {
+    const segment = segmentsRef.current.find(s => s.id === segmentId);
+    if (segment) rememberSegment({ ...segment, translated: text });
+    updateSegment(segmentId, s => editSegment(s, text, { confirm }));
+    setEditingId(null);
+    if (confirm) {
+      goToNextUnconfirmed(segmentId);
+    }
+  }, [updateSegment, goToNextUnconfirmed, rememberSegment]);
+
+  const confirmOne = useCallback((segmentId) => {
+    reviewCursorRef.current = segmentId;
+    rememberSegment(segmentsRef.current.find(s => s.id === segmentId));
+    updateSegment(segmentId, confirmSegment);
+  }, [updateSegment, rememberSegment]);
+
+  const undoOne = useCallback((segmentId) => {
+    updateSegment(segmentId, undoSegment);
+  }, [updateSegment]);
+
+  const switchVersion = useCallback((segmentId, versionId) => {
+    updateSegment(segmentId, s => switchSegmentVersion(s, versionId));
+  }, [updateSegment]);
+
+  // 版本名称：版本号 · 翻译源 · 模板
+  const getVersionName = useCallback((version) => {
+    const providerName = availableProviders.find(p => p.id === version.provider)?.name
+      || version.provider
+      || t('documentTranslator.footer.providerAuto');
+    const templateName = templates.find(item => item.id === version.template)?.name || version.template;
+    return [version.id, providerName, templateName].filter(Boolean).join(' · ');
+  }, [availableProviders, templates, t]);
+
+  // 从段落 / 大纲打开局部重新翻译
+  // 范围按段落在列表中的位置（id 不一定等于位置）
+  const openRetranslateSegment = useCallback((segmentId) => {
+    const position = segmentsRef.current.findIndex(s => s.id === segmentId) + 1;
+    if (position > 0) setRetranslateScope({ type: 'range', from: position, to: position });
+  }, []);
+
+  const openRetranslateSection = (headingId) => {
+    setRetranslateScope({ type: 'section', headingId });
+  };
+
+  // 局部重新翻译：不用缓存和记忆库，旧译文保留为段落的版本；
+  // 之后重试这些段落时沿用指定的翻译源 / 模板
+  const runRetranslation = async (ids, { provider: targetProvider, template: targetTemplate }) => {
+    if (isTranslating) return;
+    setRetranslateScope(null);
+    
+    const idSet = new Set(ids);
+    const targets = segmentsRef.current.filter(s => idSet.has(s.id));
+    const override = { provider: targetProvider, template: targetTemplate };
+    setRetranslatingIds(idSet);
+    setIsTranslating(true);
+    setIsPaused(false);
+    headingsRef.current = useContext ? detectHeadings(segmentsRef.current) : [];
+    pauseRef.current = false;
+    abortRef.current = false;
+    
+    let done = 0;
+    let failed = 0;
+    await runConcurrent(targets, concurrency, async (segment) => {
+      if (!(await waitWhilePaused())) return;
+      try {
+        const result = await translationService.translate(segment.original, {
+          sourceLang,
+          targetLang,
+          template: targetTemplate,
+          provider: targetProvider || undefined,
+          context: getContextFor(segment.id),
+          glossary: getJobGlossary(),
+          privacyMode: translationMode,
+          useCache: false,
+          useMemory: false,
+        });
+        if (!result.success) throw new Error(result.error);
+        
+        // 指定的设置只随成功的新版本一起写入，失败的段落保持原来的设置
+        updateSegment(segment.id, s => ({
+          ...addSegmentVersion(
+            s,
+            result.text,
+            { provider: result.provider, template: targetTemplate },
+            // 现有译文的来源：之前指定的设置，否则为任务设置
+            { provider: s.override?.provider || provider, template: s.override?.template || template }
+          ),
+          override,
+        }));
+        done++;
+      } catch (error) {
+        // 失败时保留现有译文
+        logger.warn(`Retranslation failed for segment ${segment.id}:`, error.message);
+        failed++;
+      } finally {
+        setRetranslatingIds(prev => {
+          const next = new Set(prev);
+          next.delete(segment.id);
+          return next;
+        });
+      }
+    }, { shouldStop: () => abortRef.current });
+    
+    setRetranslatingIds(new Set());
+    setIsTranslating(false);
+    notify?.(
+      t('documentTranslator.retranslate.done', { count: done, failed }),
+      failed > 0 ? 'warning' : 'success'
+    );
+  };
+
+  // 切换文档时关闭编辑框、清除筛选
+  useEffect(() => {
+    setEditingId(null);
+    setReviewFilter('all');
+    reviewCursorRef.current = null;
+  }, [document]);
+
+  // 查找替换：替换全部译文（每个段落记一次修改，可撤销）
+  const handleReplaceAll = useCallback(({ segments: replaced, changed, count }) => {
+    setSegments(replaced);
+    notify?.(t('documentTranslator.find.replaced', { count, segments: changed }), 'success');
+  }, [notify, t]);
+
+  // 导回审校表：按段落 ID 对比译文，逐条确认后再应用
+  const handleReviewFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const rows = await importReviewFile(await file.arrayBuffer(), file.name);
+      setReviewImport({ filename: file.name, result: diffReviewRows(segmentsRef.current, rows) });
+    } catch (error) {
+      logger.error('Review import error:', error);
+      notify?.(t('documentTranslator.reviewSheet.importFailed', { error: error.message }), 'error');
+    }
+  };
+
+  const applyReviewImport = useCallback((accepted) => {
+    const { segments: updated, changed } = applyReviewCorrections(segmentsRef.current, accepted);
+    const acceptedIds = new Set(accepted.map(c => c.segmentId));
+    updated.filter(s => acceptedIds.has(s.id)).forEach(rememberSegment);
+    setSegments(updated);
+    setReviewImport(null);
+    notify?.(t('documentTranslator.reviewSheet.applied', { count: changed }), 'success');
+  }, [notify, t, rememberSegment]);
+
+  // 快捷键：Alt+↓ 跳到下一个未确认的段落，Ctrl+F 打开查找替换
+  useEffect(() => {
+    if (!document) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.altKey && e.key === 'ArrowDown') {
+        e.preventDefault();
+        goToNextUnconfirmed(editingId ?? reviewCursorRef.current ?? undefined);
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setShowFind(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [document, editingId, goToNextUnconfirmed]);
+
+  // XLSX 过滤：切换工作表
+  const toggleSheet = (name) => {
+    setSheetFilter(prev => ({
+      ...prev,
+      sheets: prev.sheets.includes(name)
+        ? prev.sheets.filter(s => s !== name)
+        : [...prev.sheets, name],
+    }));
+  };
+
+  // XLSX 过滤：按选中的工作表 / 列重新提取（已有译文会被清空）
+  const applySheetFilter = async () => {
+    if (!document?.sourceBuffer) return;
+    try {
+      const result = await parseXLSX(document.sourceBuffer, {
+        filters: { ...filters, targetLang },
+        sheets: sheetFilter.sheets,
+        columns: sheetFilter.columns,
+      });
+      setSegments(result.segments);
+      notify?.(t('documentTranslator.notify.fileLoaded', { count: result.segments.length }), 'success');
+    } catch (error) {
+      logger.error('Sheet filter error:', error);
+      notify?.(t('documentTranslator.notify.parseFailed'), 'error');
+    }
+  };
+
+  // 字幕整句模式：合并 / 还原（未完成的整句译文会被清空）
+  const toggleSentenceMode = () => {
+    setSegments(prev => (sentenceMode ? expandSentences(prev) : mergeCuesIntoSentences(prev)));
+    setSentenceMode(!sentenceMode);
+  };
+
+  // 手动调整整句拆回各条字幕的译文，parts 为 null 时恢复自动拆分
+  const updateCueParts = useCallback((segmentId, parts) => {
+    setSegments(prev => prev.map(s => 
+      s.id === segmentId ? { ...s, cueParts: parts, cuePartsFor: parts ? s.translated : undefined } : s
+    ));
+  }, []);
+
+  // 写回修复后的字幕并记入翻译记忆库（整句模式按单条字幕记忆）
+  // fixes: Array<{ segmentId, cue, text }>
+  const applySubtitleFixes = useCallback((fixes, change) => {
+    const bySegment = new Map();
+    for (const { segmentId, cue, text } of fixes) {
+      if (!bySegment.has(segmentId)) bySegment.set(segmentId, new Map());
+      bySegment.get(segmentId).set(cue, text);
+      const segment = segmentsRef.current.find(s => s.id === segmentId);
+      if (segment) {
+        rememberSegment(cue === null
+          ? { ...segment, translated: text }
+          : { ...segment, original: segment.cues[cue].original, translated: text });
+      }
+    }
+    setSegments(prev => prev.map(s => (
+      bySegment.has(s.id) ? fixSubtitleText(s, bySegment.get(s.id), change) : s
+    )));
+  }, [rememberSegment]);
+
+  // 修复字幕可读性问题：重新断行，或请 AI 给出更短的译文
+  const fixSubtitle = useCallback(async (segmentId, cue, action) => {
+    const segment = segments.find(s => s.id === segmentId);
+    if (!segment) return;
+    const target = getSubtitleCues(segment).find(item => item.cue === cue);
+
+    if (action === 'balance') {
+      const text = balanceLines(target.text, subtitleLimits);
+      if (text !== target.text) applySubtitleFixes([{ segmentId, cue, text }], { type: 'balance' });
+      return;
+    }
+
+    setFixingSegmentId(segmentId);
+    try {
+      const result = await translationService.chatCompletion(buildShortenMessages({
+        original: cue === null ? segment.original : segment.cues[cue].original,
+        translated: target.text,
+        timecode: target.timecode,
+        limits: subtitleLimits,
+      }));
+      if (!result.success || !result.content?.trim()) {
+        throw new Error(result.error || t('documentTranslator.subtitleQA.emptyResult'));
+      }
+      const shortened = balanceLines(result.content.trim().replace(/^["「『]|["」』]$/g, '').trim(), subtitleLimits);
+      applySubtitleFixes([{ segmentId, cue, text: shortened }], { type: 'shorten' });
+    } catch (error) {
+      logger.error('Shorten subtitle error:', error);
+      notify?.(t('documentTranslator.subtitleQA.shortenFailed', { error: error.message }), 'error');
+    } finally {
+      setFixingSegmentId(null);
+    }
+  }, [segments, subtitleLimits, notify, t, applySubtitleFixes]);
+
+  // 对所有超出行长 / 行数的字幕重新断行
+  const balanceAllSubtitles = () => {
+    const fixes = segmentsRef.current.flatMap((segment) => {
+      const issues = subtitleIssues.get(segment.id);
+      if (!issues) return [];
+      const cues = new Set(issues.filter(issue => issue.type !== 'cps').map(issue => issue.cue));
+      return getSubtitleCues(segment)
+        .filter(item => cues.has(item.cue))
+        .map(item => ({ segmentId: segment.id, cue: item.cue, text: balanceLines(item.text, subtitleLimits), before: item.text }))
+        .filter(fix => fix.text !== fix.before);
+    });
+    applySubtitleFixes(fixes, { type: 'balance' });
+  };
+
+  // 并发数 / RPM 限制（空值或 0 表示不限制）
+  const updateConcurrency = (value) => {
+    const number = parseInt(value, 10);
+    if (number > 0) {
+      setConcurrency(Math.min(number, MAX_CONCURRENCY));
+    }
+  };
+
+  const updateRpmLimit = (providerId, value) => {
+    const number = parseInt(value, 10);
+    setRpmLimits(prev => {
+      const { [providerId]: _, ...rest } = prev;
+      return number > 0 ? { ...rest, [providerId]: number } : rest;
+    });
+  };
+
+  const updateSubtitleLimit = (key, value) => {
+    const number = parseInt(value, 10);
+    if (number > 0) {
+      setSubtitleLimits(prev => ({ ...prev, [key]: number }));
+    }
+  };
+
   // 导出
   const handleExport = async (type) => {
     if (segments.length === 0) return;
+    // 只导出已确认的译文时，其余段落按未翻译处理（保留原文）
+    const exportSegments = exportConfirmedOnly ? keepConfirmedOnly(segments) : segments;
+    
+    // 字幕仍有超出限制的条目时提醒
+    const subtitleExports = ['srt', 'vtt', 'ass', 'ass-bilingual', 'ass-bilingual-style'];
+    if (subtitleExports.includes(type) && subtitleIssueCount > 0
+      && !window.confirm(t('documentTranslator.subtitleQA.exportConfirm', { count: subtitleIssueCount }))) {
+      return;
+    }
     
     let content = '';
     let filename = document?.filename?.replace(/\.[^.]+$/, '') || 'translated';
@@ -631,30 +1828,92 @@ const DocumentTranslator = ({
     try {
       switch (type) {
         case 'bilingual-txt':
-          content = exportBilingual(segments, { style: 'below' });
+          content = exportBilingual(exportSegments, { style: 'below' });
           filename += t('documentTranslator.fileSuffix.bilingual');
           break;
         case 'bilingual-md':
-          content = exportBilingual(segments, { style: 'below', format: 'md' });
+          content = exportBilingual(exportSegments, { style: 'below', format: 'md' });
           filename += t('documentTranslator.fileSuffix.bilingual');
           ext = 'md';
           break;
         case 'translated-only':
-          content = exportTranslatedOnly(segments);
+          content = exportTranslatedOnly(exportSegments);
           filename += t('documentTranslator.fileSuffix.translatedOnly');
           break;
+        case 'markdown':
+          content = exportMarkdown(document.sourceContent, exportSegments);
+          filename += '_translated';
+          ext = document.format;
+          blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
+          break;
+        case 'html':
+          content = exportHTML(document.sourceContent, exportSegments, { targetLang });
+          filename += '_translated';
+          ext = document.format;
+          blob = new Blob([content], { type: 'text/html;charset=utf-8' });
+          break;
+        case 'docx-original':
+          blob = await exportDOCXPackage(document.sourceBuffer, exportSegments, { targetLang });
+          filename += '_translated';
+          ext = 'docx';
+          break;
+        case 'pptx':
+          blob = await exportPPTX(document.sourceBuffer, exportSegments, { targetLang });
+          filename += '_translated';
+          ext = 'pptx';
+          break;
+        case 'xlsx':
+          blob = await exportXLSX(document.sourceBuffer, exportSegments);
+          filename += '_translated';
+          ext = 'xlsx';
+          break;
+        case 'epub':
+        case 'epub-bilingual': {
+          const style = type === 'epub' ? 'translated' : 'bilingual';
+          blob = await exportEPUB(document.sourceBuffer, exportSegments, {
+            style,
+            targetLang,
+            titleSuffix: t(`documentTranslator.epubTitleSuffix.${style}`),
+          });
+          filename += t(`documentTranslator.fileSuffix.${style === 'bilingual' ? 'bilingual' : 'translatedOnly'}`);
+          ext = 'epub';
+          break;
+        }
         case 'srt':
-          content = exportSRT(segments);
+          content = exportSRT(expandSentences(exportSegments));
           filename += '_translated';
           ext = 'srt';
           break;
         case 'vtt':
-          content = exportVTT(segments);
+          content = exportVTT(expandSentences(exportSegments));
           filename += '_translated';
           ext = 'vtt';
           break;
+        case 'ass':
+        case 'ass-bilingual':
+        case 'ass-bilingual-style':
+          content = exportASS(document.sourceContent, exportSegments, {
+            style: type === 'ass' ? 'translated' : 'bilingual',
+            layout: type === 'ass-bilingual-style' ? 'style' : 'line',
+          });
+          filename += t(`documentTranslator.fileSuffix.${type === 'ass' ? 'translatedOnly' : 'bilingual'}`);
+          ext = document.format;
+          break;
+        case 'xliff':
+          content = exportXLIFF(document.sourceContent, exportSegments, { targetLang });
+          filename += '_translated';
+          ext = document.format;
+          blob = new Blob([content], { type: 'application/xliff+xml;charset=utf-8' });
+          break;
+        case 'resource':
+          content = exportResourceFile(document.format, document.sourceContent, exportSegments, { targetLang });
+          filename += '_translated';
+          // POT 模板翻译后即为 PO
+          ext = document.format === 'pot' ? 'po' : document.format;
+          blob = new Blob([content], { type: `${SUPPORTED_FORMATS[document.format].mime};charset=utf-8` });
+          break;
         case 'docx':
-          blob = exportDOCX(segments, { 
+          blob = exportDOCX(exportSegments, { 
             style: 'bilingual', 
             title: document?.filename || t('documentTranslator.defaultDocTitle')
           });
@@ -662,16 +1921,31 @@ const DocumentTranslator = ({
           ext = 'doc';
           break;
         case 'docx-translated':
-          blob = exportDOCX(segments, { 
+          blob = exportDOCX(exportSegments, { 
             style: 'translated-only', 
             title: document?.filename || t('documentTranslator.defaultDocTitle')
           });
           filename += t('documentTranslator.fileSuffix.translatedOnly');
           ext = 'doc';
           break;
+        case 'review-docx':
+        case 'review-xlsx': {
+          const reviewOptions = {
+            comments: reviewSheetComments,
+            title: document?.filename || t('documentTranslator.defaultDocTitle'),
+            headers: Object.fromEntries(['id', 'source', 'target', 'comment']
+              .map(key => [key, t(`documentTranslator.reviewSheet.column_${key}`)])),
+          };
+          blob = type === 'review-docx'
+            ? await exportReviewDOCX(exportSegments, reviewOptions)
+            : await exportReviewXLSX(exportSegments, reviewOptions);
+          filename += t('documentTranslator.fileSuffix.review');
+          ext = type === 'review-docx' ? 'docx' : 'xlsx';
+          break;
+        }
         case 'pdf':
           // 生成 HTML 并打开打印对话框
-          const pdfHtml = exportPDFHTML(segments, { 
+          const pdfHtml = exportPDFHTML(exportSegments, { 
             style: 'bilingual', 
             title: document?.filename || t('documentTranslator.defaultDocTitle')
           });
@@ -712,9 +1986,20 @@ const DocumentTranslator = ({
     if (isTranslating) {
       stopTranslation();
     }
+    // 全部完成的任务不再保留，未完成的留待下次继续
+    const job = jobRef.current;
+    jobRef.current = null;
+    if (job) {
+      const persist = isJobFinished(summarizeProgress(segments))
+        ? documentJobs.discard(job.id)
+        : documentJobs.flush(job.id);
+      persist.then(refreshSavedJobs);
+    }
+    setJobLangs(null);
     setDocument(null);
     setSegments([]);
     setOutline([]);
+    setSentenceMode(false);
     setStartTime(null);
     setElapsedTime(0);
   };
@@ -752,7 +2037,7 @@ const DocumentTranslator = ({
   };
 
   // 获取支持的格式列表
-  const supportedExtensions = Object.keys(SUPPORTED_FORMATS)
+  const supportedExtensions = [...Object.keys(SUPPORTED_FORMATS), PROJECT_EXTENSION]
     .map(ext => `.${ext}`)
     .join(', ');
 
@@ -781,6 +2066,107 @@ const DocumentTranslator = ({
                 ))}
               </div>
               
+              {/* 术语提取 */}
+              <button
+                className="dt-btn"
+                onClick={() => setShowTerms(true)}
+                disabled={isTranslating}
+                title={t('documentTranslator.terms.extractHint')}
+              >
+                <BookOpen size={16} />
+                <span>{t('documentTranslator.terms.extract')}</span>
+              </button>
+              
+              {/* 术语检查 */}
+              <button
+                className="dt-btn"
+                onClick={() => setShowTermCheck(true)}
+                disabled={stats.completed === 0}
+                title={t('documentTranslator.termCheck.hint')}
+              >
+                <SpellCheck size={16} />
+                <span>{t('documentTranslator.termCheck.button')}</span>
+              </button>
+              
+              {/* 查找替换 */}
+              <button
+                className={`dt-btn ${showFind ? 'active' : ''}`}
+                onClick={() => setShowFind(!showFind)}
+                title={t('documentTranslator.find.hint')}
+              >
+                <Search size={16} />
+              </button>
+              
+              {/* 质量检查 */}
+              <button
+                className="dt-btn"
+                onClick={() => setShowQA(true)}
+                disabled={stats.completed === 0}
+                title={t('documentTranslator.qa.hint')}
+              >
+                <ShieldCheck size={16} />
+                <span>{t('documentTranslator.qa.button')}</span>
+              </button>
+              
+              {/* 局部重新翻译 */}
+              <button
+                className="dt-btn"
+                onClick={() => setRetranslateScope({ type: 'range', from: 1, to: segments.length })}
+                disabled={isTranslating}
+                title={t('documentTranslator.retranslate.hint')}
+              >
+                <Repeat size={16} />
+                <span>{t('documentTranslator.retranslate.button')}</span>
+              </button>
+              
+              {/* 费用预估 */}
+              <button
+                className="dt-btn"
+                onClick={() => openEstimate('view')}
+                disabled={isTranslating}
+                title={t('documentTranslator.estimate.hint')}
+              >
+                <DollarSign size={16} />
+                <span>{t('documentTranslator.estimate.button')}</span>
+              </button>
+              
+              {/* 导回审校表 */}
+              <button
+                className="dt-btn"
+                onClick={() => reviewInputRef.current?.click()}
+                disabled={isTranslating}
+                title={t('documentTranslator.reviewSheet.importHint')}
+              >
+                <FileUp size={16} />
+                <span>{t('documentTranslator.reviewSheet.import')}</span>
+              </button>
+              <input
+                ref={reviewInputRef}
+                type="file"
+                accept=".docx,.xlsx"
+                onChange={handleReviewFile}
+                style={{ display: 'none' }}
+              />
+              
+              {/* 备注 */}
+              <button
+                className={`dt-btn ${showNotes ? 'active' : ''}`}
+                onClick={() => setShowNotes(!showNotes)}
+                title={t('documentTranslator.project.notes')}
+              >
+                <StickyNote size={16} />
+              </button>
+              
+              {/* 保存项目 */}
+              <button
+                className="dt-btn"
+                onClick={saveProject}
+                title={t('documentTranslator.project.saveHint')}
+              >
+                <Save size={16} />
+                <span>{t('documentTranslator.project.save')}</span>
+              </button>
+              
               {/* 导出 */}
               <div className="export-dropdown">
                 <button 
@@ -793,6 +2179,15 @@ const DocumentTranslator = ({
                 </button>
                 {showExport && (
                   <div className="export-menu">
+                    <label className="export-option" title={t('documentTranslator.review.confirmedOnlyHint')}>
+                      <input
+                        type="checkbox"
+                        checked={exportConfirmedOnly}
+                        onChange={(e) => setExportConfirmedOnly(e.target.checked)}
+                      />
+                      {t('documentTranslator.review.confirmedOnly', { count: reviewCounts.confirmed })}
+                    </label>
+                    <div className="export-divider" />
                     <div className="export-section-title">{t('documentTranslator.export.textFormat')}</div>
                     <button onClick={() => handleExport('bilingual-txt')}>
                       <FileDown size={14} /> {t('documentTranslator.export.bilingualTxt')}
@@ -803,6 +2198,16 @@ const DocumentTranslator = ({
                     <button onClick={() => handleExport('translated-only')}>
                       <FileDown size={14} /> {t('documentTranslator.export.translatedOnlyTxt')}
                     </button>
+                    {document.sourceContent && segments[0]?.type === 'markdown' && (
+                      <button onClick={() => handleExport('markdown')}>
+                        <FileDown size={14} /> {t('documentTranslator.export.markdown')}
+                      </button>
+                    )}
+                    {document.sourceContent && segments[0]?.type === 'html' && (
+                      <button onClick={() => handleExport('html')}>
+                        <FileDown size={14} /> {t('documentTranslator.export.html')}
+                      </button>
+                    )}
                     
                     <div className="export-divider" />
                     <div className="export-section-title">{t('documentTranslator.export.docFormat')}</div>
@@ -815,6 +2220,38 @@ const DocumentTranslator = ({
                     <button onClick={() => handleExport('pdf')}>
                       <FileText size={14} /> {t('documentTranslator.export.exportPdf')}
                     </button>
+                    {document.sourceBuffer && segments[0]?.type === 'epub' && (
+                      <>
+                        <button onClick={() => handleExport('epub')}>
+                          <BookOpen size={14} /> {t('documentTranslator.export.epubTranslated')}
+                        </button>
+                        <button onClick={() => handleExport('epub-bilingual')}>
+                          <BookOpen size={14} /> {t('documentTranslator.export.epubBilingual')}
+                        </button>
+                      </>
+                    )}
+                    {document.sourceBuffer && ['docx', 'pptx', 'xlsx'].includes(segments[0]?.type) && (
+                      <button onClick={() => handleExport(segments[0].type === 'docx' ? 'docx-original' : segments[0].type)}>
+                        <FileText size={14} /> {t('documentTranslator.export.office', { format: `.${segments[0].type}` })}
+                      </button>
+                    )}
+                    
+                    <div className="export-divider" />
+                    <div className="export-section-title">{t('documentTranslator.reviewSheet.section')}</div>
+                    <label className="export-option">
+                      <input
+                        type="checkbox"
+                        checked={reviewSheetComments}
+                        onChange={(e) => setReviewSheetComments(e.target.checked)}
+                      />
+                      {t('documentTranslator.reviewSheet.withComments')}
+                    </label>
+                    <button onClick={() => handleExport('review-docx')} title={t('documentTranslator.reviewSheet.exportHint')}>
+                      <FileText size={14} /> {t('documentTranslator.reviewSheet.exportWord')}
+                    </button>
+                    <button onClick={() => handleExport('review-xlsx')} title={t('documentTranslator.reviewSheet.exportHint')}>
+                      <FileText size={14} /> {t('documentTranslator.reviewSheet.exportExcel')}
+                    </button>
                     
                     {segments[0]?.type === 'subtitle' && (
                       <>
@@ -826,6 +2263,39 @@ const DocumentTranslator = ({
                         <button onClick={() => handleExport('vtt')}>
                           <FileDown size={14} /> {t('documentTranslator.export.vttSubtitle')}
                         </button>
+                        {document.sourceContent && ['ass', 'ssa'].includes(document.format) && (
+                          <>
+                            <button onClick={() => handleExport('ass')}>
+                              <FileDown size={14} /> {t('documentTranslator.export.assTranslated', { format: document.format.toUpperCase() })}
+                            </button>
+                            <button onClick={() => handleExport('ass-bilingual')}>
+                              <FileDown size={14} /> {t('documentTranslator.export.assBilingualLine', { format: document.format.toUpperCase() })}
+                            </button>
+                            <button onClick={() => handleExport('ass-bilingual-style')}>
+                              <FileDown size={14} /> {t('documentTranslator.export.assBilingualStyle', { format: document.format.toUpperCase() })}
+                            </button>
+                          </>
+                        )}
+                      </>
+                    )}
+                    
+                    {document.sourceContent && segments[0]?.type === 'xliff' && (
+                      <>
+                        <div className="export-divider" />
+                        <div className="export-section-title">{t('documentTranslator.export.localizationFormat')}</div>
+                        <button onClick={() => handleExport('xliff')}>
+                          <FileDown size={14} /> {t('documentTranslator.export.xliff')}
+                        </button>
+                      </>
+                    )}
+                    
+                    {document.sourceContent && segments[0]?.type === 'resource' && (
+                      <>
+                        <div className="export-divider" />
+                        <div className="export-section-title">{t('documentTranslator.export.localizationFormat')}</div>
+                        <button onClick={() => handleExport('resource')}>
+                          <FileDown size={14} /> {t('documentTranslator.export.resource', { format: `.${document.format}` })}
+                        </button>
                       </>
                     )}
                   </div>
@@ -865,7 +2335,7 @@ const DocumentTranslator = ({
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept=".txt,.md,.srt,.vtt,.pdf,.docx,.csv,.json,.epub"
+                  accept=".txt,.md,.markdown,.html,.htm,.srt,.vtt,.ass,.ssa,.pdf,.docx,.pptx,.csv,.xlsx,.json,.epub,.xlf,.xliff,.po,.pot,.xml,.strings,.yaml,.yml,.ttproj"
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
@@ -874,6 +2344,34 @@ const DocumentTranslator = ({
           </div>
         )}
 
+        {/* 未完成的任务 */}
+        {!document && !isLoading && savedJobs.length > 0 && (
+          <div className="dt-saved-jobs">
+            <div className="saved-jobs-title">{t('documentTranslator.jobs.title')}</div>
+            {savedJobs.map(job => {
+              const { completed = 0, total = 0, skipped = 0 } = job.progress || {};
+              return (
+                <div key={job.id} className="saved-job">
+                  <FileText size={16} />
+                  <span className="filename" title={job.filename}>{job.filename}</span>
+                  <span className="format-badge">{job.formatName}</span>
+                  <span className="saved-job-meta">
+                    {job.sourceLang === 'auto' ? t('documentTranslator.footer.auto') : job.sourceLang} → {job.targetLang}
+                    {' · '}{completed}/{total - skipped}
+                    {' · '}{new Date(job.updatedAt).toLocaleString()}
+                  </span>
+                  <button className="dt-btn" onClick={() => resumeJob(job.id)}>
+                    <Play size={14} /> {t('documentTranslator.jobs.resume')}
+                  </button>
+                  <button className="dt-btn" onClick={() => discardJob(job.id)} title={t('documentTranslator.jobs.discardHint')}>
+                    <Trash2 size={14} /> {t('documentTranslator.jobs.discard')}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* 有文件时显示翻译界面 */}
         {document && stats && (
           <>
@@ -891,8 +2389,77 @@ const DocumentTranslator = ({
                   {stats.total} {t('documentTranslator.stats.totalSegments')} · {document.stats?.totalChars?.toLocaleString() || 0} {t('documentTranslator.stats.totalChars')} · ~{stats.totalTokens?.toLocaleString()} tokens
                 </span>
               </div>
+              {segments[0]?.type === 'subtitle' && (
+                <div className="sheet-filter subtitle-limits">
+                  {[
+                    ['maxCPL', 'cpl'],
+                    ['maxCPLCJK', 'cplCJK'],
+                    ['maxCPS', 'cps'],
+                    ['maxCPSCJK', 'cpsCJK'],
+                    ['maxLines', 'maxLines'],
+                  ].map(([key, label]) => (
+                    <label key={key}>
+                      {t(`documentTranslator.subtitleQA.${label}`)}
+                      <input
+                        type="number"
+                        min="1"
+                        className="columns-input"
+                        value={subtitleLimits[key]}
+                        onChange={(e) => updateSubtitleLimit(key, e.target.value)}
+                      />
+                    </label>
+                  ))}
+                  <span className={subtitleIssueCount > 0 ? 'subtitle-qa-summary has-issues' : 'subtitle-qa-summary'}>
+                    {subtitleIssueCount > 0
+                      ? t('documentTranslator.subtitleQA.violations', { count: subtitleIssueCount })
+                      : t('documentTranslator.subtitleQA.noViolations')}
+                  </span>
+                  <button className="dt-btn" onClick={balanceAllSubtitles} disabled={isTranslating || subtitleIssueCount === 0}>
+                    {t('documentTranslator.subtitleQA.balanceAll')}
+                  </button>
+                </div>
+              )}
+              {document.sheets?.length > 0 && (
+                <div className="sheet-filter">
+                  {document.sheets.map(name => (
+                    <label key={name}>
+                      <input
+                        type="checkbox"
+                        checked={sheetFilter.sheets.includes(name)}
+                        onChange={() => toggleSheet(name)}
+                        disabled={isTranslating}
+                      />
+                      {name}
+                    </label>
+                  ))}
+                  <input
+                    type="text"
+                    className="columns-input"
+                    value={sheetFilter.columns}
+                    onChange={(e) => setSheetFilter(prev => ({ ...prev, columns: e.target.value }))}
+                    placeholder={t('documentTranslator.sheetFilter.columnsPlaceholder')}
+                    title={t('documentTranslator.sheetFilter.columnsHint')}
+                    disabled={isTranslating}
+                  />
+                  <button className="dt-btn" onClick={applySheetFilter} disabled={isTranslating || sheetFilter.sheets.length === 0}>
+                    {t('documentTranslator.sheetFilter.apply')}
+                  </button>
+                </div>
+              )}
             </div>
 
+            {/* 项目备注 */}
+            {showNotes && (
+              <div className="dt-notes">
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder={t('documentTranslator.project.notesPlaceholder')}
+                  rows={3}
+                />
+              </div>
+            )}
+
             {/* 进度条 */}
             <div className="dt-progress">
               <div className="progress-bar">
@@ -908,6 +2475,7 @@ const DocumentTranslator = ({
                   {stats.skipped > 0 && <span> · {t('documentTranslator.progress.skipped')} {stats.skipped}</span>}
                   {stats.failed > 0 && <span className="failed"> · {t('documentTranslator.progress.failed')} {stats.failed}</span>}
                   {stats.cacheHits > 0 && <span className="cache-hits"> · {t('documentTranslator.progress.cached')} {stats.cacheHits}</span>}
+                  {stats.memoryHits > 0 && <span className="cache-hits"> · {t('documentTranslator.progress.fromMemory')} {stats.memoryHits}</span>}
                 </span>
                 {isTranslating && (
                   <span className="elapsed-time">
@@ -917,6 +2485,42 @@ const DocumentTranslator = ({
               </div>
             </div>
 
+            {/* 查找替换 */}
+            {showFind && (
+              <FindReplacePanel
+                segments={segments}
+                onReplaceAll={handleReplaceAll}
+                onNavigate={scrollToSegment}
+                onClose={() => setShowFind(false)}
+                disabled={isTranslating}
+                t={t}
+              />
+            )}
+
+            {/* 审校状态筛选 */}
+            <div className="review-bar">
+              {['all', ...REVIEW_STATUSES].map(status => (
+                <button
+                  key={status}
+                  className={`review-chip ${status} ${reviewFilter === status ? 'active' : ''}`}
+                  onClick={() => setReviewFilter(status)}
+                >
+                  {t(`documentTranslator.review.status_${status}`)}
+                  <span className="review-count">
+                    {status === 'all' ? stats.total - stats.skipped : reviewCounts[status]}
+                  </span>
+                </button>
+              ))}
+              <button
+                className="dt-btn review-next"
+                onClick={() => goToNextUnconfirmed()}
+                title={t('documentTranslator.review.nextHint')}
+              >
+                <ChevronDown size={14} />
+                <span>{t('documentTranslator.review.next')}</span>
+              </button>
+            </div>
+
             {/* 主内容区（带侧边栏） */}
             <div className="dt-main-content">
               {/* 大纲侧边栏 - 安全访问 outline */}
@@ -932,6 +2536,8 @@ const DocumentTranslator = ({
                         key={idx} 
                         item={item} 
                         onNavigate={scrollToSegment}
+                        onRetranslate={isTranslating ? undefined : openRetranslateSection}
+                        retranslateTitle={t('documentTranslator.retranslate.fromSection')}
                       />
                     ))}
                   </div>
@@ -944,12 +2550,26 @@ const DocumentTranslator = ({
                 ref={listRef}
                 onScroll={handleScroll}
               >
-                {segments.map(segment => (
+                {visibleSegments.map(segment => (
                   <SegmentItem
                     key={segment.id}
                     segment={segment}
                     displayStyle={displayStyle}
                     onRetry={retrySegment}
+                    onCuePartsChange={updateCueParts}
+                    subtitleIssues={subtitleIssues.get(segment.id)}
+                    onFixSubtitle={fixSubtitle}
+                    isFixing={fixingSegmentId === segment.id}
+                    isEditing={editingId === segment.id}
+                    onStartEdit={startEdit}
+                    onSaveEdit={saveEdit}
+                    onCancelEdit={cancelEdit}
+                    onConfirm={confirmOne}
+                    onUndo={undoOne}
+                    isRetranslating={retranslatingIds.has(segment.id)}
+                    onRetranslate={openRetranslateSegment}
+                    onSwitchVersion={switchVersion}
+                    getVersionName={getVersionName}
                     t={t}
                   />
                 ))}
@@ -1006,6 +2626,12 @@ const DocumentTranslator = ({
                           <span className="stat-desc">{t('documentTranslator.stats.cacheHits')}</span>
                         </div>
                       )}
+                      {stats.memoryHits > 0 && (
+                        <div className="stat-card cache">
+                          <span className="stat-number">{stats.memoryHits}</span>
+                          <span className="stat-desc">{t('documentTranslator.stats.memoryHits')}</span>
+                        </div>
+                      )}
                     </div>
                     
                     <div className="stats-detail">
@@ -1042,6 +2668,49 @@ const DocumentTranslator = ({
         )}
       </div>
 
+      {/* 并发与限速设置 */}
+      {document && showParallel && (
+        <div className="sheet-filter dt-parallel">
+          <label title={t('documentTranslator.parallel.concurrencyHint')}>
+            {t('documentTranslator.parallel.concurrency')}
+            <input
+              type="number"
+              min="1"
+              max={MAX_CONCURRENCY}
+              className="columns-input"
+              value={concurrency}
+              onChange={(e) => updateConcurrency(e.target.value)}
+              disabled={isTranslating}
+            />
+          </label>
+          <label title={t('documentTranslator.parallel.contextTokensHint')}>
+            {t('documentTranslator.parallel.contextTokens')}
+            <input
+              type="number"
+              min="0"
+              step="100"
+              className="columns-input"
+              value={contextTokens}
+              onChange={(e) => setContextTokens(Math.max(parseInt(e.target.value, 10) || 0, 0))}
+              disabled={isTranslating}
+            />
+          </label>
+          {availableProviders.map(p => (
+            <label key={p.id} title={t('documentTranslator.parallel.rpmHint')}>
+              {p.name} {t('documentTranslator.parallel.rpm')}
+              <input
+                type="number"
+                min="0"
+                className="columns-input"
+                value={rpmLimits[p.id] || ''}
+                placeholder={t('documentTranslator.parallel.unlimited')}
+                onChange={(e) => updateRpmLimit(p.id, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
       {/* 底部控制栏 */}
       {document && (
         <div className="dt-footer">
@@ -1061,6 +2730,15 @@ const DocumentTranslator = ({
               <Zap size={14} />
               <span>{t('documentTranslator.footer.batchMode')}</span>
             </label>
+            {/* 并发设置 */}
+            <button
+              className={`batch-mode-toggle ${showParallel ? 'active' : ''}`}
+              onClick={() => setShowParallel(!showParallel)}
+              title={t('documentTranslator.parallel.title')}
+            >
+              <Settings size={14} />
+              <span>×{concurrency}</span>
+            </button>
             {/* 术语表开关 */}
             <label 
               className="batch-mode-toggle glossary-toggle" 
@@ -1075,13 +2753,68 @@ const DocumentTranslator = ({
               <BookOpen size={14} />
               <span>{t('documentTranslator.footer.glossary')}</span>
             </label>
+            {/* 滚动上下文开关 */}
+            <label 
+              className="batch-mode-toggle" 
+              title={t('documentTranslator.footer.contextHint', { count: contextTokens })}
+            >
+              <input 
+                type="checkbox" 
+                checked={useContext}
+                onChange={(e) => setUseContext(e.target.checked)}
+                disabled={isTranslating}
+              />
+              <Layers size={14} />
+              <span>{t('documentTranslator.footer.context')}</span>
+            </label>
+            {/* 翻译模板 */}
+            <select
+              className="dt-select"
+              value={template}
+              onChange={(e) => setTemplate(e.target.value)}
+              disabled={isTranslating}
+              title={t('documentTranslator.footer.template')}
+            >
+              {templates.map(item => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+            {/* 翻译源 */}
+            <select
+              className="dt-select"
+              value={provider}
+              onChange={(e) => setProvider(e.target.value)}
+              disabled={isTranslating}
+              title={t('documentTranslator.footer.provider')}
+            >
+              <option value="">{t('documentTranslator.footer.providerAuto')}</option>
+              {provider && !availableProviders.some(p => p.id === provider) && (
+                <option value={provider}>{provider}</option>
+              )}
+              {availableProviders.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+            {/* 字幕整句模式开关 */}
+            {['srt', 'vtt'].includes(document.format) && (
+              <label className="batch-mode-toggle" title={t('documentTranslator.footer.sentenceModeHint')}>
+                <input 
+                  type="checkbox" 
+                  checked={sentenceMode}
+                  onChange={toggleSentenceMode}
+                  disabled={isTranslating}
+                />
+                <Hash size={14} />
+                <span>{t('documentTranslator.footer.sentenceMode')}</span>
+              </label>
+            )}
           </div>
           
           <div className="control-center">
             {!isTranslating ? (
               <button 
                 className="btn-primary"
-                onClick={startTranslation}
+                onClick={requestStart}
                 disabled={stats.pending === 0 && stats.failed === 0}
               >
                 <Play size={16} />
@@ -1129,6 +2862,93 @@ const DocumentTranslator = ({
       )}
       
       {/* 密码输入弹窗 */}
+      {/* 术语提取弹窗 */}
+      {showTerms && document && (
+        <TermExtractor
+          segments={segments}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          onClose={() => setShowTerms(false)}
+          onAdded={handleTermsAdded}
+          notify={notify}
+          t={t}
+        />
+      )}
+
+      {/* 术语检查报告 */}
+      {showTermCheck && document && (
+        <TermCheckReport
+          segments={segments}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          onNavigate={scrollToSegment}
+          onClose={() => setShowTermCheck(false)}
+          t={t}
+        />
+      )}
+
+      {/* 译文质量检查报告 */}
+      {showQA && document && (
+        <QAReport
+          segments={segments}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          filename={document.filename}
+          onNavigate={scrollToSegment}
+          onClose={() => setShowQA(false)}
+          t={t}
+        />
+      )}
+
+      {/* 导回审校表 */}
+      {reviewImport && document && (
+        <ReviewImport
+          filename={reviewImport.filename}
+          result={reviewImport.result}
+          segments={segments}
+          onApply={applyReviewImport}
+          onNavigate={scrollToSegment}
+          onClose={() => setReviewImport(null)}
+          t={t}
+        />
+      )}
+
+      {/* 局部重新翻译 */}
+      {retranslateScope && document && (
+        <Retranslate
+          segments={segments}
+          headings={detectHeadings(segments)}
+          providers={estimateProviders}
+          templates={templates}
+          initialScope={retranslateScope}
+          defaultProvider={provider}
+          defaultTemplate={template}
+          onRun={runRetranslation}
+          onClose={() => setRetranslateScope(null)}
+          t={t}
+        />
+      )}
+
+      {/* 费用预估 */}
+      {jobEstimate && (
+        <JobEstimate
+          estimate={jobEstimate}
+          primaryId={primaryProviderId}
+          comparison={estimateComparison}
+          prices={priceTable.prices}
+          currency={priceTable.currency}
+          onPriceChange={(key, price) => setPriceTable(prev => ({ ...prev, prices: { ...prev.prices, [key]: price } }))}
+          onCurrencyChange={(currency) => setPriceTable(prev => ({ ...prev, currency }))}
+          onStart={estimateView.mode === 'preflight' ? () => {
+            setEstimateView(null);
+            startTranslation({ showComparison: true });
+          } : undefined}
+          onClose={() => setEstimateView(null)}
+          formatTime={formatTime}
+          t={t}
+        />
+      )}
+
       {showPasswordModal && (
         <div className="password-modal-overlay" onClick={handlePasswordCancel}>
           <div className="password-modal" onClick={e => e.stopPropagation()}>
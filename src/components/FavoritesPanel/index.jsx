@@ -7,7 +7,7 @@ import {
   Folder, FolderPlus, ChevronDown, ChevronRight,
   Tag, Hash, MoreVertical, GripVertical,
   Check, Palette, RotateCcw, Bookmark, Sparkles, RefreshCw, BookOpen,
-  Download, Upload
+  Download, Upload, Ban, CaseSensitive
 } from 'lucide-react';
 import useTranslationStore from '../../stores/translation-store';
 import translationService from '../../services/translation.js';
@@ -15,6 +15,7 @@ import {
   exportToJSON, exportToCSV, exportToTBX, 
   autoImport, downloadFile 
 } from '../../utils/glossary-io.js';
+import { formatTMXReport } from '../../utils/tmx-io.js';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 import 'dayjs/locale/zh-cn';
@@ -61,12 +62,15 @@ const DEFAULT_FOLDERS = [
 
 /**
  * 术语库行组件 - 支持内联编辑
+ * 术语检查标记：区分大小写（caseSensitive）、禁用译法（forbidden）
  */
-const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, notify }) => {
+const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, onUpdateFlags, notify }) => {
   const { t } = useTranslation();
   const [isEditing, setIsEditing] = useState(false);
   const [editNote, setEditNote] = useState(item.note || '');
   const [editTags, setEditTags] = useState(item.tags?.join(', ') || '');
+  const [editCaseSensitive, setEditCaseSensitive] = useState(!!item.caseSensitive);
+  const [editForbidden, setEditForbidden] = useState(!!item.forbidden);
 
   const handleSave = () => {
     const newTags = editTags
@@ -75,6 +79,7 @@ const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, notif
       .filter(tag => tag.length > 0);
     onUpdateTags(item.id, newTags);
     onUpdateNote(item.id, editNote);
+    onUpdateFlags(item.id, { caseSensitive: editCaseSensitive, forbidden: editForbidden });
     setIsEditing(false);
     notify?.(t('favorites.termUpdated'), 'success');
   };
@@ -82,9 +87,22 @@ const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, notif
   const handleCancel = () => {
     setEditNote(item.note || '');
     setEditTags(item.tags?.join(', ') || '');
+    setEditCaseSensitive(!!item.caseSensitive);
+    setEditForbidden(!!item.forbidden);
     setIsEditing(false);
   };
 
+  const flags = (
+    <>
+      {item.caseSensitive && (
+        <span className="glossary-flag" title={t('favorites.caseSensitive')}><CaseSensitive size={12} /></span>
+      )}
+      {item.forbidden && (
+        <span className="glossary-flag forbidden" title={t('favorites.forbiddenHint')}><Ban size={12} /></span>
+      )}
+    </>
+  );
+
   if (isEditing) {
     return (
       <tr className="glossary-editing">
@@ -98,6 +116,24 @@ const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, notif
             placeholder={t('favorites.addNote')}
             autoFocus
           />
+          <div className="glossary-flags-edit">
+            <label>
+              <input
+                type="checkbox"
+                checked={editCaseSensitive}
+                onChange={(e) => setEditCaseSensitive(e.target.checked)}
+              />
+              {t('favorites.caseSensitive')}
+            </label>
+            <label title={t('favorites.forbiddenHint')}>
+              <input
+                type="checkbox"
+                checked={editForbidden}
+                onChange={(e) => setEditForbidden(e.target.checked)}
+              />
+              {t('favorites.forbidden')}
+            </label>
+          </div>
         </td>
         <td className="glossary-actions">
           <button onClick={handleSave} className="save" title={t('favorites.save')}>
@@ -112,8 +148,8 @@ const GlossaryRow = ({ item, onCopy, onDelete, onUpdateNote, onUpdateTags, notif
   }
 
   return (
-    <tr>
-      <td className="glossary-source">{item.sourceText}</td>
+    <tr className={item.forbidden ? 'glossary-forbidden' : ''}>
+      <td className="glossary-source">{item.sourceText}{flags}</td>
       <td className="glossary-target">{item.translatedText}</td>
       <td className="glossary-note">{item.note || '-'}</td>
       <td className="glossary-actions">
@@ -454,7 +490,7 @@ const FavoriteCard = ({
  */
 const FavoritesPanel = ({ showNotification }) => {
   const { t, i18n } = useTranslation();
-  const notify = showNotification || ((msg, type) => {});
+  const notify = useMemo(() => showNotification || (() => {}), [showNotification]);
 
   // 根据语言切换 dayjs locale
   useEffect(() => {
@@ -506,6 +542,7 @@ const FavoritesPanel = ({ showNotification }) => {
   // 术语库导入导出
   const [showExportMenu, setShowExportMenu] = useState(false);
   const glossaryInputRef = useRef(null);
+  const tmxInputRef = useRef(null);
 
   // 搜索和筛选
   const [searchQuery, setSearchQuery] = useState('');
@@ -588,6 +625,8 @@ const FavoritesPanel = ({ showNotification }) => {
             translatedText: term.translatedText,
             note: term.note,
             tags: term.tags,
+            caseSensitive: term.caseSensitive,
+            forbidden: term.forbidden,
             folderId: 'glossary',
           });
           added++;
@@ -604,6 +643,39 @@ const FavoritesPanel = ({ showNotification }) => {
     event.target.value = '';
   };
 
+  // 导出当前文件夹为 TMX
+  const handleExportFolderTMX = () => {
+    const { content, count } = useTranslationStore.getState().exportFavoritesTMX(selectedFolder);
+    if (count === 0) {
+      notify(t('tmx.empty'), 'warning');
+      return;
+    }
+    downloadFile(content, `favorites_${selectedFolder}_${dayjs().format('YYYYMMDD')}.tmx`, 'application/x-tmx+xml');
+    notify(t('tmx.exported', { count }), 'success');
+  };
+
+  // 导入 TMX 到当前文件夹（"全部"时按文件中记录的文件夹还原）
+  const handleImportFolderTMX = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    const { importFavoritesTMX } = useTranslationStore.getState();
+    const folderId = selectedFolder === 'all' || selectedFolder === 'uncategorized' ? null : selectedFolder;
+
+    for (const file of files) {
+      const content = await file.text();
+      const result = importFavoritesTMX(content, {
+        filename: file.name,
+        folderId,
+        knownFolderIds: folders.map(f => f.id),
+      });
+      if (result.success) {
+        notify(formatTMXReport(result.report, t), result.report.added > 0 ? 'success' : 'info');
+      } else {
+        notify(t('tmx.failed', { filename: file.name, error: result.error }), 'error');
+      }
+    }
+  };
+
   // 保存文件夹到 localStorage
   useEffect(() => {
     localStorage.setItem('t-translate-folders', JSON.stringify(folders));
@@ -738,6 +810,10 @@ const FavoritesPanel = ({ showNotification }) => {
     updateFavoriteItem(itemId, { note });
   }, [updateFavoriteItem]);
 
+  const handleUpdateFlags = useCallback((itemId, flags) => {
+    updateFavoriteItem(itemId, flags);
+  }, [updateFavoriteItem]);
+
   const handleUpdateStyleRef = useCallback((itemId, isStyleReference) => {
     // 更新风格参考状态，同时更新文件夹
     updateFavoriteItem(itemId, { 
@@ -745,7 +821,7 @@ const FavoritesPanel = ({ showNotification }) => {
       folderId: isStyleReference ? 'style_library' : null
     });
     notify(isStyleReference ? t('favorites.movedToStyle') : t('favorites.movedFromStyle'), 'success');
-  }, [updateFavoriteItem, notify]);
+  }, [updateFavoriteItem, notify, t]);
 
   const handleDelete = useCallback((itemId) => {
     if (window.confirm(t('favorites.deleteConfirm'))) {
@@ -988,6 +1064,20 @@ const FavoritesPanel = ({ showNotification }) => {
             <span className="result-count">
               {filteredFavorites.length} {selectedFolder === 'glossary' ? t('favorites.terms') : t('favorites.items')}
             </span>
+            <input
+              ref={tmxInputRef}
+              type="file"
+              accept=".tmx"
+              multiple
+              style={{ display: 'none' }}
+              onChange={handleImportFolderTMX}
+            />
+            <button className="tmx-btn" onClick={() => tmxInputRef.current?.click()} title={t('favorites.importFolderTMX')}>
+              <Upload size={12} /> TMX
+            </button>
+            <button className="tmx-btn" onClick={handleExportFolderTMX} title={t('favorites.exportFolderTMX')}>
+              <Download size={12} /> TMX
+            </button>
           </div>
         </div>
 
@@ -1020,6 +1110,7 @@ const FavoritesPanel = ({ showNotification }) => {
                       onDelete={handleDelete}
                       onUpdateNote={handleUpdateNote}
                       onUpdateTags={handleUpdateTags}
+                      onUpdateFlags={handleUpdateFlags}
                       notify={notify}
                     />
                   ))}
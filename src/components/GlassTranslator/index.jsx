@@ -49,6 +49,7 @@ const GlassTranslator = () => {
     setSourceLanguage,  // ← 新增：用于同步源语言
     setLockTargetLang,  // ← 新增：用于同步锁定设置
     setOcrEngine,       // ← 新增：用于同步 OCR 引擎
+    updateGlassWindow,
   } = useConfigStore();
 
   // ========== 纯 UI 状态 ==========
@@ -300,6 +301,11 @@ const GlassTranslator = () => {
         if (settings.ocrEngine || settings.globalOcrEngine) {
           setOcrEngine(settings.ocrEngine || settings.globalOcrEngine);
         }
+        
+        // 同步术语库开关
+        if (settings.useGlossary !== undefined) {
+          updateGlassWindow({ useGlossary: settings.useGlossary });
+        }
         // ========== 修复结束 ==========
       }
     } catch (error) {
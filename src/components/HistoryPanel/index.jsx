@@ -20,6 +20,7 @@ import {
 } from 'lucide-react';
 import useTranslationStore from '../../stores/translation-store';
 import { useDebounce } from '../../utils/performance';
+import { formatTMXReport } from '../../utils/tmx-io.js';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter';
@@ -438,13 +439,16 @@ const HistoryPanel = ({ showNotification }) => {
     notify(isFav ? t('history.unfavorited') : t('history.favorited'), 'success');
   }, [favoriteIds, addToFavorites, removeFromFavorites, notify, t]);
 
-  const handleExport = useCallback(() => {
+  const handleExport = useCallback((format = 'json') => {
     try {
-      const data = exportHistory('json');
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const data = exportHistory(format);
+      const isTMX = format === 'tmx';
+      const blob = isTMX
+        ? new Blob([data], { type: 'application/x-tmx+xml' })
+        : new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
       const a = document.createElement('a');
       a.href = URL.createObjectURL(blob);
-      a.download = `t-translate-history-${dayjs().format('YYYY-MM-DD')}.json`;
+      a.download = `t-translate-history-${dayjs().format('YYYY-MM-DD')}.${isTMX ? 'tmx' : 'json'}`;
       a.click();
       URL.revokeObjectURL(a.href); // 清理
       notify(t('history.exportSuccess'), 'success');
@@ -453,21 +457,21 @@ const HistoryPanel = ({ showNotification }) => {
     }
   }, [exportHistory, notify, t]);
 
-  const handleImport = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = async () => {
-      try {
-        const result = await importHistory(file);
-        if (result?.success) notify(`导入 ${result.count || 0} 条`, 'success');
-      } catch { 
-        notify('导入失败', 'error'); 
-      }
-    };
-    reader.readAsText(file);
+  // 支持多选文件，TMX 按文件给出合并报告
+  const handleImport = useCallback(async (e) => {
+    const files = Array.from(e.target.files || []);
     e.target.value = null;
-  }, [importHistory, notify]);
+    for (const file of files) {
+      const result = await importHistory(file);
+      if (!result?.success) {
+        notify(t('tmx.failed', { filename: file.name, error: result?.error || t('history.importFailed') }), 'error');
+      } else if (result.report) {
+        notify(formatTMXReport(result.report, t), result.report.added > 0 ? 'success' : 'info');
+      } else {
+        notify(t('history.imported', { count: result.count || 0 }), 'success');
+      }
+    }
+  }, [importHistory, notify, t]);
 
   const handleSort = useCallback((key) => {
     setSortConfig(prev => ({
@@ -778,10 +782,11 @@ const HistoryPanel = ({ showNotification }) => {
             </button>
           )}
           
-          <button className="toolbar-btn" onClick={handleExport} title={t('history.export')}><Download size={16} /></button>
+          <button className="toolbar-btn" onClick={() => handleExport('json')} title={t('history.exportJSON')}><Download size={16} /></button>
+          <button className="toolbar-btn" onClick={() => handleExport('tmx')} title={t('history.exportTMX')}><Download size={16} /><span>TMX</span></button>
           <label className="toolbar-btn" title={t('history.import')}>
             <Upload size={16} />
-            <input type="file" accept=".json" onChange={handleImport} style={{ display: 'none' }} />
+            <input type="file" accept=".json,.tmx" multiple onChange={handleImport} style={{ display: 'none' }} />
           </label>
           
           <div className="toolbar-divider" />
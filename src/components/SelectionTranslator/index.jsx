@@ -1,6 +1,7 @@
 // src/components/SelectionTranslator.jsx
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import translationService from '../../services/translation.js';
+import { loadGlossaryTerms } from '../../stores/translation-store';
 import ttsManager, { TTS_STATUS } from '../../services/tts/index.js';
 import createLogger from '../../utils/logger.js';
 import { getShortErrorMessage } from '../../utils/error-handler.js';
@@ -33,6 +34,7 @@ const DEFAULT_SETTINGS = {
   minChars: 2,
   maxChars: 500,
   windowOpacity: 95,  // 窗口透明度
+  useGlossary: true,  // 应用术语库
 };
 
 const DEFAULT_TRANSLATION = {
@@ -68,6 +70,7 @@ const SelectionTranslator = () => {
   const triggerReadyTimerRef = useRef(null);  // 圆点就绪计时器
   const contentRef = useRef(null);  // 内容区域引用，用于测量实际大小
   const translateTextRef = useRef(null);  // 存储最新的翻译函数引用
+  const useGlossaryRef = useRef(DEFAULT_SETTINGS.useGlossary);  // 收到设置后立即翻译时 state 尚未更新
 
   // TTS 初始化
   useEffect(() => {
@@ -132,6 +135,7 @@ const SelectionTranslator = () => {
       // 应用设置
       const newSettings = { ...DEFAULT_SETTINGS, ...data.settings };
       setSettings(newSettings);
+      useGlossaryRef.current = newSettings.useGlossary;
       
       // 应用翻译设置（与主程序一致）
       const newTranslation = { ...DEFAULT_TRANSLATION, ...data.translation };
@@ -178,6 +182,7 @@ const SelectionTranslator = () => {
       // 应用设置
       const newSettings = { ...DEFAULT_SETTINGS, ...data.settings };
       setSettings(newSettings);
+      useGlossaryRef.current = newSettings.useGlossary;
       
       // 模式 1: 加载状态
       if (data.isLoading) {
@@ -456,6 +461,7 @@ const SelectionTranslator = () => {
       const result = await translationService.translate(text, {
         sourceLang: detectedLang,
         targetLang: targetLang,
+        glossary: useGlossaryRef.current ? loadGlossaryTerms() : null,
         privacyMode: privacyMode, // 传递隐私模式
       });
       
@@ -79,6 +79,8 @@ const SettingsPanel = ({ showNotification }) => {
     setOcrEngine, 
     useStreamOutput, 
     setUseStreamOutput,
+    useGlossary,
+    setUseGlossary,
     autoTranslate,
     setAutoTranslate,
     autoTranslateDelay,
@@ -488,6 +490,8 @@ const SettingsPanel = ({ showNotification }) => {
             setAutoTranslateDelay={setAutoTranslateDelay}
             useStreamOutput={useStreamOutput}
             setUseStreamOutput={setUseStreamOutput}
+            useGlossary={useGlossary}
+            setUseGlossary={setUseGlossary}
           />
         );
 
@@ -21,6 +21,7 @@ const GlassWindowSection = ({
     autoPin: true,
     lockTargetLang: false,
     smartDetect: true,
+    useGlossary: true,
     ...(settings.glass || {}),
     ...(settings.glassWindow || {}),
   };
@@ -78,6 +79,22 @@ const GlassWindowSection = ({
         </div>
       </div>
 
+      {/* 应用术语库 */}
+      <div className="setting-group">
+        <label className="setting-label">{t('glass.useGlossary')}</label>
+        <div className="toggle-wrapper">
+          <button
+            className={`toggle-button ${gw.useGlossary ? 'active' : ''}`}
+            onClick={() => updateSetting('glassWindow', 'useGlossary', !gw.useGlossary)}
+          >
+            {gw.useGlossary ? t('common.on') : t('common.off')}
+          </button>
+          <span className="toggle-description">
+            {gw.useGlossary ? t('glass.useGlossaryOnDesc') : t('glass.useGlossaryOffDesc')}
+          </span>
+        </div>
+      </div>
+
       {/* OCR 引擎 */}
       <div className="setting-group">
         <label className="setting-label">{t('glass.ocrEngine')}</label>
@@ -1,10 +1,13 @@
 // src/components/SettingsPanel/sections/PrivacySection.jsx
 // 隐私与安全设置区块组件 - 从 SettingsPanel 拆分
 
-import React from 'react';
+import React, { useState, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Zap, Shield, Lock, CheckCircle, AlertCircle, Trash2 } from 'lucide-react';
+import { Zap, Shield, Lock, CheckCircle, AlertCircle, Trash2, Database, Download, Upload } from 'lucide-react';
 import useTranslationStore from '../../../stores/translation-store';
+import translationService from '../../../services/translation.js';
+import { downloadFile } from '../../../utils/glossary-io.js';
+import { formatTMXReport } from '../../../utils/tmx-io.js';
 import { PRIVACY_MODES, PRIVACY_MODE_IDS } from '../constants.js';
 
 /**
@@ -18,6 +21,8 @@ const PrivacySection = ({
   const { t } = useTranslation();
   const currentMode = useTranslationStore.getState().translationMode || PRIVACY_MODE_IDS.STANDARD;
   const modeConfig = PRIVACY_MODES[currentMode];
+  const [memoryCount, setMemoryCount] = useState(() => translationService.getMemoryStats().total);
+  const memoryInputRef = useRef(null);
 
   // 获取模式图标组件
   const getModeIcon = (iconName, size = 24) => {
@@ -85,6 +90,43 @@ const PrivacySection = ({
     }
   };
 
+  // 导出翻译记忆库
+  const handleExportMemory = () => {
+    const { content, count } = translationService.exportMemoryTMX();
+    if (count === 0) {
+      notify(t('tmx.empty'), 'warning');
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    downloadFile(content, `translation-memory_${date}.tmx`, 'application/x-tmx+xml');
+    notify(t('tmx.exported', { count }), 'success');
+  };
+
+  // 导入翻译记忆库（可多选，每个文件一条合并报告）
+  const handleImportMemory = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    for (const file of files) {
+      const content = await file.text();
+      const result = translationService.importMemoryTMX(content, { filename: file.name });
+      if (result.success) {
+        notify(formatTMXReport(result.report, t), result.report.added > 0 ? 'success' : 'info');
+      } else {
+        notify(t('tmx.failed', { filename: file.name, error: result.error }), 'error');
+      }
+    }
+    setMemoryCount(translationService.getMemoryStats().total);
+  };
+
+  // 清空翻译记忆库
+  const handleClearMemory = () => {
+    if (window.confirm(t('privacy.memoryClearConfirm'))) {
+      translationService.clearMemory();
+      setMemoryCount(0);
+      notify(t('privacy.memoryCleared'), 'success');
+    }
+  };
+
   return (
     <div className="setting-content">
       <h3>{t('settings.privacy.title')}</h3>
@@ -189,6 +231,30 @@ const PrivacySection = ({
         </p>
       </div>
 
+      {/* 翻译记忆库 */}
+      <div className="setting-group">
+        <div className="setting-row">
+          <span><Database size={14} /> {t('privacy.memory')}</span>
+          <span className="setting-hint">{t('privacy.memoryCount', { count: memoryCount })}</span>
+        </div>
+        <div className="setting-row">
+          <input
+            ref={memoryInputRef}
+            type="file"
+            accept=".tmx"
+            multiple
+            style={{ display: 'none' }}
+            onChange={handleImportMemory}
+          />
+          <button className="btn-small" onClick={() => memoryInputRef.current?.click()}>
+            <Upload size={14} /> {t('privacy.memoryImport')}
+          </button>
+          <button className="btn-small" onClick={handleExportMemory}>
+            <Download size={14} /> {t('privacy.memoryExport')}
+          </button>
+        </div>
+      </div>
+
       <div className="setting-group">
         <div className="danger-actions">
           <button className="danger-button" onClick={handleClearHistory}>
@@ -197,6 +263,9 @@ const PrivacySection = ({
           <button className="danger-button" onClick={handleClearCache}>
             <Trash2 size={16} /> {t('translationSettings.clearCache')}
           </button>
+          <button className="danger-button" onClick={handleClearMemory}>
+            <Trash2 size={16} /> {t('privacy.memoryClear')}
+          </button>
           <button className="danger-button" onClick={handleClearAllData}>
             <Trash2 size={16} /> {t('settings.privacy.clearAll')}
           </button>
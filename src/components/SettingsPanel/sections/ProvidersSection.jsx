@@ -18,7 +18,9 @@ const ProvidersSection = forwardRef(({
   autoTranslateDelay,
   setAutoTranslateDelay,
   useStreamOutput,
-  setUseStreamOutput
+  setUseStreamOutput,
+  useGlossary,
+  setUseGlossary
 }, ref) => {
   const { t } = useTranslation();
 
@@ -87,6 +89,20 @@ const ProvidersSection = forwardRef(({
           </label>
           <p className="setting-hint">{t('translationSettings.streamOutputHint')}</p>
         </div>
+
+        {/* 术语注入 */}
+        <div className="setting-group">
+          <label className="setting-switch">
+            <input 
+              type="checkbox" 
+              checked={useGlossary} 
+              onChange={(e) => setUseGlossary(e.target.checked)} 
+            />
+            <span className="switch-slider"></span>
+            <span className="switch-label">{t('translationSettings.useGlossary')}</span>
+          </label>
+          <p className="setting-hint">{t('translationSettings.useGlossaryHint')}</p>
+        </div>
       </div>
     </div>
   );
@@ -106,6 +106,22 @@ const SelectionSection = ({
         </div>
       </div>
 
+      {/* 应用术语库 */}
+      <div className="setting-group">
+        <label className="setting-label">{t('selection.useGlossary')}</label>
+        <div className="toggle-wrapper">
+          <button
+            className={`toggle-button ${settings.selection.useGlossary !== false ? 'active' : ''}`}
+            onClick={() => updateSetting('selection', 'useGlossary', settings.selection.useGlossary === false)}
+          >
+            {settings.selection.useGlossary !== false ? t('common.on') : t('common.off')}
+          </button>
+          <span className="toggle-description">
+            {settings.selection.useGlossary !== false ? t('selection.useGlossaryOnDesc') : t('selection.useGlossaryOffDesc')}
+          </span>
+        </div>
+      </div>
+
       {/* 窗口透明度 */}
       <div className="setting-group">
         <label className="setting-label">{t('selection.windowOpacity')}</label>
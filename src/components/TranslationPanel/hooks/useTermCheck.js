@@ -1,10 +1,12 @@
 // src/components/TranslationPanel/hooks/useTermCheck.js
 // 术语一致性检测逻辑 - 从 TranslationPanel 抽出
 //
-// 检测译文中是否使用了术语库中的推荐翻译
+// 检测译文中是否使用了术语库中的推荐翻译，以及是否使用了禁用译法
+// 匹配规则（整词、词形变化、大小写、中日韩子串）见 utils/term-check.js
 
 import { useState, useCallback } from 'react';
 import createLogger from '../../../utils/logger.js';
+import { checkTerms, glossaryEntriesFromFavorites } from '../../../utils/term-check.js';
 
 const logger = createLogger('useTermCheck');
 
@@ -21,37 +23,24 @@ export default function useTermCheck(favorites, setTranslatedText, notify, t) {
   const [dismissedTerms, setDismissedTerms] = useState(new Set());
 
   // 检测术语一致性
-  const checkTermConsistency = useCallback((sourceText, translatedText) => {
+  // options: { sourceLang, targetLang } 用于选择词形变化规则
+  const checkTermConsistency = useCallback((sourceText, translatedText, options = {}) => {
     if (!favorites || favorites.length === 0) return;
     if (!sourceText || !translatedText) return;
 
-    const suggestions = [];
-    const sourceLower = sourceText.toLowerCase();
-    const translatedLower = translatedText.toLowerCase();
-
-    // 只检测术语库中的内容
-    const glossaryItems = favorites.filter(fav => fav.folderId === 'glossary');
-
-    glossaryItems.forEach(fav => {
-      if (!fav.sourceText || !fav.translatedText) return;
-
-      const favSourceLower = fav.sourceText.toLowerCase().trim();
-      const favTranslatedLower = fav.translatedText.toLowerCase().trim();
-
-      // 只检测短术语（2-50字符）
-      if (favSourceLower.length <= 50 && favSourceLower.length >= 2) {
-        if (sourceLower.includes(favSourceLower)) {
-          if (!translatedLower.includes(favTranslatedLower)) {
-            suggestions.push({
-              id: fav.id,
-              originalTerm: fav.sourceText,
-              savedTranslation: fav.translatedText,
-              note: fav.note,
-            });
-          }
-        }
-      }
-    });
+    // 只检测术语库中的短术语（2-50字符）
+    const entries = glossaryEntriesFromFavorites(favorites)
+      .filter(entry => entry.source.length <= 50);
+
+    const suggestions = checkTerms(sourceText, translatedText, entries, options).map(issue => ({
+      id: issue.id,
+      type: issue.type,
+      originalTerm: issue.source,
+      // 禁用译法：推荐译文（可能没有）+ 译文中出现的禁用写法
+      savedTranslation: issue.type === 'forbidden' ? issue.replacement : issue.target,
+      forbiddenTerm: issue.type === 'forbidden' ? issue.found : undefined,
+      note: issue.note,
+    }));
 
     // 过滤已忽略的
     const filtered = suggestions.filter(s => !dismissedTerms.has(s.id));
@@ -64,6 +53,18 @@ export default function useTermCheck(favorites, setTranslatedText, notify, t) {
     let replaced = false;
     let replaceInfo = '';
 
+    // 禁用译法：替换为推荐译文
+    if (suggestion.type === 'forbidden') {
+      if (suggestion.savedTranslation && suggestion.forbiddenTerm
+        && currentTranslatedText.includes(suggestion.forbiddenTerm)) {
+        newText = currentTranslatedText.split(suggestion.forbiddenTerm).join(suggestion.savedTranslation);
+        setTranslatedText(newText);
+        notify(t('translation.autoReplaced', { info: `"${suggestion.forbiddenTerm}" → "${suggestion.savedTranslation}"` }), 'success');
+      }
+      setTermSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+      return;
+    }
+
     // 策略1：原术语直接出现在译文中
     const termRegex = new RegExp(
       suggestion.originalTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'
@@ -15,7 +15,7 @@ import { useTranslation } from 'react-i18next';
 import {
   Send, Camera, Image, FileText, Volume2, VolumeX, Copy,
   RotateCcw, Sparkles, Loader2, Clock, Zap, Shield, Eye, EyeOff, Lock,
-  Lightbulb, Check, X, ArrowRight, Palette, ChevronUp, ChevronDown, AlertTriangle
+  Lightbulb, Check, X, ArrowRight, Palette, ChevronUp, ChevronDown, AlertTriangle, Database
 } from 'lucide-react';
 
 import useTranslationStore from '../../stores/translation-store';
@@ -23,6 +23,7 @@ import translationService from '../../services/translation.js';
 import { TTS_STATUS } from '../../services/tts/index.js';
 import createLogger from '../../utils/logger.js';
 import { getShortErrorMessage } from '../../utils/error-handler.js';
+import { checkTranslation, describeIssue } from '../../utils/translation-qa.js';
 import './styles.css';
 
 // 配置常量
@@ -41,7 +42,10 @@ const logger = createLogger('TranslationPanel');
  */
 const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProcessed }) => {
   const { t } = useTranslation();
-  const notify = showNotification || ((msg, type) => logger.debug(`[Notify] ${type}: ${msg}`));
+  const notify = useMemo(
+    () => showNotification || ((msg, type) => logger.debug(`[Notify] ${type}: ${msg}`)),
+    [showNotification]
+  );
 
   // ========== 本地 UI 状态 ==========
   const [dragOver, setDragOver] = useState(false);
@@ -83,6 +87,7 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
     clearCurrent,
     swapLanguages,
     addToFavorites,
+    acceptTranslation,
     copyToClipboard,
     pasteFromClipboard,
     addStyleVersion,
@@ -92,8 +97,35 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
   // ========== 自定义 Hooks ==========
   const tts = useTTS(notify, t);
   const termCheck = useTermCheck(favorites, setTranslatedText, notify, t);
+
+  // 译文质量检查（数字、占位符、标签、括号等），译文编辑后重新检查
+  const qaIssues = useMemo(() => {
+    if (currentTranslation.status !== TRANSLATION_STATUS.SUCCESS) return [];
+    return checkTranslation(currentTranslation.sourceText, currentTranslation.translatedText, {
+      sourceLang: currentTranslation.sourceLanguage,
+      targetLang: currentTranslation.targetLanguage,
+    });
+  }, [
+    currentTranslation.status,
+    currentTranslation.sourceText,
+    currentTranslation.translatedText,
+    currentTranslation.sourceLanguage,
+    currentTranslation.targetLanguage,
+  ]);
   const styleRewrite = useStyleRewrite(currentTranslation, addStyleVersion, notify, t);
-  const saveModal = useSaveModal(currentTranslation, addToFavorites, notify, t);
+  // 收藏或复制译文视为采用，写入翻译记忆库
+  const saveFavorite = useCallback((item, isStyleReference) => {
+    addToFavorites(item, isStyleReference);
+    acceptTranslation();
+  }, [addToFavorites, acceptTranslation]);
+  const saveModal = useSaveModal(currentTranslation, saveFavorite, notify, t);
+
+  const copyTranslation = () => {
+    if (copyToClipboard('translated')) {
+      acceptTranslation();
+      notify(t('translation.copied'), 'success');
+    }
+  };
 
   // Refs
   const sourceTextareaRef = useRef(null);
@@ -200,7 +232,11 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
     if (result.success) {
       // 检测术语一致性
       const translatedText = result.translatedText || useTranslationStore.getState().currentTranslation.translatedText;
-      termCheck.checkTermConsistency(currentTranslation.sourceText, translatedText);
+      const { sourceLanguage, targetLanguage } = useTranslationStore.getState().currentTranslation;
+      termCheck.checkTermConsistency(currentTranslation.sourceText, translatedText, {
+        sourceLang: sourceLanguage,
+        targetLang: targetLanguage,
+      });
 
       // OCR 截图联动
       if (isOcrSource && window.electron?.screenshot?.notifyTranslationComplete) {
@@ -470,7 +506,7 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
               )}
             </div>
             <div className="box-actions">
-              <button className="action-btn" onClick={() => copyToClipboard('translated') && notify(t('translation.copied'), 'success')} disabled={!currentTranslation.translatedText} title="复制">
+              <button className="action-btn" onClick={copyTranslation} disabled={!currentTranslation.translatedText} title="复制">
                 <Copy size={15} />
               </button>
               <button className="action-btn style-btn" onClick={styleRewrite.openStyleModal} disabled={!currentTranslation.translatedText || styleRewrite.isRewriting} title="风格改写">
@@ -508,17 +544,26 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
                 <span>发现可替换术语</span>
               </div>
               {termCheck.termSuggestions.map(suggestion => (
-                <div key={suggestion.id} className="term-suggestion-item">
+                <div key={suggestion.id} className={`term-suggestion-item ${suggestion.type === 'forbidden' ? 'forbidden' : ''}`}>
                   <div className="term-info">
                     <span className="term-original">"{suggestion.originalTerm}"</span>
-                    <ArrowRight size={12} />
-                    <span className="term-saved">"{suggestion.savedTranslation}"</span>
+                    {suggestion.type === 'forbidden' && (
+                      <span className="term-forbidden" title={t('translation.termForbidden')}>"{suggestion.forbiddenTerm}"</span>
+                    )}
+                    {suggestion.savedTranslation && (
+                      <>
+                        <ArrowRight size={12} />
+                        <span className="term-saved">"{suggestion.savedTranslation}"</span>
+                      </>
+                    )}
                     {suggestion.note && <span className="term-note">({suggestion.note})</span>}
                   </div>
                   <div className="term-actions">
-                    <button className="term-btn apply" onClick={() => termCheck.applyTermSuggestion(suggestion, currentTranslation.translatedText)} title="应用此翻译">
-                      <Check size={12} /> 应用
-                    </button>
+                    {suggestion.savedTranslation && (
+                      <button className="term-btn apply" onClick={() => termCheck.applyTermSuggestion(suggestion, currentTranslation.translatedText)} title="应用此翻译">
+                        <Check size={12} /> 应用
+                      </button>
+                    )}
                     <button className="term-btn ignore" onClick={() => termCheck.dismissTermSuggestion(suggestion)} title="忽略此次">
                       <X size={12} />
                     </button>
@@ -531,10 +576,54 @@ const TranslationPanel = ({ showNotification, screenshotData, onScreenshotProces
             </div>
           )}
 
+          {/* 译文质量检查 */}
+          {qaIssues.length > 0 && (
+            <div className="term-suggestions qa-warnings">
+              <div className="term-suggestions-header">
+                <AlertTriangle size={14} />
+                <span>{t('translation.qaWarnings', { count: qaIssues.length })}</span>
+              </div>
+              {qaIssues.map(issue => (
+                <div key={issue.type} className={`term-suggestion-item qa-warning ${issue.severity}`}>
+                  <div className="term-info">
+                    <span className="qa-warning-type">{t(`qa.type_${issue.type}`)}</span>
+                    <span className="qa-warning-detail">{describeIssue(issue, t)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* 翻译记忆库模糊匹配 */}
+          {currentTranslation.metadata.tmMatch && currentTranslation.metadata.tmMatch.score < 100 && (
+            <div className="term-suggestions tm-match">
+              <div className="term-suggestions-header">
+                <Database size={14} />
+                <span>{t('translation.tmFuzzyTitle', { score: currentTranslation.metadata.tmMatch.score })}</span>
+              </div>
+              <div className="term-suggestion-item">
+                <div className="tm-match-pair">
+                  <span className="tm-match-source">{currentTranslation.metadata.tmMatch.source}</span>
+                  <span className="tm-match-target">{currentTranslation.metadata.tmMatch.target}</span>
+                </div>
+                <div className="term-actions">
+                  <button className="term-btn apply" onClick={() => setTranslatedText(currentTranslation.metadata.tmMatch.target)} title={t('translation.tmUse')}>
+                    <Check size={12} /> {t('translation.tmUse')}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="box-footer">
             {currentTranslation.translatedText && (
               <>
                 <span className="char-count">{(currentTranslation.translatedText || '').length} 字符</span>
+                {currentTranslation.metadata.tmMatch && (
+                  <span className={`tm-badge ${currentTranslation.metadata.tmMatch.score === 100 ? 'exact' : 'fuzzy'}`}>
+                    {t('translation.tmBadge', { score: currentTranslation.metadata.tmMatch.score })}
+                  </span>
+                )}
                 {currentTranslation.metadata.duration && (
                   <span className="translation-time">
                     <Clock size={12} style={{ marginRight: 4 }} />
@@ -48,6 +48,7 @@ const en = {
     autoTranslate: "Auto Translate", autoTranslateHint: "Start translation automatically after input stops",
     autoDelay: "Auto Translate Delay", autoDelayHint: "How long to wait after input stops",
     streamOutput: "Stream Output (Typewriter effect)", streamOutputHint: "Results will appear character by character",
+    useGlossary: "Apply Glossary", useGlossaryHint: "Glossary terms found in the text are sent to AI providers; machine translation providers get the glossary translations substituted in",
     cache: "Translation Cache", cacheHint: "Cache translated content, return cached results for same text",
     clearCache: "Clear Cache", clearCacheConfirm: "Are you sure to clear translation cache?", cacheCleared: "Cache cleared"
   },
@@ -92,7 +93,17 @@ const en = {
     fileImportSuccess: "File imported successfully", unsupportedFileType: "Unsupported file type",
     recognizingClipboard: "Found clipboard image, recognizing...",
     autoReplaced: "Auto replaced: {{info}}", copiedForManualReplace: "Copied \"{{text}}\", please replace manually in target",
-    termSet: "Term set"
+    termSet: "Term set",
+    termForbidden: "Forbidden translation",
+    qaWarnings: "{{count}} quality warnings",
+    tmBadge: "TM {{score}}%", tmFuzzyTitle: "Translation memory match ({{score}}%)", tmUse: "Use"
+  },
+  qa: {
+    type_numbers: "Numbers", type_placeholders: "Placeholders", type_tags: "Tags", type_brackets: "Brackets",
+    type_untranslated: "Untranslated", type_doubleSpace: "Double spaces", type_length: "Length",
+    missing: "missing: {{items}}", extra: "extra: {{items}}", broken: "broken ⟦⟧ marker", unbalanced: "unbalanced nesting",
+    unpaired: "unpaired: {{items}}", identical: "same as source", detected: "still in {{lang}}",
+    spaces: "{{count}} double spaces", ratio: "length ratio {{ratio}}"
   },
   languages: { auto: "Auto Detect", zh: "Chinese", "zh-TW": "Traditional Chinese", en: "English", ja: "Japanese", ko: "Korean", fr: "French", de: "German", es: "Spanish", ru: "Russian", pt: "Portuguese", it: "Italian" },
   history: { 
@@ -102,6 +113,7 @@ const en = {
     filter: { all: "All Time", today: "Today", week: "This Week", month: "This Month" },
     group: { date: "By Date", language: "By Language" },
     select: "Select", export: "Export", import: "Import",
+    exportJSON: "Export JSON", exportTMX: "Export TMX", imported: "Imported {{count}} records", importFailed: "Import failed",
     deleteSelected: "Delete ({{count}})",
     searchResult: "Search \"{{keyword}}\" found {{count}} results",
     searchHint: "(↑↓ Navigate, Enter to copy)",
@@ -132,6 +144,7 @@ const en = {
     importTerms: "Import Terms", exportTerms: "Export Terms",
     terms: "terms", items: "items", note: "Note", actions: "Actions",
     addNote: "Add note...", save: "Save", cancel: "Cancel", edit: "Edit", copy: "Copy",
+    caseSensitive: "Case-sensitive", forbidden: "Forbidden", forbiddenHint: "Forbidden translation: flag translations that use this target for the source term",
     movedToStyle: "Moved to Style Library", movedFromStyle: "Removed from Style Library", deleted: "Deleted", copied: "Copied",
     deleteConfirm: "Are you sure to delete this favorite?", termUpdated: "Term updated",
     aiTagSuccess: "AI tags generated", aiTagFailed: "AI tag generation failed",
@@ -144,6 +157,7 @@ const en = {
     exportedTerms: "Exported {{count}} terms ({{format}})",
     importedTerms: "Imported {{count}} terms", importSkipped: " (skipped {{skipped}} duplicates)",
     importFailed: "Import failed",
+    exportFolderTMX: "Export this folder as TMX", importFolderTMX: "Import TMX into this folder",
     tagsLabel: "Tags (comma separated)", tagsPlaceholder: "formal, academic, important...",
     noteLabel: "Note", notePlaceholder: "Add note..."
   },
@@ -169,13 +183,26 @@ const en = {
     autoDeleteHistory: "Auto-delete history after",
     daysLater: "days",
     zeroMeansNever: "Set to 0 to never auto-delete",
-    incognitoDisabled: " (Disabled in incognito mode)"
+    incognitoDisabled: " (Disabled in incognito mode)",
+    memory: "Translation Memory", memoryCount: "{{count}} segments stored",
+    memoryExport: "Export TMX", memoryImport: "Import TMX", memoryClear: "Clear Memory",
+    memoryClearConfirm: "Clear all segments in the translation memory?", memoryCleared: "Translation memory cleared"
+  },
+  tmx: {
+    report: "{{filename}}: {{added}} added, {{duplicates}} duplicates, {{skipped}} skipped",
+    conflicts: ", {{conflicts}} conflicting (existing kept)",
+    dropped: ", {{dropped}} not kept (over the history limit)",
+    unmapped: " — unknown languages: {{languages}}",
+    exported: "Exported {{count}} units (TMX)",
+    empty: "Nothing to export",
+    failed: "{{filename}}: import failed — {{error}}"
   },
   glass: { 
     title: "Floating Translate", pin: "Pin", unpin: "Unpin", opacity: "Opacity", close: "Close", addPanel: "Add Panel", removePanel: "Remove Panel", clearAll: "Clear All",
     description: "Configure floating translation window behavior and appearance",
     lockTargetLang: "Lock Target Language", lockTargetLangOnDesc: "Always translate to target language", lockTargetLangOffDesc: "Auto switch based on source (may cause back-translation)", lockTargetLangHint: "Recommended to enable to avoid language switching",
     smartDetect: "Smart Detect", smartDetectOnDesc: "Auto skip unchanged content", smartDetectOffDesc: "Re-recognize and translate every time",
+    useGlossary: "Apply Glossary", useGlossaryOnDesc: "Translate glossary terms with their saved translations", useGlossaryOffDesc: "Ignore the glossary in this window",
     ocrEngine: "OCR Engine", useGlobalOcr: "Using global OCR settings (Current: {{engine}})", goToSettings: "Go to Settings",
     defaultOpacity: "Default Opacity", opacityHint: "Click the bar in glass window to adjust in real-time",
     windowOptions: "Window Options", rememberPosition: "Remember Position", autoPin: "Always on Top",
@@ -192,6 +219,7 @@ const en = {
     triggerTimeout: "Button Auto-hide Time", seconds: "s", triggerTimeoutHint: "Time before translate button auto-hides",
     showSourceByDefault: "Show Source by Default", showSourceOnDesc: "Show source text comparison by default", showSourceOffDesc: "Only show translation",
     autoCloseOnCopy: "Auto Close on Copy", autoCloseOnDesc: "Auto close window after copying", autoCloseOffDesc: "Keep window open after copying",
+    useGlossary: "Apply Glossary", useGlossaryOnDesc: "Translate glossary terms with their saved translations", useGlossaryOffDesc: "Ignore the glossary in this window",
     windowOpacity: "Window Opacity", opacityHint: "Adjust selection translation window opacity",
     screenshotOutput: "Screenshot Output", bubble: "Bubble Window", mainWindow: "Main Window",
     bubbleDesc: "Show result in floating bubble", mainWindowDesc: "Show result in main window", outputHint: "In bubble mode, process in background and popup when done",
@@ -366,19 +394,226 @@ const en = {
       printToPdf: "Please select \"Save as PDF\" in the print dialog",
       cacheCleared: "Translation memory cache cleared"
     },
+    // XLSX sheet / column filter
+    termCheck: {
+      button: "Term check",
+      hint: "Check glossary terms and forbidden translations in all translated segments",
+      title: "Term check",
+      summary: "{{missing}} missing, {{forbidden}} forbidden",
+      clean: "All translated segments follow the glossary",
+      type_missing: "Missing",
+      type_forbidden: "Forbidden"
+    },
+    review: {
+      status_all: "All",
+      status_draft: "Draft",
+      status_machine: "Machine",
+      status_edited: "Edited",
+      status_confirmed: "Confirmed",
+      edit: "Edit translation (double-click)",
+      confirm: "Confirm translation",
+      undo: "Undo last change",
+      saveConfirm: "Save & confirm",
+      editPlaceholder: "Enter translation",
+      editHint: "Ctrl+Enter: save, confirm and go to next · Esc: cancel",
+      next: "Next unconfirmed",
+      nextHint: "Jump to the next unconfirmed segment (Alt+↓)",
+      allConfirmed: "All segments are confirmed",
+      confirmedOnly: "Confirmed translations only ({{count}})",
+      history: "Change history",
+      change_edit: "Edited",
+      change_confirm: "Confirmed",
+      change_replace: "Replaced \"{{find}}\" with \"{{replace}}\" ({{count}})",
+      change_review: "Review sheet correction",
+      change_retranslate: "Re-translated with {{provider}} ({{template}})",
+      change_version: "Switched to version {{version}}",
+      change_balance: "Subtitle lines re-broken",
+      change_shorten: "Subtitle shortened by AI",
+      confirmedOnlyHint: "Unconfirmed segments are exported as untranslated"
+    },
+    find: {
+      hint: "Find and replace (Ctrl+F)",
+      findPlaceholder: "Find",
+      replacePlaceholder: "Replace with",
+      replaceRegexPlaceholder: "Replace with ($1, $<name> for groups)",
+      regex: "Regular expression",
+      caseSensitive: "Match case",
+      wholeWord: "Whole word",
+      scope_both: "Source and translation",
+      scope_source: "Source",
+      scope_target: "Translation",
+      field_source: "Source",
+      field_target: "Translation",
+      summary: "{{count}} matches in {{segments}} segments",
+      more: "{{count}} more matches not shown",
+      replaceAll: "Replace all",
+      replaceAllHint: "Replace all matches in translations; each changed segment records the replacement in its history",
+      replaced: "Replaced {{count}} matches in {{segments}} segments"
+    },
+    retranslate: {
+      button: "Re-translate",
+      hint: "Re-translate a range of segments or an outline section with a different provider or template; previous translations are kept as versions",
+      title: "Re-translate segments",
+      range: "Segments",
+      section: "Section",
+      summary: "{{count}} segments selected.",
+      lockedNote: "{{count}} of them were edited or confirmed; their current translation is kept as a version you can switch back to.",
+      run: "Re-translate {{count}}",
+      fromSegment: "Re-translate with another provider or template",
+      fromSection: "Re-translate this section",
+      versions: "Translation versions",
+      done: "Re-translated {{count}} segments, {{failed}} failed"
+    },
+    estimate: {
+      button: "Estimate",
+      hint: "Estimate requests, tokens / characters, time and cost of translating the pending segments with each provider",
+      title: "Job estimate",
+      summary: "{{segments}} segments to send · {{tokens}} tokens · {{chars}} characters",
+      noProviders: "No configured providers are allowed in the current privacy mode",
+      used: "Used",
+      column_provider: "Provider",
+      column_requests: "Requests",
+      column_usage: "Usage",
+      column_time: "Time",
+      column_price: "Price",
+      column_cost: "Cost",
+      priceHint: "Price per {{unit}} tokens or characters",
+      tokens: "{{input}} in / {{output}} out tokens",
+      chars: "{{count}} characters",
+      latencyMeasured: "Measured average latency: {{ms}} ms per request",
+      latencyAssumed: "No measurements yet, assuming {{ms}} ms per request",
+      priceInput: "Input",
+      priceChars: "Per chars",
+      priceOutput: "Output",
+      currency: "Currency",
+      note: "Prices are per {{unit}} tokens (LLM) or characters (machine translation). Segments found in the cache or translation memory are not counted. * time based on the provider's declared speed",
+      comparisonTitle: "Last job: estimate vs actual",
+      estimated: "Estimated",
+      actual: "Actual",
+      metric_requests: "Requests",
+      metric_inputTokens: "Input tokens",
+      metric_outputTokens: "Output tokens",
+      metric_chars: "Characters",
+      metric_time: "Time",
+      metric_cost: "Cost",
+      start: "Start translation"
+    },
+    reviewSheet: {
+      section: "Review sheet",
+      withComments: "Include comments column",
+      exportWord: "Review sheet (.docx)",
+      exportExcel: "Review sheet (.xlsx)",
+      exportHint: "Side-by-side table keyed by segment ID; reviewers edit only the translation column",
+      column_id: "ID",
+      column_source: "Source",
+      column_target: "Translation",
+      column_comment: "Comment",
+      import: "Import review",
+      importHint: "Read corrections from a review sheet (.docx / .xlsx) back into this document",
+      importTitle: "Review corrections: {{filename}}",
+      importSummary: "{{count}} changed, {{unchanged}} unchanged",
+      importSkipped: "Skipped rows: {{unknown}} with unknown segment IDs, {{mismatched}} whose source text no longer matches",
+      importFailed: "Failed to import review sheet: {{error}}",
+      noChanges: "The review sheet contains no changes",
+      commentsOnly: "Comments without changes",
+      accept: "Accept",
+      reject: "Reject",
+      acceptAll: "Accept all",
+      rejectAll: "Reject all",
+      apply: "Apply {{count}} accepted",
+      applied: "Applied {{count}} review corrections"
+    },
+    qa: {
+      button: "QA",
+      hint: "Check numbers, placeholders, tags, brackets, untranslated text, spacing and length in all translated segments",
+      title: "Quality check",
+      summary: "{{count}} issues",
+      clean: "No issues found",
+      export: "Export CSV",
+      column_segment: "Segment",
+      column_check: "Check",
+      column_severity: "Severity",
+      column_detail: "Detail",
+      column_source: "Source",
+      column_target: "Translation"
+    },
+    terms: {
+      extract: "Terms",
+      extractHint: "Extract candidate terms for the glossary before translating",
+      title: "Term extraction",
+      found: "{{count}} candidates",
+      empty: "No candidate terms found",
+      term: "Term",
+      frequency: "Count",
+      translation: "Translation",
+      translationPlaceholder: "Enter translation",
+      type_acronym: "Acronym",
+      type_product: "Product",
+      type_name: "Name",
+      type_phrase: "Phrase",
+      suggest: "Suggest translations with AI",
+      suggestFailed: "Failed to suggest translations: {{error}}",
+      addToGlossary: "Add {{count}} to glossary",
+      added: "Added {{count}} terms to the glossary"
+    },
+    parallel: {
+      title: "Parallel requests and context",
+      concurrency: "Parallel",
+      concurrencyHint: "Number of batches (or segments in single mode) translated at the same time",
+      contextTokens: "Context budget (tokens)",
+      contextTokensHint: "Maximum estimated tokens of preceding text and section path sent with each batch",
+      rpm: "RPM",
+      rpmHint: "Maximum requests per minute sent to this provider",
+      unlimited: "∞"
+    },
+    project: {
+      save: "Save project",
+      saveHint: "Save segments, translations, settings and notes as a .ttproj file",
+      saved: "Project saved",
+      saveFailed: "Failed to save project: {{error}}",
+      opened: "Project opened: {{filename}}",
+      openFailed: "Failed to open project: {{error}}",
+      notes: "Project notes",
+      notesPlaceholder: "Notes for yourself or the reviewer..."
+    },
+    jobs: {
+      title: "Unfinished jobs",
+      resume: "Resume",
+      discard: "Discard",
+      discardHint: "Delete the saved progress of this job",
+      resumed: "Job resumed: {{completed}}/{{total}} segments already translated",
+      resumeFailed: "Failed to resume job: {{error}}",
+      missing: "The saved job could not be read"
+    },
+    sheetFilter: {
+      columnsPlaceholder: "Columns, e.g. A,C-E",
+      columnsHint: "Only translate these columns (empty = all)",
+      apply: "Apply filter"
+    },
     // Export menu
     export: {
       textFormat: "Text Format",
       bilingualTxt: "Bilingual TXT",
       bilingualMd: "Bilingual Markdown",
       translatedOnlyTxt: "Translation Only TXT",
+      markdown: "Translated Markdown (original structure)",
+      html: "Translated HTML (original markup)",
       docFormat: "Document Format",
       bilingualWord: "Bilingual Word (.doc)",
       translatedOnlyWord: "Translation Only Word (.doc)",
       exportPdf: "Export PDF (Print)",
+      office: "{{format}} (original layout)",
+      epubTranslated: "EPUB (translation only)",
+      epubBilingual: "EPUB (bilingual)",
       subtitleFormat: "Subtitle Format",
       srtSubtitle: "SRT Subtitle",
-      vttSubtitle: "VTT Subtitle"
+      vttSubtitle: "VTT Subtitle",
+      assTranslated: "{{format}} (translation only)",
+      assBilingualLine: "{{format}} (bilingual, two lines)",
+      assBilingualStyle: "{{format}} (bilingual, separate style)",
+      localizationFormat: "Localization Format",
+      xliff: "XLIFF (with targets)",
+      resource: "{{format}} (original structure)"
     },
     // Stats
     stats: {
@@ -393,14 +628,16 @@ const en = {
       estimatedTokens: "Estimated Tokens",
       usedTokens: "Used Tokens",
       elapsedTime: "Elapsed Time",
-      clearCache: "Clear Cache"
+      clearCache: "Clear Cache",
+      memoryHits: "TM Matches"
     },
     // Progress
     progress: {
       completed: "Completed",
       skipped: "Skipped",
       failed: "Failed",
-      cached: "Cached"
+      cached: "Cached",
+      fromMemory: "From TM"
     },
     // Footer
     footer: {
@@ -411,16 +648,58 @@ const en = {
       glossary: "Glossary",
       glossaryEnabledHint: "Glossary enabled",
       glossaryDisabledHint: "Glossary disabled",
+      sentenceMode: "Sentences",
+      sentenceModeHint: "Sentence mode: join cues that split one sentence, then split the translation back across the original timings",
+      context: "Context",
+      contextHint: "Send LLM providers the preceding translations and current section as read-only context (up to {{count}} tokens)",
+      template: "Translation template",
+      provider: "Translation provider",
+      providerAuto: "Auto provider",
       translatingStatus: "Translating"
     },
+    // Subtitle readability QA
+    subtitleQA: {
+      cpl: "CPL",
+      cplCJK: "CPL (CJK)",
+      cps: "CPS",
+      cpsCJK: "CPS (CJK)",
+      maxLines: "Lines",
+      violations: "{{count}} cues exceed limits",
+      noViolations: "All cues within limits",
+      balanceAll: "Rebalance all lines",
+      balance: "Rebalance lines",
+      shorten: "Shorten",
+      shortenFailed: "Shortening failed: {{error}}",
+      emptyResult: "Empty response",
+      cue: "Cue {{index}}",
+      issue_cpl: "{{value}}/{{limit}} chars per line",
+      issue_cps: "{{value}}/{{limit}} chars per second",
+      issue_lines: "{{value}}/{{limit}} lines",
+      exportConfirm: "{{count}} cues still exceed the subtitle limits. Export anyway?"
+    },
+    // Subtitle sentence mode
+    cueMapping: {
+      title: "Cue split",
+      resplit: "Re-split automatically"
+    },
+    // Translation memory
+    tm: {
+      badge: "TM {{score}}%"
+    },
     // Outline
     outline: {
       title: "Outline"
     },
+    // EPUB title suffix
+    epubTitleSuffix: {
+      translated: " (Translated)",
+      bilingual: " (Bilingual)"
+    },
     // File suffixes
     fileSuffix: {
       bilingual: "_bilingual",
-      translatedOnly: "_translated"
+      translatedOnly: "_translated",
+      review: "_review"
     },
     // Default doc title
     defaultDocTitle: "Translated Document"
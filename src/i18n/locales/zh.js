@@ -48,6 +48,7 @@ const zh = {
     autoTranslate: "自动翻译", autoTranslateHint: "输入停止后自动开始翻译",
     autoDelay: "自动翻译延迟", autoDelayHint: "停止输入后等待多久开始翻译",
     streamOutput: "流式输出（打字机效果）", streamOutputHint: "开启后翻译结果将逐字显示",
+    useGlossary: "应用术语库", useGlossaryHint: "原文中出现的术语会提供给 AI 翻译源，机器翻译时直接替换为术语库译文",
     cache: "翻译缓存", cacheHint: "缓存已翻译的内容，相同文本再次翻译时直接返回结果",
     clearCache: "清除缓存", clearCacheConfirm: "确定要清除翻译缓存吗？", cacheCleared: "缓存已清除"
   },
@@ -92,7 +93,17 @@ const zh = {
     fileImportSuccess: "文件导入成功", unsupportedFileType: "不支持的文件类型",
     recognizingClipboard: "发现剪贴板图片，正在识别...",
     autoReplaced: "已自动替换: {{info}}", copiedForManualReplace: "已复制 \"{{text}}\"，请在译文中手动替换",
-    termSet: "已设置术语"
+    termSet: "已设置术语",
+    termForbidden: "禁用译法",
+    qaWarnings: "{{count}} 处质量提示",
+    tmBadge: "记忆库 {{score}}%", tmFuzzyTitle: "翻译记忆库匹配（{{score}}%）", tmUse: "采用"
+  },
+  qa: {
+    type_numbers: "数字", type_placeholders: "占位符", type_tags: "标签", type_brackets: "括号",
+    type_untranslated: "未翻译", type_doubleSpace: "连续空格", type_length: "长度",
+    missing: "缺少：{{items}}", extra: "多出：{{items}}", broken: "⟦⟧ 标记残缺", unbalanced: "嵌套不平衡",
+    unpaired: "不成对：{{items}}", identical: "与原文相同", detected: "仍为{{lang}}",
+    spaces: "{{count}} 处连续空格", ratio: "长度比例 {{ratio}}"
   },
   languages: { auto: "自动检测", zh: "中文", "zh-TW": "繁体中文", en: "English", ja: "日本語", ko: "한국어", fr: "Français", de: "Deutsch", es: "Español", ru: "Русский", pt: "Português", it: "Italiano" },
   history: { 
@@ -102,6 +113,7 @@ const zh = {
     filter: { all: "全部时间", today: "今天", week: "本周", month: "本月" },
     group: { date: "按日期", language: "按语言" },
     select: "选择", export: "导出", import: "导入",
+    exportJSON: "导出 JSON", exportTMX: "导出 TMX", imported: "已导入 {{count}} 条", importFailed: "导入失败",
     deleteSelected: "删除 ({{count}})",
     deleteSelectedConfirm: "确定删除选中的 {{count}} 条记录？",
     deletedCount: "已删除 {{count}} 条",
@@ -132,6 +144,7 @@ const zh = {
     importTerms: "导入术语", exportTerms: "导出术语",
     terms: "条术语", items: "条收藏", note: "备注", actions: "操作",
     addNote: "添加备注...", save: "保存", cancel: "取消", edit: "编辑", copy: "复制",
+    caseSensitive: "区分大小写", forbidden: "禁用译法", forbiddenHint: "禁用译法：原文出现该术语时，译文不应使用此译法",
     movedToStyle: "已移动到风格库", movedFromStyle: "已移出风格库", deleted: "已删除", copied: "已复制译文",
     deleteConfirm: "确定要删除这条收藏吗？", termUpdated: "术语已更新",
     aiTagSuccess: "AI 标签生成成功", aiTagFailed: "AI 标签生成失败",
@@ -144,6 +157,7 @@ const zh = {
     exportedTerms: "已导出 {{count}} 条术语 ({{format}})",
     importedTerms: "已导入 {{count}} 条术语", importSkipped: "（跳过 {{skipped}} 条重复）",
     importFailed: "导入失败",
+    exportFolderTMX: "将此文件夹导出为 TMX", importFolderTMX: "导入 TMX 到此文件夹",
     tagsLabel: "标签（逗号分隔）", tagsPlaceholder: "正式, 学术, 重要...",
     noteLabel: "笔记", notePlaceholder: "添加笔记..."
   },
@@ -169,13 +183,26 @@ const zh = {
     autoDeleteHistory: "自动删除历史记录",
     daysLater: "天后",
     zeroMeansNever: "设为 0 表示永不自动删除",
-    incognitoDisabled: "（无痕模式下此选项无效）"
+    incognitoDisabled: "（无痕模式下此选项无效）",
+    memory: "翻译记忆库", memoryCount: "已保存 {{count}} 个段落",
+    memoryExport: "导出 TMX", memoryImport: "导入 TMX", memoryClear: "清空记忆库",
+    memoryClearConfirm: "确定要清空翻译记忆库中的所有段落吗？", memoryCleared: "翻译记忆库已清空"
+  },
+  tmx: {
+    report: "{{filename}}：新增 {{added}} 条，重复 {{duplicates}} 条，跳过 {{skipped}} 条",
+    conflicts: "，{{conflicts}} 条译文冲突（保留现有）",
+    dropped: "，{{dropped}} 条超出历史记录上限未保留",
+    unmapped: "，未识别语言：{{languages}}",
+    exported: "已导出 {{count}} 条（TMX）",
+    empty: "没有可导出的内容",
+    failed: "{{filename}}：导入失败 - {{error}}"
   },
   glass: { 
     title: "悬浮翻译", pin: "置顶", unpin: "取消置顶", opacity: "透明度", close: "关闭", addPanel: "添加子面板", removePanel: "移除子面板", clearAll: "清空全部",
     description: "配置悬浮翻译窗口的行为和外观",
     lockTargetLang: "锁定目标语言", lockTargetLangOnDesc: "始终翻译成目标语言", lockTargetLangOffDesc: "根据原文自动切换（可能导致回译）", lockTargetLangHint: "建议开启，避免中英文来回切换",
     smartDetect: "智能检测", smartDetectOnDesc: "自动跳过未变化的内容", smartDetectOffDesc: "每次都重新识别翻译",
+    useGlossary: "应用术语库", useGlossaryOnDesc: "术语按术语库中的译文翻译", useGlossaryOffDesc: "此窗口不使用术语库",
     ocrEngine: "OCR 引擎", useGlobalOcr: "使用全局 OCR 设置（当前：{{engine}}）", goToSettings: "前往设置",
     defaultOpacity: "默认透明度", opacityHint: "在玻璃窗中点击小横条可实时调节",
     windowOptions: "窗口选项", rememberPosition: "记住窗口位置", autoPin: "默认置顶显示",
@@ -192,6 +219,7 @@ const zh = {
     triggerTimeout: "按钮自动消失时间", seconds: "秒", triggerTimeoutHint: "划词后翻译按钮自动消失的时间",
     showSourceByDefault: "默认显示原文", showSourceOnDesc: "翻译结果默认显示原文对照", showSourceOffDesc: "只显示翻译结果",
     autoCloseOnCopy: "复制后自动关闭", autoCloseOnDesc: "点击复制后自动关闭翻译窗口", autoCloseOffDesc: "复制后保持窗口打开",
+    useGlossary: "应用术语库", useGlossaryOnDesc: "术语按术语库中的译文翻译", useGlossaryOffDesc: "此窗口不使用术语库",
     windowOpacity: "窗口透明度", opacityHint: "调整划词翻译窗口的透明度",
     screenshotOutput: "截图翻译输出", bubble: "气泡窗口", mainWindow: "主窗口",
     bubbleDesc: "截图翻译结果显示在悬浮气泡中", mainWindowDesc: "截图翻译结果显示在主窗口中", outputHint: "气泡模式下，截图后后台处理，完成后弹出结果",
@@ -366,19 +394,226 @@ const zh = {
       printToPdf: "请在打印对话框中选择\"保存为 PDF\"",
       cacheCleared: "翻译记忆缓存已清除"
     },
+    // XLSX 工作表 / 列过滤
+    termCheck: {
+      button: "术语检查",
+      hint: "检查所有已翻译段落的术语库译文和禁用译法",
+      title: "术语检查",
+      summary: "{{missing}} 处未用术语，{{forbidden}} 处禁用译法",
+      clean: "所有已翻译段落均符合术语库",
+      type_missing: "未用术语",
+      type_forbidden: "禁用译法"
+    },
+    review: {
+      status_all: "全部",
+      status_draft: "草稿",
+      status_machine: "机翻",
+      status_edited: "已编辑",
+      status_confirmed: "已确认",
+      edit: "编辑译文（双击）",
+      confirm: "确认译文",
+      undo: "撤销上一次修改",
+      saveConfirm: "保存并确认",
+      editPlaceholder: "输入译文",
+      editHint: "Ctrl+Enter：保存、确认并跳到下一段 · Esc：取消",
+      next: "下一个未确认",
+      nextHint: "跳到下一个未确认的段落（Alt+↓）",
+      allConfirmed: "所有段落均已确认",
+      confirmedOnly: "只导出已确认的译文（{{count}}）",
+      history: "修改记录",
+      change_edit: "手动编辑",
+      change_confirm: "确认",
+      change_replace: "将“{{find}}”替换为“{{replace}}”（{{count}} 处）",
+      change_review: "审校表修改",
+      change_retranslate: "用 {{provider}} 重新翻译（{{template}}）",
+      change_version: "切换到版本 {{version}}",
+      change_balance: "字幕重新断行",
+      change_shorten: "AI 缩短字幕",
+      confirmedOnlyHint: "未确认的段落按未翻译导出"
+    },
+    find: {
+      hint: "查找替换（Ctrl+F）",
+      findPlaceholder: "查找",
+      replacePlaceholder: "替换为",
+      replaceRegexPlaceholder: "替换为（可用 $1、$<name> 引用捕获组）",
+      regex: "正则表达式",
+      caseSensitive: "区分大小写",
+      wholeWord: "整词匹配",
+      scope_both: "原文和译文",
+      scope_source: "原文",
+      scope_target: "译文",
+      field_source: "原文",
+      field_target: "译文",
+      summary: "{{segments}} 个段落中共 {{count}} 处匹配",
+      more: "还有 {{count}} 处匹配未列出",
+      replaceAll: "全部替换",
+      replaceAllHint: "替换所有译文中的匹配，每个被修改的段落都会在修改记录中记下这次替换",
+      replaced: "已在 {{segments}} 个段落中替换 {{count}} 处"
+    },
+    retranslate: {
+      button: "重新翻译",
+      hint: "用其它翻译源或模板重新翻译一段范围或大纲中的一个章节，旧译文保留为版本",
+      title: "重新翻译段落",
+      range: "段落",
+      section: "章节",
+      summary: "已选择 {{count}} 个段落。",
+      lockedNote: "其中 {{count}} 个已编辑或确认，当前译文会保留为可切回的版本。",
+      run: "重新翻译 {{count}} 段",
+      fromSegment: "换用其它翻译源或模板重新翻译",
+      fromSection: "重新翻译本章节",
+      versions: "译文版本",
+      done: "已重新翻译 {{count}} 段，失败 {{failed}} 段"
+    },
+    estimate: {
+      button: "预估",
+      hint: "预估用各翻译源翻译待翻译段落的请求数、token / 字符数、耗时和费用",
+      title: "任务预估",
+      summary: "需发送 {{segments}} 段 · {{tokens}} token · {{chars}} 字符",
+      noProviders: "当前隐私模式下没有可用的已配置翻译源",
+      used: "使用中",
+      column_provider: "翻译源",
+      column_requests: "请求数",
+      column_usage: "用量",
+      column_time: "耗时",
+      column_price: "价格",
+      column_cost: "费用",
+      priceHint: "每 {{unit}} token 或字符的价格",
+      tokens: "输入 {{input}} / 输出 {{output}} token",
+      chars: "{{count}} 字符",
+      latencyMeasured: "实测平均延迟：每个请求 {{ms}} 毫秒",
+      latencyAssumed: "暂无实测数据，按每个请求 {{ms}} 毫秒估算",
+      priceInput: "输入",
+      priceChars: "字符",
+      priceOutput: "输出",
+      currency: "货币",
+      note: "价格按每 {{unit}} token（大模型）或字符（机器翻译）计。缓存和翻译记忆库命中的段落不计入。* 按翻译源声明的速度估算耗时",
+      comparisonTitle: "上次任务：预估与实际",
+      estimated: "预估",
+      actual: "实际",
+      metric_requests: "请求数",
+      metric_inputTokens: "输入 token",
+      metric_outputTokens: "输出 token",
+      metric_chars: "字符数",
+      metric_time: "耗时",
+      metric_cost: "费用",
+      start: "开始翻译"
+    },
+    reviewSheet: {
+      section: "审校表",
+      withComments: "包含批注列",
+      exportWord: "审校表 (.docx)",
+      exportExcel: "审校表 (.xlsx)",
+      exportHint: "按段落 ID 排列的双栏对照表，审校人员只需修改译文列",
+      column_id: "ID",
+      column_source: "原文",
+      column_target: "译文",
+      column_comment: "批注",
+      import: "导回审校",
+      importHint: "从审校表（.docx / .xlsx）读取修改后的译文",
+      importTitle: "审校修改：{{filename}}",
+      importSummary: "{{count}} 处修改，{{unchanged}} 处未改",
+      importSkipped: "已跳过：{{unknown}} 行段落 ID 不存在，{{mismatched}} 行原文与当前文档不一致",
+      importFailed: "导回审校表失败：{{error}}",
+      noChanges: "审校表中没有修改",
+      commentsOnly: "只有批注的段落",
+      accept: "接受",
+      reject: "拒绝",
+      acceptAll: "全部接受",
+      rejectAll: "全部拒绝",
+      apply: "应用已接受的 {{count}} 处",
+      applied: "已应用 {{count}} 处审校修改"
+    },
+    qa: {
+      button: "质检",
+      hint: "检查所有已翻译段落的数字、占位符、标签、括号、未翻译、空格和长度",
+      title: "质量检查",
+      summary: "{{count}} 个问题",
+      clean: "未发现问题",
+      export: "导出 CSV",
+      column_segment: "段落",
+      column_check: "检查项",
+      column_severity: "级别",
+      column_detail: "说明",
+      column_source: "原文",
+      column_target: "译文"
+    },
+    terms: {
+      extract: "术语",
+      extractHint: "翻译前提取候选术语加入术语库",
+      title: "术语提取",
+      found: "{{count}} 个候选",
+      empty: "没有找到候选术语",
+      term: "术语",
+      frequency: "次数",
+      translation: "译文",
+      translationPlaceholder: "输入译文",
+      type_acronym: "缩写",
+      type_product: "产品名",
+      type_name: "名称",
+      type_phrase: "短语",
+      suggest: "AI 建议译文",
+      suggestFailed: "获取建议译文失败：{{error}}",
+      addToGlossary: "加入术语库（{{count}}）",
+      added: "已将 {{count}} 个术语加入术语库"
+    },
+    parallel: {
+      title: "并发请求与上下文",
+      concurrency: "并发数",
+      concurrencyHint: "同时翻译的批次数（单条模式下为段落数）",
+      contextTokens: "上下文预算（tokens）",
+      contextTokensHint: "每批附带的前文和章节路径的最大估算 token 数",
+      rpm: "每分钟请求",
+      rpmHint: "发往该翻译源的每分钟最多请求数",
+      unlimited: "不限"
+    },
+    project: {
+      save: "保存项目",
+      saveHint: "将段落、译文、设置和备注保存为 .ttproj 文件",
+      saved: "项目已保存",
+      saveFailed: "保存项目失败：{{error}}",
+      opened: "已打开项目：{{filename}}",
+      openFailed: "打开项目失败：{{error}}",
+      notes: "项目备注",
+      notesPlaceholder: "给自己或审校者的备注..."
+    },
+    jobs: {
+      title: "未完成的任务",
+      resume: "继续",
+      discard: "放弃",
+      discardHint: "删除此任务保存的进度",
+      resumed: "已恢复任务：{{completed}}/{{total}} 段已翻译",
+      resumeFailed: "恢复任务失败：{{error}}",
+      missing: "无法读取保存的任务"
+    },
+    sheetFilter: {
+      columnsPlaceholder: "列，如 A,C-E",
+      columnsHint: "只翻译这些列（留空为全部）",
+      apply: "应用过滤"
+    },
     // 导出菜单
     export: {
       textFormat: "文本格式",
       bilingualTxt: "双语 TXT",
       bilingualMd: "双语 Markdown",
       translatedOnlyTxt: "仅译文 TXT",
+      markdown: "译文 Markdown（保留原结构）",
+      html: "译文 HTML（保留原标记）",
       docFormat: "文档格式",
       bilingualWord: "双语 Word (.doc)",
       translatedOnlyWord: "仅译文 Word (.doc)",
       exportPdf: "导出 PDF (打印)",
+      office: "{{format}}（保留原版式）",
+      epubTranslated: "EPUB（仅译文）",
+      epubBilingual: "EPUB（双语对照）",
       subtitleFormat: "字幕格式",
       srtSubtitle: "SRT 字幕",
-      vttSubtitle: "VTT 字幕"
+      vttSubtitle: "VTT 字幕",
+      assTranslated: "{{format}}（仅译文）",
+      assBilingualLine: "{{format}}（双语，同一行内换行）",
+      assBilingualStyle: "{{format}}（双语，原文独立样式）",
+      localizationFormat: "本地化格式",
+      xliff: "XLIFF（回写译文）",
+      resource: "{{format}}（保留原结构）"
     },
     // 统计信息
     stats: {
@@ -393,14 +628,16 @@ const zh = {
       estimatedTokens: "预估 Tokens",
       usedTokens: "已用 Tokens",
       elapsedTime: "翻译用时",
-      clearCache: "清除缓存"
+      clearCache: "清除缓存",
+      memoryHits: "记忆库匹配"
     },
     // 进度信息
     progress: {
       completed: "已完成",
       skipped: "跳过",
       failed: "失败",
-      cached: "缓存"
+      cached: "缓存",
+      fromMemory: "记忆库"
     },
     // 底部控制栏
     footer: {
@@ -411,16 +648,58 @@ const zh = {
       glossary: "术语",
       glossaryEnabledHint: "术语表已启用",
       glossaryDisabledHint: "术语表已禁用",
+      sentenceMode: "整句",
+      sentenceModeHint: "整句模式：先把被拆开的句子合并翻译，再按原时间轴拆回各条字幕",
+      context: "上下文",
+      contextHint: "向 LLM 翻译源附带前文译文和当前章节作为只读参考（最多 {{count}} tokens）",
+      template: "翻译模板",
+      provider: "翻译源",
+      providerAuto: "自动选择翻译源",
       translatingStatus: "翻译中"
     },
+    // 字幕可读性检查
+    subtitleQA: {
+      cpl: "每行字数",
+      cplCJK: "每行字数（中日韩）",
+      cps: "每秒字数",
+      cpsCJK: "每秒字数（中日韩）",
+      maxLines: "行数",
+      violations: "{{count}} 条字幕超出限制",
+      noViolations: "所有字幕均在限制内",
+      balanceAll: "全部重新断行",
+      balance: "重新断行",
+      shorten: "缩短",
+      shortenFailed: "缩短失败：{{error}}",
+      emptyResult: "返回内容为空",
+      cue: "第 {{index}} 条",
+      issue_cpl: "每行 {{value}}/{{limit}} 字",
+      issue_cps: "每秒 {{value}}/{{limit}} 字",
+      issue_lines: "{{value}}/{{limit}} 行",
+      exportConfirm: "仍有 {{count}} 条字幕超出限制，确定要导出吗？"
+    },
+    // 字幕整句模式
+    cueMapping: {
+      title: "字幕拆分",
+      resplit: "重新自动拆分"
+    },
+    // 翻译记忆库
+    tm: {
+      badge: "记忆库 {{score}}%"
+    },
     // 大纲
     outline: {
       title: "大纲"
     },
+    // EPUB 书名后缀
+    epubTitleSuffix: {
+      translated: "（译本）",
+      bilingual: "（双语）"
+    },
     // 文件名后缀
     fileSuffix: {
       bilingual: "_双语",
-      translatedOnly: "_译文"
+      translatedOnly: "_译文",
+      review: "_审校"
     },
     // 默认文档标题
     defaultDocTitle: "翻译文档"
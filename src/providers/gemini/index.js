@@ -89,7 +89,7 @@ class GeminiProvider extends BaseProvider {
   /**
    * 翻译文本
    */
-  async translate(text, sourceLang = 'auto', targetLang = 'zh') {
+  async translate(text, sourceLang = 'auto', targetLang = 'zh', options = {}) {
     if (!text?.trim()) {
       return { success: false, error: '文本为空' };
     }
@@ -102,8 +102,10 @@ class GeminiProvider extends BaseProvider {
       const sourceName = this._getLanguageName(sourceLang);
       const targetName = this._getLanguageName(targetLang);
 
-      // 构建提示词
-      const prompt = sourceLang === 'auto'
+      // 构建提示词（Service 层传入的 systemPrompt 优先）
+      const prompt = options.systemPrompt
+        ? `${options.systemPrompt}\n\n${text}`
+        : sourceLang === 'auto'
         ? `Translate the following text to ${targetName}. Output only the translated text, no explanations.\n\n${text}`
         : `Translate from ${sourceName} to ${targetName}. Output only the translated text, no explanations.\n\n${text}`;
 
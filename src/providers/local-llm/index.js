@@ -70,8 +70,9 @@ class LocalLLMProvider extends BaseProvider {
 
   /**
    * 翻译文本
+   * @param {object} options - { systemPrompt } 由 Service 层构建（模板/参考译文）
    */
-  async translate(text, sourceLang = 'auto', targetLang = 'zh') {
+  async translate(text, sourceLang = 'auto', targetLang = 'zh', options = {}) {
     if (!text?.trim()) {
       return { success: false, error: '文本为空' };
     }
@@ -82,7 +83,7 @@ class LocalLLMProvider extends BaseProvider {
       const messages = [
         {
           role: 'system',
-          content: `You are a translator. Translate the following text to ${targetName}. Output only the translation, no explanations.`
+          content: options.systemPrompt || `You are a translator. Translate the following text to ${targetName}. Output only the translation, no explanations.`
         },
         {
           role: 'user',
@@ -115,7 +116,7 @@ class LocalLLMProvider extends BaseProvider {
   /**
    * 流式翻译
    */
-  async translateStream(text, sourceLang, targetLang, onChunk) {
+  async translateStream(text, sourceLang, targetLang, onChunk, options = {}) {
     if (!text?.trim()) {
       return { success: false, error: '文本为空' };
     }
@@ -126,7 +127,7 @@ class LocalLLMProvider extends BaseProvider {
       const messages = [
         {
           role: 'system',
-          content: `You are a translator. Translate the following text to ${targetName}. Output only the translation, no explanations.`
+          content: options.systemPrompt || `You are a translator. Translate the following text to ${targetName}. Output only the translation, no explanations.`
         },
         {
           role: 'user',
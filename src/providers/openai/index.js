@@ -68,8 +68,9 @@ class OpenAIProvider extends BaseProvider {
 
   /**
    * 翻译文本
+   * @param {object} options - { systemPrompt } 由 Service 层构建（模板/参考译文）
    */
-  async translate(text, sourceLang = 'auto', targetLang = 'zh') {
+  async translate(text, sourceLang = 'auto', targetLang = 'zh', options = {}) {
     if (!text?.trim()) {
       return { success: false, error: '文本为空' };
     }
@@ -84,7 +85,7 @@ class OpenAIProvider extends BaseProvider {
       const messages = [
         {
           role: 'system',
-          content: `You are a professional translator. Translate the following text to ${targetName}. Output only the translation, nothing else.`
+          content: options.systemPrompt || `You are a professional translator. Translate the following text to ${targetName}. Output only the translation, nothing else.`
         },
         {
           role: 'user',
@@ -117,7 +118,7 @@ class OpenAIProvider extends BaseProvider {
   /**
    * 流式翻译
    */
-  async translateStream(text, sourceLang, targetLang, onChunk) {
+  async translateStream(text, sourceLang, targetLang, onChunk, options = {}) {
     if (!text?.trim()) {
       return { success: false, error: '文本为空' };
     }
@@ -132,7 +133,7 @@ class OpenAIProvider extends BaseProvider {
       const messages = [
         {
           role: 'system',
-          content: `You are a professional translator. Translate the following text to ${targetName}. Output only the translation, nothing else.`
+          content: options.systemPrompt || `You are a professional translator. Translate the following text to ${targetName}. Output only the translation, nothing else.`
         },
         {
           role: 'user',
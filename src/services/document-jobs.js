@@ -0,0 +1,246 @@
+// src/services/document-jobs.js
+// 文档翻译任务持久化（断点续译）
+//
+// 职责：
+// - 通过主进程把任务快照写到 userData/document-jobs（见 electron/ipc/jobs.js）
+// - 原文件指纹（SHA-256），再次打开同一文件时找回任务
+// - 自动保存防抖（连续修改时最多等待 maxWait 也会写一次），关闭前 flush
+// - 同一任务的写入串行执行，后写入的快照不会被先发出的写入覆盖
+//
+// 快照内容：文档信息、段落（状态 + 译文）、翻译设置、术语表快照、备注、进度
+// 二进制格式（DOCX / PPTX / XLSX / EPUB）的原文件另存为 <id>.source，导出时需要原始包
+
+import createLogger from '../utils/logger.js';
+
+// 日志实例
+const logger = createLogger('DocumentJobs');
+
+// 快照格式版本
+export const JOB_VERSION = 1;
+
+/**
+ * 统计任务进度
+ * @param {Array} segments
+ * @returns {{ total: number, completed: number, failed: number, skipped: number }}
+ */
+export function summarizeProgress(segments) {
+  const progress = { total: segments.length, completed: 0, failed: 0, skipped: 0 };
+  for (const segment of segments) {
+    if (segment.status === 'completed') progress.completed++;
+    else if (segment.status === 'error') progress.failed++;
+    else if (segment.status === 'skipped') progress.skipped++;
+  }
+  return progress;
+}
+
+/**
+ * 是否已全部完成（跳过的段落不计）
+ * @param {object} progress - summarizeProgress 的结果
+ * @returns {boolean}
+ */
+export function isJobFinished(progress) {
+  return !!progress && progress.total > 0 && progress.completed + progress.skipped >= progress.total;
+}
+
+/**
+ * 生成可写盘的任务快照
+ * 翻译中的段落恢复为待翻译；sourceBuffer 不进 JSON，单独保存
+ * @param {object} job
+ * @returns {object}
+ */
+export function serializeJob(job) {
+  const { sourceBuffer, ...document } = job.document || {};
+  const segments = (job.segments || []).map(segment => (
+    segment.status === 'translating' ? { ...segment, status: 'pending' } : segment
+  ));
+
+  return {
+    version: JOB_VERSION,
+    id: job.id,
+    fingerprint: job.fingerprint || null,
+    filename: document.filename,
+    format: document.format,
+    formatName: document.formatName,
+    createdAt: job.createdAt,
+    updatedAt: Date.now(),
+    document: {
+      ...document,
+      sourceKind: sourceBuffer ? 'buffer' : (document.sourceContent ? 'content' : null),
+    },
+    settings: job.settings || {},
+    glossary: job.glossary || null,
+    outline: job.outline || [],
+    notes: job.notes || '',
+    segments,
+    progress: summarizeProgress(segments),
+  };
+}
+
+/**
+ * 任务持久化服务
+ */
+class DocumentJobs {
+  constructor(options = {}) {
+    this.saveDelay = options.saveDelay ?? 2000;
+    this.maxWait = options.maxWait ?? 10000;
+    // 任务 id → 待写入的任务 / 定时器 / 第一次未写入修改的时间 / 进行中的写入
+    this.pending = new Map();
+    this.timers = new Map();
+    this.firstChange = new Map();
+    this.writing = new Map();
+  }
+
+  get api() {
+    return typeof window !== 'undefined' ? window.electron?.jobs : undefined;
+  }
+
+  /**
+   * 当前环境是否支持（浏览器预览模式下没有主进程）
+   */
+  isAvailable() {
+    return !!this.api;
+  }
+
+  /**
+   * 生成任务 ID
+   */
+  createId() {
+    return `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 原文件指纹（SHA-256 十六进制）
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<string>}
+   */
+  async fingerprint(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 已保存的任务摘要（按更新时间倒序）
+   */
+  async list() {
+    if (!this.isAvailable()) return [];
+    try {
+      return await this.api.list() || [];
+    } catch (error) {
+      logger.error('List jobs error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 读取完整任务
+   */
+  async load(id) {
+    if (!this.isAvailable()) return null;
+    await this.flush(id);
+    try {
+      return await this.api.load(id);
+    } catch (error) {
+      logger.error('Load job error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存原文件副本
+   * @param {string} id
+   * @param {ArrayBuffer} buffer
+   */
+  async saveSource(id, buffer) {
+    if (!this.isAvailable() || !buffer) return;
+    try {
+      const result = await this.api.saveSource(id, new Uint8Array(buffer));
+      if (!result?.success) {
+        throw new Error(result?.error || 'Save source failed');
+      }
+    } catch (error) {
+      logger.warn('Save source error:', error);
+    }
+  }
+
+  /**
+   * 读取原文件副本
+   * @returns {Promise<ArrayBuffer|null>}
+   */
+  async loadSource(id) {
+    if (!this.isAvailable()) return null;
+    const data = await this.api.loadSource(id);
+    return data ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : null;
+  }
+
+  /**
+   * 延迟保存（同一任务在间隔内多次修改只写一次，距第一次未写入的修改超过 maxWait 时不再推迟）
+   * @param {object} job - serializeJob 的输入
+   */
+  scheduleSave(job) {
+    if (!this.isAvailable() || !job?.id) return;
+    const now = Date.now();
+    if (!this.firstChange.has(job.id)) this.firstChange.set(job.id, now);
+    const delay = Math.max(0, Math.min(this.saveDelay, this.firstChange.get(job.id) + this.maxWait - now));
+
+    this.pending.set(job.id, job);
+    clearTimeout(this.timers.get(job.id));
+    this.timers.set(job.id, setTimeout(() => this.flush(job.id), delay));
+  }
+
+  /**
+   * 立即写入待保存的任务
+   * @param {string} [id] - 省略时写入全部
+   */
+  async flush(id) {
+    const ids = id ? [id] : [...this.pending.keys()];
+    for (const jobId of ids) {
+      const job = this.pending.get(jobId);
+      clearTimeout(this.timers.get(jobId));
+      this.timers.delete(jobId);
+      this.pending.delete(jobId);
+      this.firstChange.delete(jobId);
+
+      // 排在进行中的写入之后；没有新修改时也等它完成，读取时拿到的是最新快照
+      const previous = this.writing.get(jobId) || Promise.resolve();
+      const write = job ? previous.then(() => this._write(job)) : previous;
+      this.writing.set(jobId, write);
+      await write;
+      if (this.writing.get(jobId) === write) this.writing.delete(jobId);
+    }
+  }
+
+  /**
+   * 写入一个任务快照（错误只记录日志，不中断后续写入）
+   */
+  async _write(job) {
+    try {
+      const result = await this.api.save(serializeJob(job));
+      if (!result?.success) {
+        throw new Error(result?.error || 'Save failed');
+      }
+    } catch (error) {
+      logger.error('Save job error:', error);
+    }
+  }
+
+  /**
+   * 删除任务（丢弃未写入的修改）
+   */
+  async discard(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.pending.delete(id);
+    this.firstChange.delete(id);
+    if (!this.isAvailable()) return;
+    // 等进行中的写入结束，避免删除后又被写回
+    await this.writing.get(id);
+    await this.api.delete(id);
+    logger.debug('Job discarded:', id);
+  }
+}
+
+// 单例导出
+const documentJobs = new DocumentJobs();
+
+export default documentJobs;
+export { DocumentJobs };
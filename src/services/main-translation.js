@@ -33,6 +33,13 @@ class MainTranslationService {
     this._isTranslating = false;
   }
 
+  /**
+   * 主窗口的术语表（设置中关闭术语注入时为空）
+   */
+  _getGlossary(state) {
+    return state.useGlossary ? state.getGlossaryTerms() : null;
+  }
+
   /**
    * 执行翻译（统一入口）
    * 根据 store 中的 useStreamOutput 设置决定是否流式输出
@@ -84,6 +91,7 @@ class MainTranslationService {
           sourceLang: sourceLanguage,
           targetLang: targetLanguage,
           template: options.template || state.currentTranslation.metadata.template,
+          glossary: this._getGlossary(state),
           privacyMode: mode,
           useCache: mode !== PRIVACY_MODES.SECURE,
         },
@@ -108,6 +116,8 @@ class MainTranslationService {
             model: result.provider,
             template: options.template || draft.currentTranslation.metadata.template,
             fromCache: result.fromCache,
+            fromMemory: result.fromMemory,
+            tmMatch: result.tmMatch || null,
           };
 
           // 初始化版本管理 - 原始翻译作为 v1
@@ -180,6 +190,7 @@ class MainTranslationService {
         sourceLang: sourceLanguage,
         targetLang: targetLanguage,
         template: options.template || state.currentTranslation.metadata.template,
+        glossary: this._getGlossary(state),
         privacyMode: mode,
         useCache: mode !== PRIVACY_MODES.SECURE,
       });
@@ -196,6 +207,8 @@ class MainTranslationService {
             model: result.provider,
             template: options.template || draft.currentTranslation.metadata.template,
             fromCache: result.fromCache,
+            fromMemory: result.fromMemory,
+            tmMatch: result.tmMatch || null,
           };
 
           // 初始化版本管理
@@ -277,6 +290,7 @@ class MainTranslationService {
           sourceLang: state.currentTranslation.sourceLanguage,
           targetLang: state.currentTranslation.targetLanguage,
           template: options.template,
+          glossary: this._getGlossary(state),
           privacyMode: state.translationMode,
           useCache: state.translationMode !== PRIVACY_MODES.SECURE,
         });
@@ -393,6 +407,27 @@ class MainTranslationService {
     }
   }
 
+  /**
+   * 把当前译文写入翻译记忆库（用户收藏或复制译文时视为采用，包括手动修改后的译文）
+   * 翻译完成时不自动写入，记忆库只保存用户认可的译文
+   */
+  acceptTranslation() {
+    const state = useTranslationStore.getState();
+    const { sourceText, translatedText, sourceLanguage, targetLanguage, metadata } = state.currentTranslation;
+    const mode = state.translationMode;
+    if (mode === PRIVACY_MODES.SECURE || !sourceText?.trim() || !translatedText?.trim()) return null;
+
+    return translationService.rememberTranslation(sourceText, translatedText, {
+      sourceLang: sourceLanguage,
+      targetLang: targetLanguage,
+      privacyMode: mode,
+      origin: 'main',
+      provider: metadata?.model,
+      template: metadata?.template,
+      glossary: this._getGlossary(state),
+    });
+  }
+
   /**
    * 获取缓存统计（透传）
    */
@@ -8,6 +8,7 @@ import { ocrManager } from '../providers/ocr/index.js';
 import translationService from './translation.js';
 import useSessionStore, { DISPLAY_MODE, CHILD_PANE_STATUS } from '../stores/session.js';
 import useConfigStore from '../stores/config.js';
+import { loadGlossaryTerms } from '../stores/translation-store.js';
 import { calculateHash } from '../utils/image.js';
 import { detectLanguage, cleanTranslationOutput, shouldTranslateText } from '../utils/text.js';
 import { isProviderAllowed, isOcrEngineAllowed, PRIVACY_MODE_IDS } from '../config/privacy-modes.js';
@@ -37,6 +38,16 @@ async function getPrivacyMode() {
   return PRIVACY_MODE_IDS.STANDARD;
 }
 
+/**
+ * 获取术语表（玻璃窗设置中关闭术语库时为空）
+ */
+function getGlossary() {
+  if (useConfigStore.getState().glassWindow?.useGlossary === false) {
+    return null;
+  }
+  return loadGlossaryTerms();
+}
+
 /**
  * 判断是否应使用散点模式
  * @param {Array} blocks - OCR 文本块数组
@@ -302,6 +313,7 @@ class TranslationPipeline {
       
       // 3. 获取翻译配置
       const privacyMode = await getPrivacyMode();
+      const glossary = getGlossary();
       
       // 4. 限制并发翻译数量（每次最多2个，避免卡顿）
       const CONCURRENCY_LIMIT = 2;
@@ -337,6 +349,7 @@ class TranslationPipeline {
             sourceLang,
             targetLang,
             mode: 'normal',
+            glossary,
             privacyMode,
           });
           
@@ -422,6 +435,7 @@ class TranslationPipeline {
       
       // 获取隐私模式
       const privacyMode = await getPrivacyMode();
+      const glossary = getGlossary();
       
       // 离线模式下检查翻译源
       if (privacyMode === PRIVACY_MODE_IDS.OFFLINE) {
@@ -433,6 +447,7 @@ class TranslationPipeline {
         sourceLang,
         targetLang,
         mode,
+        glossary,
         privacyMode, // 传递隐私模式
       });
       
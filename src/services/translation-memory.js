@@ -0,0 +1,534 @@
+// src/services/translation-memory.js
+// 翻译记忆库（TM）- 独立模块
+//
+// 职责：
+// - 按语言对保存已确认的 原文/译文 段落对
+// - 模糊匹配：返回相似度百分比（100% 完全匹配，75-99% 模糊匹配）
+// - 容量管理
+// - 持久化到 localStorage
+//
+// 与 cache.js 的区别：
+// - cache 按哈希精确命中，存的是机器翻译结果，有 TTL
+// - TM 存的是用户确认过的译文，没有过期，支持相似句检索
+
+import createLogger from '../utils/logger.js';
+
+// 日志实例
+const logger = createLogger('TM');
+
+/**
+ * 匹配阈值
+ */
+export const TM_MATCH = {
+  EXACT: 100,  // 完全匹配：直接复用，不调用翻译源
+  FUZZY: 75,   // 模糊匹配下限：展示给用户 / 作为 LLM 参考译文
+};
+
+// CJK 字符（按字切分）
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+/**
+ * 规范化文本（用于完全匹配判断）
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSegment(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 切分为比较单元：CJK 按字，其他语言按词（标点单独成词）
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeSegment(text) {
+  const normalized = normalizeSegment(text).toLowerCase();
+  if (!normalized) return [];
+
+  if (CJK_REGEX.test(normalized)) {
+    return Array.from(normalized).filter(ch => ch.trim());
+  }
+
+  return normalized.match(/[\p{L}\p{N}_'-]+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+/**
+ * 基于编辑距离的相似度（0-100）
+ * 规范化后完全相同才算 100，其余最高 99（例如只有大小写不同）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+  const normA = normalizeSegment(a);
+  const normB = normalizeSegment(b);
+  if (!normA || !normB) return 0;
+  if (normA === normB) return 100;
+
+  return tokenSimilarity(tokenizeSegment(normA), tokenizeSegment(normB));
+}
+
+/**
+ * 两组比较单元的相似度（0-99，调用方已排除规范化后完全相同的情况）
+ */
+function tokenSimilarity(tokensA, tokensB) {
+  const maxLen = Math.max(tokensA.length, tokensB.length);
+  if (maxLen === 0) return 0;
+
+  const distance = levenshtein(tokensA, tokensB);
+  const score = Math.floor((1 - distance / maxLen) * 100);
+  return Math.max(0, Math.min(99, score));
+}
+
+/**
+ * 词级 Levenshtein 距离（两行滚动数组）
+ */
+function levenshtein(a, b) {
+  let prev = new Array(b.length + 1);
+  let curr = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, curr] = [curr, prev];
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * 翻译记忆库管理器
+ */
+class TranslationMemory {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'translation-memory';
+    this.maxSize = options.maxSize || 5000;  // 最大段落对数量
+    this.saveDelay = options.saveDelay ?? 1000;  // 连续添加时合并写入的间隔（毫秒）
+    // { [pairKey]: Array<entry> }，pairKey = `${sourceLang}>${targetLang}`
+    this.pairs = new Map();
+    // 完全匹配索引 { [pairKey]: Map<规范化原文, entry> }
+    this.index = new Map();
+    // 条目原文的比较单元（条目原文不会改变，按对象缓存）
+    this.tokens = new WeakMap();
+    this.saveTimer = null;
+
+    this.load();
+
+    // 关闭窗口前写入尚未保存的修改
+    if (typeof window !== 'undefined') {
+      window.addEventListener('beforeunload', () => this.flush());
+    }
+  }
+
+  /**
+   * 从 localStorage 加载
+   */
+  load() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (data) {
+        const parsed = JSON.parse(data);
+        Object.entries(parsed).forEach(([pairKey, entries]) => {
+          if (Array.isArray(entries)) {
+            this.pairs.set(pairKey, entries);
+            this.index.set(pairKey, new Map(entries.map(entry => [entry.source, entry])));
+          }
+        });
+        logger.debug(`Loaded ${this.size} segments in ${this.pairs.size} language pairs`);
+      }
+    } catch (error) {
+      logger.error('Failed to load translation memory:', error);
+      this.pairs = new Map();
+      this.index = new Map();
+    }
+  }
+
+  /**
+   * 保存到 localStorage
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      const obj = {};
+      this.pairs.forEach((entries, pairKey) => {
+        obj[pairKey] = entries;
+      });
+      localStorage.setItem(this.storageKey, JSON.stringify(obj));
+    } catch (error) {
+      logger.error('Failed to save translation memory:', error);
+      if (error.name === 'QuotaExceededError') {
+        this.evict(Math.floor(this.size / 4));
+        this.save();
+      }
+    }
+  }
+
+  /**
+   * 延迟保存（间隔内多次添加只序列化一次）
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+  }
+
+  /**
+   * 立即写入尚未保存的修改
+   */
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  /**
+   * 语言对 Key
+   */
+  _pairKey(sourceLang = 'auto', targetLang = 'zh') {
+    return `${sourceLang}>${targetLang}`;
+  }
+
+  /**
+   * 语言对的完全匹配索引（不存在时创建）
+   */
+  _indexOf(pairKey) {
+    if (!this.index.has(pairKey)) this.index.set(pairKey, new Map());
+    return this.index.get(pairKey);
+  }
+
+  /**
+   * 条目原文的比较单元
+   */
+  _entryTokens(entry) {
+    let tokens = this.tokens.get(entry);
+    if (!tokens) {
+      tokens = tokenizeSegment(entry.source);
+      this.tokens.set(entry, tokens);
+    }
+    return tokens;
+  }
+
+  /**
+   * 总段落数
+   */
+  get size() {
+    let total = 0;
+    this.pairs.forEach(entries => { total += entries.length; });
+    return total;
+  }
+
+  /**
+   * 添加（或更新）一个段落对
+   * 同一语言对下原文完全相同时覆盖译文
+   * @param {string} source - 原文
+   * @param {string} target - 译文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {object} meta - 附加信息 { origin, provider, note }
+   * @returns {object|null} 保存的条目
+   */
+  add(source, target, sourceLang = 'auto', targetLang = 'zh', meta = {}) {
+    const normSource = normalizeSegment(source);
+    const normTarget = (target || '').trim();
+    if (!normSource || !normTarget) return null;
+
+    const pairKey = this._pairKey(sourceLang, targetLang);
+    const entries = this.pairs.get(pairKey) || [];
+    const now = Date.now();
+
+    const existing = this.index.get(pairKey)?.get(normSource);
+    if (existing) {
+      existing.target = normTarget;
+      existing.updatedAt = now;
+      Object.assign(existing, meta);
+      // 移到末尾（最近使用）
+      entries.splice(entries.indexOf(existing), 1);
+      entries.push(existing);
+      this.pairs.set(pairKey, entries);
+      this.scheduleSave();
+      return existing;
+    }
+
+    if (this.size >= this.maxSize) {
+      this.evict(Math.floor(this.maxSize * 0.1));  // 删除最旧的 10%
+    }
+
+    const entry = {
+      id: `tm_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      source: normSource,
+      target: normTarget,
+      sourceLang,
+      targetLang,
+      createdAt: now,
+      updatedAt: now,
+      ...meta,
+    };
+
+    entries.push(entry);
+    this.pairs.set(pairKey, entries);
+    this._indexOf(pairKey).set(normSource, entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  /**
+   * 批量导入（TMX 等外部来源）
+   * 原文和译文都相同视为重复；原文相同译文不同时默认保留现有译文
+   * @param {Array<{source, target, sourceLang, targetLang, createdAt, note}>} items
+   * @param {object} options - { overwrite, origin }
+   * @returns {{ added: number, duplicates: number, conflicts: number, invalid: number }}
+   */
+  importEntries(items, options = {}) {
+    const { overwrite = false, origin = 'import' } = options;
+    const result = { added: 0, duplicates: 0, conflicts: 0, invalid: 0 };
+    const now = Date.now();
+
+    for (const item of items) {
+      const normSource = normalizeSegment(item.source);
+      const normTarget = (item.target || '').trim();
+      if (!normSource || !normTarget) {
+        result.invalid++;
+        continue;
+      }
+
+      const pairKey = this._pairKey(item.sourceLang, item.targetLang);
+      const entries = this.pairs.get(pairKey) || [];
+      const existing = this.index.get(pairKey)?.get(normSource);
+
+      if (existing) {
+        if (normalizeSegment(existing.target) === normalizeSegment(normTarget)) {
+          result.duplicates++;
+        } else if (overwrite) {
+          existing.target = normTarget;
+          existing.updatedAt = now;
+          result.added++;
+        } else {
+          result.conflicts++;
+        }
+        continue;
+      }
+
+      const createdAt = item.createdAt || now;
+      const entry = {
+        id: `tm_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+        source: normSource,
+        target: normTarget,
+        sourceLang: item.sourceLang || 'auto',
+        targetLang: item.targetLang || 'zh',
+        createdAt,
+        updatedAt: createdAt,
+        origin,
+        ...(item.note ? { note: item.note } : {}),
+      };
+      entries.push(entry);
+      this.pairs.set(pairKey, entries);
+      this._indexOf(pairKey).set(normSource, entry);
+      result.added++;
+    }
+
+    if (this.size > this.maxSize) {
+      this.evict(this.size - this.maxSize);
+    }
+    this.save();
+    logger.debug(`Imported ${result.added} segments (${result.duplicates} duplicates, ${result.conflicts} conflicts)`);
+    return result;
+  }
+
+  /**
+   * 模糊检索
+   * sourceLang 为 'auto' 时检索所有目标语言相同的语言对
+   * @param {string} text - 待翻译原文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {object} options - { minScore, limit }
+   * @returns {Array<{score: number, source: string, target: string, id: string}>} 按相似度降序
+   */
+  lookup(text, sourceLang = 'auto', targetLang = 'zh', options = {}) {
+    const { minScore = TM_MATCH.FUZZY, limit = 3 } = options;
+    const normText = normalizeSegment(text);
+    if (!normText) return [];
+
+    // 只要最佳匹配时，完全匹配直接走索引，不再逐条比较
+    if (limit === 1) {
+      const exact = this.findExact(normText, sourceLang, targetLang);
+      if (exact) return [exact];
+    }
+
+    const candidates = this._candidateEntries(sourceLang, targetLang);
+    if (candidates.length === 0) return [];
+
+    const tokens = tokenizeSegment(normText);
+    const matches = [];
+
+    for (const entry of candidates) {
+      if (entry.source === normText) {
+        matches.push({ ...entry, score: TM_MATCH.EXACT });
+        continue;
+      }
+
+      // 长度预筛：相似度不可能超过 短/长 比例
+      const entryTokens = this._entryTokens(entry);
+      const ratio = Math.min(tokens.length, entryTokens.length) / Math.max(tokens.length, entryTokens.length, 1);
+      if (ratio * 100 < minScore) continue;
+
+      const score = tokenSimilarity(tokens, entryTokens);
+      if (score >= minScore) {
+        matches.push({ ...entry, score });
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * 完全匹配（规范化后原文相同），多个语言对都有时取最近更新的
+   * @param {string} text - 待翻译原文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @returns {object|null} 带 score: 100 的条目副本
+   */
+  findExact(text, sourceLang = 'auto', targetLang = 'zh') {
+    const normText = normalizeSegment(text);
+    if (!normText) return null;
+
+    let best = null;
+    for (const pairKey of this._candidatePairKeys(sourceLang, targetLang)) {
+      const entry = this.index.get(pairKey)?.get(normText);
+      if (entry && (!best || entry.updatedAt > best.updatedAt)) best = entry;
+    }
+    return best ? { ...best, score: TM_MATCH.EXACT } : null;
+  }
+
+  /**
+   * 获取最佳匹配
+   * @returns {object|null}
+   */
+  getBestMatch(text, sourceLang = 'auto', targetLang = 'zh', options = {}) {
+    return this.lookup(text, sourceLang, targetLang, { ...options, limit: 1 })[0] || null;
+  }
+
+  /**
+   * 候选语言对
+   */
+  _candidatePairKeys(sourceLang, targetLang) {
+    if (sourceLang && sourceLang !== 'auto') {
+      return [
+        this._pairKey(sourceLang, targetLang),
+        // 以"自动检测"保存的段落也可能是这个源语言
+        this._pairKey('auto', targetLang),
+      ];
+    }
+    return [...this.pairs.keys()].filter(pairKey => pairKey.endsWith(`>${targetLang}`));
+  }
+
+  /**
+   * 收集候选条目
+   */
+  _candidateEntries(sourceLang, targetLang) {
+    return this._candidatePairKeys(sourceLang, targetLang)
+      .flatMap(pairKey => this.pairs.get(pairKey) || []);
+  }
+
+  /**
+   * 删除条目
+   */
+  remove(id) {
+    let removed = false;
+    this.pairs.forEach((entries, pairKey) => {
+      const index = entries.findIndex(e => e.id === id);
+      if (index >= 0) {
+        const [entry] = entries.splice(index, 1);
+        this._unindex(pairKey, entry);
+        if (entries.length === 0) this.pairs.delete(pairKey);
+        removed = true;
+      }
+    });
+    if (removed) this.save();
+    return removed;
+  }
+
+  /**
+   * 获取所有条目（可按语言对过滤）
+   * @returns {Array<object>}
+   */
+  getEntries(sourceLang = null, targetLang = null) {
+    const result = [];
+    this.pairs.forEach((entries) => {
+      for (const entry of entries) {
+        if (sourceLang && entry.sourceLang !== sourceLang) continue;
+        if (targetLang && entry.targetLang !== targetLang) continue;
+        result.push(entry);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 删除指定数量的最旧条目（跨语言对按 updatedAt 排序）
+   */
+  evict(count) {
+    if (count <= 0) return;
+    const all = [];
+    this.pairs.forEach((entries, pairKey) => {
+      entries.forEach(entry => all.push({ pairKey, entry }));
+    });
+    all.sort((a, b) => a.entry.updatedAt - b.entry.updatedAt);
+
+    const toDelete = all.slice(0, count);
+    for (const { pairKey, entry } of toDelete) {
+      const entries = this.pairs.get(pairKey);
+      const index = entries.indexOf(entry);
+      if (index >= 0) entries.splice(index, 1);
+      this._unindex(pairKey, entry);
+      if (entries.length === 0) this.pairs.delete(pairKey);
+    }
+    logger.debug(`Evicted ${toDelete.length} old segments`);
+  }
+
+  /**
+   * 从完全匹配索引中移除条目
+   */
+  _unindex(pairKey, entry) {
+    const index = this.index.get(pairKey);
+    if (index?.get(entry.source) !== entry) return;
+    index.delete(entry.source);
+    if (index.size === 0) this.index.delete(pairKey);
+  }
+
+  /**
+   * 清空记忆库
+   */
+  clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.pairs.clear();
+    this.index.clear();
+    localStorage.removeItem(this.storageKey);
+    logger.debug('Translation memory cleared');
+  }
+
+  /**
+   * 统计信息
+   */
+  getStats() {
+    const pairs = {};
+    this.pairs.forEach((entries, pairKey) => {
+      pairs[pairKey] = entries.length;
+    });
+    return {
+      total: this.size,
+      maxSize: this.maxSize,
+      pairs,
+    };
+  }
+}
+
+// 单例导出
+const translationMemory = new TranslationMemory();
+
+export default translationMemory;
+export { TranslationMemory };
@@ -5,6 +5,8 @@
 // - 翻译统一入口（门面模式）
 // - 预处理（免译名单/正则保护）
 // - 两级缓存（L1 内存 + L2 持久化）
+// - 翻译记忆库（模糊匹配，模板和术语一致的 100% 匹配直接复用，其余作为参考译文）
+// - 术语注入（LLM 写进 prompt，机器翻译用占位符替换）
 // - 模板系统
 // - Provider 调度与 Fallback
 // - 后处理（恢复保护内容）
@@ -23,6 +25,7 @@ import {
   getMissingConfig,
   getAllProviderIds,
   getAllProvidersStatus,
+  getProviderMetadata,
   initConfigs,
   updateProviderConfig,
   DEFAULT_PRIORITY,
@@ -32,10 +35,33 @@ import { isProviderAllowed, PRIVACY_MODE_IDS } from '../config/privacy-modes.js'
 import { getEnabledFilters, DEFAULT_FILTERS } from '../config/filters.js';
 import { getSystemPrompt, LANGUAGE_NAMES } from '../config/templates.js';
 import translationCache from './cache.js';
+import translationMemory, { TM_MATCH } from './translation-memory.js';
+import { exportToTMX, importFromTMX, memoryToTMXUnits } from '../utils/tmx-io.js';
+import { RateLimiter } from '../utils/concurrency.js';
+import { matchGlossaryTerms, protectGlossaryTerms, glossarySignature } from '../utils/glossary-match.js';
 
 // 日志实例
 const logger = createLogger('Translation');
 
+// 翻译源实测延迟（指数滑动平均，新样本权重），持久化供文档任务预估耗时
+const LATENCY_STORAGE_KEY = 'translation-provider-latency';
+const LATENCY_SMOOTHING = 0.2;
+
+// 外部导入的记忆库条目来源（没有记录模板）
+const IMPORTED_MEMORY_ORIGINS = ['tmx', 'import'];
+
+// 批量翻译时段落之间的分隔行（与免译占位符同一种括号，术语替换会跳过它）
+const BATCH_SEPARATOR = '\n⟦SEP⟧\n';
+const BATCH_SPLIT_REGEX = /\s*\u27e6SEP\u27e7\s*/;
+
+function loadLatency() {
+  try {
+    return JSON.parse(localStorage.getItem(LATENCY_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
 // ========== 安全存储访问 ==========
 
 const secureStorage = {
@@ -64,6 +90,8 @@ class TranslationService {
     this._userPriority = null;  // 用户自定义优先级
     this._failureCount = {};    // 翻译源连续失败计数 { providerId: count }
     this._skipThreshold = 3;    // 连续失败多少次后跳过
+    this._rateLimiters = new Map();  // 每分钟请求数限制 { providerId: RateLimiter }
+    this._latency = loadLatency();   // 成功请求的平均耗时 { providerId: { ms, samples } }
     
     // ========== 新增：预处理过滤器 ==========
     this._filters = [];
@@ -292,18 +320,31 @@ class TranslationService {
     return result;
   }
 
+  /**
+   * 术语占位符替换（仅非 LLM 翻译源；LLM 通过 system prompt 获得术语）
+   * @returns {{ input: string, termMap: Map }}
+   */
+  _protectTerms(providerId, text, glossaryTerms) {
+    if (!glossaryTerms?.length || getProviderMetadata(providerId)?.type === 'llm') {
+      return { input: text, termMap: new Map() };
+    }
+    const { processed, protectedMap } = protectGlossaryTerms(text, glossaryTerms);
+    return { input: processed, termMap: protectedMap };
+  }
+
   // ========== 两级缓存 ==========
 
   /**
    * 生成缓存 Key
    */
   _getCacheKey(text, options) {
-    const { targetLang = 'zh', template = 'natural' } = options;
-    // 使用文本前100字符 + 长度 + 目标语言 + 模板
+    const { targetLang = 'zh', template = 'natural', glossaryTerms = [] } = options;
+    // 使用文本前100字符 + 长度 + 目标语言 + 模板（+ 命中术语的签名）
     const textKey = text.length > 100 
       ? text.substring(0, 100) + '_' + text.length 
       : text;
-    return `${targetLang}-${template}-${textKey}`;
+    const glossaryKey = glossaryTerms.length > 0 ? `g${glossarySignature(glossaryTerms)}-` : '';
+    return `${targetLang}-${template}-${glossaryKey}${textKey}`;
   }
 
   /**
@@ -414,6 +455,250 @@ class TranslationService {
     };
   }
 
+  // ========== 翻译记忆库 ==========
+
+  /**
+   * 检索翻译记忆库（无痕模式不读取）
+   * @param {string} text - 原文
+   * @param {object} options - { sourceLang, targetLang, useMemory, privacyMode }
+   * @returns {{score: number, source: string, target: string, id: string} | null}
+   */
+  lookupMemory(text, options = {}) {
+    const {
+      sourceLang = 'auto',
+      targetLang = 'zh',
+      useMemory = true,
+      privacyMode = PRIVACY_MODE_IDS.STANDARD,
+    } = options;
+
+    if (!useMemory || privacyMode === PRIVACY_MODE_IDS.SECURE) return null;
+
+    const match = translationMemory.getBestMatch(text, sourceLang, targetLang, {
+      minScore: TM_MATCH.FUZZY,
+    });
+    if (!match) return null;
+
+    logger.debug(`[TM] ${match.score}% match`);
+    return this._toMemoryMatch(match);
+  }
+
+  /**
+   * 只检索 100% 匹配（走记忆库的完全匹配索引，不做模糊比较）
+   * @param {string} text - 原文
+   * @param {object} options - { sourceLang, targetLang, useMemory, privacyMode }
+   * @returns {object|null} 与 lookupMemory 相同的结构
+   */
+  _lookupExactMemory(text, options = {}) {
+    const {
+      sourceLang = 'auto',
+      targetLang = 'zh',
+      useMemory = true,
+      privacyMode = PRIVACY_MODE_IDS.STANDARD,
+    } = options;
+
+    if (!useMemory || privacyMode === PRIVACY_MODE_IDS.SECURE) return null;
+    const match = translationMemory.findExact(text, sourceLang, targetLang);
+    return match ? this._toMemoryMatch(match) : null;
+  }
+
+  /**
+   * 记忆库条目转为检索结果
+   */
+  _toMemoryMatch(match) {
+    return {
+      id: match.id,
+      score: match.score,
+      source: match.source,
+      target: match.target,
+      origin: match.origin,
+      template: match.template,
+      glossary: match.glossary,
+    };
+  }
+
+  /**
+   * 原文中出现的术语的签名（没有术语时为空字符串），记入记忆库条目用于判断能否复用
+   */
+  _glossaryKey(glossaryTerms) {
+    return glossaryTerms?.length > 0 ? glossarySignature(glossaryTerms) : '';
+  }
+
+  /**
+   * 100% 匹配能否直接复用：条目记录的模板和术语须与本次一致
+   * TMX 导入的条目没有模板，只要求术语一致；其余条目不一致时只作参考译文
+   */
+  _isReusableMatch(tmMatch, { template, glossaryTerms }) {
+    if (tmMatch?.score !== TM_MATCH.EXACT) return false;
+    const templateMatches = tmMatch.template
+      ? tmMatch.template === template
+      : IMPORTED_MEMORY_ORIGINS.includes(tmMatch.origin);
+    return templateMatches && (tmMatch.glossary || '') === this._glossaryKey(glossaryTerms);
+  }
+
+  /**
+   * 可直接复用的 100% 匹配（文档翻译开始前用来排除不需要请求翻译源的段落）
+   * 已经调用过 lookupMemory 时传入其结果（options.tmMatch），不再重复检索
+   * @param {string} text - 原文
+   * @param {object} options - { sourceLang, targetLang, useMemory, privacyMode, template, glossary, tmMatch }
+   * @returns {object|null} lookupMemory 的结果
+   */
+  findReusableMemory(text, options = {}) {
+    const { template = 'natural', glossary = null } = options;
+    const tmMatch = options.tmMatch !== undefined ? options.tmMatch : this._lookupExactMemory(text, options);
+    if (tmMatch?.score !== TM_MATCH.EXACT) return null;
+    const glossaryTerms = matchGlossaryTerms(this._preProcess(text).processed, glossary);
+    return this._isReusableMatch(tmMatch, { template, glossaryTerms }) ? tmMatch : null;
+  }
+
+  /**
+   * 将用户采用 / 编辑 / 确认的译文写入翻译记忆库（无痕模式不写入）
+   * 同时记录模板和原文中出现的术语，只有两者都一致时才直接复用
+   * @param {string} source - 原文
+   * @param {string} target - 译文
+   * @param {object} options - { sourceLang, targetLang, privacyMode, origin, provider, template, glossary }
+   */
+  rememberTranslation(source, target, options = {}) {
+    const {
+      sourceLang = 'auto',
+      targetLang = 'zh',
+      privacyMode = PRIVACY_MODE_IDS.STANDARD,
+      origin,
+      provider,
+      template = 'natural',
+      glossary = null,
+    } = options;
+
+    if (privacyMode === PRIVACY_MODE_IDS.SECURE) return null;
+    if (!source?.trim() || !target?.trim()) return null;
+
+    const glossaryTerms = matchGlossaryTerms(this._preProcess(source).processed, glossary);
+    const meta = { template, glossary: this._glossaryKey(glossaryTerms) };
+    if (origin) meta.origin = origin;
+    if (provider) meta.provider = provider;
+    return translationMemory.add(source, target, sourceLang, targetLang, meta);
+  }
+
+  /**
+   * 导出翻译记忆库为 TMX
+   * @returns {{ content: string, count: number }}
+   */
+  exportMemoryTMX() {
+    const entries = translationMemory.getEntries();
+    return { content: exportToTMX(memoryToTMXUnits(entries)), count: entries.length };
+  }
+
+  /**
+   * 从 TMX 导入翻译记忆库
+   * @param {string} content - TMX 内容
+   * @param {object} options - { filename, overwrite }
+   * @returns {{ success: boolean, report?: object, error?: string }}
+   */
+  importMemoryTMX(content, options = {}) {
+    const { filename = '', overwrite = false } = options;
+    try {
+      const { units, invalid, unmappedLanguages } = importFromTMX(content);
+      const result = translationMemory.importEntries(units, { overwrite, origin: 'tmx' });
+      const languages = [...new Set(units.map(u => `${u.sourceLang}>${u.targetLang}`))];
+      return {
+        success: true,
+        report: {
+          filename,
+          total: units.length + invalid,
+          added: result.added,
+          duplicates: result.duplicates,
+          conflicts: result.conflicts,
+          skipped: invalid + result.invalid,
+          languages,
+          unmappedLanguages,
+        },
+      };
+    } catch (error) {
+      logger.error('TMX import failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 翻译记忆库统计
+   */
+  getMemoryStats() {
+    return translationMemory.getStats();
+  }
+
+  /**
+   * 清空翻译记忆库
+   */
+  clearMemory() {
+    translationMemory.clear();
+  }
+
+  /**
+   * 构建发送给 Provider 的 system prompt
+   * 模板 prompt + 仅对 LLM 类型附加的参考信息（模糊匹配的参考译文）
+   * @param {string} providerId
+   * @param {string} template
+   * @param {string} targetLang
+   * @param {object} extras - { tmMatch, context, glossaryTerms }
+   */
+  _buildSystemPrompt(providerId, template, targetLang, extras = {}) {
+    const systemPrompt = getSystemPrompt(template, targetLang);
+    if (getProviderMetadata(providerId)?.type !== 'llm') {
+      return systemPrompt;
+    }
+
+    const sections = [systemPrompt];
+    const { tmMatch, context, glossaryTerms } = extras;
+
+    // 只附带原文中出现的术语
+    if (glossaryTerms?.length > 0) {
+      sections.push(
+        'Glossary (MUST use these translations for the terms that appear in the text):\n' +
+        glossaryTerms.map(term => `${term.source} → ${term.target}`).join('\n')
+      );
+    }
+
+    // 文档上下文只供参考，不参与输出
+    if (context) {
+      const lines = ['Document context (read-only: use it for consistent pronouns, tense and terminology; do NOT translate or output it):'];
+      if (context.headingPath?.length > 0) {
+        lines.push(`Current section: ${context.headingPath.join(' > ')}`);
+      }
+      if (context.pairs?.length > 0) {
+        lines.push('Preceding passages and their translations:');
+        for (const pair of context.pairs) {
+          lines.push(`Source: ${pair.source}\nTranslation: ${pair.target}`);
+        }
+      }
+      sections.push(lines.join('\n'));
+    }
+
+    // 不能直接复用的匹配（包括模板 / 术语不同的 100% 匹配）作为参考
+    if (tmMatch) {
+      sections.push(
+        `Reference translation from translation memory (${tmMatch.score}% similar source). ` +
+        `Reuse its wording where the meaning matches, but translate the actual text:\n` +
+        `Source: ${tmMatch.source}\nTranslation: ${tmMatch.target}`
+      );
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * 批量请求的 system prompt：LLM 额外说明分隔行的格式
+   * @param {number} count - 段落数
+   */
+  _buildBatchSystemPrompt(providerId, template, targetLang, count, extras = {}) {
+    const systemPrompt = this._buildSystemPrompt(providerId, template, targetLang, extras);
+    if (getProviderMetadata(providerId)?.type !== 'llm') {
+      return systemPrompt;
+    }
+    return `${systemPrompt}\n\n` +
+      `The text contains ${count} passages separated by lines containing only ${BATCH_SEPARATOR.trim()}. ` +
+      `Translate each passage separately, keep every separator line unchanged, ` +
+      `and output exactly ${count} passages in the same order.`;
+  }
+
   // ========== 模式管理 ==========
 
   setMode(mode) {
@@ -437,6 +722,57 @@ class TranslationService {
     return DEFAULT_PRIORITY[this._mode] || DEFAULT_PRIORITY.normal;
   }
 
+  /**
+   * 设置各翻译源每分钟请求数上限（<= 0 或未设置表示不限制）
+   * @param {Object<string, number>} limits - { providerId: rpm }
+   */
+  setRateLimits(limits = {}) {
+    for (const [id, rpm] of Object.entries(limits)) {
+      if (rpm > 0) {
+        const limiter = this._rateLimiters.get(id);
+        if (limiter) limiter.rpm = rpm;
+        else this._rateLimiters.set(id, new RateLimiter(rpm));
+      } else {
+        this._rateLimiters.delete(id);
+      }
+    }
+    for (const id of this._rateLimiters.keys()) {
+      if (!(limits[id] > 0)) this._rateLimiters.delete(id);
+    }
+  }
+
+  getRateLimits() {
+    return Object.fromEntries([...this._rateLimiters].map(([id, limiter]) => [id, limiter.rpm]));
+  }
+
+  /**
+   * 翻译源的请求延迟
+   * @param {string} providerId
+   * @returns {{ ms: number|null, samples: number, level: string }}
+   *   ms 为实测平均耗时（还没有成功请求时为 null），level 为翻译源声明的延迟等级
+   */
+  getProviderLatency(providerId) {
+    const measured = this._latency[providerId];
+    return {
+      ms: measured?.ms ?? null,
+      samples: measured?.samples || 0,
+      level: getProvider(providerId)?.latencyLevel || 'medium',
+    };
+  }
+
+  _recordLatency(providerId, ms) {
+    const previous = this._latency[providerId];
+    this._latency[providerId] = {
+      ms: previous ? Math.round(previous.ms + (ms - previous.ms) * LATENCY_SMOOTHING) : ms,
+      samples: (previous?.samples || 0) + 1,
+    };
+    try {
+      localStorage.setItem(LATENCY_STORAGE_KEY, JSON.stringify(this._latency));
+    } catch (error) {
+      logger.warn('Save latency error:', error);
+    }
+  }
+
   resetFailureCount(providerId = null) {
     if (providerId) {
       this._failureCount[providerId] = 0;
@@ -456,7 +792,7 @@ class TranslationService {
   /**
    * 翻译文本（统一入口）
    * @param {string} text - 要翻译的文本
-   * @param {object} options - 选项
+   * @param {object} options - 选项（调用方已检索过记忆库时可传入 tmMatch，省去再次检索）
    * @returns {Promise<{success: boolean, text?: string, error?: string, provider?: string, fromCache?: boolean}>}
    */
   async translate(text, options = {}) {
@@ -468,17 +804,37 @@ class TranslationService {
       sourceLang = 'auto',
       targetLang = 'zh',
       template = 'natural',
+      provider: preferredProvider = null,
+      context = null,
+      glossary = null,
       mode = this._mode,
       enableFallback = true,
       privacyMode = PRIVACY_MODE_IDS.STANDARD,
       useCache = true,
+      useMemory = true,
     } = options;
     
     // ========== Phase 1: 预处理（免译名单）==========
     const { processed, protectedMap } = this._preProcess(text);
     
+    // 原文中出现的术语
+    const glossaryTerms = matchGlossaryTerms(processed, glossary);
+    
+    // ========== Phase 1.5: 翻译记忆库（模板和术语一致的 100% 匹配直接复用）==========
+    const tmMatch = options.tmMatch !== undefined
+      ? options.tmMatch
+      : this.lookupMemory(text, { sourceLang, targetLang, useMemory, privacyMode });
+    if (this._isReusableMatch(tmMatch, { template, glossaryTerms })) {
+      return {
+        success: true,
+        text: tmMatch.target,
+        fromMemory: true,
+        tmMatch,
+      };
+    }
+    
     // ========== Phase 2: 检查缓存 ==========
-    const cacheKey = this._getCacheKey(processed, { targetLang, template });
+    const cacheKey = this._getCacheKey(processed, { targetLang, template, glossaryTerms });
     const cached = this._checkCache(cacheKey, { useCache, privacyMode });
     
     if (cached) {
@@ -489,11 +845,15 @@ class TranslationService {
         text: this._postProcess(cachedText, protectedMap),
         fromCache: true,
         cacheSource: cached.source,
+        tmMatch,
       };
     }
     
     // ========== Phase 3: 调用 Provider ==========
-    const priority = this.getPriority();
+    // 指定了翻译源时优先尝试，失败后仍按优先级回退
+    const priority = preferredProvider
+      ? [preferredProvider, ...this.getPriority().filter(id => id !== preferredProvider)]
+      : this.getPriority();
     const tried = [];
     let allSkipped = true;
     
@@ -522,25 +882,34 @@ class TranslationService {
       try {
         logger.debug(`Trying provider: ${id}`);
         
-        // 获取模板 system prompt
-        const systemPrompt = getSystemPrompt(template, targetLang);
+        // 获取模板 system prompt（LLM 附带参考译文和术语）
+        const systemPrompt = this._buildSystemPrompt(id, template, targetLang, { tmMatch, context, glossaryTerms });
+        
+        // 机器翻译源不读 prompt，术语用占位符替换
+        const { input, termMap } = this._protectTerms(id, processed, glossaryTerms);
+        
+        // 遵守每分钟请求数限制
+        await this._rateLimiters.get(id)?.acquire();
         
         // 调用 Provider
-        const result = await provider.translate(processed, sourceLang, targetLang, {
+        const startedAt = Date.now();
+        const result = await provider.translate(input, sourceLang, targetLang, {
           systemPrompt,
           template,
         });
         
         if (result.success) {
-          // 成功：重置失败计数
+          // 成功：重置失败计数，记录耗时
           this._failureCount[id] = 0;
+          this._recordLatency(id, Date.now() - startedAt);
           
           // ========== Phase 4: 后处理 ==========
-          const finalText = this._postProcess(result.text, protectedMap);
+          const rawText = this._postProcess(result.text, termMap);
+          const finalText = this._postProcess(rawText, protectedMap);
           
           // ========== Phase 5: 写入缓存 ==========
           this._saveCache(cacheKey, { 
-            text: result.text,  // 存原始结果（不含后处理）
+            text: rawText,  // 存原始结果（不含免译内容的后处理）
             from: sourceLang, 
             to: targetLang 
           }, { useCache, privacyMode });
@@ -550,6 +919,7 @@ class TranslationService {
             text: finalText,
             provider: id,
             fromCache: false,
+            tmMatch,
           };
         }
         
@@ -586,6 +956,170 @@ class TranslationService {
     };
   }
 
+  /**
+   * 批量翻译：多个段落用分隔行拼成一个请求（文档翻译的批量模式）
+   * 每个段落先各自查记忆库和缓存，只把剩下的段落交给翻译源；
+   * 返回的段数与发送的不一致时视为失败，由调用方回退到逐段翻译
+   * @param {string[]} texts - 段落原文
+   * @param {object} options - 与 translate 相同
+   * @returns {Promise<{success: boolean, translations?: string[], provider?: string, requestedIndexes?: number[], error?: string}>}
+   *   requestedIndexes 为实际发送给翻译源的段落下标
+   */
+  async translateBatch(texts, options = {}) {
+    if (!this._initialized) {
+      await this.init();
+    }
+
+    const {
+      sourceLang = 'auto',
+      targetLang = 'zh',
+      template = 'natural',
+      provider: preferredProvider = null,
+      context = null,
+      glossary = null,
+      enableFallback = true,
+      privacyMode = PRIVACY_MODE_IDS.STANDARD,
+      useCache = true,
+      useMemory = true,
+    } = options;
+
+    // ========== Phase 1: 逐段预处理、查记忆库和缓存 ==========
+    const translations = new Array(texts.length).fill(null);
+    const items = [];
+    texts.forEach((text, index) => {
+      const { processed, protectedMap } = this._preProcess(text);
+      const glossaryTerms = matchGlossaryTerms(processed, glossary);
+
+      // 批量请求不带参考译文，只需要完全匹配
+      const tmMatch = this._lookupExactMemory(text, { sourceLang, targetLang, useMemory, privacyMode });
+      if (this._isReusableMatch(tmMatch, { template, glossaryTerms })) {
+        translations[index] = tmMatch.target;
+        return;
+      }
+
+      const cacheKey = this._getCacheKey(processed, { targetLang, template, glossaryTerms });
+      const cached = this._checkCache(cacheKey, { useCache, privacyMode });
+      if (cached) {
+        const cachedText = cached.value?.translated || cached.value?.text || cached.value;
+        translations[index] = this._postProcess(cachedText, protectedMap);
+        return;
+      }
+
+      items.push({ index, processed, protectedMap, cacheKey });
+    });
+
+    if (items.length === 0) {
+      return { success: true, translations, requestedIndexes: [] };
+    }
+
+    const requestedIndexes = items.map(item => item.index);
+    const joined = items.map(item => item.processed).join(BATCH_SEPARATOR);
+    // 整批原文中出现的术语（分隔行在占位符括号内，不参与匹配）
+    const glossaryTerms = matchGlossaryTerms(joined, glossary);
+
+    // ========== Phase 2: 调用 Provider（一个请求）==========
+    const priority = preferredProvider
+      ? [preferredProvider, ...this.getPriority().filter(id => id !== preferredProvider)]
+      : this.getPriority();
+    const tried = [];
+    let allSkipped = true;
+
+    for (const id of priority) {
+      if (!isProviderAllowed(id, privacyMode)) {
+        logger.debug(`Provider ${id} not allowed in ${privacyMode} mode`);
+        continue;
+      }
+
+      if (!isProviderConfigured(id)) continue;
+
+      if (this._failureCount[id] >= this._skipThreshold) {
+        logger.debug(`Skipping ${id} (failed ${this._failureCount[id]} times)`);
+        continue;
+      }
+
+      allSkipped = false;
+
+      const provider = getProvider(id);
+      if (!provider) continue;
+
+      tried.push(id);
+
+      try {
+        logger.debug(`Trying provider: ${id} (batch of ${items.length})`);
+
+        // LLM 附带文档上下文（批次第一段的前文）和术语
+        const systemPrompt = this._buildBatchSystemPrompt(id, template, targetLang, items.length, {
+          context,
+          glossaryTerms,
+        });
+
+        // 机器翻译源不读 prompt，术语用占位符替换
+        const { input, termMap } = this._protectTerms(id, joined, glossaryTerms);
+
+        await this._rateLimiters.get(id)?.acquire();
+
+        const startedAt = Date.now();
+        const result = await provider.translate(input, sourceLang, targetLang, {
+          systemPrompt,
+          template,
+        });
+
+        if (result.success) {
+          this._failureCount[id] = 0;
+          this._recordLatency(id, Date.now() - startedAt);
+
+          const parts = result.text.trim().split(BATCH_SPLIT_REGEX);
+          if (parts.length !== items.length) {
+            logger.warn(`Batch split mismatch from ${id}: expected ${items.length}, got ${parts.length}`);
+            return { success: false, error: 'Batch split mismatch', provider: id, requestedIndexes };
+          }
+
+          // ========== Phase 3: 逐段后处理、写入缓存 ==========
+          items.forEach((item, i) => {
+            const rawText = this._postProcess(parts[i], termMap);
+            translations[item.index] = this._postProcess(rawText, item.protectedMap);
+            this._saveCache(item.cacheKey, {
+              text: rawText,
+              from: sourceLang,
+              to: targetLang,
+            }, { useCache, privacyMode });
+          });
+
+          return { success: true, translations, provider: id, requestedIndexes };
+        }
+
+        this._failureCount[id] = (this._failureCount[id] || 0) + 1;
+        logger.warn(`Provider ${id} failed (${this._failureCount[id]}/${this._skipThreshold})`);
+
+        if (!enableFallback) {
+          return { success: false, error: result.error, provider: id, requestedIndexes };
+        }
+
+      } catch (error) {
+        this._failureCount[id] = (this._failureCount[id] || 0) + 1;
+        logger.error(`Provider ${id} error:`, error);
+
+        if (!enableFallback) {
+          return { success: false, error: error.message, provider: id, requestedIndexes };
+        }
+      }
+    }
+
+    if (allSkipped && Object.keys(this._failureCount).length > 0) {
+      logger.debug('All providers skipped, resetting failure counts...');
+      this._failureCount = {};
+      return this.translateBatch(texts, options);
+    }
+
+    return {
+      success: false,
+      error: tried.length > 0
+        ? `所有翻译源均失败 (尝试了: ${tried.join(', ')})`
+        : '没有可用的翻译源',
+      requestedIndexes,
+    };
+  }
+
   /**
    * 流式翻译
    * @param {string} text - 要翻译的文本
@@ -601,17 +1135,34 @@ class TranslationService {
       sourceLang = 'auto',
       targetLang = 'zh',
       template = 'natural',
+      glossary = null,
       mode = this._mode,
       enableFallback = true,
       privacyMode = PRIVACY_MODE_IDS.STANDARD,
       useCache = true,
+      useMemory = true,
     } = options;
     
     // 预处理
     const { processed, protectedMap } = this._preProcess(text);
+    const glossaryTerms = matchGlossaryTerms(processed, glossary);
+    
+    // 翻译记忆库：模板和术语一致的 100% 匹配直接返回
+    const tmMatch = this.lookupMemory(text, { sourceLang, targetLang, useMemory, privacyMode });
+    if (this._isReusableMatch(tmMatch, { template, glossaryTerms })) {
+      if (onChunk) {
+        onChunk(tmMatch.target);
+      }
+      return {
+        success: true,
+        text: tmMatch.target,
+        fromMemory: true,
+        tmMatch,
+      };
+    }
     
     // 检查缓存（流式也可以用缓存，直接返回完整结果）
-    const cacheKey = this._getCacheKey(processed, { targetLang, template });
+    const cacheKey = this._getCacheKey(processed, { targetLang, template, glossaryTerms });
     const cached = this._checkCache(cacheKey, { useCache, privacyMode });
     
     if (cached) {
@@ -627,6 +1178,7 @@ class TranslationService {
         success: true,
         text: finalText,
         fromCache: true,
+        tmMatch,
       };
     }
     
@@ -651,7 +1203,8 @@ class TranslationService {
       try {
         logger.debug(`Trying stream provider: ${id}`);
         
-        const systemPrompt = getSystemPrompt(template, targetLang);
+        const systemPrompt = this._buildSystemPrompt(id, template, targetLang, { tmMatch, glossaryTerms });
+        const { input, termMap } = this._protectTerms(id, processed, glossaryTerms);
         
         // 检查 Provider 是否支持真流式
         if (provider.supportsStreaming && typeof provider.translateStream === 'function') {
@@ -659,14 +1212,14 @@ class TranslationService {
           let fullText = '';
           
           const result = await provider.translateStream(
-            processed,
+            input,
             sourceLang,
             targetLang,
             (chunk) => {
               fullText += chunk;
               if (onChunk) {
                 // 实时后处理（可能有部分占位符）
-                onChunk(this._postProcess(fullText, protectedMap));
+                onChunk(this._postProcess(this._postProcess(fullText, termMap), protectedMap));
               }
             },
             { systemPrompt, template }
@@ -675,11 +1228,12 @@ class TranslationService {
           if (result.success) {
             this._failureCount[id] = 0;
             
-            const finalText = this._postProcess(result.text || fullText, protectedMap);
+            const rawText = this._postProcess(result.text || fullText, termMap);
+            const finalText = this._postProcess(rawText, protectedMap);
             
             // 写入缓存
             this._saveCache(cacheKey, { 
-              text: result.text || fullText, 
+              text: rawText, 
               from: sourceLang, 
               to: targetLang 
             }, { useCache, privacyMode });
@@ -689,11 +1243,12 @@ class TranslationService {
               text: finalText,
               provider: id,
               fromCache: false,
+              tmMatch,
             };
           }
         } else {
           // 不支持真流式，回退到普通翻译
-          const result = await provider.translate(processed, sourceLang, targetLang, {
+          const result = await provider.translate(input, sourceLang, targetLang, {
             systemPrompt,
             template,
           });
@@ -701,7 +1256,8 @@ class TranslationService {
           if (result.success) {
             this._failureCount[id] = 0;
             
-            const finalText = this._postProcess(result.text, protectedMap);
+            const rawText = this._postProcess(result.text, termMap);
+            const finalText = this._postProcess(rawText, protectedMap);
             
             // 一次性返回
             if (onChunk) {
@@ -709,7 +1265,7 @@ class TranslationService {
             }
             
             this._saveCache(cacheKey, { 
-              text: result.text, 
+              text: rawText, 
               from: sourceLang, 
               to: targetLang 
             }, { useCache, privacyMode });
@@ -719,6 +1275,7 @@ class TranslationService {
               text: finalText,
               provider: id,
               fromCache: false,
+              tmMatch,
             };
           }
         }
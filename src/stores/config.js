@@ -44,6 +44,7 @@ const useConfigStore = create(
         autoPin: true,
         rememberPosition: true,
         smartDetect: true,
+        useGlossary: true,
       },
       
       // ========== Actions ==========
@@ -22,6 +22,14 @@ import { v4 as uuidv4 } from "uuid";
 import { PRIVACY_MODES, TRANSLATION_STATUS, LANGUAGE_CODES, DEFAULTS, PROVIDER_IDS } from "@config/defaults";
 import { getModeFeatures } from "@config/privacy-modes";
 import createLogger from '../utils/logger.js';
+import {
+  exportToTMX,
+  importFromTMX,
+  historyToTMXUnits,
+  favoritesToTMXUnits,
+  tmxUnitKey,
+  dedupeTMXUnits,
+} from '../utils/tmx-io.js';
 const logger = createLogger('TranslationStore');
 
 // Service 引用（延迟绑定，避免循环依赖）
@@ -45,6 +53,7 @@ const useTranslationStore = create(
       // 当前翻译任务
       translationMode: PRIVACY_MODES.STANDARD, // 'standard' | 'secure' | 'offline'
       useStreamOutput: true, // 是否使用流式输出（打字机效果）
+      useGlossary: true, // 翻译时注入术语库
       autoTranslate: false, // 是否自动翻译
       autoTranslateDelay: 500, // 自动翻译延迟（毫秒）
       currentTranslation: {
@@ -162,6 +171,11 @@ const useTranslationStore = create(
           state.useStreamOutput = value;
         }),
 
+      setUseGlossary: (value) =>
+        set((state) => {
+          state.useGlossary = value;
+        }),
+
       setAutoTranslate: (value) =>
         set((state) => {
           state.autoTranslate = value;
@@ -230,6 +244,12 @@ const useTranslationStore = create(
         return service.batchTranslate(texts, options);
       },
 
+      // 采用当前译文：写入翻译记忆库（委托给 Service）
+      acceptTranslation: async () => {
+        const service = await getMainTranslation();
+        return service.acceptTranslation();
+      },
+
       // OCR 识别（委托给 Service）
       recognizeImage: async (image, options = {}) => {
         const service = await getMainTranslation();
@@ -271,10 +291,12 @@ const useTranslationStore = create(
             favoriteItem.folderId = 'style_library';
             favoriteItem.isStyleReference = true;
           }
+          // 术语库允许同一原文有多条译文（推荐译法 + 禁用译法）
           const exists = state.favorites.some(
             (f) =>
               f.sourceText === favoriteItem.sourceText &&
-              f.targetLanguage === favoriteItem.targetLanguage
+              f.targetLanguage === favoriteItem.targetLanguage &&
+              (favoriteItem.folderId !== 'glossary' || f.translatedText === favoriteItem.translatedText)
           );
           if (!exists) state.favorites.unshift(favoriteItem);
         }),
@@ -531,12 +553,51 @@ const useTranslationStore = create(
 
       exportHistory: (format = "json") => {
         const data = get().history;
+        if (format === "tmx") {
+          return exportToTMX(historyToTMXUnits(data));
+        }
         return data; // 仅返回数据，让组件处理下载逻辑
       },
 
       importHistory: async (file) => {
         try {
           const text = await file.text();
+
+          // TMX：按 原文+译文+语言对 去重，返回合并报告
+          if (file.name?.toLowerCase().endsWith(".tmx")) {
+            const { units, invalid, unmappedLanguages } = importFromTMX(text);
+            const existingKeys = new Set(
+              get().history.map((h) =>
+                tmxUnitKey(h.sourceText, h.translatedText, h.sourceLanguage, h.targetLanguage)
+              )
+            );
+            const { fresh, report } = dedupeTMXUnits(units, existingKeys, {
+              filename: file.name,
+              invalid,
+              unmappedLanguages,
+            });
+            let kept = 0;
+            set((state) => {
+              const newItems = fresh.map((unit) => ({
+                id: uuidv4(),
+                sourceText: unit.source,
+                translatedText: unit.target,
+                sourceLanguage: unit.sourceLang,
+                targetLanguage: unit.targetLang,
+                timestamp: unit.createdAt,
+                source: "tmx",
+              }));
+              state.history = [...newItems, ...state.history]
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+                .slice(0, state.historyLimit);
+              // 超出历史记录上限被截掉的条目不算新增
+              const newIds = new Set(newItems.map((item) => item.id));
+              kept = state.history.filter((item) => newIds.has(item.id)).length;
+            });
+            const result = { ...report, added: kept, dropped: fresh.length - kept };
+            return { success: true, count: kept, report: result };
+          }
+
           const data = JSON.parse(text);
           if (Array.isArray(data)) {
             set((state) => {
@@ -554,6 +615,65 @@ const useTranslationStore = create(
         }
       },
 
+      /**
+       * 导出收藏为 TMX
+       * @param {string} folderId - 文件夹 ID，'all' 为全部，'uncategorized' 为未分类
+       */
+      exportFavoritesTMX: (folderId = "all") => {
+        const items = get().favorites.filter((f) => {
+          if (folderId === "all") return true;
+          if (folderId === "uncategorized") return !f.folderId;
+          return f.folderId === folderId;
+        });
+        return { content: exportToTMX(favoritesToTMXUnits(items)), count: items.length };
+      },
+
+      /**
+       * 从 TMX 导入收藏
+       * 指定 folderId 时全部放入该文件夹；否则按 x-folder 还原（仅限 knownFolderIds 中存在的文件夹）
+       * @param {string} content - TMX 内容
+       * @param {object} options - { filename, folderId, knownFolderIds }
+       * @returns {{ success: boolean, report?: object, error?: string }}
+       */
+      importFavoritesTMX: (content, { filename = "", folderId = null, knownFolderIds = [] } = {}) => {
+        try {
+          const { units, invalid, unmappedLanguages } = importFromTMX(content);
+          const existingKeys = new Set(
+            get().favorites.map((f) =>
+              tmxUnitKey(f.sourceText, f.translatedText, f.sourceLanguage, f.targetLanguage)
+            )
+          );
+          const { fresh, report } = dedupeTMXUnits(units, existingKeys, {
+            filename,
+            invalid,
+            unmappedLanguages,
+          });
+          set((state) => {
+            const newItems = fresh.map((unit) => {
+              const fileFolder = unit.props?.["x-folder"];
+              const targetFolder = folderId || (knownFolderIds.includes(fileFolder) ? fileFolder : null);
+              const tags = unit.props?.["x-tags"];
+              return {
+                id: uuidv4(),
+                sourceText: unit.source,
+                translatedText: unit.target,
+                sourceLanguage: unit.sourceLang,
+                targetLanguage: unit.targetLang,
+                timestamp: unit.createdAt,
+                tags: tags ? tags.split(",").map((t) => t.trim()).filter(Boolean) : [],
+                folderId: targetFolder,
+                isStyleReference: targetFolder === "style_library",
+                ...(unit.note ? { note: unit.note } : {}),
+              };
+            });
+            state.favorites = [...newItems, ...state.favorites];
+          });
+          return { success: true, report };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      },
+
       searchHistory: (query) => {
         const searchTerm = query.toLowerCase();
         return get().history.filter(
@@ -573,16 +693,17 @@ const useTranslationStore = create(
       },
 
       /**
-       * 获取术语表（从收藏的术语库文件夹中提取）
-       * @returns {Array<{source: string, target: string}>} 术语列表
+       * 获取术语表（从收藏的术语库文件夹中提取，不含禁用译法条目）
+       * @returns {Array<{source: string, target: string, caseSensitive?: boolean}>} 术语列表
        */
       getGlossaryTerms: () => {
         const state = get();
         return state.favorites
-          .filter(item => item.folderId === 'glossary')
+          .filter(item => item.folderId === 'glossary' && !item.forbidden)
           .map(item => ({
             source: item.sourceText,
             target: item.translatedText,
+            ...(item.caseSensitive ? { caseSensitive: true } : {}),
           }))
           .filter(term => term.source && term.target);
       },
@@ -624,6 +745,7 @@ const useTranslationStore = create(
         statistics: state.statistics,
         // 持久化隐私模式
         translationMode: state.translationMode,
+        useGlossary: state.useGlossary,
         // 只持久化语言设置，不持久化翻译内容
         currentTranslation: {
           sourceLanguage: state.currentTranslation.sourceLanguage,
@@ -635,4 +757,21 @@ const useTranslationStore = create(
   )
 );
 
+// 划词、玻璃窗口等独立窗口：主窗口修改术语库（收藏）后通过 storage 事件同步到本窗口的 store
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key === 'translation-store') {
+      useTranslationStore.persist.rehydrate();
+    }
+  });
+}
+
+/**
+ * 当前的术语表（独立窗口中已随 storage 事件同步，直接读内存）
+ * @returns {Array<{source: string, target: string}>}
+ */
+export function loadGlossaryTerms() {
+  return useTranslationStore.getState().getGlossaryTerms();
+}
+
 export default useTranslationStore;
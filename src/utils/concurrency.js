@@ -0,0 +1,79 @@
+// src/utils/concurrency.js
+// 并发控制：固定并发数的任务池 + 每分钟请求数（RPM）限制
+//
+// runConcurrent 不保证完成顺序，调用方按段落 id 回写结果
+// RateLimiter 使用 60 秒滑动窗口，等待者按到达顺序放行
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 以固定并发数处理任务
+ * @param {Array} items
+ * @param {number} limit - 同时进行的任务数
+ * @param {(item: any, index: number) => Promise<void>} worker
+ * @param {object} [options]
+ * @param {() => boolean} [options.shouldStop] - 返回 true 时不再开始新任务（进行中的任务照常完成）
+ * @returns {Promise<void>}
+ */
+export async function runConcurrent(items, limit, worker, options = {}) {
+  const { shouldStop } = options;
+  let next = 0;
+
+  const runner = async () => {
+    while (next < items.length && !shouldStop?.()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  const count = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: count }, runner));
+}
+
+/**
+ * 每分钟请求数限制
+ */
+export class RateLimiter {
+  /**
+   * @param {number} rpm - 每分钟最多请求数（<= 0 表示不限制）
+   * @param {object} [options]
+   * @param {number} [options.windowMs=60000]
+   */
+  constructor(rpm, options = {}) {
+    this.rpm = rpm;
+    this.windowMs = options.windowMs ?? 60000;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 等待直到可以发出下一个请求
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(() => this._take());
+    // 某个等待者出错不影响后续排队
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async _take() {
+    if (!(this.rpm > 0)) return;
+    for (;;) {
+      const now = Date.now();
+      while (this.timestamps.length > 0 && now - this.timestamps[0] >= this.windowMs) {
+        this.timestamps.shift();
+      }
+      if (this.timestamps.length < this.rpm) {
+        this.timestamps.push(now);
+        return;
+      }
+      await sleep(this.timestamps[0] + this.windowMs - now);
+    }
+  }
+}
+
+export default {
+  runConcurrent,
+  RateLimiter,
+};
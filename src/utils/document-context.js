@@ -0,0 +1,104 @@
+// src/utils/document-context.js
+// 滚动上下文：翻译当前批次时附带前文的 原文/译文 对和所在章节路径
+//
+// 上下文只作参考（由 translation.js 拼进 LLM 的 system prompt），不参与翻译输出
+// 总量按 estimateTokens 估算，不超过预算；超出时先丢弃最早的段落
+
+import { estimateTokens } from './document-parser.js';
+
+/**
+ * 默认设置
+ */
+export const DEFAULT_CONTEXT_OPTIONS = {
+  maxTokens: 600,  // 上下文 token 预算
+  maxPairs: 5,     // 最多附带的前文段落数
+};
+
+/**
+ * 段落所在的章节路径（从顶级标题到最近的标题）
+ * @param {Array} headings - detectHeadings 的结果（按文档顺序）
+ * @param {Array} segments - 当前段落列表（用于确定先后顺序）
+ * @param {number} index - 当前段落在 segments 中的位置
+ * @returns {string[]}
+ */
+export function getHeadingPath(headings, segments, index) {
+  const positions = new Map(segments.map((segment, i) => [segment.id, i]));
+  const stack = [];
+  for (const heading of headings) {
+    const position = positions.get(heading.segmentId);
+    if (position === undefined || position > index) continue;
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+  }
+  return stack.map(heading => heading.text);
+}
+
+/**
+ * 标题下的整个章节：从该标题到下一个同级或更高级标题之前的段落
+ * @param {Array} headings - detectHeadings 的结果（按文档顺序）
+ * @param {Array} segments - 当前段落列表
+ * @param {*} headingSegmentId - 标题所在段落的 id
+ * @returns {Array} 章节内的段落（含标题本身），找不到标题时为空
+ */
+export function getSectionSegments(headings, segments, headingSegmentId) {
+  const heading = headings.find(h => h.segmentId === headingSegmentId);
+  const start = segments.findIndex(segment => segment.id === headingSegmentId);
+  if (!heading || start < 0) return [];
+  const positions = new Map(segments.map((segment, i) => [segment.id, i]));
+  let end = segments.length;
+  for (const next of headings) {
+    const position = positions.get(next.segmentId);
+    if (position > start && position < end && next.level <= heading.level) end = position;
+  }
+  return segments.slice(start, end);
+}
+
+/**
+ * 构造当前批次的上下文
+ * @param {Array} segments - 当前段落列表（含已完成的译文）
+ * @param {number} index - 批次第一个段落在 segments 中的位置
+ * @param {object} [options]
+ * @param {Array} [options.headings] - detectHeadings 的结果
+ * @param {number} [options.maxTokens=600]
+ * @param {number} [options.maxPairs=5]
+ * @returns {{ headingPath: string[], pairs: Array<{ source: string, target: string }>, tokens: number }|null}
+ */
+export function buildDocumentContext(segments, index, options = {}) {
+  const { headings = [], maxTokens, maxPairs } = { ...DEFAULT_CONTEXT_OPTIONS, ...options };
+  if (index < 0 || maxTokens <= 0) return null;
+
+  let headingPath = getHeadingPath(headings, segments, index);
+  let tokens = estimateTokens(headingPath.join(' > '));
+  // 章节路径本身超出预算时只保留最近的标题
+  while (headingPath.length > 1 && tokens > maxTokens) {
+    headingPath = headingPath.slice(1);
+    tokens = estimateTokens(headingPath.join(' > '));
+  }
+  if (tokens > maxTokens) {
+    headingPath = [];
+    tokens = 0;
+  }
+
+  // 从紧邻的前文往前取已完成的段落
+  const pairs = [];
+  for (let i = index - 1; i >= 0 && pairs.length < maxPairs; i--) {
+    const segment = segments[i];
+    if (segment.status !== 'completed' || !segment.translated) continue;
+    const cost = estimateTokens(segment.original) + estimateTokens(segment.translated);
+    if (tokens + cost > maxTokens) break;
+    pairs.unshift({ source: segment.original, target: segment.translated });
+    tokens += cost;
+  }
+
+  if (headingPath.length === 0 && pairs.length === 0) return null;
+  return { headingPath, pairs, tokens };
+}
+
+export default {
+  DEFAULT_CONTEXT_OPTIONS,
+  getHeadingPath,
+  getSectionSegments,
+  buildDocumentContext,
+};
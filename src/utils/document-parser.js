@@ -2,6 +2,20 @@
 // 文档解析工具 - 支持多种格式的文件解析和智能分段
 
 import createLogger from './logger.js';
+import { parseXLIFF, exportXLIFF } from './formats/xliff.js';
+import { parsePO, exportPO } from './formats/po.js';
+import { parseI18nJSON, exportI18nJSON } from './formats/i18n-json.js';
+import { isAndroidStringsXML, parseAndroidStrings, exportAndroidStrings } from './formats/android-strings.js';
+import { parseAppleStrings, exportAppleStrings } from './formats/apple-strings.js';
+import { parseYAML, exportYAML } from './formats/yaml.js';
+import { parseMarkdown, exportMarkdown } from './formats/markdown.js';
+import { parseHTML, exportHTML } from './formats/html.js';
+import { parseASS, exportASS } from './formats/ass.js';
+import { parseDOCXPackage, exportDOCXPackage } from './formats/docx.js';
+import { parseEPUBPackage, exportEPUB } from './formats/epub.js';
+import { parsePPTX, exportPPTX } from './formats/pptx.js';
+import { parseXLSX, exportXLSX } from './formats/xlsx.js';
+import { INLINE_PLACEHOLDER_REGEX, restoreInlineTags } from './formats/xml-utils.js';
 const logger = createLogger('DocumentParser');
 
 /**
@@ -10,24 +24,54 @@ const logger = createLogger('DocumentParser');
 export const SUPPORTED_FORMATS = {
   // 文本
   txt: { name: '纯文本', mime: 'text/plain', parser: 'text' },
-  md: { name: 'Markdown', mime: 'text/markdown', parser: 'text' },
+  md: { name: 'Markdown', mime: 'text/markdown', parser: 'markdown' },
+  markdown: { name: 'Markdown', mime: 'text/markdown', parser: 'markdown' },
+  html: { name: 'HTML 网页', mime: 'text/html', parser: 'html' },
+  htm: { name: 'HTML 网页', mime: 'text/html', parser: 'html' },
   
   // 字幕
   srt: { name: 'SRT 字幕', mime: 'text/plain', parser: 'srt' },
   vtt: { name: 'WebVTT 字幕', mime: 'text/vtt', parser: 'vtt' },
+  ass: { name: 'ASS 字幕', mime: 'text/x-ssa', parser: 'ass' },
+  ssa: { name: 'SSA 字幕', mime: 'text/x-ssa', parser: 'ass' },
   
   // 文档
   pdf: { name: 'PDF 文档', mime: 'application/pdf', parser: 'pdf' },
   docx: { name: 'Word 文档', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', parser: 'docx' },
+  pptx: { name: 'PowerPoint 演示文稿', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', parser: 'pptx' },
   
   // 表格
   csv: { name: 'CSV 表格', mime: 'text/csv', parser: 'csv' },
+  xlsx: { name: 'Excel 工作簿', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', parser: 'xlsx' },
   
   // 结构化
   json: { name: 'JSON 文件', mime: 'application/json', parser: 'json' },
   
   // 电子书
   epub: { name: 'EPUB 电子书', mime: 'application/epub+zip', parser: 'epub' },
+  
+  // 本地化交换格式
+  xlf: { name: 'XLIFF 本地化文件', mime: 'application/xliff+xml', parser: 'xliff' },
+  xliff: { name: 'XLIFF 本地化文件', mime: 'application/xliff+xml', parser: 'xliff' },
+  
+  // 软件本地化资源
+  po: { name: 'gettext PO', mime: 'text/x-gettext-translation', parser: 'po' },
+  pot: { name: 'gettext POT 模板', mime: 'text/x-gettext-translation', parser: 'po' },
+  xml: { name: 'Android 字符串资源', mime: 'application/xml', parser: 'android-strings' },
+  strings: { name: 'Apple .strings', mime: 'text/plain', parser: 'apple-strings' },
+  yaml: { name: 'YAML 本地化文件', mime: 'application/yaml', parser: 'yaml' },
+  yml: { name: 'YAML 本地化文件', mime: 'application/yaml', parser: 'yaml' },
+};
+
+/**
+ * 资源文件导出器（按解析器区分，在原文件结构上回写译文）
+ */
+const RESOURCE_EXPORTERS = {
+  po: exportPO,
+  json: exportI18nJSON,
+  'android-strings': exportAndroidStrings,
+  'apple-strings': exportAppleStrings,
+  yaml: exportYAML,
 };
 
 /**
@@ -56,6 +100,19 @@ export function detectHeadings(segments) {
     const text = segment.original?.trim() || '';
     if (!text || text.length > 200) continue; // 标题不应太长
     
+    // 格式自带标题结构（Markdown 语法、Word 标题样式）时直接采用
+    if (segment.headingLevel) {
+      headings.push({
+        segmentId: segment.id,
+        level: segment.headingLevel,
+        text: text.replace(INLINE_PLACEHOLDER_REGEX, '').trim(),
+        original: text,
+      });
+      continue;
+    }
+    // Markdown 按语法结构识别，不再套用文本模式
+    if (segment.type === 'markdown') continue;
+    
     for (const pattern of HEADING_PATTERNS) {
       const match = text.match(pattern.regex);
       if (match) {
@@ -404,13 +461,23 @@ export async function parsePDF(file, options = {}) {
 
 /**
  * 解析 DOCX 文档
+ * 优先按段落结构解析（可原格式回写）；包结构无法识别时退回 mammoth 纯文本提取
  */
 export async function parseDOCX(file, options = {}) {
   const { maxCharsPerSegment = 800, filters = {} } = options;
   
-  const mammoth = await import('mammoth');
   const arrayBuffer = await file.arrayBuffer();
   
+  try {
+    const { segments } = await parseDOCXPackage(arrayBuffer, { filters });
+    if (segments.length > 0) {
+      return { segments, warnings: [], sourceBuffer: arrayBuffer };
+    }
+  } catch (error) {
+    logger.warn('DOCX 结构解析失败，改用纯文本提取:', error.message);
+  }
+  
+  const mammoth = await import('mammoth');
   const result = await mammoth.extractRawText({ arrayBuffer });
   const text = result.value;
   
@@ -467,165 +534,35 @@ export async function parseCSV(file, options = {}) {
 }
 
 /**
- * 解析 JSON 文件（提取字符串值）
+ * 解析 JSON 文件（i18n 结构，每个字符串值一个段落）
+ * @param {File} file
+ * @param {object} options - { filters }
  */
 export async function parseJSON(file, options = {}) {
-  const { filters = {} } = options;
-  
   const text = await readAsText(file);
-  const data = JSON.parse(text);
-  const segments = [];
-  let segmentId = 0;
-  
-  // 递归提取字符串
-  function extractStrings(obj, path = '') {
-    if (typeof obj === 'string' && obj.length >= (filters.minLength || 5)) {
-      // 跳过看起来像 URL、日期、ID 的字符串
-      if (!/^(https?:\/\/|[\d\-T:Z]+$|[a-f0-9\-]{36}$)/i.test(obj)) {
-        segments.push({
-          id: segmentId++,
-          original: obj,
-          translated: '',
-          status: 'pending',
-          tokens: estimateTokens(obj),
-          path,
-        });
-      }
-    } else if (Array.isArray(obj)) {
-      obj.forEach((item, i) => extractStrings(item, `${path}[${i}]`));
-    } else if (obj && typeof obj === 'object') {
-      Object.entries(obj).forEach(([key, value]) => {
-        extractStrings(value, path ? `${path}.${key}` : key);
-      });
-    }
-  }
-  
-  extractStrings(data);
-  
-  return { segments };
+  return parseI18nJSON(text, options);
 }
 
 /**
  * 解析 EPUB 电子书
- * EPUB 本质是 ZIP 压缩包，包含 HTML/XHTML 内容
+ * EPUB 本质是 ZIP 压缩包，包含 HTML/XHTML 内容；按章节块级元素分段，保留原始包供导出译本
  */
 export async function parseEPUB(file, options = {}) {
-  const { maxCharsPerSegment = 800, filters = {} } = options;
-  
-  const JSZip = (await import('jszip')).default;
   const arrayBuffer = await file.arrayBuffer();
-  const zip = await JSZip.loadAsync(arrayBuffer);
-  
-  // 解析 container.xml 获取 rootfile 路径
-  const containerXml = await zip.file('META-INF/container.xml')?.async('text');
-  if (!containerXml) {
-    throw new Error('无效的 EPUB 文件：缺少 container.xml');
-  }
-  
-  // 提取 rootfile 路径
-  const rootfileMatch = containerXml.match(/full-path="([^"]+)"/);
-  if (!rootfileMatch) {
-    throw new Error('无效的 EPUB 文件：找不到 rootfile');
-  }
-  
-  const rootfilePath = rootfileMatch[1];
-  const rootfileDir = rootfilePath.substring(0, rootfilePath.lastIndexOf('/') + 1);
-  
-  // 解析 OPF 文件获取内容顺序
-  const opfContent = await zip.file(rootfilePath)?.async('text');
-  if (!opfContent) {
-    throw new Error('无效的 EPUB 文件：找不到 OPF 文件');
-  }
-  
-  // 提取书名
-  const titleMatch = opfContent.match(/<dc:title[^>]*>([^<]+)<\/dc:title>/i);
-  const title = titleMatch ? titleMatch[1].trim() : file.name.replace(/\.epub$/i, '');
-  
-  // 提取 spine 中的阅读顺序
-  const spineMatch = opfContent.match(/<spine[^>]*>([\s\S]*?)<\/spine>/i);
-  const itemrefMatches = spineMatch ? spineMatch[1].matchAll(/idref="([^"]+)"/g) : [];
-  const spineIds = [...itemrefMatches].map(m => m[1]);
-  
-  // 提取 manifest 中的文件映射
-  const manifestMatch = opfContent.match(/<manifest[^>]*>([\s\S]*?)<\/manifest>/i);
-  const itemMatches = manifestMatch ? manifestMatch[1].matchAll(/<item[^>]+id="([^"]+)"[^>]+href="([^"]+)"[^>]*>/g) : [];
+  const result = await parseEPUBPackage(arrayBuffer, options);
   
-  const manifest = {};
-  for (const match of itemMatches) {
-    manifest[match[1]] = match[2];
-  }
-  
-  // 按顺序读取内容文件
-  let allText = '';
-  let chapterCount = 0;
-  
-  for (const id of spineIds) {
-    const href = manifest[id];
-    if (!href) continue;
-    
-    // 只处理 HTML/XHTML 文件
-    if (!/\.(x?html?|xml)$/i.test(href)) continue;
-    
-    const filePath = rootfileDir + decodeURIComponent(href);
-    const content = await zip.file(filePath)?.async('text');
-    
-    if (content) {
-      chapterCount++;
-      // 移除 HTML 标签，提取纯文本
-      const text = extractTextFromHTML(content);
-      if (text.trim()) {
-        allText += text + '\n\n';
-      }
-    }
-  }
-  
-  if (!allText.trim()) {
+  if (result.segments.length === 0) {
     throw new Error('EPUB 文件中没有找到可翻译的文本内容');
   }
   
-  const segments = splitIntoSegments(allText, {
-    maxCharsPerSegment,
-    filters,
-  });
-  
   return {
-    segments,
-    title,
-    chapterCount,
+    segments: result.segments,
+    title: result.title || file.name.replace(/\.epub$/i, ''),
+    chapterCount: result.chapterCount,
+    sourceBuffer: arrayBuffer,
   };
 }
 
-/**
- * 从 HTML 内容提取纯文本
- */
-function extractTextFromHTML(html) {
-  // 移除 script 和 style 标签及其内容
-  let text = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-  text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-  
-  // 将块级标签转换为换行
-  text = text.replace(/<\/(p|div|h[1-6]|br|li|tr)>/gi, '\n');
-  text = text.replace(/<(p|div|h[1-6]|br|li|tr)[^>]*>/gi, '\n');
-  
-  // 移除所有其他 HTML 标签
-  text = text.replace(/<[^>]+>/g, '');
-  
-  // 解码 HTML 实体
-  text = text.replace(/&nbsp;/g, ' ');
-  text = text.replace(/&lt;/g, '<');
-  text = text.replace(/&gt;/g, '>');
-  text = text.replace(/&amp;/g, '&');
-  text = text.replace(/&quot;/g, '"');
-  text = text.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code));
-  text = text.replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)));
-  
-  // 清理多余空白
-  text = text.replace(/[ \t]+/g, ' ');
-  text = text.replace(/\n\s*\n/g, '\n\n');
-  
-  return text.trim();
-}
-
 /**
  * 主解析函数
  */
@@ -650,6 +587,20 @@ export async function parseDocument(file, options = {}) {
         segments = splitIntoSegments(content, options);
         break;
         
+      case 'markdown':
+        // 保留原文件，导出时只替换正文
+        content = await readAsText(file);
+        segments = parseMarkdown(content, options).segments;
+        extra.sourceContent = content;
+        break;
+        
+      case 'html':
+        // 保留原文件，导出时只替换文本节点和可译属性
+        content = await readAsText(file);
+        segments = parseHTML(content, options).segments;
+        extra.sourceContent = content;
+        break;
+        
       case 'srt':
         content = await readAsText(file);
         segments = parseSRT(content);
@@ -660,6 +611,13 @@ export async function parseDocument(file, options = {}) {
         segments = parseVTT(content);
         break;
         
+      case 'ass':
+        // 保留原文件，导出时只替换 Dialogue 文本
+        content = await readAsText(file);
+        segments = parseASS(content).segments;
+        extra.sourceContent = content;
+        break;
+        
       case 'pdf':
         const pdfResult = await parsePDF(file, options);
         segments = pdfResult.segments;
@@ -672,16 +630,40 @@ export async function parseDocument(file, options = {}) {
         if (docxResult.warnings?.length > 0) {
           extra.warnings = docxResult.warnings;
         }
+        if (docxResult.sourceBuffer) {
+          extra.sourceBuffer = docxResult.sourceBuffer;
+        }
         break;
         
+      case 'pptx': {
+        // 保留原始包，导出时在原文件上回写
+        const pptxBuffer = await file.arrayBuffer();
+        const pptxResult = await parsePPTX(pptxBuffer, options);
+        segments = pptxResult.segments;
+        extra.sourceBuffer = pptxBuffer;
+        extra.slideCount = pptxResult.slideCount;
+        break;
+      }
+        
+      case 'xlsx': {
+        const xlsxBuffer = await file.arrayBuffer();
+        const xlsxResult = await parseXLSX(xlsxBuffer, { filters: options.filters, ...options.xlsx });
+        segments = xlsxResult.segments;
+        extra.sourceBuffer = xlsxBuffer;
+        extra.sheets = xlsxResult.sheets;
+        break;
+      }
+        
       case 'csv':
         const csvResult = await parseCSV(file, options);
         segments = csvResult.segments;
         break;
         
       case 'json':
-        const jsonResult = await parseJSON(file, options);
-        segments = jsonResult.segments;
+        // 保留原文件，导出时按键路径回写
+        content = await readAsText(file);
+        segments = parseI18nJSON(content, options).segments;
+        extra.sourceContent = content;
         break;
         
       case 'epub':
@@ -689,6 +671,55 @@ export async function parseDocument(file, options = {}) {
         segments = epubResult.segments;
         extra.title = epubResult.title;
         extra.chapterCount = epubResult.chapterCount;
+        extra.sourceBuffer = epubResult.sourceBuffer;
+        break;
+        
+      case 'xliff': {
+        // 保留原文件，导出时在原结构上回写 <target>
+        content = await readAsText(file);
+        const xliffResult = parseXLIFF(content);
+        segments = xliffResult.segments;
+        extra.sourceContent = content;
+        extra.xliff = {
+          version: xliffResult.version,
+          sourceLanguage: xliffResult.sourceLanguage,
+          targetLanguage: xliffResult.targetLanguage,
+        };
+        break;
+      }
+        
+      case 'po': {
+        content = await readAsText(file);
+        const poResult = parsePO(content);
+        segments = poResult.segments;
+        extra.sourceContent = content;
+        extra.po = {
+          language: poResult.language,
+          pluralForms: poResult.pluralForms,
+        };
+        break;
+      }
+        
+      case 'android-strings':
+        content = await readAsText(file);
+        // .xml 只支持根元素为 <resources> 的 Android 字符串资源
+        if (!isAndroidStringsXML(content)) {
+          throw new Error('不支持的 XML 文件：只支持 Android 字符串资源（<resources>）');
+        }
+        segments = parseAndroidStrings(content).segments;
+        extra.sourceContent = content;
+        break;
+        
+      case 'apple-strings':
+        content = await readAsText(file);
+        segments = parseAppleStrings(content).segments;
+        extra.sourceContent = content;
+        break;
+        
+      case 'yaml':
+        content = await readAsText(file);
+        segments = parseYAML(content).segments;
+        extra.sourceContent = content;
         break;
         
       default:
@@ -813,6 +844,19 @@ export function batchSegments(segments, options = {}) {
   return batches;
 }
 
+/**
+ * Markdown 段落的占位符还原为原始标记（链接、行内代码等）；
+ * Office / HTML 段落的标签占位符在纯文本中无意义，直接去掉；其它段落原样返回
+ */
+function markupText(segment, text) {
+  if (!text) return '';
+  if (segment.type === 'markdown') return restoreInlineTags(text, segment.inlineTags, part => part);
+  if (segment.ooxmlIndex !== undefined || segment.htmlIndex !== undefined || segment.assIndex !== undefined) {
+    return text.replace(INLINE_PLACEHOLDER_REGEX, '');
+  }
+  return text;
+}
+
 /**
  * 导出为双语文本
  */
@@ -827,8 +871,8 @@ export function exportBilingual(segments, options = {}) {
   for (const segment of segments) {
     if (!includeSkipped && segment.status === 'skipped') continue;
     
-    const original = segment.original || '';
-    const translated = segment.translated || '';
+    const original = markupText(segment, segment.original);
+    const translated = markupText(segment, segment.translated);
     
     switch (style) {
       case 'below':
@@ -860,7 +904,7 @@ export function exportTranslatedOnly(segments, options = {}) {
   
   return segments
     .filter(s => includeSkipped || s.status !== 'skipped')
-    .map(s => s.translated || s.original)
+    .map(s => markupText(s, s.translated || s.original))
     .join('\n\n');
 }
 
@@ -870,7 +914,7 @@ export function exportTranslatedOnly(segments, options = {}) {
 export function exportSRT(segments) {
   return segments
     .filter(s => s.type === 'subtitle')
-    .map(s => `${s.index}\n${s.timecode}\n${s.translated || s.original}`)
+    .map(s => `${s.index}\n${s.timecode}\n${markupText(s, s.translated || s.original)}`)
     .join('\n\n');
 }
 
@@ -880,7 +924,8 @@ export function exportSRT(segments) {
 export function exportVTT(segments) {
   const body = segments
     .filter(s => s.type === 'subtitle')
-    .map(s => `${s.timecode}\n${s.translated || s.original}`)
+    // SRT 风格的时间码（逗号分隔毫秒）转为 VTT 格式
+    .map(s => `${s.timecode.replace(/(\d),(\d{3})/g, '$1.$2')}\n${markupText(s, s.translated || s.original)}`)
     .join('\n\n');
   
   return `WEBVTT\n\n${body}`;
@@ -906,8 +951,8 @@ export function exportDOCX(segments, options = {}) {
   for (const segment of segments) {
     if (!includeSkipped && segment.status === 'skipped') continue;
     
-    const original = escapeHtml(segment.original || '');
-    const translated = escapeHtml(segment.translated || '');
+    const original = escapeHtml(markupText(segment, segment.original));
+    const translated = escapeHtml(markupText(segment, segment.translated));
     
     if (style === 'bilingual') {
       content += `
@@ -995,8 +1040,8 @@ export function exportPDFHTML(segments, options = {}) {
   for (const segment of segments) {
     if (!includeSkipped && segment.status === 'skipped') continue;
     
-    const original = segment.original || '';
-    const translated = segment.translated || '';
+    const original = markupText(segment, segment.original);
+    const translated = markupText(segment, segment.translated);
     
     if (style === 'bilingual') {
       content += `
@@ -1091,6 +1136,24 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, m => map[m]);
 }
 
+/**
+ * 导出本地化资源文件（PO / JSON / strings.xml / .strings / YAML）
+ * @param {string} ext - 原文件扩展名
+ * @param {string} content - 原文件内容
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { targetLang }
+ * @returns {string}
+ */
+export function exportResourceFile(ext, content, segments, options = {}) {
+  const exporter = RESOURCE_EXPORTERS[SUPPORTED_FORMATS[ext]?.parser];
+  if (!exporter) {
+    throw new Error(`不支持导出的资源格式: .${ext}`);
+  }
+  return exporter(content, segments, options);
+}
+
+export { exportXLIFF, exportMarkdown, exportHTML, exportASS, parseXLSX, exportDOCXPackage, exportPPTX, exportXLSX, exportEPUB };
+
 export default {
   SUPPORTED_FORMATS,
   parseDocument,
@@ -1112,4 +1175,13 @@ export default {
   exportVTT,
   exportDOCX,
   exportPDFHTML,
+  exportXLIFF,
+  exportResourceFile,
+  exportMarkdown,
+  exportHTML,
+  exportASS,
+  exportDOCXPackage,
+  exportPPTX,
+  exportXLSX,
+  exportEPUB,
 };
@@ -0,0 +1,181 @@
+// src/utils/find-replace.js
+// 文档段落的查找与替换
+//
+// - 查找范围：原文、译文或两者
+// - 支持正则（替换文本可用 $1 / $<name> / $& 引用捕获组）、区分大小写、整词匹配
+// - 只替换译文；每个被修改的段落通过 editSegment 记录一次修改（可在修改记录中查看和撤销）
+
+import { editSegment } from './segment-review.js';
+
+/**
+ * 最多列出的匹配数（预览用，替换不受限制）
+ */
+export const MAX_MATCHES = 500;
+
+// 预览中匹配前后保留的字符数
+const CONTEXT_LENGTH = 30;
+
+const WORD_CHAR = '[A-Za-z0-9_\\u00c0-\\u024f\\u0400-\\u04ff]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 生成查找正则
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false]
+ * @param {boolean} [options.caseSensitive=false]
+ * @param {boolean} [options.wholeWord=false]
+ * @returns {RegExp|null} 查找内容为空时返回 null；正则无效时抛出 SyntaxError
+ */
+export function buildSearchRegex(query, options = {}) {
+  const { regex = false, caseSensitive = false, wholeWord = false } = options;
+  if (!query) return null;
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    // 拉丁字母（含扩展）/ 西里尔字母 / 数字 / 下划线之外的位置才算词边界
+    source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  }
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * 展开替换文本中的 $$ / $& / $1 / $<name>
+ * @param {RegExpMatchArray} match
+ * @param {string} replacement
+ * @returns {string}
+ */
+function expandReplacement(match, replacement) {
+  return replacement.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (token, kind, name, group) => {
+    if (kind === '$') return '$';
+    if (kind === '&') return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? '';
+    const index = Number(group);
+    // 没有对应捕获组时保持原样（与 String.prototype.replace 一致）
+    return index > 0 && index < match.length ? (match[index] ?? '') : token;
+  });
+}
+
+/**
+ * 单个匹配的替换结果
+ */
+function replacementFor(match, replacement, regex) {
+  return regex ? expandReplacement(match, replacement) : replacement;
+}
+
+/**
+ * 替换文本中的所有匹配
+ * @param {string} text
+ * @param {RegExp} pattern - buildSearchRegex 的结果
+ * @param {string} replacement
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false] - 是否展开捕获组引用
+ * @returns {{ text: string, count: number }}
+ */
+export function replaceInText(text, pattern, replacement, options = {}) {
+  const { regex = false } = options;
+  if (!text || !pattern) return { text: text || '', count: 0 };
+
+  let result = '';
+  let last = 0;
+  let count = 0;
+  for (const match of text.matchAll(pattern)) {
+    // 空匹配（如 ^、\b）不替换，避免在每个位置插入内容
+    if (match[0] === '') continue;
+    result += text.slice(last, match.index) + replacementFor(match, replacement, regex);
+    last = match.index + match[0].length;
+    count++;
+  }
+  return { text: result + text.slice(last), count };
+}
+
+/**
+ * 查找所有匹配
+ * @param {Array} segments
+ * @param {RegExp} pattern - buildSearchRegex 的结果
+ * @param {object} [options]
+ * @param {'source'|'target'|'both'} [options.scope='both']
+ * @param {string} [options.replacement] - 提供时给出每个译文匹配的替换预览
+ * @param {boolean} [options.regex=false]
+ * @param {number} [options.limit=MAX_MATCHES]
+ * @returns {{ matches: Array<{ segmentId: *, index: number, field: 'source'|'target', start: number, text: string, before: string, after: string, replaced?: string }>, total: number, segmentCount: number }}
+ */
+export function findMatches(segments, pattern, options = {}) {
+  const { scope = 'both', replacement, regex = false, limit = MAX_MATCHES } = options;
+  const matches = [];
+  const segmentIds = new Set();
+  let total = 0;
+  if (!pattern) return { matches, total, segmentCount: 0 };
+
+  const fields = [];
+  if (scope !== 'target') fields.push(['source', 'original']);
+  if (scope !== 'source') fields.push(['target', 'translated']);
+
+  segments.forEach((segment, index) => {
+    if (segment.status === 'skipped') return;
+    for (const [field, key] of fields) {
+      const text = segment[key];
+      if (!text) continue;
+      for (const match of text.matchAll(pattern)) {
+        if (match[0] === '') continue;
+        total++;
+        segmentIds.add(segment.id);
+        if (matches.length >= limit) continue;
+        const end = match.index + match[0].length;
+        matches.push({
+          segmentId: segment.id,
+          index,
+          field,
+          start: match.index,
+          text: match[0],
+          before: text.slice(Math.max(0, match.index - CONTEXT_LENGTH), match.index),
+          after: text.slice(end, end + CONTEXT_LENGTH),
+          ...(field === 'target' && replacement !== undefined
+            ? { replaced: replacementFor(match, replacement, regex) }
+            : {}),
+        });
+      }
+    }
+  });
+
+  return { matches, total, segmentCount: segmentIds.size };
+}
+
+/**
+ * 替换所有段落译文中的匹配
+ * @param {Array} segments
+ * @param {RegExp} pattern
+ * @param {string} replacement
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false]
+ * @param {string} [options.query] - 原始查找内容（记入修改记录）
+ * @returns {{ segments: Array, changed: number, count: number }} changed: 修改的段落数；count: 替换次数
+ */
+export function replaceAllInSegments(segments, pattern, replacement, options = {}) {
+  const { regex = false, query = pattern?.source } = options;
+  let changed = 0;
+  let count = 0;
+
+  const updated = segments.map(segment => {
+    if (segment.status === 'skipped' || segment.status === 'translating' || !segment.translated) return segment;
+    const result = replaceInText(segment.translated, pattern, replacement, { regex });
+    if (result.count === 0 || result.text === segment.translated) return segment;
+    changed++;
+    count += result.count;
+    return editSegment(segment, result.text, {
+      change: { type: 'replace', find: query, replace: replacement, count: result.count },
+    });
+  });
+
+  return { segments: updated, changed, count };
+}
+
+export default {
+  MAX_MATCHES,
+  buildSearchRegex,
+  replaceInText,
+  findMatches,
+  replaceAllInSegments,
+};
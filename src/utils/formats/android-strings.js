@@ -0,0 +1,193 @@
+// src/utils/formats/android-strings.js
+// Android strings.xml 解析与回写
+//
+// - 支持 <string>、<plurals>/<item quantity>、<string-array>/<item>
+// - translatable="false"、@string/ 引用跳过
+// - <xliff:g> 整体保护，<b>/<i>/<u> 等内联标签转为占位符
+// - 导出时只替换元素内容，注释、属性和排版原样保留
+
+import { escapeXMLText, getAttr, createInlineTagCollector, restoreInlineTags } from './xml-utils.js';
+import { buildResourceSegment, indexResourceSegments } from './resource.js';
+
+// 注释 / 三种资源元素，按文档顺序匹配
+const ELEMENT_REGEX = /<!--[\s\S]*?-->|<(string|plurals|string-array)(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+const ITEM_REGEX = /<item\b([^>]*?)(?:\/>|>([\s\S]*?)<\/item\s*>)/g;
+// 根元素为 <resources>（前面可以有 XML 声明、注释和 DOCTYPE）
+const RESOURCES_ROOT_REGEX = /^\uFEFF?\s*(?:<\?[\s\S]*?\?>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<resources(?=[\s>/])/;
+
+/**
+ * Android 资源字符串反转义（XML 实体已先处理）
+ */
+function unescapeAndroid(text) {
+  let value = text;
+  // 整体加引号的值保留空白
+  const quoted = /^\s*"([\s\S]*)"\s*$/.exec(value);
+  if (quoted) value = quoted[1];
+
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, ch) => {
+    if (ch[0] === 'u' && ch.length === 5) return String.fromCharCode(parseInt(ch.slice(1), 16));
+    return { n: '\n', t: '\t' }[ch] ?? ch;
+  });
+}
+
+/**
+ * Android 资源字符串转义
+ */
+function escapeAndroid(text) {
+  return escapeXMLText(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/^([@?])/, '\\$1');
+}
+
+/**
+ * 元素内容 → 带占位符的文本
+ * <xliff:g> 与其内容整体保护；其它标签按成对 / 单个占位符处理
+ */
+function contentToText(xml, collector) {
+  const source = (xml || '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => escapeXMLText(text));
+  const tagRegex = /<xliff:g\b[^>]*>[\s\S]*?<\/xliff:g>|<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>/g;
+  const stack = [];
+  let output = '';
+  let lastIndex = 0;
+  let match;
+
+  const unescapeText = (raw) => unescapeAndroid(
+    raw.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'").replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(+d))
+      .replace(/&amp;/g, '&')
+  );
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    output += unescapeText(source.slice(lastIndex, match.index));
+    lastIndex = tagRegex.lastIndex;
+
+    const [tag, closing, rawName, , selfClosing] = match;
+    if (!rawName) {
+      output += collector.single('ph', tag);  // xliff:g
+      continue;
+    }
+    const name = rawName.toLowerCase();
+    if (selfClosing) {
+      output += collector.single(name, tag);
+    } else if (closing) {
+      const openIndex = stack.map(s => s.name).lastIndexOf(name);
+      if (openIndex >= 0) {
+        const [opened] = stack.splice(openIndex, 1);
+        output += collector.close(name, opened.n, tag);
+      } else {
+        output += collector.single(name, tag);
+      }
+    } else {
+      const { placeholder, n } = collector.open(name, tag);
+      stack.push({ name, n });
+      output += placeholder;
+    }
+  }
+
+  output += unescapeText(source.slice(lastIndex));
+  return output;
+}
+
+/**
+ * 遍历所有可翻译值（含 plurals / string-array 的 item）
+ * @param {string} content
+ * @param {Function} visit - ({ key, inner, skipReason, comment }) => 替换后的内部 XML 或 undefined
+ * @returns {string} 替换后的内容
+ */
+function walkValues(content, visit) {
+  let lastComment = '';
+
+  return content.replace(ELEMENT_REGEX, (whole, type, attrs, inner) => {
+    if (!type) {
+      lastComment = whole.slice(4, -3).trim();
+      return whole;
+    }
+
+    const comment = lastComment;
+    lastComment = '';
+    const name = getAttr(attrs, 'name') || '';
+    const elementSkip = getAttr(attrs, 'translatable') === 'false' ? '不翻译' : null;
+    if (inner === undefined) return whole;
+
+    if (type === 'string') {
+      const replaced = visit({ key: name, inner, skipReason: elementSkip, comment });
+      return replaced === undefined ? whole : whole.replace(`>${inner}<`, () => `>${replaced}<`);
+    }
+
+    let itemIndex = 0;
+    const newInner = inner.replace(ITEM_REGEX, (itemWhole, itemAttrs, itemInner) => {
+      const suffix = type === 'plurals' ? getAttr(itemAttrs, 'quantity') : itemIndex;
+      itemIndex++;
+      if (itemInner === undefined) return itemWhole;
+      const replaced = visit({ key: `${name}[${suffix}]`, inner: itemInner, skipReason: elementSkip, comment });
+      return replaced === undefined ? itemWhole : `<item${itemAttrs}>${replaced}</item>`;
+    });
+    return whole.replace(`>${inner}</`, () => `>${newInner}</`);
+  });
+}
+
+/**
+ * 是否为 Android 字符串资源（.xml 扩展名也可能是其它 XML 文件）
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isAndroidStringsXML(content) {
+  return RESOURCES_ROOT_REGEX.test(content || '');
+}
+
+/**
+ * 解析 strings.xml
+ * @param {string} content
+ * @returns {{ segments: Array }}
+ */
+export function parseAndroidStrings(content) {
+  if (!/<resources[\s>]/i.test(content)) {
+    throw new Error('不是有效的 Android 字符串资源文件');
+  }
+
+  const segments = [];
+  walkValues(content, ({ key, inner, skipReason, comment }) => {
+    const collector = createInlineTagCollector();
+    const text = contentToText(inner, collector);
+    const reference = /^\s*@(string|android:string)\//.test(text) ? '资源引用' : null;
+    segments.push(buildResourceSegment({
+      id: segments.length,
+      resourceIndex: segments.length,
+      key,
+      text,
+      note: comment,
+      skipReason: skipReason || reference,
+      collector,
+    }));
+    return undefined;
+  });
+
+  return { segments };
+}
+
+/**
+ * 导出 strings.xml
+ * @param {string} content - 原始 strings.xml
+ * @param {Array} segments - 翻译后的段落
+ * @returns {string}
+ */
+export function exportAndroidStrings(content, segments) {
+  const byIndex = indexResourceSegments(segments);
+  let index = 0;
+
+  return walkValues(content, () => {
+    const segment = byIndex.get(index++);
+    if (!segment || segment.status === 'skipped' || !segment.translated?.trim()) return undefined;
+    return restoreInlineTags(segment.translated, segment.inlineTags, escapeAndroid);
+  });
+}
+
+export default {
+  isAndroidStringsXML,
+  parseAndroidStrings,
+  exportAndroidStrings,
+};
@@ -0,0 +1,93 @@
+// src/utils/formats/apple-strings.js
+// Apple .strings 解析与回写
+//
+// "key" = "value"; 每条一个段落，前面的 /* 注释 */ 作为上下文
+// 导出时只替换 value 字面量，键、注释、空行原样保留
+
+import { buildResourceSegment, getResourceTranslation, indexResourceSegments } from './resource.js';
+
+// 注释 / 条目，按文档顺序匹配
+const ENTRY_REGEX = /\/\*[\s\S]*?\*\/|\/\/[^\n]*|("(?:[^"\\]|\\.)*"|[\w.-]+)(\s*=\s*)"((?:[^"\\]|\\.)*)"(\s*;)/g;
+
+/**
+ * .strings 字面量反转义
+ */
+function unescapeStrings(str) {
+  return str.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (_, ch) => {
+    if (ch.length === 5) return String.fromCharCode(parseInt(ch.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r' }[ch] ?? ch;
+  });
+}
+
+/**
+ * .strings 字面量转义
+ */
+function escapeStrings(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * 遍历条目
+ * @param {string} content
+ * @param {Function} visit - ({ key, value, comment }) => 新的 value 或 undefined
+ */
+function walkEntries(content, visit) {
+  let lastComment = '';
+  return content.replace(ENTRY_REGEX, (whole, rawKey, equals, rawValue, semicolon) => {
+    if (rawKey === undefined) {
+      lastComment = whole.replace(/^\/\*|\*\/$|^\/\//g, '').trim();
+      return whole;
+    }
+    const comment = lastComment;
+    lastComment = '';
+    const key = rawKey.startsWith('"') ? unescapeStrings(rawKey.slice(1, -1)) : rawKey;
+    const replaced = visit({ key, value: unescapeStrings(rawValue), comment });
+    return replaced === undefined ? whole : `${rawKey}${equals}"${escapeStrings(replaced)}"${semicolon}`;
+  });
+}
+
+/**
+ * 解析 .strings
+ * @param {string} content
+ * @returns {{ segments: Array }}
+ */
+export function parseAppleStrings(content) {
+  const segments = [];
+  walkEntries(content.replace(/^\uFEFF/, ''), ({ key, value, comment }) => {
+    segments.push(buildResourceSegment({
+      id: segments.length,
+      resourceIndex: segments.length,
+      key,
+      text: value,
+      // Xcode 生成的 "No comment provided by engineer." 没有信息量
+      note: /^No comment provided by engineer\.?$/i.test(comment) ? '' : comment,
+    }));
+    return undefined;
+  });
+  return { segments };
+}
+
+/**
+ * 导出 .strings
+ * @param {string} content - 原始 .strings
+ * @param {Array} segments - 翻译后的段落
+ * @returns {string}
+ */
+export function exportAppleStrings(content, segments) {
+  const byIndex = indexResourceSegments(segments);
+  let index = 0;
+  return walkEntries(content.replace(/^\uFEFF/, ''), () => {
+    const translation = getResourceTranslation(byIndex.get(index++));
+    return translation === null ? undefined : translation;
+  });
+}
+
+export default {
+  parseAppleStrings,
+  exportAppleStrings,
+};
@@ -0,0 +1,262 @@
+// src/utils/formats/ass.js
+// ASS / SSA 字幕解析与回写
+//
+// - 只翻译 [Events] 中的 Dialogue 行；Comment 行、绘图（\p1 … \p0）不产生段落
+// - 样式、时间轴、特效字段原样保留；{\...} 覆盖标签和 {注释} 转为 ⟦tagN⟧ 占位符
+// - \N / \n 换行转为真实换行，\h 转为不换行空格，导出时还原
+// - 导出：仅译文，或双语（同一事件内原文作为第二行 / 原文使用单独样式的事件）
+
+import { estimateTokens } from '../document-parser.js';
+import { createInlineTagCollector, restoreInlineTags } from './xml-utils.js';
+import { hasTranslatableText } from './placeholders.js';
+
+const SECTION_REGEX = /^\s*\[([^\]]+)\]\s*$/;
+const EVENT_REGEX = /^(Dialogue|Comment):[ \t]*(.*)$/;
+const OVERRIDE_REGEX = /\{[^}]*\}/g;
+// \p1 及以上开启绘图模式，\p0 结束
+const DRAWING_REGEX = /\\p([0-9]+)/g;
+const LINE_BREAK_REGEX = /\\[Nn]/g;
+
+// 原文样式名后缀与字号比例
+const ORIGINAL_STYLE_SUFFIX = '-Original';
+const ORIGINAL_FONT_SCALE = 0.75;
+
+// 事件缺少 Format 行时的默认字段（ASS / SSA）
+const DEFAULT_EVENT_FORMAT = {
+  ass: ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'],
+  ssa: ['marked', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'],
+};
+
+/**
+ * 按 Format 字段数拆分逗号分隔的值，最后一个字段（Text）可包含逗号
+ */
+function splitFields(value, count) {
+  const fields = [];
+  let rest = value;
+  for (let i = 0; i < count - 1; i++) {
+    const comma = rest.indexOf(',');
+    if (comma < 0) break;
+    fields.push(rest.slice(0, comma));
+    rest = rest.slice(comma + 1);
+  }
+  fields.push(rest);
+  return fields;
+}
+
+function parseFormat(value) {
+  return value.split(',').map(field => field.trim().toLowerCase());
+}
+
+/**
+ * ASS 时间 H:MM:SS.cc → SRT 时间 HH:MM:SS,mmm
+ */
+function toSRTTime(time) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/.exec(time.trim());
+  if (!match) return time.trim();
+  const [, h, m, s, fraction = '0'] = match;
+  const ms = Math.round(Number(`0.${fraction}`) * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(Math.min(ms, 999), 3)}`;
+}
+
+/**
+ * 逐行遍历脚本，回调 Dialogue / Comment 事件和样式行
+ * @param {string} content
+ * @param {object} handlers - { event(line, info), style(line, info) }，返回替换内容（字符串或字符串数组）或 null
+ * @returns {string} 替换后的内容
+ */
+function walkScript(content, handlers) {
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const output = [];
+  let section = '';
+  let eventFormat = null;
+  let styleFormat = null;
+  let eventIndex = 0;
+  const dialect = /^\s*ScriptType:\s*v4\.00(?!\+)/im.test(content) ? 'ssa' : 'ass';
+
+  for (const line of lines) {
+    const sectionMatch = SECTION_REGEX.exec(line);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim().toLowerCase();
+      output.push(line);
+      continue;
+    }
+
+    let replaced = null;
+    const format = /^Format:[ \t]*(.*)$/.exec(line);
+    if (section === 'events') {
+      const event = EVENT_REGEX.exec(line);
+      if (format) {
+        eventFormat = parseFormat(format[1]);
+      } else if (event && handlers.event) {
+        const fields = eventFormat || DEFAULT_EVENT_FORMAT[dialect];
+        const values = splitFields(event[2], fields.length);
+        replaced = handlers.event(line, {
+          kind: event[1],
+          index: event[1] === 'Dialogue' ? eventIndex++ : null,
+          fields,
+          values,
+          get: name => values[fields.indexOf(name)],
+        });
+      }
+    } else if (/^v4\+? styles$/.test(section)) {
+      if (format) {
+        styleFormat = parseFormat(format[1]);
+      } else if (/^Style:/.test(line) && styleFormat && handlers.style) {
+        const values = splitFields(line.replace(/^Style:[ \t]*/, ''), styleFormat.length);
+        replaced = handlers.style(line, { fields: styleFormat, values });
+      }
+    }
+
+    if (replaced === null || replaced === undefined) output.push(line);
+    else output.push(...[].concat(replaced));
+  }
+  return output.join(newline);
+}
+
+/**
+ * 是否为绘图事件（\p 非 0 的覆盖块）
+ */
+function isDrawing(text) {
+  for (const block of text.match(OVERRIDE_REGEX) || []) {
+    for (const [, level] of block.matchAll(DRAWING_REGEX)) {
+      if (Number(level) > 0) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 事件文本 → 可译文本（覆盖标签为占位符，\N 为换行）
+ */
+function protectText(text, collector) {
+  return text
+    .replace(OVERRIDE_REGEX, block => collector.single('tag', block))
+    .replace(LINE_BREAK_REGEX, '\n')
+    .replace(/\\h/g, '\u00a0');
+}
+
+/**
+ * 可译文本 → 事件文本
+ */
+function unprotectText(text, tags) {
+  const escaped = text
+    .replace(/\r?\n/g, '\\N')
+    .replace(/\u00a0/g, '\\h')
+    // 译文中的花括号会被当作覆盖块
+    .replace(/[{}]/g, ch => (ch === '{' ? '(' : ')'));
+  return restoreInlineTags(escaped, tags, part => part);
+}
+
+/**
+ * 解析 ASS / SSA 字幕
+ * @param {string} content
+ * @returns {{ segments: Array, styles: string[] }}
+ */
+export function parseASS(content) {
+  const segments = [];
+  const styles = [];
+
+  walkScript(content, {
+    style: (line, { fields, values }) => {
+      styles.push(values[fields.indexOf('name')]?.trim());
+      return null;
+    },
+    event: (line, event) => {
+      if (event.kind !== 'Dialogue') return null;
+      const raw = event.get('text') || '';
+      if (isDrawing(raw)) return null;
+
+      const collector = createInlineTagCollector();
+      const text = protectText(raw, collector);
+      if (!hasTranslatableText(text)) return null;
+
+      segments.push({
+        id: segments.length,
+        index: segments.length + 1,
+        timecode: `${toSRTTime(event.get('start') || '')} --> ${toSRTTime(event.get('end') || '')}`,
+        original: text,
+        translated: '',
+        status: 'pending',
+        tokens: estimateTokens(text),
+        type: 'subtitle',
+        key: event.get('style')?.trim(),
+        inlineTags: collector.tags,
+        assIndex: event.index,
+      });
+      return null;
+    },
+  });
+
+  return { segments, styles: styles.filter(Boolean) };
+}
+
+/**
+ * 生成原文样式（复制原样式，缩小字号）
+ */
+function buildOriginalStyle(values, fields) {
+  const copy = [...values];
+  const nameAt = fields.indexOf('name');
+  const sizeAt = fields.indexOf('fontsize');
+  copy[nameAt] = copy[nameAt].trim() + ORIGINAL_STYLE_SUFFIX;
+  if (sizeAt >= 0 && Number(copy[sizeAt])) {
+    copy[sizeAt] = String(Math.round(Number(copy[sizeAt]) * ORIGINAL_FONT_SCALE));
+  }
+  return `Style: ${copy.join(',')}`;
+}
+
+/**
+ * 导出 ASS / SSA 字幕
+ * @param {string} content - 原文件内容
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options
+ * @param {string} [options.style='translated'] - 'translated' | 'bilingual'
+ * @param {string} [options.layout='line'] - 双语布局：'line' 原文作为同一事件的第二行，
+ *   'style' 原文作为使用独立样式的单独事件
+ * @returns {string}
+ */
+export function exportASS(content, segments, options = {}) {
+  const { style = 'translated', layout = 'line' } = options;
+  const bilingual = style === 'bilingual';
+  const byIndex = new Map(segments.filter(s => s.assIndex !== undefined).map(s => [s.assIndex, s]));
+
+  const translationOf = (segment) => {
+    if (!segment || segment.status === 'skipped') return null;
+    if (typeof segment.translated !== 'string' || !segment.translated.trim()) return null;
+    return unprotectText(segment.translated, segment.inlineTags);
+  };
+
+  return walkScript(content, {
+    // 双语时每个样式后追加对应的原文样式
+    style: (line, { fields, values }) => (
+      bilingual && fields.includes('name') ? [line, buildOriginalStyle(values, fields)] : null
+    ),
+    event: (line, event) => {
+      if (event.index === null) return null;
+      const translated = translationOf(byIndex.get(event.index));
+      if (translated === null) return null;
+
+      const textAt = event.fields.indexOf('text');
+      const styleAt = event.fields.indexOf('style');
+      const prefix = line.slice(0, line.length - event.values[textAt].length);
+      const original = event.values[textAt];
+      const withText = (text) => prefix + text;
+
+      if (!bilingual) return withText(translated);
+
+      const originalStyle = event.values[styleAt].trim() + ORIGINAL_STYLE_SUFFIX;
+      if (layout === 'style') {
+        const values = [...event.values];
+        values[styleAt] = originalStyle;
+        return [withText(translated), `${event.kind}: ${values.join(',')}`];
+      }
+      return withText(`${translated}\\N{\\r${originalStyle}}${original}`);
+    },
+  });
+}
+
+export default {
+  parseASS,
+  exportASS,
+};
@@ -0,0 +1,202 @@
+// src/utils/formats/docx.js
+// Word (DOCX) 解析与原格式回写
+//
+// - 按顺序提取：正文（含表格、文本框）、脚注、尾注、页眉、页脚
+// - 每个 <w:p> 段落一个段落，run 格式、超链接、修订用占位符保留（见 ooxml.js）
+// - 导出时在原始包上替换 run，样式、编号、图片、分节等原样保留
+
+import { createInlineTagCollector } from './xml-utils.js';
+import {
+  DIALECTS,
+  readRelationships,
+  extractRuns,
+  buildRuns,
+  buildOOXMLSegment,
+  getOOXMLTranslation,
+} from './ooxml.js';
+import { hasTranslatableText } from './placeholders.js';
+import { toTMXLang } from '../tmx-io.js';
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOCUMENT_PATH = 'word/document.xml';
+const PARAGRAPH_REGEX = /<w:p(?=[\s>])(?:[^>]*[^>/])?>([\s\S]*?)<\/w:p>/g;
+// 文本框内容单独处理；mc:Fallback 是旧版软件用的重复副本，原样保留
+const NESTED_REGEX = /(<mc:Fallback>[\s\S]*?<\/mc:Fallback>)|(<w:txbxContent(?:\s[^>]*)?>)([\s\S]*?)(<\/w:txbxContent>)/g;
+const TOKEN_REGEX = /\uE000(\d+)\uE001/g;
+
+// 关系类型后缀 → 位置，按此顺序排在正文之后
+const PART_TYPES = [
+  ['/footnotes', 'footnote'],
+  ['/endnotes', 'endnote'],
+  ['/header', 'header'],
+  ['/footer', 'footer'],
+];
+
+/**
+ * 列出需要翻译的部件：正文在前，其后为脚注、尾注、页眉、页脚
+ * @returns {Promise<Array<{ path, location }>>}
+ */
+async function listParts(zip) {
+  if (!zip.file(DOCUMENT_PATH)) {
+    throw new Error('无效的 DOCX 文件：缺少 word/document.xml');
+  }
+
+  const rels = [...(await readRelationships(zip, DOCUMENT_PATH)).values()];
+  const parts = [{ path: DOCUMENT_PATH, location: 'body' }];
+  for (const [suffix, location] of PART_TYPES) {
+    for (const rel of rels) {
+      if (rel.type.endsWith(suffix) && zip.file(rel.target)) {
+        parts.push({ path: rel.target, location });
+      }
+    }
+  }
+  return parts;
+}
+
+/**
+ * 段落样式对应的标题级别（Heading1-9 / Title / 大纲级别）
+ * @returns {number|null}
+ */
+function getHeadingLevel(paragraphXml) {
+  const props = /<w:pPr>[\s\S]*?<\/w:pPr>/.exec(paragraphXml)?.[0] || '';
+  const style = /<w:pStyle w:val="([^"]+)"/.exec(props)?.[1] || '';
+  if (/^title$/i.test(style)) return 1;
+  const heading = /^heading(\d)$/i.exec(style);
+  if (heading) return Number(heading[1]);
+  const outline = /<w:outlineLvl w:val="(\d)"/.exec(props);
+  return outline && Number(outline[1]) < 9 ? Number(outline[1]) + 1 : null;
+}
+
+/**
+ * 遍历容器内的段落并按需替换 run 区域
+ * 文本框先替换为占位记号，使外层段落的正则不跨越内层段落；文本框内的段落紧随其锚点段落处理
+ * @param {string} xml
+ * @param {Function} visit - ({ xml, inTextBox }, runs, collector) => 新的 run 区域 XML 或 null
+ * @param {boolean} inTextBox
+ * @returns {string} 替换后的 XML
+ */
+function rewriteParagraphs(xml, visit, inTextBox = false) {
+  const nested = [];
+  const masked = xml.replace(NESTED_REGEX, (whole, fallback, open, inner, close) => {
+    nested.push(fallback ? { xml: whole, done: true } : { open, inner, close, done: false });
+    return `\uE000${nested.length - 1}\uE001`;
+  });
+
+  const rewriteNested = (fragment) => {
+    for (const [, i] of fragment.matchAll(TOKEN_REGEX)) {
+      const item = nested[Number(i)];
+      if (item.done) continue;
+      item.xml = item.open + rewriteParagraphs(item.inner, visit, true) + item.close;
+      item.done = true;
+    }
+  };
+
+  const replacements = [];
+  for (const match of masked.matchAll(PARAGRAPH_REGEX)) {
+    const innerStart = match.index + match[0].length - match[1].length - '</w:p>'.length;
+    const collector = createInlineTagCollector();
+    const runs = extractRuns(match[1], DIALECTS.wordml, collector);
+
+    // 只有图片、域等非文本内容的段落不产生段落
+    if (runs && hasTranslatableText(runs.text)) {
+      const replaced = visit({ xml: match[0], inTextBox }, runs, collector);
+      if (replaced !== null && replaced !== undefined) {
+        replacements.push({ start: innerStart + runs.start, end: innerStart + runs.end, xml: replaced });
+      }
+    }
+    rewriteNested(match[0]);
+  }
+  rewriteNested(masked);
+
+  const updated = replacements
+    .reverse()
+    .reduce((acc, { start, end, xml: region }) => acc.slice(0, start) + region + acc.slice(end), masked);
+  return updated.replace(TOKEN_REGEX, (_, i) => nested[Number(i)].xml);
+}
+
+/**
+ * 遍历所有部件的段落
+ * @param {object} zip
+ * @param {Function} visit - (part, paragraph, runs, collector, index) => 新的 run 区域 XML 或 null
+ */
+async function walkParagraphs(zip, visit) {
+  let index = 0;
+
+  for (const part of await listParts(zip)) {
+    const xml = await zip.file(part.path).async('text');
+    let changed = false;
+    const updated = rewriteParagraphs(xml, (paragraph, runs, collector) => {
+      const replaced = visit(part, paragraph, runs, collector, index++);
+      if (replaced !== null && replaced !== undefined) changed = true;
+      return replaced;
+    });
+    if (changed) {
+      zip.file(part.path, updated);
+    }
+  }
+}
+
+/**
+ * 解析 DOCX（保留结构，可原格式回写）
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {object} options - { filters }
+ * @returns {Promise<{ segments: Array }>}
+ */
+export async function parseDOCXPackage(arrayBuffer, options = {}) {
+  const { filters = {} } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const segments = [];
+
+  await walkParagraphs(zip, (part, paragraph, runs, collector, index) => {
+    const location = paragraph.inTextBox && part.location === 'body' ? 'textbox' : part.location;
+    const headingLevel = location === 'body' ? getHeadingLevel(paragraph.xml) : null;
+
+    segments.push(buildOOXMLSegment({
+      id: segments.length,
+      ooxmlIndex: index,
+      type: 'docx',
+      key: location === 'body' ? undefined : location,
+      text: runs.text,
+      tags: collector.tags,
+      filters,
+      location,
+      ...(headingLevel ? { headingLevel } : {}),
+    }));
+    return null;
+  });
+
+  return { segments };
+}
+
+/**
+ * 导出 DOCX：在原始包上写回译文
+ * @param {ArrayBuffer} arrayBuffer - 原始文件
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { targetLang, outputType: 'blob' | 'uint8array' }
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportDOCXPackage(arrayBuffer, segments, options = {}) {
+  const { targetLang, outputType = 'blob' } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const byIndex = new Map(segments.filter(s => s.ooxmlIndex !== undefined).map(s => [s.ooxmlIndex, s]));
+  const lang = targetLang ? toTMXLang(targetLang) : null;
+
+  await walkParagraphs(zip, (part, paragraph, runs, collector, index) => {
+    const segment = byIndex.get(index);
+    const translated = getOOXMLTranslation(segment);
+    if (translated === null) return null;
+
+    const region = buildRuns(translated, segment.inlineTags, runs.baseProps, DIALECTS.wordml);
+    // 校对语言随译文切换
+    return lang ? region.replace(/(<w:lang\b[^>]*?\sw:val=")[^"]*"/g, (_, head) => `${head}${lang}"`) : region;
+  });
+
+  return zip.generateAsync({ type: outputType, mimeType: DOCX_MIME, compression: 'DEFLATE' });
+}
+
+export default {
+  parseDOCXPackage,
+  exportDOCXPackage,
+};
@@ -0,0 +1,343 @@
+// src/utils/formats/epub.js
+// EPUB 解析与译本生成
+//
+// - 按 spine 阅读顺序提取章节正文，每个块级元素一个段落（见 html.js）
+// - 导出生成新的 EPUB 3：spine、目录（nav / ncx）、CSS、图片原样保留，
+//   章节正文替换为译文或「原文段落 + 译文段落」双语对照；
+//   元数据写入目标 dc:language，书名追加后缀
+// - EPUB 2 源文件升级为 EPUB 3：由 NCX 生成 nav 文档，补充 dcterms:modified
+
+import {
+  scanHTMLBlocks,
+  rewriteHTMLBlocks,
+  buildHTMLSegment,
+  getHTMLTranslation,
+  escapeHTMLText,
+  numericEntities,
+} from './html.js';
+import { escapeXMLText, unescapeXML, getAttr, setAttr, restoreInlineTags } from './xml-utils.js';
+import { resolvePartPath } from './ooxml.js';
+import { toTMXLang } from '../tmx-io.js';
+
+const EPUB_MIME = 'application/epub+zip';
+const CONTAINER_PATH = 'META-INF/container.xml';
+// 双语导出时复制为独立译文段落的块级元素；其它（表格单元格等）在原元素内换行追加
+const PAIRABLE_ELEMENTS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'blockquote', 'figcaption', 'div']);
+
+/**
+ * 读取 OPF：路径、元数据、manifest、spine
+ */
+async function loadPackage(zip) {
+  const container = await zip.file(CONTAINER_PATH)?.async('text');
+  if (!container) {
+    throw new Error('无效的 EPUB 文件：缺少 container.xml');
+  }
+
+  const opfPath = /full-path="([^"]+)"/.exec(container)?.[1];
+  if (!opfPath) {
+    throw new Error('无效的 EPUB 文件：找不到 rootfile');
+  }
+
+  const opf = await zip.file(opfPath)?.async('text');
+  if (!opf) {
+    throw new Error('无效的 EPUB 文件：找不到 OPF 文件');
+  }
+
+  const manifestXml = /<manifest[^>]*>([\s\S]*?)<\/manifest>/i.exec(opf)?.[1] || '';
+  const manifest = new Map();
+  for (const [, attrs] of manifestXml.matchAll(/<item\b([^>]*?)\/?>/g)) {
+    const id = getAttr(attrs, 'id');
+    const href = getAttr(attrs, 'href');
+    if (!id || !href) continue;
+    manifest.set(id, {
+      id,
+      href,
+      path: resolvePartPath(opfPath, decodeURIComponent(href)),
+      mediaType: getAttr(attrs, 'media-type') || '',
+      properties: (getAttr(attrs, 'properties') || '').split(/\s+/).filter(Boolean),
+    });
+  }
+
+  const spineMatch = /<spine\b([^>]*)>([\s\S]*?)<\/spine>/i.exec(opf);
+  const spine = [...(spineMatch?.[2] || '').matchAll(/idref="([^"]+)"/g)]
+    .map(m => manifest.get(m[1]))
+    .filter(Boolean);
+
+  return {
+    opfPath,
+    opf,
+    manifest,
+    spine,
+    ncxId: getAttr(spineMatch?.[1] || '', 'toc'),
+    version: /<package\b[^>]*\sversion="([^"]+)"/.exec(opf)?.[1] || '2.0',
+  };
+}
+
+/**
+ * 可翻译的章节：spine 中的 (X)HTML 文档，EPUB 3 导航文档除外（目录保持原样）
+ */
+function listChapters(pkg, zip) {
+  return pkg.spine.filter(item => (
+    /\.(x?html?|xml)$/i.test(item.path)
+    && !item.properties.includes('nav')
+    && zip.file(item.path)
+  ));
+}
+
+/**
+ * 解析 EPUB
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {object} options - { filters }
+ * @returns {Promise<{ segments: Array, title: string|null, chapterCount: number }>}
+ */
+export async function parseEPUBPackage(arrayBuffer, options = {}) {
+  const { filters = {} } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const pkg = await loadPackage(zip);
+  const chapters = listChapters(pkg, zip);
+  const segments = [];
+  let index = 0;
+
+  for (const chapter of chapters) {
+    const html = await zip.file(chapter.path).async('text');
+    for (const unit of scanHTMLBlocks(html)) {
+      segments.push(buildHTMLSegment({
+        id: segments.length,
+        htmlIndex: index++,
+        type: 'epub',
+        key: chapter.href,
+        text: unit.text,
+        tags: unit.tags || {},
+        filters,
+        ...(unit.headingLevel ? { headingLevel: unit.headingLevel } : {}),
+      }));
+    }
+  }
+
+  const title = /<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i.exec(pkg.opf)?.[1];
+  return {
+    segments,
+    title: title ? unescapeXML(title).trim() : null,
+    chapterCount: chapters.length,
+  };
+}
+
+/**
+ * 去掉 id 属性（双语导出复制出的元素不能与原元素重复 id）
+ */
+function stripIds(xml) {
+  return xml.replace(/\s(?:xml:)?id\s*=\s*(?:"[^"]*"|'[^']*')/g, '');
+}
+
+/**
+ * 标记语言属性
+ */
+function setLang(openTag, lang) {
+  return setAttr(setAttr(openTag, 'xml:lang', lang), 'lang', lang);
+}
+
+/**
+ * 改写章节正文
+ * @returns {string}
+ */
+function rewriteChapter(html, byIndex, startIndex, style, lang) {
+  if (style !== 'bilingual') {
+    const translated = rewriteHTMLBlocks(html, {
+      translate: (unit, i) => getHTMLTranslation(byIndex.get(startIndex + i)),
+    });
+    // 仅译文时整章切换语言
+    return translated.replace(/<html\b(?:"[^"]*"|'[^']*'|[^'">])*>/i, tag => setLang(tag, lang));
+  }
+
+  // 双语：原文保持不变，译文段落的属性也用译文
+  return rewriteHTMLBlocks(html, {
+    translate: (unit, i) => getHTMLTranslation(byIndex.get(startIndex + i)),
+    attributes: false,
+    render: (unit, translated, tags) => {
+      const body = restoreInlineTags(
+        translated,
+        Object.fromEntries(Object.entries(tags).map(([key, xml]) => [key, stripIds(xml)])),
+        escapeHTMLText
+      );
+      if (unit.block && unit.block.closeEnd !== null && PAIRABLE_ELEMENTS.has(unit.block.name)) {
+        const openTag = setLang(stripIds(unit.block.openTag), lang);
+        return [{ start: unit.block.closeEnd, end: unit.block.closeEnd, xml: `${openTag}${body}</${unit.block.name}>` }];
+      }
+      return [{ start: unit.end, end: unit.end, xml: `<br/><span lang="${lang}" xml:lang="${lang}">${body}</span>` }];
+    },
+  });
+}
+
+/**
+ * 更新 OPF 元数据：目标语言、书名后缀、修改时间
+ */
+function updateMetadata(opf, { lang, titleSuffix, style }) {
+  let updated = opf;
+
+  const language = /(<dc:language\b[^>]*>)([\s\S]*?)(<\/dc:language>)/i.exec(updated);
+  if (language) {
+    // 双语版保留原语言作为第二语言
+    const original = style === 'bilingual' ? language[0] : '';
+    updated = updated.replace(language[0], `${language[1]}${lang}${language[3]}${original}`);
+  } else {
+    updated = updated.replace(/<\/metadata>/i, `<dc:language>${lang}</dc:language></metadata>`);
+  }
+
+  if (titleSuffix) {
+    updated = updated.replace(/(<dc:title\b[^>]*>)([\s\S]*?)(<\/dc:title>)/i,
+      (_, open, title, close) => `${open}${title}${escapeXMLText(titleSuffix)}${close}`);
+  }
+
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const modifiedRegex = /(<meta\b[^>]*property="dcterms:modified"[^>]*>)[^<]*(<\/meta>)/i;
+  return modifiedRegex.test(updated)
+    ? updated.replace(modifiedRegex, `$1${modified}$2`)
+    : updated.replace(/<\/metadata>/i, `<meta property="dcterms:modified">${modified}</meta></metadata>`);
+}
+
+/**
+ * 计算 from 所在目录到 to 的相对路径
+ */
+function relativePath(from, to) {
+  const fromParts = from.split('/').slice(0, -1);
+  const toParts = to.split('/');
+  while (fromParts.length > 0 && toParts.length > 1 && fromParts[0] === toParts[0]) {
+    fromParts.shift();
+    toParts.shift();
+  }
+  return [...fromParts.map(() => '..'), ...toParts].join('/');
+}
+
+/**
+ * NCX navMap → nav 文档中的 <ol>
+ */
+function ncxToNavList(ncx) {
+  const tokens = ncx.matchAll(/<navPoint\b[^>]*>|<\/navPoint>|<text>([\s\S]*?)<\/text>|<content\b[^>]*\ssrc="([^"]*)"/g);
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const [token, text, src] of tokens) {
+    const current = stack[stack.length - 1];
+    if (token.startsWith('<navPoint')) {
+      const point = { label: '', src: '', children: [] };
+      current.children.push(point);
+      stack.push(point);
+    } else if (token === '</navPoint>') {
+      if (stack.length > 1) stack.pop();
+    } else if (text !== undefined && current !== root && !current.label) {
+      current.label = unescapeXML(text).trim();
+    } else if (src !== undefined && current !== root) {
+      current.src = src;
+    }
+  }
+
+  const render = items => `<ol>${items.map(item => (
+    `<li><a href="${item.src}">${escapeXMLText(item.label || item.src)}</a>`
+    + `${item.children.length > 0 ? render(item.children) : ''}</li>`
+  )).join('')}</ol>`;
+  return root.children.length > 0 ? render(root.children) : '';
+}
+
+/**
+ * EPUB 2 → EPUB 3：版本号、nav 文档、去掉 opf: 属性、XHTML 文档类型
+ * @returns {Promise<string>} 新的 OPF
+ */
+async function upgradePackage(zip, pkg, files) {
+  let opf = pkg.opf
+    .replace(/(<package\b[^>]*\sversion=")[^"]*"/, '$13.0"')
+    .replace(/(<metadata[\s\S]*?<\/metadata>)/i, metadata => metadata.replace(/\sopf:[\w-]+="[^"]*"/g, ''));
+
+  // XHTML 1.1 DOCTYPE 在 EPUB 3 中无效；DTD 去掉后命名实体改为数字引用
+  for (const item of pkg.manifest.values()) {
+    if (item.mediaType !== 'application/xhtml+xml' || !zip.file(item.path)) continue;
+    const xhtml = files.get(item.path) ?? await zip.file(item.path).async('text');
+    files.set(item.path, numericEntities(xhtml.replace(/<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>/i, '<!DOCTYPE html>')));
+  }
+
+  const ncx = pkg.ncxId && pkg.manifest.get(pkg.ncxId);
+  const ncxXml = ncx && zip.file(ncx.path) ? await zip.file(ncx.path).async('text') : '';
+  const navDir = ncx ? ncx.path.split('/').slice(0, -1).join('/') : pkg.opfPath.split('/').slice(0, -1).join('/');
+  let navPath = `${navDir ? `${navDir}/` : ''}nav.xhtml`;
+  for (let n = 1; zip.file(navPath) || files.has(navPath); n++) {
+    navPath = `${navDir ? `${navDir}/` : ''}nav${n}.xhtml`;
+  }
+
+  let list = ncxToNavList(ncxXml);
+  if (!list) {
+    // 没有 NCX 时按 spine 列出章节
+    list = `<ol>${listChapters(pkg, zip).map(item => (
+      `<li><a href="${relativePath(navPath, item.path)}">${escapeXMLText(item.href)}</a></li>`
+    )).join('')}</ol>`;
+  }
+  const title = /<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i.exec(opf)?.[1] || '';
+  files.set(navPath, `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${title}</title></head>
+<body><nav epub:type="toc" id="toc">${list}</nav></body>
+</html>
+`);
+
+  const navItem = `<item id="nav" href="${relativePath(pkg.opfPath, navPath)}" media-type="application/xhtml+xml" properties="nav"/>`;
+  opf = opf.replace(/<\/manifest>/i, `${pkg.manifest.has('nav') ? navItem.replace('id="nav"', 'id="tt-nav"') : navItem}</manifest>`);
+  return opf;
+}
+
+/**
+ * 导出译本 EPUB
+ * @param {ArrayBuffer} arrayBuffer - 原始文件
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { style: 'translated' | 'bilingual', targetLang, titleSuffix, outputType }
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportEPUB(arrayBuffer, segments, options = {}) {
+  const {
+    style = 'translated',
+    targetLang = 'zh',
+    titleSuffix = style === 'bilingual' ? '（双语）' : '（译本）',
+    outputType = 'blob',
+  } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const pkg = await loadPackage(zip);
+  const lang = toTMXLang(targetLang);
+  const byIndex = new Map(segments.filter(s => s.htmlIndex !== undefined).map(s => [s.htmlIndex, s]));
+  const files = new Map();
+
+  let index = 0;
+  for (const chapter of listChapters(pkg, zip)) {
+    const html = await zip.file(chapter.path).async('text');
+    const count = scanHTMLBlocks(html).length;
+    files.set(chapter.path, rewriteChapter(html, byIndex, index, style, lang));
+    index += count;
+  }
+
+  const hasNav = [...pkg.manifest.values()].some(item => item.properties.includes('nav'));
+  let opf = pkg.opf;
+  if (!pkg.version.startsWith('3') || !hasNav) {
+    opf = await upgradePackage(zip, pkg, files);
+  }
+  files.set(pkg.opfPath, updateMetadata(opf, { lang, titleSuffix, style }));
+
+  // mimetype 必须是第一个文件且不压缩
+  const output = new JSZip();
+  output.file('mimetype', EPUB_MIME, { compression: 'STORE' });
+  for (const path of Object.keys(zip.files)) {
+    const entry = zip.files[path];
+    if (entry.dir || path === 'mimetype') continue;
+    output.file(path, files.has(path) ? files.get(path) : await entry.async('uint8array'));
+    files.delete(path);
+  }
+  // 新增文件（nav 文档）
+  for (const [path, content] of files) {
+    output.file(path, content);
+  }
+
+  return output.generateAsync({ type: outputType, mimeType: EPUB_MIME, compression: 'DEFLATE' });
+}
+
+export default {
+  parseEPUBPackage,
+  exportEPUB,
+};
@@ -0,0 +1,450 @@
+// src/utils/formats/html.js
+// (X)HTML 正文块提取与回写
+//
+// - 以块级元素为界切分段落，段落内的行内标签（<b>、<a>、<img> 等）转为 ⟦...⟧ 占位符，
+//   不会在每个 <b> 处把句子拆开
+// - <script>、<style>、<pre>、<code> 及 translate="no" 的元素整体保留：块级的跳过，行内的作为单个占位符
+// - alt、title、placeholder、aria-label 属性值单独成段
+// - 只记录段落在源文件中的位置，导出时按位置替换，其余内容逐字节不变
+
+import { estimateTokens, shouldSkipSegment } from '../document-parser.js';
+import { createInlineTagCollector, restoreInlineTags, setAttr } from './xml-utils.js';
+import { hasTranslatableText } from './placeholders.js';
+import { toTMXLang } from '../tmx-io.js';
+
+// 注释、CDATA、声明、处理指令、标签（属性值中可含 >）
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[!?][^>]*>|<(\/?)([a-zA-Z][\w:.-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'acronym', 'b', 'bdi', 'bdo', 'big', 'br', 'cite', 'data', 'del', 'dfn', 'em', 'font',
+  'i', 'img', 'ins', 'label', 'mark', 'nobr', 'q', 'rp', 'rt', 'ruby', 's', 'small', 'span', 'strike',
+  'strong', 'sub', 'sup', 'time', 'tt', 'u', 'wbr',
+]);
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+// 整体保留的元素：行内的作为单个占位符，块级的原样跳过
+const RAW_INLINE_ELEMENTS = new Set(['code', 'kbd', 'samp', 'svg', 'math']);
+const RAW_BLOCK_ELEMENTS = new Set(['script', 'style', 'pre', 'textarea', 'noscript', 'template']);
+
+// 常用命名实体；Latin-1 区（U+00A0 - U+00FF）按码位顺序排列
+const LATIN1_ENTITIES = 'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml';
+const NAMED_ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.split(' ').map((name, i) => [name, 0xA0 + i])),
+  amp: 38, lt: 60, gt: 62, quot: 34, apos: 39,
+  ensp: 0x2002, emsp: 0x2003, thinsp: 0x2009, zwnj: 0x200C, zwj: 0x200D, lrm: 0x200E, rlm: 0x200F,
+  ndash: 0x2013, mdash: 0x2014, lsquo: 0x2018, rsquo: 0x2019, sbquo: 0x201A, ldquo: 0x201C, rdquo: 0x201D,
+  bdquo: 0x201E, dagger: 0x2020, Dagger: 0x2021, bull: 0x2022, hellip: 0x2026, permil: 0x2030,
+  prime: 0x2032, Prime: 0x2033, lsaquo: 0x2039, rsaquo: 0x203A, euro: 0x20AC, trade: 0x2122,
+  larr: 0x2190, rarr: 0x2192, minus: 0x2212, OElig: 0x152, oelig: 0x153, Scaron: 0x160, scaron: 0x161,
+  Yuml: 0x178, fnof: 0x192, circ: 0x2C6, tilde: 0x2DC,
+};
+// 需要翻译的属性
+const TRANSLATABLE_ATTRIBUTES = new Set(['alt', 'title', 'placeholder', 'aria-label']);
+const ATTRIBUTE_REGEX = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const XML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+
+/**
+ * HTML 实体解码（未知的命名实体保持原样）
+ */
+export function decodeHTMLEntities(text) {
+  return (text || '').replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z][a-z0-9]*));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return NAMED_ENTITIES[name] !== undefined ? String.fromCodePoint(NAMED_ENTITIES[name]) : match;
+  });
+}
+
+/**
+ * HTML 文本转义；保留已有的实体引用，避免重复转义
+ */
+export function escapeHTMLText(text) {
+  return String(text ?? '')
+    .replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * XML 未定义的命名实体转为数字引用（XHTML 去掉 DTD 后仍然有效）
+ */
+export function numericEntities(xml) {
+  return xml.replace(/&([a-z][a-z0-9]*);/gi, (match, name) => (
+    !XML_ENTITIES.has(name) && NAMED_ENTITIES[name] !== undefined ? `&#${NAMED_ENTITIES[name]};` : match
+  ));
+}
+
+/**
+ * 找到元素的结束位置（同名元素嵌套计数）
+ * @returns {number} 结束标签之后的位置；找不到时返回文档末尾
+ */
+function findElementEnd(html, name, from) {
+  const regex = new RegExp(`<(/?)${name}(?=[\\s/>])(?:"[^"]*"|'[^']*'|[^'">])*>`, 'gi');
+  regex.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    if (match[1]) depth--;
+    else if (!match[0].endsWith('/>')) depth++;
+    if (depth === 0) return regex.lastIndex;
+  }
+  return html.length;
+}
+
+/**
+ * 行内片段 → 带占位符的文本
+ * 成对的行内标签转为 ⟦bN⟧...⟦/bN⟧，不成对的标签和整体保留的元素转为单个占位符
+ */
+function buildUnitText(pieces, collector) {
+  const pairs = new Map();
+  const stack = [];
+  pieces.forEach((piece, i) => {
+    if (piece.kind === 'open') stack.push(i);
+    if (piece.kind !== 'close') return;
+    const openAt = stack.length > 0 && pieces[stack[stack.length - 1]].name === piece.name ? stack.pop() : -1;
+    if (openAt >= 0) {
+      pairs.set(openAt, i);
+      pairs.set(i, openAt);
+    }
+  });
+
+  const numbers = new Map();
+  return pieces.map((piece, i) => {
+    if (piece.kind === 'text') {
+      return decodeHTMLEntities(piece.text).replace(/[ \t\r\n\f]+/g, ' ');
+    }
+    if ((piece.kind === 'open' || piece.kind === 'close') && pairs.has(i)) {
+      if (piece.kind === 'close') return collector.close(piece.name, numbers.get(i), piece.xml);
+      const { placeholder, n } = collector.open(piece.name, piece.xml);
+      numbers.set(pairs.get(i), n);
+      piece.placeholder = placeholder;
+      return placeholder;
+    }
+    piece.placeholder = collector.single(piece.name, piece.xml);
+    return piece.placeholder;
+  }).join('').replace(/^[ \t\r\n\f]+|[ \t\r\n\f]+$/g, '');
+}
+
+/**
+ * 标签中需要翻译的属性值
+ * @param {string} token - 完整标签
+ * @param {number} tagStart - 标签在源文件中的位置
+ * @returns {Array<{ kind: 'attr', attribute, quote, start, end, text }>}
+ */
+function scanAttributes(token, tagStart) {
+  const attrStart = /^<[\w:.-]+/.exec(token)[0].length;
+  const units = [];
+  for (const match of token.slice(attrStart).matchAll(ATTRIBUTE_REGEX)) {
+    const attribute = match[1].toLowerCase();
+    if (!TRANSLATABLE_ATTRIBUTES.has(attribute)) continue;
+
+    const value = match[2] ?? match[3] ?? match[4];
+    let quote = '';
+    if (match[2] !== undefined) quote = '"';
+    else if (match[3] !== undefined) quote = "'";
+    const text = decodeHTMLEntities(value).replace(/[ \t\r\n\f]+/g, ' ').trim();
+    if (!hasTranslatableText(text)) continue;
+
+    const start = tagStart + attrStart + match.index + match[0].length - value.length - quote.length;
+    units.push({ kind: 'attr', attribute, quote, start, end: start + value.length, text });
+  }
+  return units;
+}
+
+/**
+ * 元素是否标记为不翻译
+ */
+function isNoTranslate(token) {
+  return /\stranslate\s*=\s*["']?no\b/i.test(token);
+}
+
+/**
+ * 扫描 (X)HTML 中的可译段落
+ * @param {string} html
+ * @returns {Array<object>} 按源文件位置排序：
+ *   文本段落 { kind: 'text', start, end, text, tags, block, headingLevel }
+ *     start / end：段落在源文件中的范围（不含首尾空白）
+ *     block：段落独占的块级元素 { name, openTag, closeEnd }，否则为 null
+ *   属性段落 { kind: 'attr', attribute, quote, start, end, text, owner, placeholder, tagStart }
+ *     标签位于文本段落内时，owner 为该段落，placeholder 为标签对应的占位符
+ */
+export function scanHTMLBlocks(html) {
+  const units = [];
+  const stack = [];
+  let run = null;
+  let boundary = 0;
+  let lastText = null;
+  let runAttributes = [];
+
+  const addPiece = (piece, start, end) => {
+    if (!run) run = { start, end, pieces: [] };
+    run.pieces.push({ ...piece, start });
+    run.end = end;
+    return run.pieces[run.pieces.length - 1];
+  };
+
+  const addAttributes = (token, start, piece) => {
+    for (const unit of scanAttributes(token, start)) {
+      const attr = { ...unit, owner: null, piece };
+      units.push(attr);
+      if (piece) runAttributes.push(attr);
+    }
+  };
+
+  // 遇到块级边界：收尾当前段落
+  const flush = (closingName) => {
+    if (!run) return;
+    const current = run;
+    const attrs = runAttributes;
+    run = null;
+    runAttributes = [];
+
+    const collector = createInlineTagCollector();
+    const text = buildUnitText(current.pieces, collector);
+    if (!hasTranslatableText(text)) return;
+
+    const raw = html.slice(current.start, current.end);
+    const top = stack[stack.length - 1];
+    // 块级元素内部没有其它块级标签时，段落独占该元素
+    const block = closingName && top?.name === closingName && top.openEnd === boundary
+      ? { name: top.name, openTag: top.openTag, closeEnd: null }
+      : null;
+    const heading = block && /^h([1-6])$/.exec(block.name);
+
+    const unit = {
+      kind: 'text',
+      start: current.start + /^[ \t\r\n\f]*/.exec(raw)[0].length,
+      end: current.end - /[ \t\r\n\f]*$/.exec(raw)[0].length,
+      text,
+      tags: collector.tags,
+      block,
+      headingLevel: heading ? Number(heading[1]) : null,
+    };
+    units.push(unit);
+    lastText = unit;
+
+    // 段落内标签上的属性归属该段落，导出时随标签一起写回
+    for (const attr of attrs) {
+      attr.owner = unit;
+      attr.placeholder = attr.piece.placeholder;
+      attr.tagStart = attr.piece.start;
+    }
+  };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let pos = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(html)) !== null) {
+    if (match.index > pos) {
+      addPiece({ kind: 'text', text: html.slice(pos, match.index) }, pos, match.index);
+    }
+    const start = match.index;
+    let end = TOKEN_REGEX.lastIndex;
+    const [token, slash, rawName] = match;
+
+    if (rawName === undefined) {
+      // 注释等：段落中间的作为占位符，段落外的忽略
+      if (run) addPiece({ kind: 'single', name: 'x', xml: token }, start, end);
+      pos = end;
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const selfClosing = token.endsWith('/>') || VOID_ELEMENTS.has(name);
+    const isRaw = RAW_INLINE_ELEMENTS.has(name) || RAW_BLOCK_ELEMENTS.has(name) || isNoTranslate(token);
+    const isInline = INLINE_ELEMENTS.has(name) || RAW_INLINE_ELEMENTS.has(name);
+
+    if (!slash && isRaw) {
+      if (!selfClosing) {
+        end = findElementEnd(html, rawName, end);
+        TOKEN_REGEX.lastIndex = end;
+      }
+      if (isInline) {
+        addPiece({ kind: 'single', name, xml: html.slice(start, end) }, start, end);
+      } else {
+        flush(null);
+        boundary = end;
+      }
+    } else if (isInline) {
+      let kind = 'open';
+      if (slash) kind = 'close';
+      else if (selfClosing) kind = 'single';
+      const piece = addPiece({ kind, name, xml: token }, start, end);
+      if (!slash) addAttributes(token, start, piece);
+    } else if (slash) {
+      flush(name);
+      const at = stack.map(item => item.name).lastIndexOf(name);
+      if (at >= 0) stack.length = at;
+      boundary = end;
+
+      // 段落独占块级元素时记录结束标签位置（双语导出在其后插入译文）
+      if (lastText?.block && lastText.block.closeEnd === null && lastText.block.name === name) {
+        lastText.block.closeEnd = end;
+      }
+    } else {
+      flush(null);
+      addAttributes(token, start, null);
+      if (!selfClosing) stack.push({ name, openTag: token, openEnd: end });
+      boundary = end;
+    }
+    pos = end;
+  }
+  if (pos < html.length) addPiece({ kind: 'text', text: html.slice(pos) }, pos, html.length);
+  flush(null);
+
+  // owner 引用同一对象，原地去掉扫描用的 piece
+  for (const unit of units) delete unit.piece;
+  return units.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 属性值转义（按原引号）
+ */
+function escapeAttribute(value, quote) {
+  const escaped = escapeHTMLText(value);
+  if (quote === "'") return escaped.replace(/'/g, '&#39;');
+  return escaped.replace(/"/g, '&quot;');
+}
+
+/**
+ * 按段落改写 (X)HTML
+ * 段落内标签上的属性译文并入该段落的标签一起写回；段落本身未翻译时单独替换属性值
+ * @param {string} html
+ * @param {object} options
+ * @param {Function} options.translate - (unit, index) => 译文或 null
+ * @param {Function} [options.render] - (unit, translated, tags) => 编辑列表 [{ start, end, xml }]，
+ *   默认在原位置替换为译文
+ * @param {boolean} [options.attributes=true] - 是否单独写回段落外的属性译文
+ * @returns {string}
+ */
+export function rewriteHTMLBlocks(html, options) {
+  const {
+    translate,
+    render = (unit, translated, tags) => [{
+      start: unit.start,
+      end: unit.end,
+      xml: restoreInlineTags(translated, tags, escapeHTMLText),
+    }],
+    attributes = true,
+  } = options;
+  const units = scanHTMLBlocks(html);
+  const translations = units.map((unit, index) => translate(unit, index));
+  const tagsByUnit = new Map();
+  const edits = [];
+
+  // 属性从后往前写入，同一标签内前面属性的偏移不受影响
+  for (let index = units.length - 1; index >= 0; index--) {
+    const unit = units[index];
+    if (unit.kind !== 'attr' || translations[index] === null) continue;
+    const value = escapeAttribute(translations[index], unit.quote);
+    const ownerTranslated = unit.owner && translations[units.indexOf(unit.owner)] !== null;
+
+    if (ownerTranslated) {
+      const tags = tagsByUnit.get(unit.owner) || { ...unit.owner.tags };
+      const xml = tags[unit.placeholder];
+      const offset = unit.start - unit.tagStart;
+      tags[unit.placeholder] = xml.slice(0, offset) + value + xml.slice(offset + unit.end - unit.start);
+      tagsByUnit.set(unit.owner, tags);
+    } else if (attributes) {
+      // 原值无引号时补上引号
+      edits.push({ start: unit.start, end: unit.end, xml: unit.quote ? value : `"${value}"` });
+    }
+  }
+
+  units.forEach((unit, index) => {
+    if (unit.kind !== 'text' || translations[index] === null) return;
+    edits.push(...render(unit, translations[index], tagsByUnit.get(unit) || unit.tags));
+  });
+
+  return edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((acc, { start, end, xml }) => acc.slice(0, start) + xml + acc.slice(end), html);
+}
+
+/**
+ * 构建 HTML 段落
+ * @param {object} params - { id, htmlIndex, type, key, text, tags, filters, ...extra }
+ * @returns {object}
+ */
+export function buildHTMLSegment({ id, htmlIndex, type, key, text, tags, filters = {}, ...extra }) {
+  const segment = {
+    id,
+    original: text,
+    translated: '',
+    status: 'pending',
+    tokens: estimateTokens(text),
+    type,
+    key,
+    inlineTags: tags,
+    htmlIndex,
+    ...extra,
+  };
+
+  const skipCheck = shouldSkipSegment(text, filters);
+  if (skipCheck.skip) {
+    segment.status = 'skipped';
+    segment.tokens = 0;
+    segment.isFiltered = true;
+    segment.filterReason = skipCheck.reason;
+  }
+  return segment;
+}
+
+/**
+ * 取得可写回的译文（跳过 / 未翻译返回 null）
+ */
+export function getHTMLTranslation(segment) {
+  if (!segment || segment.status === 'skipped') return null;
+  if (typeof segment.translated !== 'string' || !segment.translated.trim()) return null;
+  return segment.translated;
+}
+
+/**
+ * 解析 HTML 文档
+ * @param {string} content
+ * @param {object} options - { filters }
+ * @returns {{ segments: Array }}
+ */
+export function parseHTML(content, options = {}) {
+  const { filters = {} } = options;
+  const segments = scanHTMLBlocks(content).map((unit, index) => buildHTMLSegment({
+    id: index,
+    htmlIndex: index,
+    type: 'html',
+    key: unit.kind === 'attr' ? `@${unit.attribute}` : undefined,
+    text: unit.text,
+    tags: unit.tags || {},
+    filters,
+    ...(unit.headingLevel ? { headingLevel: unit.headingLevel } : {}),
+  }));
+  return { segments };
+}
+
+/**
+ * 导出 HTML：原文档中的文本与属性替换为译文，<html lang> 改为目标语言
+ * @param {string} content - 原文件内容
+ * @param {Array} segments
+ * @param {object} options - { targetLang }
+ * @returns {string}
+ */
+export function exportHTML(content, segments, options = {}) {
+  const { targetLang } = options;
+  const byIndex = new Map(segments.filter(s => s.htmlIndex !== undefined).map(s => [s.htmlIndex, s]));
+  const output = rewriteHTMLBlocks(content, {
+    translate: (unit, index) => getHTMLTranslation(byIndex.get(index)),
+  });
+  if (!targetLang) return output;
+  return output.replace(/<html\b(?:"[^"]*"|'[^']*'|[^'">])*>/i, tag => setAttr(tag, 'lang', toTMXLang(targetLang)));
+}
+
+export default {
+  decodeHTMLEntities,
+  escapeHTMLText,
+  numericEntities,
+  scanHTMLBlocks,
+  rewriteHTMLBlocks,
+  buildHTMLSegment,
+  getHTMLTranslation,
+  parseHTML,
+  exportHTML,
+};
@@ -0,0 +1,104 @@
+// src/utils/formats/i18n-json.js
+// 嵌套 i18n JSON 解析与回写（如 src/i18n/locales 的结构）
+//
+// - 每个字符串值一个段落，键路径只用于定位和展示
+// - 也用于一般的 JSON 数据文件：URL / 日期 / ID 等值标为“非文本”，其余按文档过滤设置跳过
+// - 导出时按键路径写回，键顺序、非字符串值、缩进风格保持不变
+
+import { shouldSkipSegment } from '../document-parser.js';
+import {
+  NON_TEXT_REGEX,
+  buildResourceSegment,
+  getResourceTranslation,
+  indexResourceSegments,
+  formatKeyPath,
+} from './resource.js';
+
+/**
+ * 按出现顺序收集字符串值
+ */
+function collectStrings(data) {
+  const values = [];
+  const walk = (node, path) => {
+    if (typeof node === 'string') {
+      values.push({ path, value: node });
+    } else if (Array.isArray(node)) {
+      node.forEach((item, i) => walk(item, [...path, i]));
+    } else if (node && typeof node === 'object') {
+      Object.entries(node).forEach(([key, value]) => walk(value, [...path, key]));
+    }
+  };
+  walk(data, []);
+  return values;
+}
+
+/**
+ * 检测原文件缩进
+ */
+function detectIndent(content) {
+  const match = /^[{[][ \t]*\r?\n([ \t]+)\S/.exec(content.trimStart());
+  if (!match) return 2;
+  return match[1].includes('\t') ? '\t' : match[1].length;
+}
+
+/**
+ * 跳过原因：不是自然语言的值，或命中文档过滤设置
+ */
+function getSkipReason(value, filters) {
+  if (NON_TEXT_REGEX.test(value.trim())) return '非文本';
+  const skipCheck = shouldSkipSegment(value, filters);
+  return skipCheck.skip ? skipCheck.reason : null;
+}
+
+/**
+ * 解析 i18n JSON
+ * @param {string} content
+ * @param {object} options - { filters }
+ * @returns {{ segments: Array }}
+ */
+export function parseI18nJSON(content, options = {}) {
+  const { filters = {} } = options;
+  const data = JSON.parse(content);
+  const segments = collectStrings(data).map(({ path, value }, index) => {
+    const key = formatKeyPath(path);
+    return {
+      ...buildResourceSegment({
+        id: index,
+        resourceIndex: index,
+        key,
+        text: value,
+        skipReason: getSkipReason(value, filters),
+      }),
+      path: key,
+    };
+  });
+  return { segments };
+}
+
+/**
+ * 导出 i18n JSON
+ * @param {string} content - 原始 JSON
+ * @param {Array} segments - 翻译后的段落
+ * @returns {string}
+ */
+export function exportI18nJSON(content, segments) {
+  const data = JSON.parse(content);
+  const byIndex = indexResourceSegments(segments);
+
+  collectStrings(data).forEach(({ path }, index) => {
+    const translation = getResourceTranslation(byIndex.get(index));
+    if (translation === null || path.length === 0) return;
+
+    let node = data;
+    for (const key of path.slice(0, -1)) node = node[key];
+    node[path[path.length - 1]] = translation;
+  });
+
+  const output = JSON.stringify(data, null, detectIndent(content));
+  return /\n$/.test(content) ? `${output}\n` : output;
+}
+
+export default {
+  parseI18nJSON,
+  exportI18nJSON,
+};
@@ -0,0 +1,408 @@
+// src/utils/formats/markdown.js
+// Markdown 结构化解析与回写
+//
+// 只翻译正文节点：段落、标题、列表项、脚注、表格单元格、链接文字和图片 alt。
+// front matter、代码块、HTML 块、链接定义、分隔线、数学公式块原样保留；
+// 行内代码、链接地址、HTML 标签、自动链接转为 ⟦...⟧ 占位符。
+// 导出时只替换正文所在的行 / 单元格，其余内容逐字节不变。
+
+import { estimateTokens, shouldSkipSegment } from '../document-parser.js';
+import { createInlineTagCollector, restoreInlineTags } from './xml-utils.js';
+import { hasTranslatableText } from './placeholders.js';
+
+const FRONT_MATTER_REGEX = /^(---|\+\+\+)[ \t]*$/;
+const QUOTE_REGEX = /^(?: {0,3}>[ \t]?)+/;
+const FENCE_REGEX = /^[ \t]*(`{3,}|~{3,})/;
+const HR_REGEX = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const ATX_REGEX = /^( {0,3}#{1,6})([ \t]+|$)(.*?)((?:[ \t]+#+)?[ \t]*)$/;
+const SETEXT_REGEX = /^ {0,3}(=+|-+)[ \t]*$/;
+const LIST_REGEX = /^([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+|$)(\[[ xX]\][ \t]+)?/;
+const FOOTNOTE_REGEX = /^ {0,3}\[\^[^\]]+\]:[ \t]*/;
+const LINK_DEF_REGEX = /^ {0,3}\[[^\]]+\]:[ \t]*\S/;
+const TABLE_DELIMITER_REGEX = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// CommonMark HTML 块（类型 6 的块级标签）
+const HTML_BLOCK_TAGS = 'address|article|aside|blockquote|body|caption|center|col|colgroup|dd|details|dialog|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|head|header|hr|html|iframe|legend|li|main|menu|nav|ol|p|picture|section|summary|table|tbody|td|tfoot|th|thead|tr|ul|video|audio';
+const HTML_RAW_REGEX = /^ {0,3}<(script|pre|style|textarea)(?=[\s>]|$)/i;
+const HTML_BLOCK_REGEX = new RegExp(`^ {0,3}(?:<!--|<\\?|<![A-Za-z]|<!\\[CDATA\\[|</?(?:${HTML_BLOCK_TAGS})(?=[\\s/>]|$))`, 'i');
+// 类型 7：整行只有一个完整标签，不能打断段落
+const HTML_TAG_LINE_REGEX = /^ {0,3}<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>[ \t]*$/;
+
+// 行内需要保护的结构，按出现顺序匹配
+// 1: 反引号串 2: 图片标记 ! 3: 链接文字 4: 链接目标 (url) / [ref]
+const INLINE_REGEX = /(`+)[\s\S]*?\1|<!--[\s\S]*?-->|<(?:https?|ftp|mailto):[^\s<>]+>|<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>|\[\^[^\]\s]+\]|(!?)\[((?:[^[\]\\]|\\.|\[(?:[^[\]\\]|\\.)*\])*)\](\((?:[^()\s]|\([^()]*\)|\s+(?:"[^"]*"|'[^']*'))*\)|\[[^\]]*\])?|https?:\/\/[^\s<>()[\]]+/g;
+
+/**
+ * 行首空白宽度（制表符按 4 计）
+ */
+function indentWidth(text) {
+  return /^[ \t]*/.exec(text)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * 行内结构 → 占位符（链接 / 图片文字保留可译，地址保护）
+ */
+function protectInline(text, collector) {
+  return text.replace(INLINE_REGEX, (match, ticks, bang, label, target) => {
+    if (label === undefined) {
+      let name = 'html';
+      if (ticks) name = 'code';
+      else if (match.startsWith('[^')) name = 'fn';
+      else if (!match.startsWith('<') || /^<(?:https?|ftp|mailto):/.test(match)) name = 'url';
+      return collector.single(name, match);
+    }
+    // 没有目标的方括号（[WIP]、快捷引用）按普通文本处理
+    if (!target) return `${bang}[${protectInline(label, collector)}]`;
+
+    const name = bang ? 'img' : 'a';
+    const { placeholder, n } = collector.open(name, `${bang}[`);
+    const inner = protectInline(label, collector);
+    return placeholder + inner + collector.close(name, n, `]${target}`);
+  });
+}
+
+/**
+ * 拆分表格行的单元格，返回去掉首尾空白后的 [start, end)
+ */
+function splitTableCells(row, offset) {
+  const cells = [];
+  let start = 0;
+  let i = 0;
+
+  while (i <= row.length) {
+    const ch = row[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      const ticks = /^`+/.exec(row.slice(i))[0];
+      const close = row.indexOf(ticks, i + ticks.length);
+      if (close > 0) {
+        i = close + ticks.length;
+        continue;
+      }
+    }
+    if (ch === '|' || i === row.length) {
+      const cell = row.slice(start, i);
+      const lead = /^\s*/.exec(cell)[0].length;
+      const trimmed = cell.trim();
+      if (trimmed) {
+        cells.push({ start: offset + start + lead, end: offset + start + lead + trimmed.length });
+      }
+      start = i + 1;
+    }
+    i++;
+  }
+
+  return cells;
+}
+
+/**
+ * 找到代码围栏的结束行
+ */
+function findFenceEnd(lines, start, fence) {
+  const closeRegex = new RegExp(`^[ \\t]*${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+  for (let j = start + 1; j < lines.length; j++) {
+    const rest = lines[j].replace(QUOTE_REGEX, '');
+    if (closeRegex.test(rest)) return j;
+  }
+  return lines.length - 1;
+}
+
+/**
+ * 找到 HTML 块的结束行
+ */
+function findHtmlEnd(lines, start, rest) {
+  const raw = HTML_RAW_REGEX.exec(rest);
+  const endRegex = raw
+    ? new RegExp(`</${raw[1]}>`, 'i')
+    : (/^ {0,3}<!--/.test(rest) ? /-->/ : null);
+
+  for (let j = start; j < lines.length; j++) {
+    if (endRegex ? endRegex.test(lines[j]) : !lines[j].trim()) {
+      return endRegex ? j : j - 1;
+    }
+  }
+  return lines.length - 1;
+}
+
+/**
+ * 扫描 Markdown，列出所有正文单元
+ * - block：整行单元（段落 / 标题 / 列表项 / 脚注），每行有前缀和后缀
+ * - cell：表格单元格（行内区间）
+ * @param {string} content
+ * @returns {{ lines: string[], eol: string, units: Array }}
+ */
+function scanMarkdown(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const units = [];
+  let para = null;
+  let listIndent = null;
+
+  const splitLine = (index, prefixLength) => {
+    const line = lines[index];
+    const body = line.slice(prefixLength);
+    const text = body.replace(/[ \t]+$/, '');
+    return { index, prefix: line.slice(0, prefixLength), text, suffix: body.slice(text.length) };
+  };
+  const startBlock = (blockType, index, prefixLength, contPrefix) => {
+    para = { kind: 'block', blockType, lines: [splitLine(index, prefixLength)], contPrefix };
+    units.push(para);
+  };
+  // 缩进小于列表内容缩进的非列表块结束当前列表
+  const leaveList = (rest) => {
+    if (listIndent !== null && indentWidth(rest) < listIndent) listIndent = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // front matter（YAML / TOML）
+    if (i === 0 && FRONT_MATTER_REGEX.test(line)) {
+      const marker = line.trim();
+      const end = lines.findIndex((l, j) => j > 0 && (l.trim() === marker || (marker === '---' && l.trim() === '...')));
+      if (end > 0) {
+        i = end;
+        continue;
+      }
+    }
+
+    const quote = QUOTE_REGEX.exec(line)?.[0] || '';
+    const rest = line.slice(quote.length);
+    const leading = /^[ \t]*/.exec(rest)[0];
+
+    if (!rest.trim()) {
+      para = null;
+      continue;
+    }
+
+    const fence = FENCE_REGEX.exec(rest);
+    if (fence) {
+      para = null;
+      leaveList(rest);
+      i = findFenceEnd(lines, i, fence[1]);
+      continue;
+    }
+
+    if (/^[ \t]*\$\$/.test(rest)) {
+      para = null;
+      leaveList(rest);
+      const single = rest.trim().length > 2 && rest.trim().endsWith('$$');
+      if (!single) {
+        const end = lines.findIndex((l, j) => j > i && l.trim().endsWith('$$'));
+        i = end > 0 ? end : lines.length - 1;
+      }
+      continue;
+    }
+
+    if (HTML_RAW_REGEX.test(rest) || HTML_BLOCK_REGEX.test(rest) || (!para && HTML_TAG_LINE_REGEX.test(rest))) {
+      para = null;
+      leaveList(rest);
+      i = findHtmlEnd(lines, i, rest);
+      continue;
+    }
+
+    if (para?.blockType === 'paragraph' && SETEXT_REGEX.test(rest)) {
+      para.blockType = 'heading';
+      para.headingLevel = rest.includes('=') ? 1 : 2;
+      para = null;
+      continue;
+    }
+
+    if (HR_REGEX.test(rest)) {
+      para = null;
+      leaveList(rest);
+      continue;
+    }
+
+    const atx = ATX_REGEX.exec(rest);
+    if (atx) {
+      para = null;
+      leaveList(rest);
+      const prefix = quote + atx[1] + atx[2];
+      units.push({
+        kind: 'block',
+        blockType: 'heading',
+        headingLevel: atx[1].trim().length,
+        lines: [{ index: i, prefix, text: atx[3], suffix: atx[4] }],
+        contPrefix: prefix,
+      });
+      continue;
+    }
+
+    // 缩进代码块（列表内的缩进续行除外）
+    if (!para && /^( {4}|\t)/.test(rest) && (listIndent === null || indentWidth(rest) < listIndent)) {
+      let end = i;
+      for (let j = i + 1; j < lines.length; j++) {
+        const next = lines[j].replace(QUOTE_REGEX, '');
+        if (!next.trim()) continue;
+        if (!/^( {4}|\t)/.test(next)) break;
+        end = j;
+      }
+      i = end;
+      continue;
+    }
+
+    // 表格：表头行 + 分隔行
+    const nextRest = lines[i + 1]?.replace(QUOTE_REGEX, '') ?? '';
+    if (rest.includes('|') && nextRest.includes('|') && TABLE_DELIMITER_REGEX.test(nextRest)) {
+      para = null;
+      leaveList(rest);
+      let j = i;
+      while (j < lines.length && lines[j].trim()) {
+        if (j !== i + 1) {
+          const rowQuote = QUOTE_REGEX.exec(lines[j])?.[0] || '';
+          splitTableCells(lines[j].slice(rowQuote.length), rowQuote.length).forEach(({ start, end }) => {
+            units.push({ kind: 'cell', blockType: 'table-cell', line: j, start, end });
+          });
+        }
+        j++;
+      }
+      i = j - 1;
+      continue;
+    }
+
+    const footnote = FOOTNOTE_REGEX.exec(rest);
+    if (footnote) {
+      listIndent = 4;
+      startBlock('footnote', i, quote.length + footnote[0].length, `${quote}    `);
+      continue;
+    }
+
+    if (!para && LINK_DEF_REGEX.test(rest)) continue;
+
+    const item = LIST_REGEX.exec(rest);
+    if (item) {
+      para = null;
+      const markerLength = item[1].length + item[2].length + (item[3].length || 1);
+      listIndent = indentWidth(item[1]) + markerLength;
+      if (rest.slice(item[0].length).trim()) {
+        startBlock('list-item', i, quote.length + item[0].length, quote + ' '.repeat(indentWidth(item[1]) + markerLength));
+      }
+      continue;
+    }
+
+    if (para) {
+      para.lines.push(splitLine(i, quote.length + leading.length));
+      continue;
+    }
+
+    leaveList(rest);
+    startBlock('paragraph', i, quote.length + leading.length, null);
+  }
+
+  return { lines, eol, units };
+}
+
+/**
+ * 解析 Markdown
+ * @param {string} content
+ * @param {object} options - { filters }
+ * @returns {{ segments: Array }}
+ */
+export function parseMarkdown(content, options = {}) {
+  const { filters = {} } = options;
+  const { lines, units } = scanMarkdown(content);
+
+  const segments = units.map((unit, mdIndex) => {
+    const collector = createInlineTagCollector();
+    const source = unit.kind === 'cell'
+      ? lines[unit.line].slice(unit.start, unit.end)
+      : unit.lines.map(line => line.text).join('\n');
+    const original = protectInline(source, collector);
+
+    const segment = {
+      id: mdIndex,
+      original,
+      translated: '',
+      status: 'pending',
+      tokens: estimateTokens(original),
+      type: 'markdown',
+      blockType: unit.blockType,
+      inlineTags: collector.tags,
+      mdIndex,
+    };
+    if (unit.headingLevel) segment.headingLevel = unit.headingLevel;
+
+    const skipCheck = shouldSkipSegment(original, filters);
+    const reason = skipCheck.skip
+      ? skipCheck.reason
+      : (hasTranslatableText(original) ? null : '仅占位符');
+    if (reason) {
+      segment.status = 'skipped';
+      segment.tokens = 0;
+      segment.isFiltered = true;
+      segment.filterReason = reason;
+    }
+    return segment;
+  });
+
+  return { segments };
+}
+
+/**
+ * 导出 Markdown：只替换正文，其余内容保持原样
+ * @param {string} content - 原始 Markdown
+ * @param {Array} segments - 翻译后的段落
+ * @returns {string}
+ */
+export function exportMarkdown(content, segments) {
+  const { lines, eol, units } = scanMarkdown(content);
+  const byIndex = new Map(
+    segments.filter(s => s.mdIndex !== undefined).map(s => [s.mdIndex, s])
+  );
+  const output = [...lines];
+
+  const translationOf = (index, escapeText) => {
+    const segment = byIndex.get(index);
+    if (!segment || segment.status === 'skipped' || !segment.translated?.trim()) return null;
+    return restoreInlineTags(segment.translated.trim(), segment.inlineTags, escapeText);
+  };
+
+  // 单元格：同一行从右往左替换，区间不受影响；单元格内不能换行，| 需要转义
+  units
+    .map((unit, index) => ({ unit, index }))
+    .filter(({ unit }) => unit.kind === 'cell')
+    .reverse()
+    .forEach(({ unit, index }) => {
+      const text = translationOf(index, part => part.replace(/\s*\n\s*/g, ' ').replace(/(^|[^\\])\|/g, '$1\\|'));
+      if (text === null) return;
+      const line = output[unit.line];
+      output[unit.line] = line.slice(0, unit.start) + text + line.slice(unit.end);
+    });
+
+  // 整行单元：从后往前替换，行号不受影响
+  units
+    .map((unit, index) => ({ unit, index }))
+    .filter(({ unit }) => unit.kind === 'block')
+    .reverse()
+    .forEach(({ unit, index }) => {
+      const text = translationOf(index, part => part);
+      if (text === null) return;
+
+      const first = unit.lines[0];
+      const last = unit.lines[unit.lines.length - 1];
+      let newTexts = text.split('\n').map(t => t.trim()).filter(Boolean);
+      if (unit.blockType === 'heading' && unit.lines.length === 1) newTexts = [newTexts.join(' ')];
+
+      let newLines;
+      if (newTexts.length === unit.lines.length) {
+        // 行数一致：逐行替换，保留每行的缩进、引用符号和行尾硬换行
+        newLines = unit.lines.map((line, k) => line.prefix + newTexts[k] + line.suffix);
+      } else {
+        const contPrefix = unit.contPrefix ?? (unit.lines[1] || first).prefix;
+        newLines = newTexts.map((t, k) => (k === 0 ? first.prefix : contPrefix) + t);
+        newLines[newLines.length - 1] += last.suffix;
+      }
+      output.splice(first.index, last.index - first.index + 1, ...newLines);
+    });
+
+  return output.join(eol);
+}
+
+export default {
+  parseMarkdown,
+  exportMarkdown,
+};
@@ -0,0 +1,351 @@
+// src/utils/formats/ooxml.js
+// Office Open XML（DOCX / PPTX / XLSX）公共工具
+//
+// - 包内路径与 .rels 关系解析
+// - 文本 run ↔ 带占位符的文本：
+//   与段落主体格式相同的文字直接可译；格式不同的 run 转为 ⟦rN⟧...⟦/rN⟧，
+//   换行、域、制表符等非文本元素转为单个占位符，超链接、修订等包裹 run 的元素转为成对占位符。
+//   导出时按占位符重建 run，段落属性原样保留
+
+import { estimateTokens, shouldSkipSegment } from '../document-parser.js';
+import { escapeXMLText, unescapeXML, restoreInlineTags } from './xml-utils.js';
+import { hasTranslatableText } from './placeholders.js';
+
+/**
+ * 各 XML 方言的 run 结构
+ * - run / props / text：run、run 属性、文本元素的标签名
+ * - inline：段落内需要整体保留的非文本元素
+ * - wrappers：段落内包裹 run 的元素（超链接、修订插入等）
+ * - ignore：可丢弃的标记（拼写检查、渲染分页提示）
+ * - volatile：不影响显示效果的 run 属性（比较格式时忽略）
+ * - textOpen：重建 run 时使用的文本开始标签
+ */
+export const DIALECTS = {
+  drawingml: { run: 'a:r', props: 'a:rPr', text: 'a:t', inline: ['a:br', 'a:fld'], textOpen: '<a:t>' },
+  spreadsheetml: { run: 'r', props: 'rPr', text: 't', inline: [], textOpen: '<t xml:space="preserve">' },
+  wordml: {
+    run: 'w:r',
+    props: 'w:rPr',
+    text: 'w:t',
+    inline: ['w:del', 'w:moveFrom', 'w:sdt'],
+    wrappers: ['w:hyperlink', 'w:ins', 'w:moveTo', 'w:smartTag', 'w:fldSimple', 'w:customXml'],
+    ignore: ['w:proofErr', 'w:lastRenderedPageBreak'],
+    volatile: /<w:lang\b[^>]*\/>|<w:noProof\/>|<w:rFonts w:hint="[^"]*"\/>|\sw:hint="[^"]*"/g,
+    textOpen: '<w:t xml:space="preserve">',
+  },
+};
+
+// DrawingML / SpreadsheetML 的易变属性
+const VOLATILE_ATTRS_REGEX = /\s(?:lang|altLang|dirty|err|noProof|smtClean)="[^"]*"/g;
+const CHILD_ELEMENT_REGEX = /<([\w:]+)(?=[\s>/])[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g;
+
+/**
+ * 元素正则：<name ...>...</name> 或 <name .../>
+ * 内容不跨越自身的结束标签，拼接在更长的模式中也不会吞掉后续元素
+ */
+function elementPattern(name) {
+  return `<${name}(?=[\\s>/])[^>]*?(?:/>|>(?:(?!</${name}>)[\\s\\S])*</${name}>)`;
+}
+
+/**
+ * 解析相对路径（target 相对于 fromPart 所在目录）
+ * @param {string} fromPart - 如 ppt/slides/slide1.xml
+ * @param {string} target - 如 ../notesSlides/notesSlide1.xml
+ * @returns {string} 包内绝对路径
+ */
+export function resolvePartPath(fromPart, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = fromPart.split('/').slice(0, -1);
+  for (const piece of target.split('/')) {
+    if (piece === '..') parts.pop();
+    else if (piece && piece !== '.') parts.push(piece);
+  }
+  return parts.join('/');
+}
+
+/**
+ * 读取部件的关系文件
+ * @param {object} zip - JSZip 实例
+ * @param {string} partPath - 如 ppt/presentation.xml
+ * @returns {Promise<Map<string, {target: string, type: string}>>} rId → 关系
+ */
+export async function readRelationships(zip, partPath) {
+  const dir = partPath.split('/').slice(0, -1).join('/');
+  const name = partPath.split('/').pop();
+  const relsPath = `${dir ? `${dir}/` : ''}_rels/${name}.rels`;
+  const xml = await zip.file(relsPath)?.async('text');
+  const rels = new Map();
+  if (!xml) return rels;
+
+  for (const match of xml.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+    const attrs = match[1];
+    const id = /\sId="([^"]+)"/.exec(attrs)?.[1];
+    const target = /\sTarget="([^"]+)"/.exec(attrs)?.[1];
+    const type = /\sType="([^"]+)"/.exec(attrs)?.[1] || '';
+    if (!id || !target || /\sTargetMode="External"/.test(attrs)) continue;
+    rels.set(id, { target: resolvePartPath(partPath, unescapeXML(target)), type });
+  }
+  return rels;
+}
+
+/**
+ * 提取容器（段落 / 富文本字符串）内的 run 文本
+ * @param {string} xml - 容器内部 XML
+ * @param {object} dialect - DIALECTS 之一
+ * @param {object} collector - createInlineTagCollector()
+ * @returns {{ text: string, start: number, end: number, baseProps: string }|null}
+ *   start / end 为 run 区域在 xml 中的范围，导出时整体替换
+ */
+export function extractRuns(xml, dialect, collector) {
+  const { run, text, textOpen } = dialect;
+  const items = scanItems(xml, dialect);
+  const groups = items.filter(item => item.parts);
+  if (groups.length === 0) return null;
+
+  const baseProps = pickBaseProps(groups, dialect);
+  const base = normalizeProps(baseProps, dialect);
+  const reopen = `</${text}></${run}><${run}>`;
+  const backToBase = `${reopen}${baseProps}${textOpen}`;
+  const pairs = matchWrappers(items);
+  const pairNumbers = new Map();
+
+  const output = items.map((item, i) => {
+    if (item.wrapper) {
+      const tagXml = `</${text}></${run}>${item.xml}<${run}>${baseProps}${textOpen}`;
+      if (!pairs.has(i)) return collector.single(item.name, tagXml);
+      if (!item.closing) {
+        const { placeholder, n } = collector.open(item.name, tagXml);
+        pairNumbers.set(pairs.get(i), n);
+        return placeholder;
+      }
+      return collector.close(item.name, pairNumbers.get(i), tagXml);
+    }
+    if (item.inline !== undefined) {
+      return collector.single(item.name, `</${text}></${run}>${item.inline}<${run}>${baseProps}${textOpen}`);
+    }
+
+    // run 内的非文本元素（制表符、换行、域代码等）保持所在 run 的格式
+    const content = item.parts.map(part => (typeof part === 'string'
+      ? part
+      : collector.single(part.name, `${reopen}${item.props}${part.xml}</${run}><${run}>${item.props}${textOpen}`)
+    )).join('');
+    if (normalizeProps(item.props, dialect) === base) return content;
+    const { placeholder, n } = collector.open('r', `${reopen}${item.props}${textOpen}`);
+    return placeholder + content + collector.close('r', n, backToBase);
+  }).join('');
+
+  const start = items[0].start;
+  const end = items[items.length - 1].end;
+  return { text: output, start, end, baseProps };
+}
+
+/**
+ * 扫描容器内的 run、内联元素和包裹元素
+ * 相邻且格式相同的 run 合并为一组；元素之间无法识别的内容（书签、批注范围等）作为内联元素保留
+ * @returns {Array<object>}
+ */
+function scanItems(xml, dialect) {
+  const { run, props, text, inline = [], wrappers = [], ignore = [] } = dialect;
+  const itemRegex = new RegExp([
+    `<${run}(?=[\\s>])[^>]*>([\\s\\S]*?)</${run}>`,
+    ...inline.map(elementPattern),
+    ...(wrappers.length > 0 ? [`<(/?)(${wrappers.join('|')})(?=[\\s>])(?:[^>]*[^>/])?>`] : []),
+  ].join('|'), 'g');
+  const ignoreRegex = ignore.length > 0 ? new RegExp(ignore.map(elementPattern).join('|'), 'g') : null;
+
+  const items = [];
+  let lastEnd = -1;
+  let match;
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const range = { start: match.index, end: itemRegex.lastIndex };
+
+    if (lastEnd >= 0) {
+      let gap = xml.slice(lastEnd, match.index);
+      if (ignoreRegex) gap = gap.replace(ignoreRegex, '');
+      if (gap.trim()) {
+        items.push({ inline: gap, name: elementName(gap.trim()), start: lastEnd, end: match.index });
+      }
+    }
+    lastEnd = range.end;
+
+    if (match[2] !== undefined) {
+      items.push({ wrapper: true, closing: match[2] === '/', xml: match[0], name: wrapperName(match[3]), ...range });
+      continue;
+    }
+    if (match[1] === undefined) {
+      items.push({ inline: match[0], name: elementName(match[0]), ...range });
+      continue;
+    }
+
+    let runProps = '';
+    const parts = [];
+    for (const [child, name] of match[1].matchAll(CHILD_ELEMENT_REGEX)) {
+      if (name === props) {
+        runProps = child;
+      } else if (name === text) {
+        parts.push(child.endsWith('/>') ? '' : unescapeXML(child.slice(child.indexOf('>') + 1, child.lastIndexOf('<'))));
+      } else if (!ignore.includes(name)) {
+        parts.push({ xml: child, name: elementName(child) });
+      }
+    }
+
+    const last = items[items.length - 1];
+    // 相邻且格式相同的 run 合并
+    if (last?.parts && normalizeProps(last.props, dialect) === normalizeProps(runProps, dialect)) {
+      last.parts.push(...parts);
+      last.end = range.end;
+    } else {
+      items.push({ props: runProps, parts, ...range });
+    }
+  }
+
+  for (const item of items) {
+    if (!item.parts) continue;
+    // 相邻文本合并，便于判断与翻译
+    item.parts = item.parts.reduce((acc, part) => {
+      if (typeof part === 'string' && typeof acc[acc.length - 1] === 'string') {
+        acc[acc.length - 1] += part;
+      } else {
+        acc.push(part);
+      }
+      return acc;
+    }, []);
+  }
+  return items;
+}
+
+/**
+ * 文字最多的格式作为段落主体格式（相同时取靠前者）
+ */
+function pickBaseProps(groups, dialect) {
+  const lengths = new Map();
+  let best = groups[0].props;
+  let bestLength = -1;
+  for (const group of groups) {
+    const key = normalizeProps(group.props, dialect);
+    const length = (lengths.get(key) || 0)
+      + group.parts.reduce((sum, part) => sum + (typeof part === 'string' ? part.length : 0), 0);
+    lengths.set(key, length);
+    if (length > bestLength) {
+      best = groups.find(g => normalizeProps(g.props, dialect) === key).props;
+      bestLength = length;
+    }
+  }
+  return best;
+}
+
+/**
+ * 包裹元素的开闭标签配对
+ * @returns {Map<number, number>} 开标签下标 ↔ 闭标签下标（双向）；未配对的不在其中
+ */
+function matchWrappers(items) {
+  const pairs = new Map();
+  const stack = [];
+  items.forEach((item, i) => {
+    if (!item.wrapper) return;
+    if (!item.closing) {
+      stack.push(i);
+      return;
+    }
+    const openAt = stack.length > 0 && items[stack[stack.length - 1]].name === item.name ? stack.pop() : -1;
+    if (openAt >= 0) {
+      pairs.set(openAt, i);
+      pairs.set(i, openAt);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * 元素本地名（小写），用作占位符名称
+ */
+function elementName(xml) {
+  const name = /^<([\w:]+)/.exec(xml)?.[1] || 'x';
+  return name.split(':').pop().toLowerCase();
+}
+
+/**
+ * 包裹元素的占位符名称
+ */
+function wrapperName(tagName) {
+  return tagName === 'w:hyperlink' ? 'link' : elementName(`<${tagName}`);
+}
+
+/**
+ * 用译文重建 run 区域
+ * @param {string} translated - 含占位符的译文
+ * @param {object} tags - 段落的 inlineTags
+ * @param {string} baseProps - extractRuns 返回的 baseProps
+ * @param {object} dialect
+ * @returns {string}
+ */
+export function buildRuns(translated, tags, baseProps, dialect) {
+  const { run, props, text, textOpen } = dialect;
+  const body = restoreInlineTags(translated, tags, escapeXMLText);
+  const xml = `<${run}>${baseProps}${textOpen}${body}</${text}></${run}>`;
+  const emptyRun = new RegExp(
+    `<${run}>(?:${elementPattern(props)})?${textOpen.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}</${text}></${run}>`,
+    'g'
+  );
+  return xml.replace(emptyRun, '');
+}
+
+/**
+ * run 属性去掉与显示无关的字段，用于判断格式是否相同
+ */
+function normalizeProps(runProps, dialect) {
+  const normalized = (runProps || '').replace(dialect.volatile || VOLATILE_ATTRS_REGEX, '');
+  // 去掉字段后为空的属性元素等同于没有属性
+  return new RegExp(`^<${dialect.props}\\s*(?:/>|>\\s*</${dialect.props}>)$`).test(normalized) ? '' : normalized;
+}
+
+/**
+ * 构建 Office 段落
+ * @param {object} params - { id, ooxmlIndex, type, key, text, tags, filters, ...extra }
+ * @returns {object}
+ */
+export function buildOOXMLSegment({ id, ooxmlIndex, type, key, text, tags, filters = {}, ...extra }) {
+  const segment = {
+    id,
+    original: text,
+    translated: '',
+    status: 'pending',
+    tokens: estimateTokens(text),
+    type,
+    key,
+    inlineTags: tags,
+    ooxmlIndex,
+    ...extra,
+  };
+
+  const skipCheck = shouldSkipSegment(text, filters);
+  const reason = skipCheck.skip
+    ? skipCheck.reason
+    : (hasTranslatableText(text) ? null : '仅占位符');
+  if (reason) {
+    segment.status = 'skipped';
+    segment.tokens = 0;
+    segment.isFiltered = true;
+    segment.filterReason = reason;
+  }
+  return segment;
+}
+
+/**
+ * 取得可写回的译文（跳过 / 未翻译返回 null）
+ */
+export function getOOXMLTranslation(segment) {
+  if (!segment || segment.status === 'skipped') return null;
+  if (typeof segment.translated !== 'string' || !segment.translated.trim()) return null;
+  return segment.translated;
+}
+
+export default {
+  DIALECTS,
+  resolvePartPath,
+  readRelationships,
+  extractRuns,
+  buildRuns,
+  buildOOXMLSegment,
+  getOOXMLTranslation,
+};
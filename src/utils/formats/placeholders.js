@@ -0,0 +1,143 @@
+// src/utils/formats/placeholders.js
+// 资源文件中的变量占位符保护（ICU / printf / i18next 等）
+//
+// 占位符替换为 ⟦ph1⟧ 形式，与内联标签共用 createInlineTagCollector，
+// 导出时统一由 restoreInlineTags 还原。
+// ICU plural/select 只保护结构部分（{n, plural, / one { / } / #），分支里的文字照常翻译。
+
+import { createInlineTagCollector } from './xml-utils.js';
+
+// 非 ICU 的简单占位符，按优先级匹配
+const SIMPLE_PATTERNS = [
+  /\{\{[^{}]*\}\}/g,                        // i18next / Handlebars: {{name}}
+  /\$t\([^)]*\)/g,                          // i18next 嵌套: $t(key)
+  /%\{[A-Za-z_][\w.]*\}/g,                  // Ruby / Rails: %{name}
+  /%<[A-Za-z_]\w*>[-+0#]*\d*(?:\.\d+)?[a-zA-Z]/g, // Ruby: %<name>s
+  /%\([A-Za-z_]\w*\)[-+0#]*\d*(?:\.\d+)?[diouxXeEfFgGcrsa%]/g, // Python: %(name)s
+  /%(?:\d+\$)?[-+0#]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|q|j|z|t)?[diouxXeEfFgGaAcspn@%]/g, // printf / iOS %@
+];
+
+const ICU_COMPLEX_TYPES = new Set(['plural', 'select', 'selectordinal']);
+
+/**
+ * 找到与 start 处 { 配对的 }
+ */
+function findClosingBrace(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 保护 ICU 消息中的结构部分
+ * @param {string} text
+ * @param {Function} protect - (raw) => placeholder
+ * @param {boolean} inPlural - 是否处于 plural 分支（# 代表数字）
+ * @returns {string}
+ */
+function protectICU(text, protect, inPlural = false) {
+  let output = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '#' && inPlural) {
+      output += protect('#');
+      i++;
+      continue;
+    }
+
+    if (ch !== '{') {
+      output += ch;
+      i++;
+      continue;
+    }
+
+    const end = findClosingBrace(text, i);
+    if (end < 0) {
+      output += text.slice(i);
+      break;
+    }
+
+    const body = text.slice(i + 1, end);
+    const header = /^\s*([\w.-]+)\s*,\s*(\w+)\s*,/.exec(body);
+
+    if (!header || !ICU_COMPLEX_TYPES.has(header[2])) {
+      // {name} / {0} / {n, number} 等：整体保护
+      output += protect(text.slice(i, end + 1));
+      i = end + 1;
+      continue;
+    }
+
+    // {count, plural, =0 {...} one {...} other {...}}
+    const isPlural = header[2] !== 'select';
+    output += protect(`{${header[0]}`);
+    let j = i + 1 + header[0].length;
+
+    while (j < end) {
+      const optionMatch = /^\s*(offset:\s*\d+\s*)?(=?[\w-]+)\s*\{/.exec(text.slice(j, end));
+      if (!optionMatch) {
+        output += protect(text.slice(j, end));
+        break;
+      }
+      const optionStart = j + optionMatch[0].length - 1;
+      const optionEnd = findClosingBrace(text, optionStart);
+      if (optionEnd < 0 || optionEnd > end) {
+        output += protect(text.slice(j, end));
+        break;
+      }
+      output += protect(text.slice(j, optionStart + 1));
+      output += protectICU(text.slice(optionStart + 1, optionEnd), protect, isPlural);
+      output += protect('}');
+      j = optionEnd + 1;
+    }
+
+    const trailing = text.slice(j, end);
+    output += protect(`${trailing}}`);
+    i = end + 1;
+  }
+
+  return output;
+}
+
+/**
+ * 将文本中的变量占位符替换为 ⟦phN⟧
+ * @param {string} text - 原文
+ * @param {object} collector - createInlineTagCollector() 的返回值（可与内联标签共用）
+ * @param {object} options - { icu: 是否解析 ICU 花括号，默认 true }
+ * @returns {{ text: string, tags: object }}
+ */
+export function protectPlaceholders(text, collector = createInlineTagCollector(), options = {}) {
+  const { icu = true } = options;
+  const protect = (raw) => collector.single('ph', raw);
+
+  let result = text || '';
+  for (const pattern of SIMPLE_PATTERNS) {
+    result = result.replace(new RegExp(pattern.source, 'g'), match => protect(match));
+  }
+
+  if (icu && result.includes('{')) {
+    result = protectICU(result, protect);
+  }
+
+  return { text: result, tags: collector.tags };
+}
+
+/**
+ * 去掉占位符后是否还有可翻译的文字
+ */
+export function hasTranslatableText(text) {
+  return /[\p{L}]/u.test((text || '').replace(/⟦\/?[a-z][\w-]*?\d+⟧/gi, ''));
+}
+
+export default {
+  protectPlaceholders,
+  hasTranslatableText,
+};
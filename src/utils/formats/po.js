@@ -0,0 +1,298 @@
+// src/utils/formats/po.js
+// gettext PO / POT 解析与回写
+//
+// - 保留 msgctxt、注释、引用、flags（含 fuzzy）以及条目顺序
+// - 复数条目拆成单数 / 复数两个段落，导出时按目标语言的 nplurals 写入 msgstr[N]
+// - 已有译文且非 fuzzy 的条目跳过；fuzzy 条目重新翻译，flag 保持不变
+// - 导出只替换 msgstr 行，其余行原样保留
+
+import { buildResourceSegment, getResourceTranslation, indexResourceSegments } from './resource.js';
+
+// 目标语言的 Plural-Forms（POT 模板里是 INTEGER / EXPRESSION 占位）
+const PLURAL_FORMS = {
+  zh: 'nplurals=1; plural=0;',
+  'zh-TW': 'nplurals=1; plural=0;',
+  ja: 'nplurals=1; plural=0;',
+  ko: 'nplurals=1; plural=0;',
+  vi: 'nplurals=1; plural=0;',
+  th: 'nplurals=1; plural=0;',
+  en: 'nplurals=2; plural=(n != 1);',
+  de: 'nplurals=2; plural=(n != 1);',
+  es: 'nplurals=2; plural=(n != 1);',
+  it: 'nplurals=2; plural=(n != 1);',
+  pt: 'nplurals=2; plural=(n != 1);',
+  pa: 'nplurals=2; plural=(n != 1);',
+  fr: 'nplurals=2; plural=(n > 1);',
+  ru: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  ar: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+};
+
+// PO 头部的 Language 值
+const PO_LANGUAGE_CODES = { zh: 'zh_CN', 'zh-TW': 'zh_TW' };
+
+/**
+ * PO 字符串反转义
+ */
+function unescapePO(str) {
+  return str.replace(/\\(["\\nrt])/g, (_, ch) => ({ n: '\n', r: '\r', t: '\t' }[ch] || ch));
+}
+
+/**
+ * PO 字符串转义
+ */
+function escapePO(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * 生成 msgstr 行（多行文本按 \n 拆成续行）
+ */
+function formatPOString(keyword, value) {
+  const firstBreak = value.indexOf('\n');
+  if (firstBreak < 0 || firstBreak === value.length - 1) {
+    return [`${keyword} "${escapePO(value)}"`];
+  }
+  const parts = value.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...parts.map(part => `"${escapePO(part)}"`)];
+}
+
+/**
+ * 拆分条目并解析字段
+ * @returns {{ lines: string[], eol: string, entries: Array }}
+ */
+function parseEntries(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const entries = [];
+  let current = null;
+  let lastField = null;
+
+  const finish = () => {
+    if (current && current.msgid !== undefined && !current.obsolete) entries.push(current);
+    current = null;
+    lastField = null;
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      finish();
+      return;
+    }
+    if (!current) {
+      current = { flags: [], comments: [], msgstr: {}, msgstrLines: null };
+    }
+
+    if (trimmed.startsWith('#~')) {
+      current.obsolete = true;
+      return;
+    }
+    if (trimmed.startsWith('#,')) {
+      current.flags.push(...trimmed.slice(2).split(',').map(f => f.trim()).filter(Boolean));
+      return;
+    }
+    if (trimmed.startsWith('#.') || /^#\s/.test(trimmed) || trimmed === '#') {
+      const text = trimmed.replace(/^#\.?\s?/, '');
+      if (text) current.comments.push(text);
+      return;
+    }
+    if (trimmed.startsWith('#')) return;  // #: 引用、#| 旧版本
+
+    const keywordMatch = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"\s*$/.exec(trimmed);
+    if (keywordMatch) {
+      const [, keyword, pluralIndex, value] = keywordMatch;
+      const text = unescapePO(value);
+      if (keyword.startsWith('msgstr')) {
+        const n = pluralIndex === undefined ? 0 : Number(pluralIndex);
+        current.msgstr[n] = text;
+        current.msgstrLines = current.msgstrLines || { start: index, end: index };
+        current.msgstrLines.end = index;
+        lastField = { type: 'msgstr', n };
+      } else {
+        current[keyword === 'msgid_plural' ? 'msgidPlural' : keyword] = text;
+        lastField = { type: keyword === 'msgid_plural' ? 'msgidPlural' : keyword };
+      }
+      return;
+    }
+
+    const continuation = /^"(.*)"\s*$/.exec(trimmed);
+    if (continuation && lastField) {
+      const text = unescapePO(continuation[1]);
+      if (lastField.type === 'msgstr') {
+        current.msgstr[lastField.n] += text;
+        current.msgstrLines.end = index;
+      } else {
+        current[lastField.type] += text;
+      }
+    }
+  });
+  finish();
+
+  return { lines, eol, entries };
+}
+
+/**
+ * 读取 PO 头部字段
+ */
+function parseHeader(entries) {
+  const header = entries.find(e => e.msgid === '' && e.msgctxt === undefined);
+  const fields = {};
+  (header?.msgstr[0] || '').split('\n').forEach(line => {
+    const match = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (match) fields[match[1]] = match[2];
+  });
+  return { header, fields };
+}
+
+/**
+ * nplurals 值（无效时返回 null）
+ */
+function getNPlurals(pluralForms) {
+  const match = /nplurals\s*=\s*(\d+)/.exec(pluralForms || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 解析 PO / POT
+ * @param {string} content
+ * @returns {{ segments: Array, language: string|null, pluralForms: string|null }}
+ */
+export function parsePO(content) {
+  const { entries } = parseEntries(content);
+  const { fields } = parseHeader(entries);
+  const segments = [];
+  let resourceIndex = 0;
+
+  for (const entry of entries) {
+    if (entry.msgid === '' && entry.msgctxt === undefined) continue;  // 头部
+
+    const fuzzy = entry.flags.includes('fuzzy');
+    const translations = Object.values(entry.msgstr);
+    const translated = translations.length > 0 && translations.every(t => t);
+    const skipReason = translated && !fuzzy ? '已翻译' : null;
+    const note = [
+      entry.msgctxt ? `msgctxt: ${entry.msgctxt}` : '',
+      ...entry.comments,
+      fuzzy ? '#, fuzzy' : '',
+    ].filter(Boolean).join('\n');
+
+    segments.push(buildResourceSegment({
+      id: segments.length,
+      resourceIndex: resourceIndex++,
+      key: entry.msgctxt || '',
+      text: entry.msgid,
+      note,
+      translated: entry.msgstr[0] || '',
+      skipReason,
+    }));
+
+    if (entry.msgidPlural !== undefined) {
+      segments.push(buildResourceSegment({
+        id: segments.length,
+        resourceIndex: resourceIndex++,
+        key: entry.msgctxt ? `${entry.msgctxt} (plural)` : '(plural)',
+        text: entry.msgidPlural,
+        note,
+        translated: entry.msgstr[1] || entry.msgstr[0] || '',
+        skipReason,
+      }));
+    }
+  }
+
+  return {
+    segments,
+    language: fields.Language || null,
+    pluralForms: fields['Plural-Forms'] || null,
+  };
+}
+
+/**
+ * 导出 PO：在原文件上替换 msgstr
+ * @param {string} content - 原始 PO / POT
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { targetLang } 用于补全 POT 头部的 Language / Plural-Forms
+ * @returns {string}
+ */
+export function exportPO(content, segments, options = {}) {
+  const { targetLang } = options;
+  const { lines, eol, entries } = parseEntries(content);
+  const { header, fields } = parseHeader(entries);
+  const byIndex = indexResourceSegments(segments);
+
+  let pluralForms = fields['Plural-Forms'];
+  if (!getNPlurals(pluralForms) && PLURAL_FORMS[targetLang]) {
+    pluralForms = PLURAL_FORMS[targetLang];
+  }
+  const nplurals = getNPlurals(pluralForms) || 2;
+
+  const replacements = [];
+  let resourceIndex = 0;
+
+  for (const entry of entries) {
+    if (entry === header) continue;
+
+    const singular = getResourceTranslation(byIndex.get(resourceIndex++));
+    const plural = entry.msgidPlural !== undefined
+      ? getResourceTranslation(byIndex.get(resourceIndex++))
+      : null;
+
+    if (singular === null && plural === null) continue;
+
+    let newLines;
+    if (entry.msgidPlural !== undefined) {
+      newLines = [];
+      for (let n = 0; n < nplurals; n++) {
+        // 只有一种形式的语言（中日韩等）用复数译文
+        const value = n === 0 && nplurals > 1 ? (singular ?? plural) : (plural ?? singular);
+        newLines.push(...formatPOString(`msgstr[${n}]`, value));
+      }
+    } else {
+      newLines = formatPOString('msgstr', singular);
+    }
+
+    if (entry.msgstrLines) {
+      replacements.push({ start: entry.msgstrLines.start, end: entry.msgstrLines.end, lines: newLines });
+    }
+  }
+
+  // POT 头部：补全 Language / Plural-Forms
+  if (header?.msgstrLines && targetLang) {
+    const headerValue = header.msgstr[0] || '';
+    let updated = headerValue;
+    if (!fields.Language) {
+      const language = PO_LANGUAGE_CODES[targetLang] || targetLang;
+      updated = /^Language:.*$/m.test(updated)
+        ? updated.replace(/^Language:.*$/m, `Language: ${language}`)
+        : `${updated}Language: ${language}\n`;
+    }
+    if (pluralForms !== fields['Plural-Forms']) {
+      updated = /^Plural-Forms:.*$/m.test(updated)
+        ? updated.replace(/^Plural-Forms:.*$/m, `Plural-Forms: ${pluralForms}`)
+        : `${updated}Plural-Forms: ${pluralForms}\n`;
+    }
+    if (updated !== headerValue) {
+      const headerLines = ['msgstr ""', ...updated.split(/(?<=\n)/).map(part => `"${escapePO(part)}"`)];
+      replacements.push({ start: header.msgstrLines.start, end: header.msgstrLines.end, lines: headerLines });
+    }
+  }
+
+  const output = [...lines];
+  replacements
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, end, lines: newLines }) => {
+      const indent = /^\s*/.exec(output[start])[0];
+      output.splice(start, end - start + 1, ...newLines.map(line => indent + line));
+    });
+
+  return output.join(eol);
+}
+
+export default {
+  parsePO,
+  exportPO,
+};
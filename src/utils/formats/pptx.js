@@ -0,0 +1,183 @@
+// src/utils/formats/pptx.js
+// PowerPoint (PPTX) 解析与回写
+//
+// - 按演示文稿中的幻灯片顺序提取：幻灯片文本框、表格单元格、演讲者备注
+// - 每个 <a:p> 段落一个段落，run 格式用占位符保留（见 ooxml.js）
+// - 导出时在原始包上替换 run，版式、字体、动画、母版等原样保留
+
+import { createInlineTagCollector } from './xml-utils.js';
+import {
+  DIALECTS,
+  readRelationships,
+  extractRuns,
+  buildRuns,
+  buildOOXMLSegment,
+  getOOXMLTranslation,
+} from './ooxml.js';
+import { toTMXLang } from '../tmx-io.js';
+
+const PPTX_MIME = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const PRESENTATION_PATH = 'ppt/presentation.xml';
+const PARAGRAPH_REGEX = /<a:p(?=[\s>])[^>]*>([\s\S]*?)<\/a:p>/g;
+const TABLE_REGEX = /<a:tbl>[\s\S]*?<\/a:tbl>/g;
+
+/**
+ * 按放映顺序列出幻灯片及其备注页
+ * @returns {Promise<Array<{ number, slidePath, notesPath }>>}
+ */
+async function loadSlides(zip) {
+  const presentation = await zip.file(PRESENTATION_PATH)?.async('text');
+  if (!presentation) {
+    throw new Error('无效的 PPTX 文件：缺少 presentation.xml');
+  }
+
+  const rels = await readRelationships(zip, PRESENTATION_PATH);
+  const slideList = /<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/.exec(presentation)?.[1] || '';
+  const slides = [];
+
+  for (const match of slideList.matchAll(/r:id="([^"]+)"/g)) {
+    const slidePath = rels.get(match[1])?.target;
+    if (!slidePath || !zip.file(slidePath)) continue;
+
+    const slideRels = await readRelationships(zip, slidePath);
+    const notes = [...slideRels.values()].find(rel => rel.type.endsWith('/notesSlide'));
+    slides.push({
+      number: slides.length + 1,
+      slidePath,
+      notesPath: notes && zip.file(notes.target) ? notes.target : null,
+    });
+  }
+
+  return slides;
+}
+
+/**
+ * 幻灯片与备注页按顺序排列
+ */
+function listParts(slides) {
+  return slides.flatMap(slide => [
+    { path: slide.slidePath, slideNumber: slide.number, isNotes: false },
+    ...(slide.notesPath ? [{ path: slide.notesPath, slideNumber: slide.number, isNotes: true }] : []),
+  ]);
+}
+
+/**
+ * 列出部件中的段落
+ * @returns {Array<{ inner: string, innerStart: number, inTable: boolean }>}
+ */
+function scanParagraphs(xml) {
+  const tables = [...xml.matchAll(TABLE_REGEX)].map(m => [m.index, m.index + m[0].length]);
+  return [...xml.matchAll(PARAGRAPH_REGEX)].map((match) => {
+    const innerStart = match.index + match[0].length - match[1].length - '</a:p>'.length;
+    return {
+      inner: match[1],
+      innerStart,
+      inTable: tables.some(([start, end]) => match.index > start && match.index < end),
+    };
+  });
+}
+
+/**
+ * 遍历所有含文本 run 的段落
+ * @param {object} zip
+ * @param {Function} visit - (part, paragraph, runs, collector, index) => 新的 run 区域 XML 或 null
+ * @returns {Promise<Array>} 幻灯片列表
+ */
+async function walkParagraphs(zip, visit) {
+  const slides = await loadSlides(zip);
+  let index = 0;
+
+  for (const part of listParts(slides)) {
+    const xml = await zip.file(part.path).async('text');
+    const replacements = [];
+
+    for (const paragraph of scanParagraphs(xml)) {
+      const collector = createInlineTagCollector();
+      const runs = extractRuns(paragraph.inner, DIALECTS.drawingml, collector);
+      if (!runs) continue;
+
+      const replaced = visit(part, paragraph, runs, collector, index++);
+      if (replaced !== null && replaced !== undefined) {
+        replacements.push({
+          start: paragraph.innerStart + runs.start,
+          end: paragraph.innerStart + runs.end,
+          xml: replaced,
+        });
+      }
+    }
+
+    if (replacements.length > 0) {
+      const updated = replacements
+        .reverse()
+        .reduce((acc, { start, end, xml: region }) => acc.slice(0, start) + region + acc.slice(end), xml);
+      zip.file(part.path, updated);
+    }
+  }
+
+  return slides;
+}
+
+/**
+ * 解析 PPTX
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {object} options - { filters }
+ * @returns {Promise<{ segments: Array, slideCount: number }>}
+ */
+export async function parsePPTX(arrayBuffer, options = {}) {
+  const { filters = {} } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const segments = [];
+
+  const slides = await walkParagraphs(zip, (part, paragraph, runs, collector, index) => {
+    let location = paragraph.inTable ? 'table' : 'slide';
+    if (part.isNotes) location = 'notes';
+
+    segments.push(buildOOXMLSegment({
+      id: segments.length,
+      ooxmlIndex: index,
+      type: 'pptx',
+      key: location === 'slide' ? `slide${part.slideNumber}` : `slide${part.slideNumber}:${location}`,
+      text: runs.text,
+      tags: collector.tags,
+      filters,
+      slideNumber: part.slideNumber,
+      location,
+    }));
+    return null;
+  });
+
+  return { segments, slideCount: slides.length };
+}
+
+/**
+ * 导出 PPTX：在原始包上写回译文
+ * @param {ArrayBuffer} arrayBuffer - 原始文件
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { targetLang, outputType: 'blob' | 'uint8array' }
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportPPTX(arrayBuffer, segments, options = {}) {
+  const { targetLang, outputType = 'blob' } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const byIndex = new Map(segments.filter(s => s.ooxmlIndex !== undefined).map(s => [s.ooxmlIndex, s]));
+  const lang = targetLang ? toTMXLang(targetLang) : null;
+
+  await walkParagraphs(zip, (part, paragraph, runs, collector, index) => {
+    const segment = byIndex.get(index);
+    const translated = getOOXMLTranslation(segment);
+    if (translated === null) return null;
+
+    const region = buildRuns(translated, segment.inlineTags, runs.baseProps, DIALECTS.drawingml);
+    // 校对语言随译文切换
+    return lang ? region.replace(/(<a:rPr\b[^>]*?\slang=")[^"]*"/g, (_, head) => `${head}${lang}"`) : region;
+  });
+
+  return zip.generateAsync({ type: outputType, mimeType: PPTX_MIME, compression: 'DEFLATE' });
+}
+
+export default {
+  parsePPTX,
+  exportPPTX,
+};
@@ -0,0 +1,114 @@
+// src/utils/formats/resource.js
+// 软件本地化资源文件的公共部分（PO / i18n JSON / Android / iOS / YAML）
+//
+// 资源段落统一结构：
+// { id, original, translated, status, tokens, type: 'resource', key, note, inlineTags, resourceIndex }
+// - key：资源键（只用于展示和定位，永不翻译）
+// - resourceIndex：在原文件中的顺序，导出时按它回写
+// - inlineTags：占位符 → 原始内容
+
+import { estimateTokens } from '../document-parser.js';
+import { createInlineTagCollector, restoreInlineTags } from './xml-utils.js';
+import { protectPlaceholders, hasTranslatableText } from './placeholders.js';
+
+/**
+ * 看起来不是自然语言的值：URL、文件路径、日期、UUID、颜色、纯数字（标为“非文本”跳过）
+ */
+export const NON_TEXT_REGEX = /^(https?:\/\/\S+|(?:~|\.{1,2})?\/\S*|[a-z]:\\\S*|[\w.-]+(?:\/[\w.-]+)+\.[a-z0-9]+|[\d\-T:.Z+]+|[a-f0-9-]{36}|#[0-9a-f]{3,8}|-?\d+(\.\d+)?)$/i;
+
+/**
+ * 构建资源段落
+ * @param {object} params
+ * @param {number} params.id - 段落 ID
+ * @param {number} params.resourceIndex - 值在原文件中的顺序
+ * @param {string} params.key - 资源键
+ * @param {string} params.text - 原文（已反转义）
+ * @param {string} [params.note] - 注释 / 上下文
+ * @param {string} [params.translated] - 已有译文
+ * @param {string} [params.skipReason] - 跳过原因
+ * @param {object} [params.collector] - 已收集内联标签的收集器（Android 的 <b> 等）
+ * @param {boolean} [params.icu] - 是否解析 ICU 花括号
+ * @returns {object}
+ */
+export function buildResourceSegment({
+  id,
+  resourceIndex,
+  key,
+  text,
+  note = '',
+  translated = '',
+  skipReason = null,
+  collector = createInlineTagCollector(),
+  icu = true,
+}) {
+  const { text: original, tags } = protectPlaceholders(text, collector, { icu });
+
+  let reason = skipReason;
+  if (!reason && !(text || '').trim()) reason = '空段落';
+  if (!reason && !hasTranslatableText(original)) reason = '仅占位符';
+
+  const segment = {
+    id,
+    original,
+    translated: '',
+    status: 'pending',
+    tokens: estimateTokens(original),
+    type: 'resource',
+    key,
+    note,
+    inlineTags: tags,
+    resourceIndex,
+  };
+
+  if (reason) {
+    segment.status = 'skipped';
+    segment.tokens = 0;
+    segment.isFiltered = true;
+    segment.filterReason = reason;
+    segment.translated = translated;
+  }
+
+  return segment;
+}
+
+/**
+ * 取得段落的最终译文（占位符已还原，尚未按文件格式转义）
+ * 未翻译或跳过的段落返回 null，导出时保持原样
+ * @param {object} segment
+ * @returns {string|null}
+ */
+export function getResourceTranslation(segment) {
+  if (!segment || segment.status === 'skipped') return null;
+  if (typeof segment.translated !== 'string' || !segment.translated.trim()) return null;
+  return restoreInlineTags(segment.translated, segment.inlineTags, text => text);
+}
+
+/**
+ * 键路径 → 展示用字符串（a.b[0].c）
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+export function formatKeyPath(path) {
+  return path.reduce((str, key) => (
+    typeof key === 'number' ? `${str}[${key}]` : (str ? `${str}.${key}` : key)
+  ), '');
+}
+
+/**
+ * resourceIndex → 段落
+ */
+export function indexResourceSegments(segments) {
+  return new Map(
+    segments
+      .filter(s => s.resourceIndex !== undefined)
+      .map(s => [s.resourceIndex, s])
+  );
+}
+
+export default {
+  NON_TEXT_REGEX,
+  buildResourceSegment,
+  getResourceTranslation,
+  indexResourceSegments,
+  formatKeyPath,
+};
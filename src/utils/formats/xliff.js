@@ -0,0 +1,350 @@
+// src/utils/formats/xliff.js
+// XLIFF 1.2 / 2.0 解析与回写
+//
+// - 每个 trans-unit（1.2）或 segment（2.0）对应一个段落，保留 unit id 和 <note>
+// - 内联标签（g/x/bx/ex/ph/bpt/ept/it/mrk/pc/sc/ec/sm/em）转为占位符
+// - state 为 final（1.2 另含 signed-off / approved="yes"）的段落跳过
+// - 导出时基于原文件回写：填入 <target>，state 置为 translated，其余内容原样保留
+
+import { estimateTokens } from '../document-parser.js';
+import { toTMXLang } from '../tmx-io.js';
+import {
+  getAttr,
+  setAttr,
+  unescapeXML,
+  escapeXMLText,
+  createInlineTagCollector,
+  restoreInlineTags,
+} from './xml-utils.js';
+
+// 内容本身是原格式代码、不需要翻译的元素（整体作为一个占位符）
+const NATIVE_CODE_ELEMENTS = new Set(['bpt', 'ept', 'it', 'ph']);
+
+const TRANS_UNIT_REGEX = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/gi;
+const UNIT_REGEX = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/gi;
+const SEGMENT_REGEX = /<segment\b([^>]*)>([\s\S]*?)<\/segment>/gi;
+const SOURCE_REGEX = /<source\b[^>]*>([\s\S]*?)<\/source>/i;
+const TARGET_REGEX = /<target\b[^>]*\/>|<target\b[^>]*>([\s\S]*?)<\/target>/i;
+const NOTE_REGEX = /<note\b[^>]*>([\s\S]*?)<\/note>/gi;
+
+/**
+ * 识别 XLIFF 版本
+ * @returns {'1.2'|'2.0'|null}
+ */
+export function detectXLIFFVersion(content) {
+  const match = /<xliff\b([^>]*)>/i.exec(content || '');
+  if (!match) return null;
+  const version = getAttr(match[1], 'version') || '1.2';
+  return version.startsWith('2') ? '2.0' : '1.2';
+}
+
+/**
+ * <source>/<target> 内容 → 带占位符的纯文本
+ * @param {string} xml - 元素内部 XML
+ * @param {object} collector - createInlineTagCollector() 的返回值
+ * @returns {string}
+ */
+function inlineToText(xml, collector) {
+  // CDATA 先转成普通转义文本
+  const source = (xml || '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => escapeXMLText(text));
+  const tagRegex = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>/g;
+  const stack = [];
+  let output = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    output += unescapeXML(source.slice(lastIndex, match.index));
+    lastIndex = tagRegex.lastIndex;
+
+    const [tag, closing, rawName, , selfClosing] = match;
+    const name = rawName.split(':').pop().toLowerCase();
+
+    if (selfClosing) {
+      output += collector.single(name, tag);
+    } else if (closing) {
+      const openIndex = stack.map(s => s.name).lastIndexOf(name);
+      if (openIndex >= 0) {
+        const [opened] = stack.splice(openIndex, 1);
+        output += collector.close(name, opened.n, tag);
+      } else {
+        output += collector.single(name, tag);
+      }
+    } else if (NATIVE_CODE_ELEMENTS.has(name)) {
+      // 连同内容一起保护
+      const closeTag = new RegExp(`</${rawName}\\s*>`, 'i');
+      const rest = source.slice(lastIndex);
+      const closeMatch = closeTag.exec(rest);
+      const end = closeMatch ? lastIndex + closeMatch.index + closeMatch[0].length : lastIndex;
+      output += collector.single(name, source.slice(match.index, end));
+      lastIndex = end;
+      tagRegex.lastIndex = end;
+    } else {
+      const { placeholder, n } = collector.open(name, tag);
+      stack.push({ name, n });
+      output += placeholder;
+    }
+  }
+
+  output += unescapeXML(source.slice(lastIndex));
+  return output;
+}
+
+/**
+ * 收集 <note> 文本
+ */
+function collectNotes(xml) {
+  const notes = [];
+  let match;
+  NOTE_REGEX.lastIndex = 0;
+  while ((match = NOTE_REGEX.exec(xml)) !== null) {
+    const text = unescapeXML(match[1].replace(/<[^>]+>/g, '')).trim();
+    if (text) notes.push(text);
+  }
+  return notes.join('\n');
+}
+
+/**
+ * 去掉 <alt-trans>（1.2 的候选译文，其中也有 source/target）
+ */
+function withoutAltTrans(inner) {
+  return inner.split(/<alt-trans\b/i)[0];
+}
+
+/**
+ * 构建段落对象
+ */
+function buildSegment({ id, xliffIndex, unitId, sourceXml, targetXml, note, skipReason }) {
+  const collector = createInlineTagCollector();
+  const original = inlineToText(sourceXml, collector);
+  const segment = {
+    id,
+    original,
+    translated: '',
+    status: 'pending',
+    tokens: estimateTokens(original),
+    type: 'xliff',
+    unitId,
+    xliffIndex,
+    note,
+    inlineTags: collector.tags,
+  };
+
+  const reason = !original.trim() ? '空段落' : skipReason;
+  if (reason) {
+    segment.status = 'skipped';
+    segment.tokens = 0;
+    segment.isFiltered = true;
+    segment.filterReason = reason;
+    if (targetXml) {
+      segment.translated = inlineToText(targetXml, createInlineTagCollector());
+    }
+  }
+
+  return segment;
+}
+
+/**
+ * 解析 XLIFF 1.2
+ */
+function parseXLIFF12(content) {
+  const segments = [];
+  let xliffIndex = 0;
+  let match;
+
+  TRANS_UNIT_REGEX.lastIndex = 0;
+  while ((match = TRANS_UNIT_REGEX.exec(content)) !== null) {
+    const [, attrs, inner] = match;
+    const main = withoutAltTrans(inner);
+    const sourceMatch = SOURCE_REGEX.exec(main);
+    const targetMatch = TARGET_REGEX.exec(main);
+    const targetState = targetMatch ? getAttr(targetMatch[0].match(/<target\b[^>]*>/i)[0], 'state') : null;
+
+    let skipReason = null;
+    if (getAttr(attrs, 'translate') === 'no') {
+      skipReason = '不翻译';
+    } else if (getAttr(attrs, 'approved') === 'yes' || targetState === 'final' || targetState === 'signed-off') {
+      skipReason = '已定稿';
+    }
+
+    segments.push(buildSegment({
+      id: segments.length,
+      xliffIndex: xliffIndex++,
+      unitId: getAttr(attrs, 'id') || '',
+      sourceXml: sourceMatch ? sourceMatch[1] : '',
+      targetXml: targetMatch ? targetMatch[1] : '',
+      note: collectNotes(inner),
+      skipReason,
+    }));
+  }
+
+  const fileMatch = /<file\b([^>]*)>/i.exec(content);
+  return {
+    segments,
+    sourceLanguage: fileMatch ? getAttr(fileMatch[1], 'source-language') : null,
+    targetLanguage: fileMatch ? getAttr(fileMatch[1], 'target-language') : null,
+  };
+}
+
+/**
+ * 解析 XLIFF 2.0
+ */
+function parseXLIFF20(content) {
+  const segments = [];
+  let xliffIndex = 0;
+  let unitMatch;
+
+  UNIT_REGEX.lastIndex = 0;
+  while ((unitMatch = UNIT_REGEX.exec(content)) !== null) {
+    const [, unitAttrs, unitInner] = unitMatch;
+    const unitId = getAttr(unitAttrs, 'id') || '';
+    const note = collectNotes(unitInner);
+    const unitSkipped = getAttr(unitAttrs, 'translate') === 'no';
+
+    const unitSegments = [];
+    let segMatch;
+    const segmentRegex = new RegExp(SEGMENT_REGEX.source, 'gi');
+    while ((segMatch = segmentRegex.exec(unitInner)) !== null) {
+      unitSegments.push(segMatch);
+    }
+
+    unitSegments.forEach((segMatch, i) => {
+      const [, segAttrs, segInner] = segMatch;
+      const sourceMatch = SOURCE_REGEX.exec(segInner);
+      const targetMatch = TARGET_REGEX.exec(segInner);
+      const segmentId = getAttr(segAttrs, 'id');
+
+      let skipReason = null;
+      if (unitSkipped) {
+        skipReason = '不翻译';
+      } else if (getAttr(segAttrs, 'state') === 'final') {
+        skipReason = '已定稿';
+      }
+
+      segments.push(buildSegment({
+        id: segments.length,
+        xliffIndex: xliffIndex++,
+        // 多 segment 的 unit 用 unitId#segmentId 区分
+        unitId: unitSegments.length > 1 ? `${unitId}#${segmentId || i + 1}` : unitId,
+        sourceXml: sourceMatch ? sourceMatch[1] : '',
+        targetXml: targetMatch ? targetMatch[1] : '',
+        note,
+        skipReason,
+      }));
+    });
+  }
+
+  const rootMatch = /<xliff\b([^>]*)>/i.exec(content);
+  return {
+    segments,
+    sourceLanguage: rootMatch ? getAttr(rootMatch[1], 'srcLang') : null,
+    targetLanguage: rootMatch ? getAttr(rootMatch[1], 'trgLang') : null,
+  };
+}
+
+/**
+ * 解析 XLIFF 文件内容
+ * @param {string} content - XLIFF XML
+ * @returns {{ segments: Array, version: string, sourceLanguage: string|null, targetLanguage: string|null }}
+ */
+export function parseXLIFF(content) {
+  const version = detectXLIFFVersion(content);
+  if (!version) {
+    throw new Error('不是有效的 XLIFF 文件');
+  }
+
+  const result = version === '2.0' ? parseXLIFF20(content) : parseXLIFF12(content);
+  return { ...result, version };
+}
+
+/**
+ * 是否需要回写该段落
+ */
+function hasTranslation(segment) {
+  return segment
+    && segment.status !== 'skipped'
+    && typeof segment.translated === 'string'
+    && segment.translated.trim() !== '';
+}
+
+/**
+ * 在 source 之后写入（或替换）target
+ * @param {string} inner - trans-unit / segment 内部 XML
+ * @param {string} targetXml - 译文 XML
+ * @param {boolean} withState - target 本身是否带 state（1.2 是，2.0 的 state 在 segment 上）
+ */
+function writeTarget(inner, targetXml, withState) {
+  const existing = /<target\b([^>]*?)\s*\/>|<target\b([^>]*)>[\s\S]*?<\/target>/i.exec(withoutAltTrans(inner));
+  if (existing) {
+    let openTag = `<target${existing[1] ?? existing[2]}>`;
+    if (withState) openTag = setAttr(openTag, 'state', 'translated');
+    return inner.slice(0, existing.index)
+      + `${openTag}${targetXml}</target>`
+      + inner.slice(existing.index + existing[0].length);
+  }
+
+  // 插入到 </source>（1.2 若有 </seg-source> 则在其后）之后，缩进与 <source> 一致
+  const anchorMatch = /<\/seg-source>/i.exec(inner) || /<\/source>/i.exec(inner);
+  if (!anchorMatch) return inner;
+  const indentMatch = /(\n[ \t]*)<source\b/i.exec(inner);
+  const indent = indentMatch ? indentMatch[1] : '';
+  const insertAt = anchorMatch.index + anchorMatch[0].length;
+  const openTag = withState ? '<target state="translated">' : '<target>';
+  return inner.slice(0, insertAt) + `${indent}${openTag}${targetXml}</target>` + inner.slice(insertAt);
+}
+
+/**
+ * 导出 XLIFF：基于原文件回写译文
+ * @param {string} content - 原始 XLIFF
+ * @param {Array} segments - 翻译后的段落（需带 xliffIndex / inlineTags）
+ * @param {object} options - { targetLang } 原文件缺少目标语言时写入
+ * @returns {string}
+ */
+export function exportXLIFF(content, segments, options = {}) {
+  const version = detectXLIFFVersion(content);
+  if (!version) {
+    throw new Error('不是有效的 XLIFF 文件');
+  }
+
+  const byIndex = new Map(segments.filter(s => s.xliffIndex !== undefined).map(s => [s.xliffIndex, s]));
+  const targetLang = options.targetLang ? toTMXLang(options.targetLang) : null;
+  let counter = 0;
+
+  if (version === '1.2') {
+    let output = content.replace(new RegExp(TRANS_UNIT_REGEX.source, 'gi'), (whole, attrs, inner) => {
+      const segment = byIndex.get(counter++);
+      if (!hasTranslation(segment)) return whole;
+      const targetXml = restoreInlineTags(segment.translated, segment.inlineTags);
+      return `<trans-unit${attrs}>${writeTarget(inner, targetXml, true)}</trans-unit>`;
+    });
+
+    if (targetLang) {
+      output = output.replace(/<file\b[^>]*>/gi, tag =>
+        getAttr(tag, 'target-language') ? tag : setAttr(tag, 'target-language', targetLang));
+    }
+    return output;
+  }
+
+  let output = content.replace(new RegExp(UNIT_REGEX.source, 'gi'), (unitWhole, unitAttrs, unitInner) => {
+    const newInner = unitInner.replace(new RegExp(SEGMENT_REGEX.source, 'gi'), (segWhole, segAttrs, segInner) => {
+      const segment = byIndex.get(counter++);
+      if (!hasTranslation(segment)) return segWhole;
+      const targetXml = restoreInlineTags(segment.translated, segment.inlineTags);
+      const openTag = setAttr(`<segment${segAttrs}>`, 'state', 'translated');
+      return `${openTag}${writeTarget(segInner, targetXml, false)}</segment>`;
+    });
+    return `<unit${unitAttrs}>${newInner}</unit>`;
+  });
+
+  if (targetLang) {
+    output = output.replace(/<xliff\b[^>]*>/i, tag =>
+      getAttr(tag, 'trgLang') ? tag : setAttr(tag, 'trgLang', targetLang));
+  }
+  return output;
+}
+
+export default {
+  detectXLIFFVersion,
+  parseXLIFF,
+  exportXLIFF,
+};
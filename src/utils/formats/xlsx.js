@@ -0,0 +1,344 @@
+// src/utils/formats/xlsx.js
+// Excel (XLSX) 解析与回写
+//
+// - 提取共享字符串（sharedStrings.xml）和内联字符串（t="inlineStr"）
+// - 同一共享字符串只翻译一次；可按工作表 / 列过滤
+// - 公式、数字、样式不动。共享字符串若同时被未选中的单元格引用，
+//   译文追加为新条目并只改写选中单元格的索引，未选中的单元格保持原文
+
+import { createInlineTagCollector, escapeXMLText, unescapeXML, getAttr } from './xml-utils.js';
+import {
+  DIALECTS,
+  readRelationships,
+  extractRuns,
+  buildRuns,
+  buildOOXMLSegment,
+  getOOXMLTranslation,
+} from './ooxml.js';
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const WORKBOOK_PATH = 'xl/workbook.xml';
+const CELL_REGEX = /<c(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const STRING_ITEM_REGEX = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+
+/**
+ * 列字母 → 序号（A=1）
+ */
+function columnIndex(letters) {
+  return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * 解析列过滤（如 "A, C-E"）
+ * @param {string|string[]} filter
+ * @returns {Set<number>|null} 列序号集合；为空表示不过滤
+ */
+export function parseColumnFilter(filter) {
+  const text = Array.isArray(filter) ? filter.join(',') : (filter || '');
+  const columns = new Set();
+  for (const part of text.split(/[,\s;]+/).filter(Boolean)) {
+    const range = /^([A-Za-z]{1,3})(?:-([A-Za-z]{1,3}))?$/.exec(part);
+    if (!range) continue;
+    const from = columnIndex(range[1]);
+    const to = range[2] ? columnIndex(range[2]) : from;
+    for (let i = Math.min(from, to); i <= Math.max(from, to); i++) columns.add(i);
+  }
+  return columns.size > 0 ? columns : null;
+}
+
+/**
+ * 读取工作簿结构：工作表顺序与共享字符串路径
+ */
+async function loadWorkbook(zip) {
+  const workbook = await zip.file(WORKBOOK_PATH)?.async('text');
+  if (!workbook) {
+    throw new Error('无效的 XLSX 文件：缺少 workbook.xml');
+  }
+
+  const rels = await readRelationships(zip, WORKBOOK_PATH);
+  const sheets = [];
+  for (const match of workbook.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+    const rId = /\sr:id="([^"]+)"/.exec(match[1])?.[1];
+    const path = rels.get(rId)?.target;
+    if (!path || !zip.file(path)) continue;
+    sheets.push({ name: getAttr(match[1], 'name') || path, path });
+  }
+
+  const shared = [...rels.values()].find(rel => rel.type.endsWith('/sharedStrings'));
+  const sharedPath = shared?.target || 'xl/sharedStrings.xml';
+  return { sheets, sharedPath: zip.file(sharedPath) ? sharedPath : null };
+}
+
+/**
+ * 列出工作表中的字符串单元格
+ * @returns {Array<{ ref, column, type, sharedIndex, inner, innerStart }>}
+ */
+function scanCells(xml) {
+  const cells = [];
+  for (const match of xml.matchAll(CELL_REGEX)) {
+    const [whole, attrs, inner] = match;
+    const type = getAttr(attrs, 't');
+    const ref = getAttr(attrs, 'r') || '';
+    if (inner === undefined || (type !== 's' && type !== 'inlineStr')) continue;
+
+    const cell = {
+      ref,
+      column: columnIndex(/^[A-Za-z]+/.exec(ref)?.[0] || 'A'),
+      type,
+      innerStart: match.index + whole.length - inner.length - '</c>'.length,
+    };
+    if (type === 's') {
+      const value = /<v>(\d+)<\/v>/.exec(inner);
+      if (!value) continue;
+      cell.sharedIndex = Number(value[1]);
+      cell.valueStart = cell.innerStart + value.index;
+      cell.valueEnd = cell.valueStart + value[0].length;
+    } else {
+      const is = /<is>([\s\S]*?)<\/is>/.exec(inner);
+      if (!is) continue;
+      cell.inner = is[1];
+      cell.innerStart += is.index + '<is>'.length;
+    }
+    cells.push(cell);
+  }
+  return cells;
+}
+
+/**
+ * 列出共享字符串条目
+ * @returns {Array<{ inner: string, innerStart: number }>}
+ */
+function scanStringItems(xml) {
+  return [...xml.matchAll(STRING_ITEM_REGEX)].map(match => ({
+    inner: match[1] || '',
+    innerStart: match[1] === undefined ? -1 : match.index + '<si>'.length,
+  }));
+}
+
+/**
+ * 字符串条目（<si> / <is> 内部）→ 可译文本
+ * 富文本按 run 处理，纯文本只取第一个 <t>（<rPh> 注音不翻译）
+ * @returns {{ text, tags, start, end, baseProps }|null}
+ */
+function extractStringItem(inner, collector) {
+  if (/<r>/.test(inner)) {
+    const runs = extractRuns(inner, DIALECTS.spreadsheetml, collector);
+    return runs && { ...runs, tags: collector.tags };
+  }
+  const plain = /^\s*<t(?=[\s>/])[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/.exec(inner);
+  if (!plain) return null;
+  const start = plain[0].length - plain[0].trimStart().length;
+  return {
+    text: unescapeXML(plain[1] || ''),
+    tags: {},
+    start,
+    end: plain[0].length,
+    baseProps: null,
+  };
+}
+
+/**
+ * 译文 → 字符串条目 XML
+ */
+function buildStringItem(translated, tags, baseProps) {
+  if (baseProps === null) {
+    return `<t xml:space="preserve">${escapeXMLText(translated)}</t>`;
+  }
+  return buildRuns(translated, tags, baseProps, DIALECTS.spreadsheetml);
+}
+
+/**
+ * 读取全部工作表中的字符串单元格
+ */
+async function loadCells(zip, sheets) {
+  const result = [];
+  for (const sheet of sheets) {
+    const xml = await zip.file(sheet.path).async('text');
+    result.push({ sheet, xml, cells: scanCells(xml) });
+  }
+  return result;
+}
+
+/**
+ * 解析 XLSX
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {object} options - { filters, sheets: 工作表名数组, columns: 列过滤如 "A,C-E" }
+ * @returns {Promise<{ segments: Array, sheets: string[] }>}
+ */
+export async function parseXLSX(arrayBuffer, options = {}) {
+  const { filters = {}, sheets: sheetFilter = [], columns } = options;
+  const columnFilter = parseColumnFilter(columns);
+
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const { sheets, sharedPath } = await loadWorkbook(zip);
+  const sharedItems = sharedPath ? scanStringItems(await zip.file(sharedPath).async('text')) : [];
+
+  const segments = [];
+  const sharedSegments = new Map();
+
+  for (const { sheet, cells } of await loadCells(zip, sheets)) {
+    if (sheetFilter.length > 0 && !sheetFilter.includes(sheet.name)) continue;
+
+    for (const cell of cells) {
+      if (columnFilter && !columnFilter.has(cell.column)) continue;
+      const cellId = `${sheet.path}!${cell.ref}`;
+
+      if (cell.type === 's') {
+        const existing = sharedSegments.get(cell.sharedIndex);
+        if (existing) {
+          existing.cells.push(cellId);
+          continue;
+        }
+        const item = sharedItems[cell.sharedIndex];
+        const collector = createInlineTagCollector();
+        const extracted = item && extractStringItem(item.inner, collector);
+        if (!extracted) continue;
+
+        const segment = buildOOXMLSegment({
+          id: segments.length,
+          ooxmlIndex: segments.length,
+          type: 'xlsx',
+          key: `${sheet.name}!${cell.ref}`,
+          text: extracted.text,
+          tags: extracted.tags,
+          filters,
+          sharedIndex: cell.sharedIndex,
+          cells: [cellId],
+        });
+        sharedSegments.set(cell.sharedIndex, segment);
+        segments.push(segment);
+      } else {
+        const collector = createInlineTagCollector();
+        const extracted = extractStringItem(cell.inner, collector);
+        if (!extracted) continue;
+
+        segments.push(buildOOXMLSegment({
+          id: segments.length,
+          ooxmlIndex: segments.length,
+          type: 'xlsx',
+          key: `${sheet.name}!${cell.ref}`,
+          text: extracted.text,
+          tags: extracted.tags,
+          filters,
+          cells: [cellId],
+        }));
+      }
+    }
+  }
+
+  return { segments, sheets: sheets.map(sheet => sheet.name) };
+}
+
+/**
+ * 导出 XLSX：在原始包上写回译文
+ * @param {ArrayBuffer} arrayBuffer - 原始文件
+ * @param {Array} segments - 翻译后的段落
+ * @param {object} options - { outputType: 'blob' | 'uint8array' }
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportXLSX(arrayBuffer, segments, options = {}) {
+  const { outputType = 'blob' } = options;
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const { sheets, sharedPath } = await loadWorkbook(zip);
+  const sheetCells = await loadCells(zip, sheets);
+
+  // 每个共享字符串被引用的次数
+  const refCounts = new Map();
+  for (const { cells } of sheetCells) {
+    for (const cell of cells) {
+      if (cell.type === 's') refCounts.set(cell.sharedIndex, (refCounts.get(cell.sharedIndex) || 0) + 1);
+    }
+  }
+
+  const cellReplacements = new Map();   // sheetPath → [{ start, end, xml }]
+  const addCellReplacement = (cellId, replacement) => {
+    const path = cellId.slice(0, cellId.lastIndexOf('!'));
+    if (!cellReplacements.has(path)) cellReplacements.set(path, []);
+    cellReplacements.get(path).push(replacement);
+  };
+  const findCell = (cellId) => {
+    const separator = cellId.lastIndexOf('!');
+    const entry = sheetCells.find(({ sheet }) => sheet.path === cellId.slice(0, separator));
+    return entry?.cells.find(cell => cell.ref === cellId.slice(separator + 1));
+  };
+
+  // 共享字符串
+  if (sharedPath) {
+    let sharedXml = await zip.file(sharedPath).async('text');
+    const items = scanStringItems(sharedXml);
+    const itemReplacements = [];
+    const appended = [];
+
+    for (const segment of segments.filter(s => s.sharedIndex !== undefined)) {
+      const translated = getOOXMLTranslation(segment);
+      const item = items[segment.sharedIndex];
+      if (translated === null || !item || item.innerStart < 0) continue;
+
+      const extracted = extractStringItem(item.inner, createInlineTagCollector());
+      if (!extracted) continue;
+      const region = buildStringItem(translated, segment.inlineTags, extracted.baseProps);
+      const newInner = item.inner.slice(0, extracted.start) + region + item.inner.slice(extracted.end);
+
+      if ((refCounts.get(segment.sharedIndex) || 0) <= segment.cells.length) {
+        itemReplacements.push({ start: item.innerStart, end: item.innerStart + item.inner.length, xml: newInner });
+        continue;
+      }
+
+      // 还有未选中的单元格引用同一字符串：追加新条目，只改写选中的单元格
+      const newIndex = items.length + appended.length;
+      appended.push(`<si>${newInner}</si>`);
+      for (const cellId of segment.cells) {
+        const cell = findCell(cellId);
+        if (cell?.type === 's') {
+          addCellReplacement(cellId, { start: cell.valueStart, end: cell.valueEnd, xml: `<v>${newIndex}</v>` });
+        }
+      }
+    }
+
+    sharedXml = itemReplacements
+      .sort((a, b) => b.start - a.start)
+      .reduce((acc, { start, end, xml }) => acc.slice(0, start) + xml + acc.slice(end), sharedXml);
+    if (appended.length > 0) {
+      sharedXml = sharedXml
+        .replace(/<\/sst>\s*$/, () => `${appended.join('')}</sst>`)
+        .replace(/(<sst\b[^>]*?\suniqueCount=")(\d+)"/, (_, head, count) => `${head}${Number(count) + appended.length}"`);
+    }
+    if (itemReplacements.length > 0 || appended.length > 0) {
+      zip.file(sharedPath, sharedXml);
+    }
+  }
+
+  // 内联字符串
+  for (const segment of segments.filter(s => s.sharedIndex === undefined && s.cells?.length)) {
+    const translated = getOOXMLTranslation(segment);
+    const cell = findCell(segment.cells[0]);
+    if (translated === null || cell?.type !== 'inlineStr') continue;
+
+    const extracted = extractStringItem(cell.inner, createInlineTagCollector());
+    if (!extracted) continue;
+    addCellReplacement(segment.cells[0], {
+      start: cell.innerStart + extracted.start,
+      end: cell.innerStart + extracted.end,
+      xml: buildStringItem(translated, segment.inlineTags, extracted.baseProps),
+    });
+  }
+
+  for (const { sheet, xml } of sheetCells) {
+    const replacements = cellReplacements.get(sheet.path);
+    if (!replacements) continue;
+    const updated = replacements
+      .sort((a, b) => b.start - a.start)
+      .reduce((acc, { start, end, xml: region }) => acc.slice(0, start) + region + acc.slice(end), xml);
+    zip.file(sheet.path, updated);
+  }
+
+  return zip.generateAsync({ type: outputType, mimeType: XLSX_MIME, compression: 'DEFLATE' });
+}
+
+export default {
+  parseXLSX,
+  exportXLSX,
+  parseColumnFilter,
+};
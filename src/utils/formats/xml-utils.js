@@ -0,0 +1,165 @@
+// src/utils/formats/xml-utils.js
+// XML 格式解析的公共工具（正则实现，不使用 DOMParser 以兼容 Node.js）
+//
+// 内联标记占位符：
+// 段落内的格式标签替换为 ⟦name1⟧ / ⟦/name1⟧，翻译模板已要求 LLM 原样保留 ⟦...⟧
+// 导出时用 restoreInlineTags 换回原始标签
+
+/**
+ * XML 转义
+ */
+export function escapeXML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * XML 文本节点转义（不转义引号，尽量保持原文件风格）
+ */
+export function escapeXMLText(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * XML 反转义
+ */
+export function unescapeXML(str) {
+  if (!str) return '';
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 读取开始标签中的属性值
+ * @param {string} attrs - 开始标签的属性部分
+ * @param {string} name - 属性名（可含命名空间前缀，如 xml:lang）
+ * @returns {string|null}
+ */
+export function getAttr(attrs, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(attrs || '');
+  if (!match) return null;
+  return unescapeXML(match[1] ?? match[2]);
+}
+
+/**
+ * 设置开始标签中的属性（已存在则替换，否则追加）
+ * @param {string} openTag - 完整开始标签，如 <target state="new">
+ * @param {string} name - 属性名
+ * @param {string} value - 属性值
+ * @returns {string}
+ */
+export function setAttr(openTag, name, value) {
+  const attrRegex = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*')`, 'i');
+  if (attrRegex.test(openTag)) {
+    return openTag.replace(attrRegex, `$1"${escapeXML(value)}"`);
+  }
+  return openTag.replace(/\s*(\/?)>$/, ` ${name}="${escapeXML(value)}"$1>`);
+}
+
+/**
+ * 占位符正则（⟦g1⟧、⟦/g1⟧、⟦x2⟧）
+ */
+export const INLINE_PLACEHOLDER_REGEX = /⟦\/?[a-z][\w-]*?\d+⟧/gi;
+
+/**
+ * 创建内联标签收集器
+ * @returns {{ open, close, single, tags }}
+ *   open(name, xml) / single(name, xml) 返回占位符并记录原始标签
+ *   close(name, n, xml) 生成与 open 配对的结束占位符
+ */
+export function createInlineTagCollector() {
+  const tags = {};
+  let counter = 0;
+
+  return {
+    tags,
+    open(name, xml) {
+      const n = ++counter;
+      const placeholder = `⟦${name}${n}⟧`;
+      tags[placeholder] = xml;
+      return { placeholder, n };
+    },
+    close(name, n, xml) {
+      const placeholder = `⟦/${name}${n}⟧`;
+      tags[placeholder] = xml;
+      return placeholder;
+    },
+    single(name, xml) {
+      const placeholder = `⟦${name}${++counter}⟧`;
+      tags[placeholder] = xml;
+      return placeholder;
+    },
+  };
+}
+
+/**
+ * 将译文中的占位符还原为原始标签，文本部分按需转义
+ * 译文丢失的占位符按原顺序补在末尾，保证导出的 XML 标签成对
+ * @param {string} text - 含占位符的译文
+ * @param {object} tags - { placeholder: 原始标签 }
+ * @param {Function} escapeText - 文本部分的转义函数
+ * @returns {string}
+ */
+export function restoreInlineTags(text, tags = {}, escapeText = escapeXMLText) {
+  const parts = (text || '').split(/(⟦\/?[a-z][\w-]*?\d+⟧)/i);
+
+  // 成对标签只出现一半或顺序颠倒时，两个都按丢失处理
+  const positions = {};
+  parts.forEach((part, i) => {
+    if (i % 2 === 1 && positions[part] === undefined) positions[part] = i;
+  });
+  const dropped = new Set();
+  for (const placeholder of Object.keys(tags)) {
+    if (placeholder.startsWith('⟦/')) continue;
+    const closing = placeholder.replace('⟦', '⟦/');
+    if (!tags[closing]) continue;
+    const openAt = positions[placeholder];
+    const closeAt = positions[closing];
+    if (openAt === undefined || closeAt === undefined || closeAt < openAt) {
+      dropped.add(placeholder);
+      dropped.add(closing);
+    }
+  }
+
+  const used = new Set();
+  let output = parts.map((part, i) => {
+    if (i % 2 === 1 && Object.prototype.hasOwnProperty.call(tags, part)) {
+      if (used.has(part) || dropped.has(part)) return '';
+      used.add(part);
+      return tags[part];
+    }
+    return escapeText(part);
+  }).join('');
+
+  for (const [placeholder, xml] of Object.entries(tags)) {
+    if (!used.has(placeholder)) output += xml;
+  }
+
+  return output;
+}
+
+export default {
+  escapeXML,
+  escapeXMLText,
+  unescapeXML,
+  getAttr,
+  setAttr,
+  INLINE_PLACEHOLDER_REGEX,
+  createInlineTagCollector,
+  restoreInlineTags,
+};
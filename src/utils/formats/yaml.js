@@ -0,0 +1,292 @@
+// src/utils/formats/yaml.js
+// YAML 本地化文件解析与回写（Rails i18n、Symfony translations 等）
+//
+// 只实现本地化文件用得到的子集：嵌套映射、序列、plain / '单引号' / "双引号" 标量、
+// 块标量 | 和 >。锚点、别名、标签和 flow 集合（[] / {}）原样保留，不参与翻译。
+// URL、路径、数字等非文本值（与 i18n JSON 相同的 NON_TEXT_REGEX）标为跳过。
+// 导出时逐行替换值，键、注释、缩进和引号风格保持不变（不使用 YAML 库以避免引入依赖）
+
+import {
+  NON_TEXT_REGEX,
+  buildResourceSegment,
+  getResourceTranslation,
+  indexResourceSegments,
+  formatKeyPath,
+} from './resource.js';
+
+// 非字符串的 plain 标量：布尔、null、数字、日期
+const NON_STRING_REGEX = /^(true|false|yes|no|on|off|y|n|null|~|[-+]?(\d[\d_]*(\.\d*)?([eE][-+]?\d+)?|\.\d+|\.inf|\.nan)|0x[0-9a-f]+|0o[0-7]+|\d{4}-\d\d-\d\d([Tt ].*)?)$/i;
+// 键：引号键或 plain 键，后接 ": " 或行尾
+const KEY_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#"'\-?:,[\]{}&*!|>%@`][^#]*?|-[^\s#][^#]*?)[ \t]*:(?=\s|$)[ \t]*/;
+const DASH_REGEX = /^-(?:[ \t]+|$)/;
+const BLOCK_HEADER_REGEX = /^([|>])([+-]?)(\d?)([+-]?)[ \t]*(#.*)?$/;
+
+/**
+ * 行首空格数
+ */
+function indentOf(line) {
+  return /^ */.exec(line)[0].length;
+}
+
+/**
+ * 双引号标量反转义
+ */
+function unescapeDouble(str) {
+  return str.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (_, ch) => {
+    if (ch.length > 1) return String.fromCharCode(parseInt(ch.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r', 0: '\0', _: ' ' }[ch] ?? ch;
+  });
+}
+
+/**
+ * 双引号标量转义
+ */
+function escapeDouble(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * plain 标量是否需要加引号才能保持为字符串
+ */
+function needsQuoting(text) {
+  return !text
+    || /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text)
+    || /:(\s|$)|\s#|\s$|[\n\t]/.test(text)
+    || NON_STRING_REGEX.test(text);
+}
+
+/**
+ * 去掉键的引号
+ */
+function unquoteKey(raw) {
+  if (raw.startsWith('"')) return unescapeDouble(raw.slice(1, -1));
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+  return raw.trim();
+}
+
+/**
+ * 缩进大于 minIndent 的后续行（空行夹在其中时一并计入）
+ * @returns {number} 最后一个非空行的行号
+ */
+function findBlockEnd(lines, start, minIndent) {
+  let end = start;
+  for (let j = start + 1; j < lines.length; j++) {
+    if (!lines[j].trim()) continue;
+    if (indentOf(lines[j]) <= minIndent) break;
+    end = j;
+  }
+  return end;
+}
+
+/**
+ * 解析一个标量值
+ * @param {string} rest - 值的原文（行内，冒号或短横线之后）
+ * @param {string[]} lines - 全部行
+ * @param {number} index - 当前行号
+ * @param {number} lineIndent - 当前行缩进
+ * @returns {object} { container } | { text, style, endLine, ... } | { ignored, endLine }
+ */
+function parseScalar(rest, lines, index, lineIndent) {
+  // 锚点本身不影响值
+  const value = rest.replace(/^&[^\s]+[ \t]*/, '');
+  if (!value || value.startsWith('#')) return { container: true };
+
+  const endLine = findBlockEnd(lines, index, lineIndent);
+
+  // 别名、标签和 flow 集合（如 [a, b]、{k: v}，包括跨行的部分）整体跳过：
+  // 其中的字符串不生成段落，导出时原样保留
+  if (/^[*!{[]/.test(value)) return { ignored: true, endLine };
+
+  const block = BLOCK_HEADER_REGEX.exec(value);
+  if (block) {
+    const explicit = Number(block[3] || 0);
+    const firstLine = lines.slice(index + 1, endLine + 1).find(line => line.trim());
+    const blockIndent = explicit ? lineIndent + explicit : indentOf(firstLine || '');
+    const body = lines.slice(index + 1, endLine + 1).map(line => line.slice(blockIndent));
+    const text = block[1] === '|'
+      ? body.join('\n')
+      : body.reduce((acc, line) => {
+        if (!line) return `${acc}\n`;
+        return !acc || acc.endsWith('\n') ? acc + line : `${acc} ${line}`;
+      }, '');
+    return { text, style: block[1] === '|' ? 'literal' : 'folded', endLine, blockIndent };
+  }
+
+  const double = /^"((?:[^"\\]|\\.)*)"[ \t]*(#.*)?$/.exec(value);
+  if (double) {
+    return { text: unescapeDouble(double[1]), style: 'double', endLine: index, comment: double[2] };
+  }
+  const single = /^'((?:[^']|'')*)'[ \t]*(#.*)?$/.exec(value);
+  if (single) {
+    return { text: single[1].replace(/''/g, "'"), style: 'single', endLine: index, comment: single[2] };
+  }
+  // 跨行的引号标量不处理
+  if (/^["']/.test(value)) return { ignored: true, endLine };
+
+  const plain = /^(.*?)([ \t]+#.*)?$/.exec(value);
+  const continuation = lines.slice(index + 1, endLine + 1).map(line => line.trim());
+  const text = [plain[1].trim(), ...continuation].reduce((acc, line) => {
+    if (!line) return `${acc}\n`;
+    return !acc || acc.endsWith('\n') ? acc + line : `${acc} ${line}`;
+  }, '');
+  if (NON_STRING_REGEX.test(text)) return { ignored: true, endLine };
+  return { text, style: 'plain', endLine, comment: plain[2]?.trim() };
+}
+
+/**
+ * 扫描 YAML，按文档顺序列出所有字符串值
+ * @param {string} content
+ * @returns {{ lines: string[], eol: string, values: Array }}
+ */
+function scanYAML(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const root = { indent: -1, key: null };
+  const stack = [root];
+  const values = [];
+  let lastComment = '';
+
+  const top = () => stack[stack.length - 1];
+  const currentPath = () => stack.slice(1).map(entry => entry.key);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed || /^(---|\.\.\.)(\s|$)/.test(trimmed) || trimmed.startsWith('%')) {
+      if (trimmed.startsWith('---')) stack.splice(1);
+      continue;
+    }
+    if (trimmed.startsWith('#')) {
+      lastComment = trimmed.replace(/^#+\s?/, '');
+      continue;
+    }
+
+    const indent = indentOf(line);
+    let col = indent;
+    let body = line.slice(indent);
+
+    while (top().indent > indent) stack.pop();
+
+    if (DASH_REGEX.test(body)) {
+      // 同级序列项：弹出上一项；与父键同缩进的序列（key:\n- a）父键保留
+      if (top().indent === indent && top().isItem) stack.pop();
+    } else {
+      while (top().indent >= indent) stack.pop();
+    }
+
+    let inItem = false;
+    let dash;
+    while ((dash = DASH_REGEX.exec(body)) !== null) {
+      const parent = top();
+      parent.seq = (parent.seq ?? -1) + 1;
+      stack.push({ indent: col, key: parent.seq, isItem: true });
+      col += dash[0].length;
+      body = body.slice(dash[0].length);
+      inItem = true;
+    }
+
+    const keyMatch = KEY_REGEX.exec(body);
+    if (!keyMatch && !inItem) continue;
+
+    const key = keyMatch ? unquoteKey(keyMatch[1]) : null;
+    const valueStart = keyMatch ? col + keyMatch[0].length : col;
+    const scalar = parseScalar(line.slice(valueStart), lines, i, indent);
+    if (scalar.container) {
+      if (keyMatch) stack.push({ indent: col, key });
+      lastComment = '';
+      continue;
+    }
+
+    const path = keyMatch ? [...currentPath(), key] : currentPath();
+    if (!scalar.ignored) {
+      values.push({
+        ...scalar,
+        key: formatKeyPath(path),
+        line: i,
+        prefix: line.slice(0, valueStart),
+        anchor: /^&[^\s]+[ \t]*/.exec(line.slice(valueStart))?.[0] || '',
+        note: lastComment,
+      });
+    }
+    lastComment = '';
+    i = scalar.endLine;
+  }
+
+  return { lines, eol, values };
+}
+
+/**
+ * 把译文写成与原值同风格的行
+ */
+function formatValue(value, text) {
+  const { prefix, anchor, style, comment } = value;
+  const head = prefix + anchor;
+  const tail = comment ? ` ${comment}` : '';
+
+  if (style === 'literal' || style === 'folded') {
+    const header = value.lines[value.line];
+    const pad = ' '.repeat(value.blockIndent);
+    const bodyLines = style === 'literal' ? text.split('\n') : text.split('\n').join('\n\n').split('\n');
+    return [header, ...bodyLines.map(line => (line ? pad + line : ''))];
+  }
+  if (style === 'single' && !/[\n\t]/.test(text)) {
+    return [`${head}'${text.replace(/'/g, "''")}'${tail}`];
+  }
+  if (style === 'plain' && !needsQuoting(text)) {
+    return [`${head}${text}${tail}`];
+  }
+  return [`${head}"${escapeDouble(text)}"${tail}`];
+}
+
+/**
+ * 解析 YAML
+ * @param {string} content
+ * @returns {{ segments: Array }}
+ */
+export function parseYAML(content) {
+  const { values } = scanYAML(content);
+  const segments = values.map((value, index) => buildResourceSegment({
+    id: index,
+    resourceIndex: index,
+    key: value.key,
+    text: value.text,
+    note: value.note,
+    skipReason: NON_TEXT_REGEX.test(value.text.trim()) ? '非文本' : null,
+  }));
+  return { segments };
+}
+
+/**
+ * 导出 YAML：在原文件上逐行替换值
+ * @param {string} content - 原始 YAML
+ * @param {Array} segments - 翻译后的段落
+ * @returns {string}
+ */
+export function exportYAML(content, segments) {
+  const { lines, eol, values } = scanYAML(content);
+  const byIndex = indexResourceSegments(segments);
+  const output = [...lines];
+
+  values
+    .map((value, index) => ({ value, translation: getResourceTranslation(byIndex.get(index)) }))
+    .filter(({ translation }) => translation !== null)
+    .reverse()
+    .forEach(({ value, translation }) => {
+      const newLines = formatValue({ ...value, lines }, translation);
+      output.splice(value.line, value.endLine - value.line + 1, ...newLines);
+    });
+
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  return bom + output.join(eol);
+}
+
+export default {
+  parseYAML,
+  exportYAML,
+};
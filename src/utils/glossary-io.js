@@ -18,6 +18,8 @@ export function exportToJSON(items) {
       target: item.translatedText,
       note: item.note || '',
       tags: item.tags || [],
+      ...(item.caseSensitive ? { caseSensitive: true } : {}),
+      ...(item.forbidden ? { forbidden: true } : {}),
       createdAt: item.createdAt,
     })),
   };
@@ -52,6 +54,8 @@ export function importFromJSON(jsonString) {
       translatedText: term.target || term.translatedText || term.译文 || '',
       note: term.note || term.备注 || '',
       tags: term.tags || [],
+      caseSensitive: !!term.caseSensitive,
+      forbidden: !!term.forbidden,
       folderId: 'glossary',
       createdAt: term.createdAt || new Date().toISOString(),
     })).filter(t => t.sourceText && t.translatedText);
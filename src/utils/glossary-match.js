@@ -0,0 +1,119 @@
+// src/utils/glossary-match.js
+// 术语注入：找出原文中出现的术语，供 translation.js 在翻译前使用
+//
+// - LLM 翻译源：只把命中的术语写进 system prompt
+// - 机器翻译源：命中的术语先替换成占位符，翻译后换回术语库译文
+//
+// 匹配规则与术语检查相同（buildTermPattern，不做词形变化）：字母 / 数字按 Unicode 整词匹配，
+// 忽略大小写（caseSensitive 的条目除外），中日韩术语按子串匹配
+
+import { buildTermPattern } from './term-check.js';
+
+/**
+ * 最多注入的术语数（按长度优先）
+ */
+export const MAX_INJECTED_TERMS = 50;
+
+const PLACEHOLDER_SPLIT_REGEX = /(⟦[^⟦⟧]*⟧)/;
+
+/**
+ * 术语的匹配正则（全局标志，只用于 search / split）
+ */
+function termRegex(term) {
+  return buildTermPattern(term.source, { caseSensitive: !!term.caseSensitive, inflect: false });
+}
+
+/**
+ * 去掉占位符后的文本片段（占位符内的内容不参与匹配）
+ */
+function textParts(text) {
+  return text.split(PLACEHOLDER_SPLIT_REGEX);
+}
+
+/**
+ * 找出原文中出现的术语
+ * @param {string} text - 原文
+ * @param {Array<{ source: string, target: string }>} glossary
+ * @param {object} [options]
+ * @param {number} [options.maxTerms=50]
+ * @returns {Array<{ source: string, target: string }>} 命中的术语（长的在前）
+ */
+export function matchGlossaryTerms(text, glossary, options = {}) {
+  const { maxTerms = MAX_INJECTED_TERMS } = options;
+  if (!text || !glossary?.length) return [];
+
+  const parts = textParts(text).filter((part, i) => i % 2 === 0);
+  const seen = new Set();
+  const matched = [];
+
+  const sorted = glossary
+    .map(term => ({ ...term, source: term.source?.trim(), target: term.target?.trim() }))
+    .filter(term => term.source && term.target)
+    .sort((a, b) => b.source.length - a.source.length);
+
+  for (const term of sorted) {
+    const key = term.caseSensitive ? term.source : term.source.toLowerCase();
+    if (seen.has(key)) continue;
+    const regex = termRegex(term);
+    if (parts.some(part => part.search(regex) >= 0)) {
+      seen.add(key);
+      matched.push(term);
+      if (matched.length >= maxTerms) break;
+    }
+  }
+  return matched;
+}
+
+/**
+ * 把命中的术语替换成占位符（用于不支持提示词的机器翻译源）
+ * @param {string} text
+ * @param {Array<{ source: string, target: string }>} terms - matchGlossaryTerms 的结果
+ * @returns {{ processed: string, protectedMap: Map<string, string> }} protectedMap: 占位符 → 术语译文
+ */
+export function protectGlossaryTerms(text, terms) {
+  const protectedMap = new Map();
+  if (!terms?.length) return { processed: text, protectedMap };
+
+  let parts = textParts(text);
+  let index = 0;
+  // 长的术语先替换，避免被其中的短术语拆开
+  for (const term of terms) {
+    const regex = termRegex(term);
+    let placeholder = null;
+    parts = parts.flatMap((part, i) => {
+      if (i % 2 === 1) return [part];
+      return part.split(regex).flatMap((piece, j) => {
+        if (j === 0) return [piece];
+        if (!placeholder) {
+          placeholder = `⟦term_${index++}⟧`;
+          protectedMap.set(placeholder, term.target);
+        }
+        return [placeholder, piece];
+      });
+    });
+  }
+
+  return { processed: parts.join(''), protectedMap };
+}
+
+/**
+ * 术语集合的签名（用于区分缓存）
+ * @param {Array<{ source: string, target: string }>} terms
+ * @returns {string}
+ */
+export function glossarySignature(terms) {
+  if (!terms?.length) return '';
+  const text = terms.map(term => `${term.source}\u0000${term.target}`).sort().join('\u0001');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+export default {
+  MAX_INJECTED_TERMS,
+  matchGlossaryTerms,
+  protectGlossaryTerms,
+  glossarySignature,
+};
@@ -0,0 +1,292 @@
+// src/utils/job-estimate.js
+// 文档任务的费用与耗时预估，以及任务结束后与实际用量的对比
+//
+// - 请求数：与文档翻译共用 planRequests，批量模式按 batchSegments 分批，单条模式每段一个请求
+// - 用量：LLM 翻译源按 token 计（estimateTokens，另加每个请求的提示词 / 上下文开销），
+//   机器翻译源按原文字符数计
+// - 耗时：按翻译源实测的平均延迟（没有测量时按声明的延迟等级）、并发数和每分钟请求数上限估算
+// - 费用：价格表按 翻译源 / 翻译源:模型 查找，单位为每百万 token 或字符
+// - 实际用量只能从实际发送的原文和收到的译文估算 token（翻译源不返回计费用量）
+
+import { estimateTokens, detectLanguage, batchSegments } from './document-parser.js';
+
+/**
+ * 没有实测数据时各延迟等级的单次请求耗时（毫秒）
+ */
+export const LATENCY_LEVEL_MS = {
+  fast: 500,
+  medium: 1500,
+  slow: 5000,
+};
+
+/**
+ * LLM 每个请求的系统提示词开销（token）
+ */
+export const PROMPT_OVERHEAD_TOKENS = 200;
+
+/**
+ * 价格单位：每百万 token / 字符
+ */
+export const PRICE_UNIT = 1000000;
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * 默认价格（LLM 模型价格变动频繁，需用户填写）
+ */
+export const DEFAULT_PRICES = {
+  'local-llm': { input: 0, output: 0 },
+  'google-translate': { input: 20 },
+  deepl: { input: 25 },
+};
+
+// 批量模式每批最多 token 数（与 batchSegments 默认值一致）
+const MAX_TOKENS_PER_BATCH = 2000;
+
+/**
+ * 翻译源的计费单位
+ * @param {string} providerType - 翻译源元信息中的 type
+ * @returns {'tokens'|'chars'}
+ */
+export function billingUnit(providerType) {
+  return providerType === 'llm' ? 'tokens' : 'chars';
+}
+
+/**
+ * 价格表的键
+ */
+export function priceKey(providerId, model) {
+  return model ? `${providerId}:${model}` : providerId;
+}
+
+/**
+ * 查找价格：翻译源:模型 → 翻译源 → 默认价格
+ * @param {object} prices - { [priceKey]: { input, output } }
+ * @returns {{ input: number, output?: number }|null}
+ */
+export function getPrice(prices, providerId, model) {
+  return (model && prices?.[priceKey(providerId, model)])
+    || prices?.[providerId]
+    || DEFAULT_PRICES[providerId]
+    || null;
+}
+
+/**
+ * 译文与原文的 token 比例（按 estimateTokens 的计法：汉字 2，其它字符 0.35）
+ */
+function outputRatio(sourceLang, targetLang) {
+  const sourceHan = (sourceLang || '').startsWith('zh');
+  const targetHan = (targetLang || '').startsWith('zh');
+  if (sourceHan === targetHan) return 1;
+  return targetHan ? 2 : 0.5;
+}
+
+/**
+ * 按计费单位计算费用
+ * @returns {number|null} 没有价格时为 null
+ */
+function computeCost(price, unit, { inputTokens, outputTokens, chars }) {
+  if (!price) return null;
+  if (unit === 'chars') return (chars / PRICE_UNIT) * (price.input || 0);
+  return (inputTokens / PRICE_UNIT) * (price.input || 0) + (outputTokens / PRICE_UNIT) * (price.output || 0);
+}
+
+/**
+ * 请求分组（文档翻译的批量模式按同样的分组发送请求）
+ * 重新翻译时指定了翻译源 / 模板（override）的段落只和设置相同的段落同批
+ * @param {Array} segments - 需要交给翻译源的段落
+ * @param {object} options - { batchMode, batchSize }
+ * @returns {Array<Array>} 每个请求包含的段落
+ */
+export function planRequests(segments, options = {}) {
+  const { batchMode = false, batchSize = 10 } = options;
+  const items = segments.map(segment => ({
+    ...segment,
+    status: 'pending',
+    tokens: segment.tokens ?? estimateTokens(segment.original),
+  }));
+  if (!batchMode) return items.map(segment => [segment]);
+
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.override?.provider || ''}|${item.override?.template || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.values()].flatMap(group => (
+    batchSegments(group, { maxSegmentsPerBatch: batchSize, maxTokensPerBatch: MAX_TOKENS_PER_BATCH })
+      .map(batch => batch.segments)
+  ));
+}
+
+/**
+ * 预估文档任务
+ * @param {Array} segments - 需要交给翻译源的段落（已排除缓存 / 记忆库命中的段落）
+ * @param {object} options
+ * @param {Array<{ id, name, type, model, latency }>} options.providers - 候选翻译源；
+ *   latency 为 translationService.getProviderLatency 的结果
+ * @param {string} [options.sourceLang='auto']
+ * @param {string} [options.targetLang='zh']
+ * @param {boolean} [options.batchMode=false]
+ * @param {number} [options.batchSize=10]
+ * @param {number} [options.concurrency=1]
+ * @param {Object<string, number>} [options.rpmLimits] - 每分钟请求数上限
+ * @param {number} [options.contextTokens=0] - 每个请求附带的上下文 token（未启用时为 0）
+ * @param {object} [options.prices] - 价格表
+ * @returns {{ segments: number, sourceTokens: number, sourceChars: number, rows: Array }}
+ */
+export function estimateJob(segments, options = {}) {
+  const {
+    providers = [],
+    sourceLang = 'auto',
+    targetLang = 'zh',
+    batchMode = false,
+    batchSize = 10,
+    concurrency = 1,
+    rpmLimits = {},
+    contextTokens = 0,
+    prices = {},
+  } = options;
+
+  const requests = planRequests(segments, { batchMode, batchSize }).length;
+  const sourceTokens = segments.reduce((sum, s) => sum + (s.tokens ?? estimateTokens(s.original)), 0);
+  const sourceChars = segments.reduce((sum, s) => sum + (s.original || '').length, 0);
+  const resolvedSource = sourceLang === 'auto'
+    ? detectLanguage(segments.slice(0, 50).map(s => s.original).join('\n'))
+    : sourceLang;
+  const outputTokens = Math.round(sourceTokens * outputRatio(resolvedSource, targetLang));
+
+  const rows = providers.map(provider => {
+    const unit = billingUnit(provider.type);
+    const inputTokens = unit === 'tokens'
+      ? sourceTokens + requests * (PROMPT_OVERHEAD_TOKENS + contextTokens)
+      : sourceTokens;
+    const latencyMs = provider.latency?.ms ?? LATENCY_LEVEL_MS[provider.latency?.level] ?? LATENCY_LEVEL_MS.medium;
+    const rpm = rpmLimits[provider.id];
+    // 并发受延迟限制，也受每分钟请求数限制，取较慢者
+    const seconds = Math.max(
+      (Math.ceil(requests / Math.max(1, concurrency)) * latencyMs) / 1000,
+      rpm > 0 ? (requests / rpm) * 60 : 0
+    );
+    const price = getPrice(prices, provider.id, provider.model);
+    const usage = { inputTokens, outputTokens: unit === 'tokens' ? outputTokens : 0, chars: sourceChars };
+
+    return {
+      providerId: provider.id,
+      name: provider.name || provider.id,
+      model: provider.model || '',
+      unit,
+      requests,
+      ...usage,
+      latencyMs,
+      measured: provider.latency?.ms != null,
+      seconds,
+      price,
+      cost: computeCost(price, unit, usage),
+    };
+  });
+
+  return { segments: segments.length, sourceTokens, sourceChars, rows };
+}
+
+// ============ 实际用量 ============
+
+/**
+ * 新的用量记录
+ */
+export function createUsage() {
+  return { requests: 0, failed: 0, providers: {} };
+}
+
+/**
+ * 记录一次翻译源请求（缓存 / 记忆库命中不算请求）
+ * @param {object} usage - createUsage() 的结果
+ * @param {object} request
+ * @param {string} [request.provider] - 实际响应的翻译源（失败时可能没有）
+ * @param {string} request.source - 原文
+ * @param {string} [request.target] - 译文
+ * @param {boolean} request.success
+ * @returns {object} 新的用量记录
+ */
+export function recordUsage(usage, { provider, source, target = '', success }) {
+  const next = { ...usage, requests: usage.requests + 1, failed: usage.failed + (success ? 0 : 1) };
+  if (!provider) return next;
+  const previous = usage.providers[provider] || { requests: 0, sourceTokens: 0, outputTokens: 0, chars: 0 };
+  next.providers = {
+    ...usage.providers,
+    [provider]: {
+      requests: previous.requests + 1,
+      sourceTokens: previous.sourceTokens + estimateTokens(source),
+      outputTokens: previous.outputTokens + estimateTokens(target),
+      chars: previous.chars + (source || '').length,
+    },
+  };
+  return next;
+}
+
+/**
+ * 预估与实际用量对比
+ * @param {object} row - estimateJob 结果中任务所用翻译源的一行
+ * @param {object} usage - 任务的用量记录
+ * @param {object} options
+ * @param {number} options.elapsedMs - 实际耗时
+ * @param {Array<{ id, type, model }>} options.providers - 用于确定各翻译源的计费单位和价格
+ * @param {object} [options.prices]
+ * @param {number} [options.contextTokens=0]
+ * @returns {Array<{ key: string, estimated: number|null, actual: number|null, diff: number|null }>}
+ *   diff 为 (实际 - 预估) / 预估
+ */
+export function compareWithActual(row, usage, options = {}) {
+  const { elapsedMs = 0, providers = [], prices = {}, contextTokens = 0 } = options;
+  const actual = { inputTokens: 0, outputTokens: 0, chars: 0, cost: 0 };
+  let priced = true;
+
+  for (const [id, used] of Object.entries(usage.providers)) {
+    const provider = providers.find(p => p.id === id) || { id };
+    const unit = billingUnit(provider.type);
+    const amounts = {
+      inputTokens: unit === 'tokens'
+        ? used.sourceTokens + used.requests * (PROMPT_OVERHEAD_TOKENS + contextTokens)
+        : used.sourceTokens,
+      outputTokens: unit === 'tokens' ? used.outputTokens : 0,
+      chars: used.chars,
+    };
+    actual.inputTokens += amounts.inputTokens;
+    actual.outputTokens += amounts.outputTokens;
+    actual.chars += amounts.chars;
+    const cost = computeCost(getPrice(prices, id, provider.model), unit, amounts);
+    if (cost === null) priced = false;
+    else actual.cost += cost;
+  }
+
+  const metrics = [
+    ['requests', row.requests, usage.requests],
+    ['inputTokens', row.inputTokens, actual.inputTokens],
+    ['outputTokens', row.outputTokens, actual.outputTokens],
+    ['chars', row.chars, actual.chars],
+    ['time', row.seconds, elapsedMs / 1000],
+    ['cost', row.cost, priced ? actual.cost : null],
+  ];
+  return metrics.map(([key, estimated, value]) => ({
+    key,
+    estimated,
+    actual: value,
+    diff: estimated > 0 && value !== null ? (value - estimated) / estimated : null,
+  }));
+}
+
+export default {
+  LATENCY_LEVEL_MS,
+  PROMPT_OVERHEAD_TOKENS,
+  PRICE_UNIT,
+  DEFAULT_CURRENCY,
+  DEFAULT_PRICES,
+  billingUnit,
+  priceKey,
+  getPrice,
+  planRequests,
+  estimateJob,
+  createUsage,
+  recordUsage,
+  compareWithActual,
+};
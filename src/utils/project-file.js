@@ -0,0 +1,128 @@
+// src/utils/project-file.js
+// 文档翻译项目文件（.ttproj）
+//
+// 项目文件是一个 ZIP 包：
+// - project.json  段落（含译文和状态）、大纲、翻译设置、模板 / 翻译源、术语表子集、备注
+// - source/<原文件名>  原文件（文本格式存 sourceContent，二进制格式存 sourceBuffer）
+//
+// 打开项目后可以继续翻译，也可以按原格式重新导出
+
+export const PROJECT_EXTENSION = 'ttproj';
+export const PROJECT_VERSION = 1;
+
+const MANIFEST_PATH = 'project.json';
+const SOURCE_DIR = 'source/';
+
+/**
+ * 挑出文档实际用到的术语（原文中出现过的条目，忽略大小写）
+ * @param {Array<{ source: string, target: string }>} glossary
+ * @param {Array} segments
+ * @returns {Array<{ source: string, target: string }>}
+ */
+export function selectGlossarySubset(glossary, segments) {
+  if (!glossary?.length) return [];
+  const text = segments.map(segment => segment.original || '').join('\n').toLowerCase();
+  return glossary.filter(term => term.source && text.includes(term.source.toLowerCase()));
+}
+
+/**
+ * 生成项目文件
+ * @param {object} project
+ * @param {object} project.document - DocumentTranslator 的 document 状态
+ * @param {Array} project.segments
+ * @param {Array} [project.outline]
+ * @param {object} [project.settings] - 语言、模板、翻译源、过滤等设置
+ * @param {Array} [project.glossary] - 术语表子集
+ * @param {string} [project.notes] - 备注
+ * @param {object} [options]
+ * @param {string} [options.type='blob'] - JSZip 输出类型
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function createProjectFile(project, options = {}) {
+  const JSZip = (await import('jszip')).default;
+  const { sourceBuffer, sourceContent, ...document } = project.document || {};
+  const sourceName = document.filename || 'source';
+
+  const manifest = {
+    version: PROJECT_VERSION,
+    app: 'T-Translate',
+    savedAt: new Date().toISOString(),
+    document: {
+      ...document,
+      source: sourceBuffer ? 'buffer' : (sourceContent != null ? 'content' : null),
+    },
+    outline: project.outline || [],
+    // 翻译中的段落保存为待翻译
+    segments: (project.segments || []).map(segment => (
+      segment.status === 'translating' ? { ...segment, status: 'pending' } : segment
+    )),
+    settings: project.settings || {},
+    glossary: project.glossary || [],
+    notes: project.notes || '',
+  };
+
+  const zip = new JSZip();
+  zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+  if (sourceBuffer) {
+    zip.file(SOURCE_DIR + sourceName, sourceBuffer);
+  } else if (sourceContent != null) {
+    zip.file(SOURCE_DIR + sourceName, sourceContent);
+  }
+
+  return zip.generateAsync({
+    type: options.type || 'blob',
+    compression: 'DEFLATE',
+    mimeType: 'application/zip',
+  });
+}
+
+/**
+ * 读取项目文件
+ * @param {ArrayBuffer|Blob|Uint8Array} data
+ * @returns {Promise<object>} 与 createProjectFile 的输入结构相同（另含 version / savedAt）
+ */
+export async function readProjectFile(data) {
+  const JSZip = (await import('jszip')).default;
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch {
+    throw new Error('不是有效的项目文件');
+  }
+
+  const manifestFile = zip.file(MANIFEST_PATH);
+  if (!manifestFile) {
+    throw new Error('不是有效的项目文件');
+  }
+  const manifest = JSON.parse(await manifestFile.async('string'));
+  if (!manifest.version || manifest.version > PROJECT_VERSION) {
+    throw new Error(`不支持的项目文件版本: ${manifest.version}`);
+  }
+
+  const { source, ...document } = manifest.document || {};
+  const sourceFile = zip.file(SOURCE_DIR + (document.filename || 'source'));
+  if (sourceFile && source === 'buffer') {
+    document.sourceBuffer = await sourceFile.async('arraybuffer');
+  } else if (sourceFile && source === 'content') {
+    document.sourceContent = await sourceFile.async('string');
+  }
+
+  return {
+    version: manifest.version,
+    savedAt: manifest.savedAt,
+    document,
+    outline: manifest.outline || [],
+    segments: manifest.segments || [],
+    settings: manifest.settings || {},
+    glossary: manifest.glossary || [],
+    notes: manifest.notes || '',
+  };
+}
+
+export default {
+  PROJECT_EXTENSION,
+  PROJECT_VERSION,
+  selectGlossarySubset,
+  createProjectFile,
+  readProjectFile,
+};
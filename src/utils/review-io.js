@@ -0,0 +1,483 @@
+// src/utils/review-io.js
+// 双语审校表：导出给审校人员在 Word / Excel 中修改，再把修改后的译文导回
+//
+// - 表格列：段落 ID | 原文 | 译文 [| 批注]，第一行为表头；ID 列用于导回时匹配段落
+// - DOCX 表头行标记为重复标题行（w:tblHeader），XLSX 冻结首行
+// - 导回时只读取译文列和批注列；修订模式下删除的文字不计入，插入的文字计入
+// - 译文单元格留空视为未修改（避免误删译文）；原文与当前段落不一致的行视为不匹配，不导入
+// - 接受的修改通过 editSegment 记录（可在修改记录中查看和撤销）
+
+import { escapeXMLText, unescapeXML, getAttr } from './formats/xml-utils.js';
+import { readRelationships } from './formats/ooxml.js';
+import { editSegment } from './segment-review.js';
+
+/**
+ * 支持的审校表格式
+ */
+export const REVIEW_FORMATS = ['docx', 'xlsx'];
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+// 列宽：DOCX 为 twip（1/20 磅），XLSX 为字符数
+const DOCX_WIDTHS = { id: 800, text: 4400, comment: 2200 };
+const XLSX_WIDTHS = { id: 8, text: 60, comment: 30 };
+
+// 差异比较的最大规模（词元数乘积），超出时整体标为替换
+const MAX_DIFF_CELLS = 250000;
+
+const DEFAULT_HEADERS = { id: 'ID', source: 'Source', target: 'Target', comment: 'Comment' };
+
+/**
+ * 审校表的行（跳过的段落不导出）
+ * @param {Array} segments
+ * @returns {Array<{ id: string, source: string, target: string }>}
+ */
+export function buildReviewRows(segments) {
+  return segments
+    .filter(segment => segment.status !== 'skipped')
+    .map(segment => ({
+      id: String(segment.id),
+      source: segment.original || '',
+      target: segment.translated || '',
+    }));
+}
+
+/**
+ * 去掉 XML 1.0 不允许的字符（制表符、换行之外的控制字符，U+FFFE / U+FFFF）
+ */
+function cleanText(text) {
+  return Array.from(String(text ?? ''))
+    .filter(ch => {
+      const code = ch.charCodeAt(0);
+      return (code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) && code !== 0xfffe && code !== 0xffff;
+    })
+    .join('');
+}
+
+function columnKeys(comments) {
+  return comments ? ['id', 'source', 'target', 'comment'] : ['id', 'source', 'target'];
+}
+
+// ============ DOCX ============
+
+/**
+ * 单元格文本 → Word 段落（换行转为 w:br，制表符转为 w:tab）
+ */
+function docxCellParagraph(text, { bold = false } = {}) {
+  const runProps = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+  const runs = cleanText(text).split('\n').map((line, i) => {
+    const parts = line.split('\t').map(part => (part ? `<w:t xml:space="preserve">${escapeXMLText(part)}</w:t>` : ''));
+    return `<w:r>${runProps}${i > 0 ? '<w:br/>' : ''}${parts.join('<w:tab/>')}</w:r>`;
+  }).join('');
+  return `<w:p>${runs}</w:p>`;
+}
+
+function docxCell(text, width, { bold = false, shade = false } = {}) {
+  const shading = shade ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : '';
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${docxCellParagraph(text, { bold })}</w:tc>`;
+}
+
+/**
+ * 导出 Word 审校表
+ * @param {Array} segments
+ * @param {object} [options]
+ * @param {boolean} [options.comments=false] - 增加批注列
+ * @param {object} [options.headers] - 列标题 { id, source, target, comment }
+ * @param {string} [options.title] - 表格上方的标题
+ * @param {string} [options.outputType='blob'] - JSZip 输出类型
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportReviewDOCX(segments, options = {}) {
+  const { comments = false, title = '', outputType = 'blob' } = options;
+  const headers = { ...DEFAULT_HEADERS, ...options.headers };
+  const keys = columnKeys(comments);
+  const widths = keys.map(key => DOCX_WIDTHS[key] || DOCX_WIDTHS.text);
+
+  // 原文与 ID 列加灰色底纹，提示审校人员只修改译文列
+  const shaded = key => key === 'id' || key === 'source';
+  const headerRow = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${
+    keys.map((key, i) => docxCell(headers[key], widths[i], { bold: true, shade: true })).join('')
+  }</w:tr>`;
+  const rows = buildReviewRows(segments).map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${
+    keys.map((key, i) => docxCell(row[key] || '', widths[i], { shade: shaded(key) })).join('')
+  }</w:tr>`).join('');
+
+  const border = type => `<w:${type} w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>`;
+  const table = '<w:tbl>'
+    + `<w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblLayout w:type="fixed"/><w:tblBorders>${
+      ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')
+    }</w:tblBorders></w:tblPr>`
+    + `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`
+    + headerRow + rows
+    + '</w:tbl>';
+
+  const titleXml = title
+    ? `<w:p><w:r><w:rPr><w:b/><w:sz w:val="28"/></w:rPr><w:t xml:space="preserve">${escapeXMLText(cleanText(title))}</w:t></w:r></w:p>`
+    : '';
+  // 横向页面，给双栏文本留出宽度
+  const section = '<w:sectPr><w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/>'
+    + '<w:pgMar w:top="1000" w:right="1000" w:bottom="1000" w:left="1000" w:header="500" w:footer="500" w:gutter="0"/></w:sectPr>';
+
+  const JSZip = (await import('jszip')).default;
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+    + '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<Relationships xmlns="${PACKAGE_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="word/document.xml"/>`
+    + '</Relationships>');
+  zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<w:document xmlns:w="${WORD_NS}"><w:body>${titleXml}${table}<w:p/>${section}</w:body></w:document>`);
+
+  return zip.generateAsync({ type: outputType, mimeType: DOCX_MIME });
+}
+
+// 段落内的文字、换行、制表符（w:tab 带属性时是制表位定义，不是制表符）
+const DOCX_TEXT_TOKEN_REGEX = /<w:t(?=[\s>/])[^>]*?(?:\/>|>([\s\S]*?)<\/w:t>)|<w:(?:br|cr)\b[^>]*\/>|<w:tab\/>/g;
+
+/**
+ * Word 单元格 → 文本（删除的修订不计入）
+ */
+function docxCellText(cellXml) {
+  const visible = cellXml.replace(/<w:(del|moveFrom)\b[^>]*?(?:\/>|>[\s\S]*?<\/w:\1>)/g, '');
+  const paragraphs = [...visible.matchAll(/<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g)].map(([, inner = '']) => {
+    let text = '';
+    for (const [token, content] of inner.matchAll(DOCX_TEXT_TOKEN_REGEX)) {
+      if (/^<w:t[\s>/]/.test(token)) text += unescapeXML(content || '');
+      else text += token.startsWith('<w:tab') ? '\t' : '\n';
+    }
+    return text;
+  });
+  return paragraphs.join('\n');
+}
+
+/**
+ * 读取 Word 审校表中的行（跳过重复标题行）
+ */
+async function parseReviewDOCX(zip) {
+  const xml = await zip.file('word/document.xml')?.async('text');
+  if (!xml) {
+    throw new Error('无效的 DOCX 文件：缺少 word/document.xml');
+  }
+  const rows = [];
+  for (const [rowXml] of xml.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+    if (/<w:tblHeader(?:\s+w:val="(?:1|true|on)")?\s*\/>/.test(rowXml)) continue;
+    const cells = [...rowXml.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(([cell]) => docxCellText(cell));
+    rows.push(cells);
+  }
+  return rows;
+}
+
+// ============ XLSX ============
+
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function xlsxCell(ref, text, style) {
+  return `<c r="${ref}" t="inlineStr" s="${style}"><is><t xml:space="preserve">${escapeXMLText(cleanText(text))}</t></is></c>`;
+}
+
+/**
+ * 导出 Excel 审校表
+ * @param {Array} segments
+ * @param {object} [options] - 同 exportReviewDOCX；title 用作工作表名
+ * @returns {Promise<Blob|Uint8Array>}
+ */
+export async function exportReviewXLSX(segments, options = {}) {
+  const { comments = false, title = '', outputType = 'blob' } = options;
+  const headers = { ...DEFAULT_HEADERS, ...options.headers };
+  const keys = columnKeys(comments);
+
+  // 样式：0 默认，1 表头（粗体、底纹），2 只读列（底纹、自动换行），3 可编辑列（自动换行）
+  const styleOf = key => (key === 'id' || key === 'source' ? 2 : 3);
+  const rows = [
+    `<row r="1">${keys.map((key, i) => xlsxCell(`${columnLetter(i)}1`, headers[key], 1)).join('')}</row>`,
+    ...buildReviewRows(segments).map((row, r) => `<row r="${r + 2}">${
+      keys.map((key, i) => xlsxCell(`${columnLetter(i)}${r + 2}`, row[key] || '', styleOf(key))).join('')
+    }</row>`),
+  ];
+  const cols = keys.map((key, i) => `<col min="${i + 1}" max="${i + 1}" width="${XLSX_WIDTHS[key] || XLSX_WIDTHS.text}" customWidth="1"/>`).join('');
+  // 工作表名最长 31 个字符，不能含 \ / ? * [ ] :
+  const sheetName = cleanText(title).replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 31) || 'Review';
+
+  const JSZip = (await import('jszip')).default;
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<Relationships xmlns="${PACKAGE_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>');
+  zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+    + `<sheets><sheet name="${escapeXMLText(sheetName).replace(/"/g, '&quot;')}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<Relationships xmlns="${PACKAGE_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+    + '</Relationships>');
+  zip.file('xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<styleSheet xmlns="${SHEET_NS}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+    + '<fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/><bgColor indexed="64"/></patternFill></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>'
+    + '<xf numFmtId="0" fontId="0" fillId="2" borderId="0" xfId="0" applyFill="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>'
+    + '</styleSheet>');
+  zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<worksheet xmlns="${SHEET_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${cols}</cols><sheetData>${rows.join('')}</sheetData></worksheet>`);
+
+  return zip.generateAsync({ type: outputType, mimeType: XLSX_MIME });
+}
+
+/**
+ * 字符串条目（<si> / <is> 内部）→ 文本；注音（rPh）不计入
+ */
+function xlsxStringText(inner) {
+  const visible = inner.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...visible.matchAll(/<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g)]
+    .map(([, text]) => unescapeXML(text || ''))
+    .join('');
+}
+
+/**
+ * 读取 Excel 审校表第一个工作表中的行（跳过首行表头）
+ * Excel 保存后内联字符串会变为共享字符串，两种都支持
+ */
+async function parseReviewXLSX(zip) {
+  const workbookPath = 'xl/workbook.xml';
+  const workbook = await zip.file(workbookPath)?.async('text');
+  if (!workbook) {
+    throw new Error('无效的 XLSX 文件：缺少 workbook.xml');
+  }
+  const rels = await readRelationships(zip, workbookPath);
+  const firstSheet = /<sheet\b([^>]*?)\/?>/.exec(workbook);
+  const sheetPath = rels.get(getAttr(firstSheet?.[1], 'r:id'))?.target;
+  const sheetXml = sheetPath && await zip.file(sheetPath)?.async('text');
+  if (!sheetXml) {
+    throw new Error('无效的 XLSX 文件：没有工作表');
+  }
+
+  const shared = [...rels.values()].find(rel => rel.type.endsWith('/sharedStrings'));
+  const sharedXml = shared && await zip.file(shared.target)?.async('text');
+  const sharedStrings = sharedXml
+    ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)].map(([, inner]) => xlsxStringText(inner || ''))
+    : [];
+
+  const rows = [];
+  for (const [, inner = ''] of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    for (const [, cellAttrs, cellInner = ''] of inner.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = getAttr(cellAttrs, 'r') || '';
+      const letters = /^[A-Z]+/i.exec(ref)?.[0];
+      const column = letters
+        ? letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1
+        : cells.length;
+      const type = getAttr(cellAttrs, 't');
+      const value = /<v>([\s\S]*?)<\/v>/.exec(cellInner)?.[1];
+      let text = '';
+      if (type === 'inlineStr') text = xlsxStringText(/<is>([\s\S]*?)<\/is>/.exec(cellInner)?.[1] || '');
+      else if (type === 's') text = sharedStrings[Number(value)] ?? '';
+      else if (value !== undefined) text = unescapeXML(value);
+      cells[column] = text;
+    }
+    rows.push(Array.from(cells, cell => cell ?? ''));
+  }
+  return rows.slice(1);
+}
+
+// ============ 导回 ============
+
+/**
+ * 读取审校表
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} filename - 按扩展名判断格式
+ * @param {object} [options]
+ * @param {boolean} [options.comments] - 是否有批注列；不传时按列数判断
+ * @returns {Promise<Array<{ id: string, source: string, target: string, comment: string }>>}
+ */
+export async function importReviewFile(data, filename, options = {}) {
+  const format = (filename || '').split('.').pop().toLowerCase();
+  if (!REVIEW_FORMATS.includes(format)) {
+    throw new Error(`不支持的审校表格式：.${format}`);
+  }
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(data);
+  const rows = format === 'docx' ? await parseReviewDOCX(zip) : await parseReviewXLSX(zip);
+
+  return rows
+    .map(([id = '', source = '', target = '', comment = '']) => ({
+      id: id.trim(),
+      source,
+      target,
+      comment: options.comments === false ? '' : comment.trim(),
+    }))
+    .filter(row => row.id);
+}
+
+// 比较原文时忽略空白差异（Word / Excel 可能改变换行和空格）和导出时去掉的控制字符
+const normalizeSpace = text => cleanText(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * 对比审校表与当前段落
+ * @param {Array} segments
+ * @param {Array} rows - importReviewFile 的结果
+ * @returns {{
+ *   corrections: Array<{ segmentId: *, index: number, before: string, after: string, comment: string }>,
+ *   comments: Array<{ segmentId: *, index: number, comment: string }>,
+ *   unchanged: number, unknown: number, mismatched: number
+ * }}
+ *   corrections: 译文有修改的行；comments: 译文未改但有批注的行；
+ *   unknown: 找不到段落 ID 的行；mismatched: 原文与当前段落不一致的行
+ */
+export function diffReviewRows(segments, rows) {
+  const byId = new Map(segments.map((segment, index) => [String(segment.id), { segment, index }]));
+  const result = { corrections: [], comments: [], unchanged: 0, unknown: 0, mismatched: 0 };
+  const seen = new Set();
+
+  for (const row of rows) {
+    const entry = byId.get(row.id);
+    if (!entry || entry.segment.status === 'skipped' || seen.has(row.id)) {
+      result.unknown++;
+      continue;
+    }
+    seen.add(row.id);
+    const { segment, index } = entry;
+    if (normalizeSpace(row.source) !== normalizeSpace(segment.original)) {
+      result.mismatched++;
+      continue;
+    }
+
+    const before = segment.translated || '';
+    // 空单元格视为未修改；只改了首尾空白也不算修改
+    const changed = row.target.trim() !== '' && row.target.trim() !== before.trim();
+    if (changed) {
+      result.corrections.push({ segmentId: segment.id, index, before, after: row.target, comment: row.comment });
+    } else {
+      result.unchanged++;
+      if (row.comment) result.comments.push({ segmentId: segment.id, index, comment: row.comment });
+    }
+  }
+  return result;
+}
+
+/**
+ * 应用接受的修改
+ * @param {Array} segments
+ * @param {Array} corrections - diffReviewRows 的 corrections（只传接受的）
+ * @returns {{ segments: Array, changed: number }}
+ */
+export function applyReviewCorrections(segments, corrections) {
+  const byId = new Map(corrections.map(correction => [correction.segmentId, correction]));
+  let changed = 0;
+  const updated = segments.map(segment => {
+    const correction = byId.get(segment.id);
+    if (!correction || segment.status === 'translating') return segment;
+    const next = editSegment(segment, correction.after, {
+      change: { type: 'review', ...(correction.comment ? { comment: correction.comment } : {}) },
+    });
+    if (next !== segment) changed++;
+    return next;
+  });
+  return { segments: updated, changed };
+}
+
+// ============ 差异高亮 ============
+
+// 拉丁 / 西里尔单词、数字作为整体比较，其余（含中日韩文字）逐字比较
+const DIFF_TOKEN_REGEX = /[A-Za-z0-9_\u00c0-\u024f\u0400-\u04ff]+|\s+|[\s\S]/gu;
+
+/**
+ * 文本差异（按词 / 字）
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', text: string }>} 相邻同类片段已合并
+ */
+export function diffText(before, after) {
+  const a = (before || '').match(DIFF_TOKEN_REGEX) || [];
+  const b = (after || '').match(DIFF_TOKEN_REGEX) || [];
+
+  // 去掉公共前缀 / 后缀，缩小比较范围
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  const parts = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  push('equal', a.slice(0, head).join(''));
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // 最长公共子序列
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        push('equal', midA[i++]);
+        j++;
+      } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        // 同等长度时先删后增
+        push('delete', midA[i++]);
+      } else {
+        push('insert', midB[j++]);
+      }
+    }
+  }
+  push('equal', a.slice(a.length - tail).join(''));
+  return parts;
+}
+
+export default {
+  REVIEW_FORMATS,
+  buildReviewRows,
+  exportReviewDOCX,
+  exportReviewXLSX,
+  importReviewFile,
+  diffReviewRows,
+  applyReviewCorrections,
+  diffText,
+};
@@ -0,0 +1,315 @@
+// src/utils/segment-review.js
+// 文档段落的审校状态与手动编辑
+//
+// 审校状态：
+// - draft      还没有译文（待翻译 / 失败）
+// - machine    翻译源或缓存 / 记忆库给出的译文
+// - edited     用户手动修改过的译文
+// - confirmed  用户确认过的译文
+//
+// edited / confirmed 的段落属于用户，重新翻译、重试失败都不会覆盖
+// 每次编辑 / 确认前把旧值和本次修改（change）压入 undoStack，可查看修改记录并逐步撤销
+// （随任务快照和项目文件保存）
+//
+// 用其它翻译源 / 模板重新翻译时，旧译文保留在 versions 中（与主面板的版本管理相同），
+// 可随时切回；切换前当前版本的译文和审校状态同步写回该版本
+
+/**
+ * 审校状态
+ */
+export const REVIEW_STATUS = {
+  DRAFT: 'draft',
+  MACHINE: 'machine',
+  EDITED: 'edited',
+  CONFIRMED: 'confirmed',
+};
+
+/**
+ * 审校状态（按显示顺序）
+ */
+export const REVIEW_STATUSES = Object.values(REVIEW_STATUS);
+
+// 每个段落最多保留的撤销步数
+const MAX_UNDO = 20;
+
+/**
+ * 段落的审校状态（旧任务没有 review 字段时按翻译状态推断）
+ * @param {object} segment
+ * @returns {string}
+ */
+export function getReviewStatus(segment) {
+  if (segment.review) return segment.review;
+  return segment.status === 'completed' && segment.translated ? REVIEW_STATUS.MACHINE : REVIEW_STATUS.DRAFT;
+}
+
+/**
+ * 译文是否由用户掌控（不能被机器翻译覆盖）
+ */
+export function isReviewLocked(segment) {
+  const review = getReviewStatus(segment);
+  return review === REVIEW_STATUS.EDITED || review === REVIEW_STATUS.CONFIRMED;
+}
+
+/**
+ * 写入机器翻译结果；用户编辑 / 确认过的段落保持不变
+ * @param {object} segment
+ * @param {object} patch - status / translated 等字段
+ * @returns {object}
+ */
+export function applyMachineResult(segment, patch) {
+  if (isReviewLocked(segment)) return segment;
+  const next = { ...segment, ...patch };
+  next.review = next.status === 'completed' && next.translated ? REVIEW_STATUS.MACHINE : REVIEW_STATUS.DRAFT;
+  return next;
+}
+
+/**
+ * 记录撤销点（整句字幕同时记下手动拆分的各条译文）
+ * @param {object} segment - 修改前的段落
+ * @param {{ type: 'edit'|'confirm'|'replace'|'review'|'retranslate'|'version'|'balance'|'shorten' }} change - 本次修改
+ *   （replace 另有 find / replace / count，retranslate 另有 provider / template，version 另有 version；
+ *   balance / shorten 为字幕重新断行 / AI 缩短）
+ */
+function pushUndo(segment, change) {
+  const entry = {
+    translated: segment.translated || '',
+    status: segment.status,
+    review: getReviewStatus(segment),
+    change,
+    time: Date.now(),
+  };
+  if (segment.currentVersionId) entry.versionId = segment.currentVersionId;
+  if (segment.cueParts) {
+    entry.cueParts = segment.cueParts;
+    entry.cuePartsFor = segment.cuePartsFor;
+  }
+  return [...(segment.undoStack || []), entry].slice(-MAX_UNDO);
+}
+
+/**
+ * 手动修改译文（清空译文时回到待翻译）
+ * @param {object} segment
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.confirm=false] - 同时确认（只记一个撤销点）
+ * @param {object} [options.change] - 记入修改记录的说明，默认 { type: 'edit' }
+ * @returns {object}
+ */
+export function editSegment(segment, text, options = {}) {
+  const { confirm = false, change = { type: 'edit' } } = options;
+  if (text === (segment.translated || '')) {
+    return confirm ? confirmSegment(segment) : segment;
+  }
+  const hasText = text.trim() !== '';
+  let review = REVIEW_STATUS.DRAFT;
+  if (hasText) review = confirm ? REVIEW_STATUS.CONFIRMED : REVIEW_STATUS.EDITED;
+  return {
+    ...segment,
+    translated: text,
+    status: hasText ? 'completed' : 'pending',
+    review,
+    error: undefined,
+    undoStack: pushUndo(segment, confirm ? { ...change, confirm: true } : change),
+  };
+}
+
+/**
+ * 手动修改整句字幕拆回各条字幕的译文（整句译文不变）
+ * @param {object} segment - 已翻译的整句段落
+ * @param {string[]} parts - 各条字幕的译文
+ * @param {object} [options]
+ * @param {object} [options.change] - 记入修改记录的说明，默认 { type: 'edit' }
+ * @returns {object}
+ */
+export function editCueParts(segment, parts, options = {}) {
+  const { change = { type: 'edit' } } = options;
+  if (!segment.translated?.trim()) return segment;
+  return {
+    ...segment,
+    cueParts: parts,
+    cuePartsFor: segment.translated,
+    status: 'completed',
+    review: REVIEW_STATUS.EDITED,
+    error: undefined,
+    undoStack: pushUndo(segment, change),
+  };
+}
+
+/**
+ * 确认译文（没有译文的段落不能确认）
+ * @param {object} segment
+ * @returns {object}
+ */
+export function confirmSegment(segment) {
+  if (!segment.translated?.trim() || getReviewStatus(segment) === REVIEW_STATUS.CONFIRMED) return segment;
+  return {
+    ...segment,
+    status: 'completed',
+    review: REVIEW_STATUS.CONFIRMED,
+    error: undefined,
+    undoStack: pushUndo(segment, { type: 'confirm' }),
+  };
+}
+
+/**
+ * 撤销上一次编辑 / 确认
+ * @param {object} segment
+ * @returns {object}
+ */
+export function undoSegment(segment) {
+  const stack = segment.undoStack || [];
+  if (stack.length === 0) return segment;
+  const { translated, status, review, versionId, cueParts, cuePartsFor } = stack[stack.length - 1];
+  return {
+    ...segment,
+    translated,
+    status,
+    review,
+    ...((cueParts || segment.cueParts) && { cueParts, cuePartsFor }),
+    ...(versionId && { currentVersionId: versionId }),
+    undoStack: stack.slice(0, -1),
+  };
+}
+
+// ============ 译文版本 ============
+
+/**
+ * 把当前译文写回当前版本；还没有版本时把现有译文作为 v1
+ * @param {object} segment
+ * @param {object} [origin] - 现有译文的来源 { provider, template }
+ * @returns {{ versions: Array, currentVersionId: string|undefined }}
+ */
+function syncCurrentVersion(segment, origin = {}) {
+  const versions = segment.versions || [];
+  const current = { text: segment.translated || '', review: getReviewStatus(segment) };
+
+  if (versions.length === 0) {
+    if (!current.text) return { versions: [], currentVersionId: undefined };
+    const original = { id: 'v1', type: 'original', ...current, ...origin, createdAt: Date.now() };
+    return { versions: [original], currentVersionId: original.id };
+  }
+  return {
+    versions: versions.map(v => (v.id === segment.currentVersionId ? { ...v, ...current } : v)),
+    currentVersionId: segment.currentVersionId,
+  };
+}
+
+/**
+ * 写入重新翻译的译文，旧译文保留为可切回的版本（用户编辑 / 确认过的段落同样适用）
+ * @param {object} segment
+ * @param {string} text - 新译文
+ * @param {object} source - 新译文的来源 { provider, template }
+ * @param {object} [origin] - 第一次重新翻译时现有译文的来源 { provider, template }
+ * @returns {object}
+ */
+export function addSegmentVersion(segment, text, source, origin) {
+  const synced = syncCurrentVersion(segment, origin);
+  const version = {
+    id: `v${synced.versions.length + 1}`,
+    type: 'retranslation',
+    text,
+    review: REVIEW_STATUS.MACHINE,
+    provider: source.provider,
+    template: source.template,
+    createdAt: Date.now(),
+  };
+  return {
+    ...segment,
+    translated: text,
+    status: 'completed',
+    review: REVIEW_STATUS.MACHINE,
+    error: undefined,
+    versions: [...synced.versions, version],
+    currentVersionId: version.id,
+    undoStack: pushUndo({ ...segment, ...synced }, {
+      type: 'retranslate',
+      provider: source.provider,
+      template: source.template,
+    }),
+  };
+}
+
+/**
+ * 切换到另一个译文版本（恢复该版本的译文和审校状态）
+ * @param {object} segment
+ * @param {string} versionId
+ * @returns {object}
+ */
+export function switchSegmentVersion(segment, versionId) {
+  const version = segment.versions?.find(v => v.id === versionId);
+  if (!version || versionId === segment.currentVersionId) return segment;
+  const synced = syncCurrentVersion(segment);
+  return {
+    ...segment,
+    translated: version.text,
+    status: version.text ? 'completed' : 'pending',
+    review: version.text ? version.review || REVIEW_STATUS.MACHINE : REVIEW_STATUS.DRAFT,
+    error: undefined,
+    versions: synced.versions,
+    currentVersionId: versionId,
+    undoStack: pushUndo(segment, { type: 'version', version: versionId }),
+  };
+}
+
+/**
+ * 是否需要审校（跳过的段落和已确认的段落除外）
+ */
+export function needsReview(segment) {
+  return segment.status !== 'skipped' && getReviewStatus(segment) !== REVIEW_STATUS.CONFIRMED;
+}
+
+/**
+ * 找到下一个未确认的段落（到末尾后从头开始）
+ * @param {Array} segments
+ * @param {*} [fromId] - 当前段落 id，不传时从头查找
+ * @returns {object|null}
+ */
+export function findNextUnconfirmed(segments, fromId) {
+  const start = fromId === undefined ? -1 : segments.findIndex(s => s.id === fromId);
+  for (let i = 1; i <= segments.length; i++) {
+    const segment = segments[(start + i) % segments.length];
+    if (segment && segment.id !== fromId && needsReview(segment)) return segment;
+  }
+  return null;
+}
+
+/**
+ * 各审校状态的段落数（不含跳过的段落）
+ * @param {Array} segments
+ * @returns {Object<string, number>}
+ */
+export function countReviewStatuses(segments) {
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+  for (const segment of segments) {
+    if (segment.status !== 'skipped') counts[getReviewStatus(segment)]++;
+  }
+  return counts;
+}
+
+/**
+ * 只保留已确认的译文（用于导出），其余段落按未翻译处理
+ * @param {Array} segments
+ * @returns {Array}
+ */
+export function keepConfirmedOnly(segments) {
+  return segments.map(segment => (
+    getReviewStatus(segment) === REVIEW_STATUS.CONFIRMED ? segment : { ...segment, translated: '' }
+  ));
+}
+
+export default {
+  REVIEW_STATUS,
+  REVIEW_STATUSES,
+  getReviewStatus,
+  isReviewLocked,
+  applyMachineResult,
+  editSegment,
+  confirmSegment,
+  undoSegment,
+  addSegmentVersion,
+  switchSegmentVersion,
+  needsReview,
+  findNextUnconfirmed,
+  countReviewStatuses,
+  keepConfirmedOnly,
+};
@@ -0,0 +1,190 @@
+// src/utils/subtitle-qa.js
+// 字幕可读性检查：每行字符数（CPL）、阅读速度（CPS）、行数
+//
+// 中日韩译文按单独的 CPL / CPS 上限计算；HTML 标签、ASS 覆盖标签占位符不计入长度
+// 整句模式的段落按拆回后的每条字幕分别检查（见 subtitle-sentences.js）
+
+import { parseTimecode, getCueParts, splitTranslation } from './subtitle-sentences.js';
+
+/**
+ * 默认限制（参考常见流媒体字幕规范）
+ */
+export const DEFAULT_SUBTITLE_LIMITS = {
+  maxCPL: 42,
+  maxCPLCJK: 16,
+  maxCPS: 17,
+  maxCPSCJK: 9,
+  maxLines: 2,
+};
+
+const MARKUP_REGEX = /⟦[^⟧]*⟧|<[^<>]+>|\{[^}]*\}/g;
+const CJK_CHAR_REGEX = /[\u2E80-\u9FFF\uF900-\uFAFF\uAC00-\uD7AF\u3040-\u30FF]/g;
+
+/**
+ * 去掉标签后的可见文本
+ */
+function visibleText(text) {
+  return (text || '').replace(MARKUP_REGEX, '');
+}
+
+/**
+ * 可见字符数（按码点计）
+ */
+function countChars(text) {
+  return [...visibleText(text)].length;
+}
+
+/**
+ * 是否以中日韩文字为主
+ */
+export function isCJKText(text) {
+  const visible = visibleText(text).replace(/\s/g, '');
+  if (!visible) return false;
+  return (visible.match(CJK_CHAR_REGEX) || []).length / [...visible].length > 0.5;
+}
+
+/**
+ * 按文字类型取得适用的限制
+ * @returns {{ cpl: number, cps: number, lines: number }}
+ */
+function resolveLimits(text, limits) {
+  const cjk = isCJKText(text);
+  return {
+    cpl: cjk ? limits.maxCPLCJK : limits.maxCPL,
+    cps: cjk ? limits.maxCPSCJK : limits.maxCPS,
+    lines: limits.maxLines,
+  };
+}
+
+/**
+ * 检查单条字幕
+ * @param {string} text - 字幕文本（多行用 \n 分隔）
+ * @param {string} timecode
+ * @param {object} limits - DEFAULT_SUBTITLE_LIMITS 结构
+ * @returns {Array<{ type: 'cpl'|'cps'|'lines', value: number, limit: number }>}
+ */
+export function checkCue(text, timecode, limits = DEFAULT_SUBTITLE_LIMITS) {
+  if (!text?.trim()) return [];
+  const { cpl, cps, lines } = resolveLimits(text, limits);
+  const issues = [];
+  const rows = text.split(/\r?\n/).filter(line => visibleText(line).trim());
+
+  if (rows.length > lines) {
+    issues.push({ type: 'lines', value: rows.length, limit: lines });
+  }
+  const longest = Math.max(...rows.map(countChars));
+  if (longest > cpl) {
+    issues.push({ type: 'cpl', value: longest, limit: cpl });
+  }
+
+  const { startMs, endMs } = parseTimecode(timecode);
+  if (startMs !== null && endMs !== null && endMs > startMs) {
+    const chars = rows.reduce((sum, line) => sum + countChars(line.trim()), 0);
+    const speed = chars / ((endMs - startMs) / 1000);
+    if (speed > cps) {
+      issues.push({ type: 'cps', value: Math.round(speed * 10) / 10, limit: cps });
+    }
+  }
+  return issues;
+}
+
+/**
+ * 段落对应的字幕条目（整句模式拆成多条）
+ * @returns {Array<{ text: string, timecode: string, cue: number|null }>}
+ */
+export function getSubtitleCues(segment) {
+  if (segment.cues?.length > 1) {
+    const parts = getCueParts(segment) || [];
+    return segment.cues.map((cue, i) => ({ text: parts[i] || '', timecode: cue.timecode, cue: i }));
+  }
+  return [{ text: segment.translated || '', timecode: segment.timecode, cue: null }];
+}
+
+/**
+ * 检查所有已完成的字幕段落
+ * @param {Array} segments
+ * @param {object} limits
+ * @returns {Map<number, Array>} 段落 id → 问题列表（每项带 cue 序号）
+ */
+export function checkSubtitles(segments, limits = DEFAULT_SUBTITLE_LIMITS) {
+  const result = new Map();
+  for (const segment of segments) {
+    if (segment.type !== 'subtitle' || segment.status !== 'completed') continue;
+    const issues = getSubtitleCues(segment).flatMap(({ text, timecode, cue }) => (
+      checkCue(text, timecode, limits).map(issue => ({ ...issue, cue }))
+    ));
+    if (issues.length > 0) result.set(segment.id, issues);
+  }
+  return result;
+}
+
+/**
+ * 重新断行：能放进一行就不换行，否则按最少行数均分，断点优先落在标点和空白处
+ * @param {string} text
+ * @param {object} limits
+ * @returns {string}
+ */
+export function balanceLines(text, limits = DEFAULT_SUBTITLE_LIMITS) {
+  const { cpl, lines } = resolveLimits(text, limits);
+  const cjk = isCJKText(text);
+  const flat = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .reduce((acc, line) => {
+      if (!acc) return line;
+      return cjk ? acc + line : `${acc} ${line}`;
+    }, '');
+
+  const count = Math.min(Math.max(Math.ceil(countChars(flat) / cpl), 1), Math.max(lines, 1));
+  if (count === 1) return flat;
+  return splitTranslation(flat, Array(count).fill('x')).join('\n');
+}
+
+/**
+ * 构造请求更短译文的消息
+ * @param {object} params
+ * @param {string} params.original - 原文
+ * @param {string} params.translated - 当前译文
+ * @param {string} params.timecode
+ * @param {object} params.limits
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildShortenMessages({ original, translated, timecode, limits = DEFAULT_SUBTITLE_LIMITS }) {
+  const { cpl, cps, lines } = resolveLimits(translated, limits);
+  const { startMs, endMs } = parseTimecode(timecode);
+  const duration = startMs !== null && endMs !== null && endMs > startMs ? (endMs - startMs) / 1000 : null;
+  const maxChars = Math.min(cpl * lines, duration ? Math.floor(cps * duration) : Infinity);
+
+  const systemPrompt = '你是一名专业的字幕译者。你的任务是在不改变原意的前提下缩短字幕译文，使其符合字幕的长度和阅读速度要求。只输出缩短后的译文，不要任何解释或额外内容。';
+  const userPrompt = `请缩短下面这条字幕的译文。
+
+原文：
+${original}
+
+当前译文：
+${translated}
+
+要求：
+- 总长度不超过 ${maxChars} 个字符，最多 ${lines} 行，每行不超过 ${cpl} 个字符
+- 保留原意，可以省略语气词、重复和次要信息
+- 形如 ⟦…⟧ 的占位符和 HTML 标签原样保留
+- 使用与当前译文相同的语言
+
+缩短后的译文：`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+export default {
+  DEFAULT_SUBTITLE_LIMITS,
+  isCJKText,
+  checkCue,
+  getSubtitleCues,
+  checkSubtitles,
+  balanceLines,
+  buildShortenMessages,
+};
@@ -0,0 +1,262 @@
+// src/utils/subtitle-sentences.js
+// 字幕整句模式：把跨多条字幕的句子合并后翻译，再按原时间轴拆回
+//
+// 合并：相邻字幕在句末标点、对话破折号、时间间隔过长或达到上限处断开
+// 拆分：按各条原文长度比例定位断点，优先落在标点、其次空白处
+// 合并后的段落在 cues 中保留原字幕段落；cueParts 为用户手动调整的拆分结果
+// 已有译文的字幕合并时拼接各条译文（cueParts 保留原来的逐条译文），审校状态随之合并；
+// 译文没有改动时还原为原字幕段落（含审校状态、撤销记录和版本）
+
+import { estimateTokens } from './document-parser.js';
+import { getReviewStatus, isReviewLocked, REVIEW_STATUS } from './segment-review.js';
+
+const SENTENCE_END_REGEX = /[.!?。！？…‼⁇⁈⁉♪](?:["'”’」』）)\]]|<\/[a-z]+>)*\s*$/i;
+const DIALOGUE_DASH_REGEX = /^\s*(?:<[a-z]+>)?\s*[-–—]/im;
+const CJK_REGEX = /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF\u3000-\u303F]/;
+// 拆分时不能切开的结构：占位符、HTML 标签
+const PROTECTED_REGEX = /⟦[^⟧]*⟧|<[^<>]+>/g;
+const STRONG_BREAK_REGEX = /[.!?。！？…]/;
+const WEAK_BREAK_REGEX = /[,;:，、；：]/;
+
+/**
+ * 时间码 → 毫秒（支持 SRT 逗号 / VTT 点号，VTT 可省略小时）
+ * @returns {number|null}
+ */
+function parseTime(time) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(time.trim());
+  if (!match) return null;
+  const [, h = '0', m, s, ms] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(ms.padEnd(3, '0'));
+}
+
+/**
+ * 拆分时间码行
+ * @param {string} timecode - 如 "00:00:01,000 --> 00:00:02,500 align:start"
+ * @returns {{ start: string, end: string, startMs: number|null, endMs: number|null }}
+ */
+export function parseTimecode(timecode) {
+  const [start = '', rest = ''] = (timecode || '').split('-->');
+  const end = rest.trim().split(/\s+/)[0] || '';
+  return { start: start.trim(), end, startMs: parseTime(start), endMs: parseTime(end) };
+}
+
+/**
+ * 拼接两段文字（中日韩文字之间不加空格）
+ */
+function joinText(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return CJK_REGEX.test(a.slice(-1)) && CJK_REGEX.test(b[0]) ? a + b : `${a} ${b}`;
+}
+
+/**
+ * 字幕原文拼成一行
+ */
+function flattenCue(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).reduce(joinText, '');
+}
+
+/**
+ * 合并后的审校状态：各条一致时沿用，有用户修改 / 确认过的字幕时为 edited，避免被机器翻译覆盖
+ */
+function mergeReview(cues) {
+  const statuses = cues.map(getReviewStatus);
+  if (statuses.every(status => status === statuses[0])) return statuses[0];
+  return cues.some(isReviewLocked) ? REVIEW_STATUS.EDITED : REVIEW_STATUS.MACHINE;
+}
+
+/**
+ * 把相邻字幕合并为整句段落
+ * @param {Array} segments - parseSRT / parseVTT 的段落
+ * @param {object} options
+ * @param {number} [options.maxGap=1500] - 两条字幕间隔超过此值（毫秒）不合并
+ * @param {number} [options.maxCues=4] - 一句最多合并的字幕条数
+ * @param {number} [options.maxChars=300] - 合并后最大字符数
+ * @returns {Array} 整句段落，cues 为对应的原字幕段落
+ */
+export function mergeCuesIntoSentences(segments, options = {}) {
+  const { maxGap = 1500, maxCues = 4, maxChars = 300 } = options;
+  const groups = [];
+  let group = [];
+
+  const closeGroup = () => {
+    if (group.length > 0) groups.push(group);
+    group = [];
+  };
+
+  for (const cue of segments) {
+    if (cue.type !== 'subtitle' || cue.status === 'skipped' || DIALOGUE_DASH_REGEX.test(cue.original)) {
+      // 多人对话、已跳过的字幕单独成段
+      closeGroup();
+      groups.push([cue]);
+      continue;
+    }
+
+    const last = group[group.length - 1];
+    if (last) {
+      const { startMs } = parseTimecode(cue.timecode);
+      const { endMs } = parseTimecode(last.timecode);
+      // 时间码无法解析时不合并
+      const gap = startMs !== null && endMs !== null ? startMs - endMs : Infinity;
+      const length = group.reduce((sum, item) => sum + item.original.length, 0) + cue.original.length;
+      // 已翻译和未翻译的字幕不合并，避免丢掉已有译文
+      const mixed = !last.translated !== !cue.translated;
+      if (gap > maxGap || group.length >= maxCues || length > maxChars || mixed) closeGroup();
+    }
+    group.push(cue);
+    if (SENTENCE_END_REGEX.test(cue.original)) closeGroup();
+  }
+  closeGroup();
+
+  return groups.map((cues, id) => {
+    if (cues.length === 1) {
+      return { ...cues[0], id, cues };
+    }
+    const original = cues.map(cue => flattenCue(cue.original)).reduce(joinText, '');
+    const first = parseTimecode(cues[0].timecode);
+    const last = parseTimecode(cues[cues.length - 1].timecode);
+    const sentence = {
+      id,
+      index: id + 1,
+      timecode: `${first.start} --> ${last.end}`,
+      original,
+      translated: '',
+      status: 'pending',
+      tokens: estimateTokens(original),
+      type: 'subtitle',
+      cues,
+    };
+    if (!cues[0].translated) return sentence;
+
+    const translated = cues.map(cue => flattenCue(cue.translated)).reduce(joinText, '');
+    return {
+      ...sentence,
+      translated,
+      status: 'completed',
+      review: mergeReview(cues),
+      cueParts: cues.map(cue => cue.translated),
+      cuePartsFor: translated,
+    };
+  });
+}
+
+/**
+ * 列出可断开的位置及其优先级（句末标点 3 > 其它标点 2 > 空白 1 > 中日韩字符之间 0）
+ * @returns {Map<number, number>} 位置 → 优先级
+ */
+function findBreakPoints(text) {
+  const blocked = new Set();
+  for (const match of text.matchAll(PROTECTED_REGEX)) {
+    for (let i = match.index + 1; i < match.index + match[0].length; i++) blocked.add(i);
+  }
+
+  const points = new Map();
+  for (let i = 1; i < text.length; i++) {
+    if (blocked.has(i)) continue;
+    const prev = text[i - 1];
+    const next = text[i];
+    let priority = -1;
+    if (/\s/.test(prev) && !/\s/.test(next)) {
+      const before = text.slice(0, i).trimEnd().slice(-1);
+      if (STRONG_BREAK_REGEX.test(before)) priority = 3;
+      else if (WEAK_BREAK_REGEX.test(before)) priority = 2;
+      else priority = 1;
+    } else if (!/\s/.test(next) && CJK_REGEX.test(prev) && CJK_REGEX.test(next)) {
+      if (STRONG_BREAK_REGEX.test(prev)) priority = 3;
+      else if (WEAK_BREAK_REGEX.test(prev)) priority = 2;
+      else priority = 0;
+    }
+    // 标点不放在下一条开头
+    if (priority >= 0 && !/[,.!?;:，。！？、；：…）」』”’)\]]/.test(next)) points.set(i, priority);
+  }
+  return points;
+}
+
+/**
+ * 把整句译文按原字幕长度比例拆成多段
+ * @param {string} text - 译文
+ * @param {string[]} originals - 各条字幕原文
+ * @returns {string[]} 与 originals 等长
+ */
+export function splitTranslation(text, originals) {
+  const count = originals.length;
+  if (count <= 1) return [text];
+
+  const weights = originals.map(original => Math.max(flattenCue(original).length, 1));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const points = findBreakPoints(text);
+  const average = text.length / count;
+  const breaks = [];
+  let cumulative = 0;
+  let previous = 0;
+
+  for (let k = 1; k < count; k++) {
+    cumulative += weights[k - 1];
+    const ideal = Math.round((text.length * cumulative) / total);
+    // 给后面的每段至少留一个字符
+    const limit = text.length - (count - k);
+    let best = null;
+    let bestScore = Infinity;
+    for (const [position, priority] of points) {
+      if (position <= previous || position > limit) continue;
+      const score = Math.abs(position - ideal) / Math.max(average, 1) - priority * 0.25;
+      if (score < bestScore) {
+        best = position;
+        bestScore = score;
+      }
+    }
+    const position = best ?? Math.min(Math.max(ideal, previous + 1), limit);
+    breaks.push(position);
+    previous = position;
+  }
+
+  return [0, ...breaks].map((start, i) => text.slice(start, breaks[i] ?? text.length).trim());
+}
+
+/**
+ * 取得整句段落拆回各条字幕的译文（手动调整优先）
+ * @param {object} segment - 整句段落
+ * @returns {string[]|null} 尚未翻译时返回 null
+ */
+export function getCueParts(segment) {
+  if (!segment?.cues || !segment.translated) return null;
+  if (segment.cues.length === 1) return [segment.translated];
+  // 手动调整只对当时的译文有效，重新翻译后按新译文重新拆分
+  if (segment.cueParts?.length === segment.cues.length && segment.cuePartsFor === segment.translated) {
+    return segment.cueParts;
+  }
+  return splitTranslation(segment.translated, segment.cues.map(cue => cue.original));
+}
+
+/**
+ * 整句段落还原为逐条字幕段落（用于 exportSRT / exportVTT 及关闭整句模式）
+ * @param {Array} segments
+ * @returns {Array}
+ */
+export function expandSentences(segments) {
+  return segments.flatMap(segment => {
+    if (!segment.cues) return [segment];
+    const parts = getCueParts(segment);
+    let status = parts ? 'completed' : segment.status;
+    if (status === 'translating' || (!parts && status === 'completed')) status = 'pending';
+    // 整句的译文和审校状态都没有变化时，原字幕段落原样还原
+    const unchanged = parts && segment.review === mergeReview(segment.cues);
+    return segment.cues.map((cue, i) => (unchanged && parts[i] === cue.translated ? cue : {
+      ...cue,
+      translated: parts ? parts[i] : '',
+      status,
+      // 审校状态跟随整句，撤销记录不拆分
+      review: segment.review,
+      undoStack: undefined,
+      ...(segment.error ? { error: segment.error } : {}),
+    }));
+  });
+}
+
+export default {
+  parseTimecode,
+  mergeCuesIntoSentences,
+  splitTranslation,
+  getCueParts,
+  expandSentences,
+};
@@ -0,0 +1,259 @@
+// src/utils/term-check.js
+// 术语检查：原文出现术语时，译文是否使用了术语库译文 / 是否用了禁用译法
+//
+// 匹配规则：
+// - 拉丁字母 / 西里尔字母按整词匹配，允许常见词形变化（复数、所有格、动词词尾）
+// - 中日韩文字没有词边界，按子串匹配
+// - 条目可设置区分大小写（caseSensitive），默认不区分
+// - 禁用条目（forbidden）：原文出现该术语时，译文不能出现其 translatedText
+//
+// 词形变化只覆盖常见规则（en / de / fr / es / it / pt / ru），不是完整的词形还原
+
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+const CYRILLIC_REGEX = /[\u0400-\u04ff]/;
+const LETTER_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}])';
+const LETTER_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}])';
+
+const ROMANCE_LANGS = new Set(['fr', 'es', 'it', 'pt']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 语言代码的主部分（zh-CN → zh）
+ */
+function baseLang(lang) {
+  return (lang || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * 单词允许的词形变化
+ * @returns {string} 正则源码
+ */
+function inflectWord(word, lang) {
+  const escaped = escapeRegExp(word);
+
+  // 全大写缩写：只允许复数和所有格（APIs、API's）
+  if (/^[A-Z0-9]{2,}$/.test(word)) {
+    return `${escaped}(?:s|'s)?`;
+  }
+
+  if (CYRILLIC_REGEX.test(word) || lang === 'ru') {
+    // 去掉词尾元音 / 软音符号，允许 0-3 个字母的词尾
+    const stem = word.length > 3 ? word.replace(/[аеёиоуыэюяйь]{1,2}$/i, '') : word;
+    return `${escapeRegExp(stem)}[\\p{L}]{0,3}`;
+  }
+
+  if (lang === 'de') {
+    const stem = /e$/i.test(word) ? word.slice(0, -1) : word;
+    return `${escapeRegExp(stem)}(?:e|en|er|ern|es|n|s)?`;
+  }
+
+  if (ROMANCE_LANGS.has(lang)) {
+    const stem = word.length > 3 && /[aeo]$/i.test(word) ? word.slice(0, -1) : word;
+    return `${escapeRegExp(stem)}(?:[aeiou]s?|es|s|x)?`;
+  }
+
+  // 英语（也作为未知拉丁语言的默认规则）
+  if (/[^aeiou]y$/i.test(word)) {
+    const stem = escapeRegExp(word.slice(0, -1));
+    return `${stem}(?:y|ies|ied|ying|y's)`;
+  }
+  if (/ies$/i.test(word)) {
+    const stem = escapeRegExp(word.slice(0, -3));
+    return `${stem}(?:y|ies|y's)`;
+  }
+  if (/[^s]s$/i.test(word) && word.length > 3) {
+    // 术语本身是复数时也匹配单数
+    const stem = escapeRegExp(word.slice(0, -1));
+    return `${stem}(?:s|'s|s')?`;
+  }
+  if (/[^aeiou]e$/i.test(word)) {
+    const stem = escapeRegExp(word.slice(0, -1));
+    return `${stem}(?:e|es|ed|ing|e's)`;
+  }
+  if (/(?:s|x|z|ch|sh)$/i.test(word)) {
+    return `${escaped}(?:es|ed|ing|'s|')?`;
+  }
+  return `${escaped}(?:s|es|ed|ing|'s|s')?`;
+}
+
+/**
+ * 生成术语的匹配正则
+ * @param {string} term
+ * @param {object} [options]
+ * @param {string} [options.lang] - 术语所属语言（auto / 未知时按文字判断）
+ * @param {boolean} [options.caseSensitive=false]
+ * @param {boolean} [options.inflect=true] - 是否允许词形变化
+ * @returns {RegExp|null}
+ */
+export function buildTermPattern(term, options = {}) {
+  const { lang, caseSensitive = false, inflect = true } = options;
+  const text = (term || '').trim();
+  if (!text) return null;
+
+  const flags = caseSensitive ? 'gu' : 'giu';
+
+  // 中日韩：子串匹配
+  if (CJK_REGEX.test(text)) {
+    return new RegExp(escapeRegExp(text), flags);
+  }
+
+  // 多词术语每个实词都允许变化（neural networks / espaces de travail），短虚词保持原样
+  const parts = text.split(/\s+/).map(word => (
+    inflect && word.length >= 3 ? inflectWord(word, baseLang(lang)) : escapeRegExp(word)
+  ));
+
+  // 词之间允许多个空白或连字符
+  const body = parts.join('[\\s\\u00a0-]+');
+  const before = /^[\p{L}\p{N}]/u.test(text) ? LETTER_BOUNDARY_BEFORE : '';
+  const after = /[\p{L}\p{N}]$/u.test(text) ? LETTER_BOUNDARY_AFTER : '';
+  return new RegExp(`${before}${body}${after}`, flags);
+}
+
+/**
+ * 查找文本中的术语
+ * @returns {Array<{ text: string, index: number }>}
+ */
+export function findTerm(text, term, options = {}) {
+  const pattern = buildTermPattern(term, options);
+  if (!text || !pattern) return [];
+  return [...text.matchAll(pattern)].map(match => ({ text: match[0], index: match.index }));
+}
+
+/**
+ * 文本中是否出现术语
+ */
+export function containsTerm(text, term, options = {}) {
+  const pattern = buildTermPattern(term, options);
+  if (!text || !pattern) return false;
+  pattern.lastIndex = 0;
+  return pattern.test(text);
+}
+
+/**
+ * 从收藏中取出术语库条目
+ * @param {Array} favorites
+ * @returns {Array<{ id: string, source: string, target: string, note?: string, caseSensitive: boolean, forbidden: boolean }>}
+ */
+export function glossaryEntriesFromFavorites(favorites) {
+  return (favorites || [])
+    .filter(item => item.folderId === 'glossary' && item.sourceText?.trim() && item.translatedText?.trim())
+    .map(item => ({
+      id: item.id,
+      source: item.sourceText.trim(),
+      target: item.translatedText.trim(),
+      note: item.note,
+      caseSensitive: !!item.caseSensitive,
+      forbidden: !!item.forbidden,
+    }));
+}
+
+/**
+ * 检查一对原文/译文
+ * @param {string} source
+ * @param {string} target
+ * @param {Array} entries - glossaryEntriesFromFavorites 的结果
+ * @param {object} [options]
+ * @param {string} [options.sourceLang]
+ * @param {string} [options.targetLang]
+ * @returns {Array<{ id: string, type: 'missing'|'forbidden', source: string, target: string, replacement?: string, found?: string, note?: string }>}
+ *   missing: 未使用术语库译文；forbidden: 使用了禁用译法（replacement 为同一原文的推荐译文，found 为译文中的实际写法）
+ */
+export function checkTerms(source, target, entries, options = {}) {
+  const { sourceLang, targetLang } = options;
+  if (!source || !target || !entries?.length) return [];
+
+  const issues = [];
+  const inSource = new Map();
+  const sourceHas = (entry) => {
+    const key = `${entry.caseSensitive ? 'c' : 'i'}:${entry.source}`;
+    if (!inSource.has(key)) {
+      inSource.set(key, containsTerm(source, entry.source, { lang: sourceLang, caseSensitive: entry.caseSensitive }));
+    }
+    return inSource.get(key);
+  };
+
+  for (const entry of entries) {
+    if (entry.source.length < 2 || !sourceHas(entry)) continue;
+    const targetOptions = { lang: targetLang, caseSensitive: entry.caseSensitive };
+
+    if (entry.forbidden) {
+      const [found] = findTerm(target, entry.target, targetOptions);
+      if (found) {
+        const preferred = entries.find(other => (
+          !other.forbidden && other.source.toLowerCase() === entry.source.toLowerCase()
+        ));
+        issues.push({
+          id: entry.id,
+          type: 'forbidden',
+          source: entry.source,
+          target: entry.target,
+          replacement: preferred?.target,
+          found: found.text,
+          note: entry.note,
+        });
+      }
+      continue;
+    }
+
+    if (!containsTerm(target, entry.target, targetOptions)) {
+      issues.push({
+        id: entry.id,
+        type: 'missing',
+        source: entry.source,
+        target: entry.target,
+        note: entry.note,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 检查文档中所有已翻译的段落
+ * @param {Array} segments - { id, original, translated }
+ * @param {Array} entries - glossaryEntriesFromFavorites 的结果
+ * @param {object} [options] - 同 checkTerms
+ * @returns {{ issues: Array, byTerm: Array<{ id: string, type: string, source: string, target: string, replacement?: string, count: number, segmentIds: Array }> }}
+ */
+export function checkDocumentTerms(segments, entries, options = {}) {
+  const issues = [];
+  const byTerm = new Map();
+
+  segments.forEach((segment, index) => {
+    if (!segment.translated) return;
+    for (const issue of checkTerms(segment.original, segment.translated, entries, options)) {
+      issues.push({ ...issue, segmentId: segment.id, index });
+      const key = `${issue.type}:${issue.id}`;
+      const summary = byTerm.get(key) || {
+        id: issue.id,
+        type: issue.type,
+        source: issue.source,
+        target: issue.target,
+        replacement: issue.replacement,
+        count: 0,
+        segmentIds: [],
+      };
+      summary.count++;
+      summary.segmentIds.push(segment.id);
+      byTerm.set(key, summary);
+    }
+  });
+
+  return {
+    issues,
+    byTerm: [...byTerm.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+export default {
+  buildTermPattern,
+  findTerm,
+  containsTerm,
+  glossaryEntriesFromFavorites,
+  checkTerms,
+  checkDocumentTerms,
+};
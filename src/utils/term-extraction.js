@@ -0,0 +1,281 @@
+// src/utils/term-extraction.js
+// 术语提取：翻译前从段落原文中找出候选术语
+//
+// 候选类型：
+// - acronym  缩写（API、HTTP、GPU）
+// - product  产品名 / 驼峰词 / 带数字的名称（JavaScript、iPhone、GPT-4）
+// - name     连续的首字母大写词（Project Apollo、Bank of America），句首单词需在别处也大写
+// - phrase   高频名词短语（2-3 个小写词组成，首尾不是虚词）
+//
+// 只做基于规则的统计，不依赖分词库；中日韩原文只提取其中的拉丁字母术语
+
+import { INLINE_PLACEHOLDER_REGEX } from './formats/xml-utils.js';
+
+/**
+ * 默认设置
+ */
+export const DEFAULT_EXTRACTION_OPTIONS = {
+  minFrequency: 2,  // 最低出现次数（缩写、产品名出现一次也保留）
+  maxTerms: 100,
+  maxExamples: 2,
+};
+
+// 虚词：短语首尾不能是这些词，句首大写时也不算专有名词
+const STOPWORDS = new Set(`
+a an the and or but nor so yet for of in on at to from by with without into onto over under about
+above below after before between through during since until than then as if when while where which
+who whom whose what why how that this these those there here it its it's they them their we us our
+you your he him his she her i me my is are was were be been being am do does did done have has had
+not no yes can could will would shall should may might must also only just very more most much many
+some any each every all both either neither other such own same few less least one two new see use
+using used make made get got let like via per etc vs
+`.trim().split(/\s+/));
+
+// 名称中间允许出现的小写连接词
+const NAME_CONNECTORS = new Set(['of', 'de', 'la', 'von', 'van', 'der', 'and', '&']);
+
+const ACRONYM_REGEX = /^[A-Z][A-Z0-9]{1,7}s?$/;
+const PRODUCT_REGEX = /^(?:[a-z]+[A-Z][A-Za-z0-9]*|[A-Z][a-z]+[A-Z][A-Za-z0-9]*|[A-Za-z]+[-]?\d[\w.]*)$/;
+const CAPITALIZED_REGEX = /^[A-Z][a-z'’]+$/;
+const WORD_REGEX = /[A-Za-z][A-Za-z0-9'’.-]*[A-Za-z0-9]|[A-Za-z]|&/g;
+const SENTENCE_SPLIT_REGEX = /(?<=[.!?。！？])\s+|\n+/;
+
+/**
+ * 去掉占位符和标签后的纯文本
+ */
+function plainText(text) {
+  return (text || '')
+    .replace(INLINE_PLACEHOLDER_REGEX, ' ')
+    .replace(/<[^<>]+>/g, ' ')
+    .replace(/\{\\[^}]*\}/g, ' ');
+}
+
+/**
+ * 句子切成词（保留每个词是否位于句首）
+ * @returns {Array<{ word: string, initial: boolean }>}
+ */
+function tokenize(sentence) {
+  const words = [];
+  let previousEnd = 0;
+  for (const match of sentence.matchAll(WORD_REGEX)) {
+    // 词之间隔着逗号、括号等标点时断开短语
+    const gap = sentence.slice(previousEnd, match.index);
+    if (words.length > 0 && /[^\s]/.test(gap)) words.push(null);
+    words.push({ word: match[0].replace(/[.'’]+$/, ''), initial: words.length === 0 });
+    previousEnd = match.index + match[0].length;
+  }
+  return words;
+}
+
+/**
+ * 截取术语附近的文字作为例句
+ */
+function exampleAround(text, term, radius = 60) {
+  const index = text.indexOf(term);
+  if (index < 0) return text.slice(0, radius * 2).trim();
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + term.length + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * 从段落中提取候选术语
+ * @param {Array} segments - parseDocument 的段落
+ * @param {object} [options]
+ * @param {number} [options.minFrequency=2]
+ * @param {number} [options.maxTerms=100]
+ * @param {number} [options.maxExamples=2]
+ * @param {string[]} [options.exclude] - 已有术语（忽略大小写）
+ * @returns {Array<{ term: string, type: string, frequency: number, examples: string[] }>}
+ */
+export function extractTerms(segments, options = {}) {
+  const { minFrequency, maxTerms, maxExamples } = { ...DEFAULT_EXTRACTION_OPTIONS, ...options };
+  const exclude = new Set((options.exclude || []).map(term => term.toLowerCase()));
+  const candidates = new Map();   // term → { type, frequency, segmentIds: Set }
+  const lowercaseWords = new Set();  // 在句中以小写出现过的词
+  const nonInitialCapitalized = new Set();  // 在句中（非句首）以大写出现过的词
+
+  const add = (term, type, segmentId) => {
+    const entry = candidates.get(term) || { type, frequency: 0, segmentIds: new Set() };
+    entry.frequency++;
+    entry.segmentIds.add(segmentId);
+    candidates.set(term, entry);
+  };
+
+  const texts = new Map();
+  const sentences = [];
+  for (const segment of segments) {
+    if (segment.status === 'skipped') continue;
+    const text = plainText(segment.original);
+    texts.set(segment.id, text);
+    for (const sentence of text.split(SENTENCE_SPLIT_REGEX)) {
+      const words = tokenize(sentence);
+      sentences.push({ segmentId: segment.id, words });
+      for (const token of words) {
+        if (!token) continue;
+        if (/^[a-z]/.test(token.word)) lowercaseWords.add(token.word);
+        else if (!token.initial) nonInitialCapitalized.add(token.word);
+      }
+    }
+  }
+
+  // 单个大写词：不是虚词、从未以小写出现，句首时需在别处也以大写出现
+  const isSingleName = (token) => (
+    !STOPWORDS.has(token.word.toLowerCase())
+    && !lowercaseWords.has(token.word.toLowerCase())
+    && (!token.initial || nonInitialCapitalized.has(token.word))
+  );
+
+  for (const { segmentId, words } of sentences) {
+    let name = [];
+    const flushName = () => {
+      // 去掉末尾的连接词
+      while (name.length > 0 && NAME_CONNECTORS.has(name[name.length - 1].word)) name.pop();
+      if (name.length > 1 || (name.length === 1 && isSingleName(name[0]))) {
+        add(name.map(token => token.word).join(' '), 'name', segmentId);
+      }
+      name = [];
+    };
+
+    for (let i = 0; i < words.length; i++) {
+      const token = words[i];
+      if (!token) {
+        flushName();
+        continue;
+      }
+      const { word } = token;
+
+      if (ACRONYM_REGEX.test(word) && !/^[A-Z]s?$/.test(word)) {
+        flushName();
+        // 复数缩写（APIs）归并到单数
+        add(/[A-Z]s$/.test(word) ? word.slice(0, -1) : word, 'acronym', segmentId);
+        continue;
+      }
+      if (PRODUCT_REGEX.test(word) && /[A-Za-z]/.test(word)) {
+        flushName();
+        add(word, 'product', segmentId);
+        continue;
+      }
+      if (CAPITALIZED_REGEX.test(word)) {
+        // 句首的虚词（The、This…）不算名称的一部分
+        if (name.length === 0 && STOPWORDS.has(word.toLowerCase())) continue;
+        name.push(token);
+        continue;
+      }
+      if (name.length > 0 && NAME_CONNECTORS.has(word) && words[i + 1] && CAPITALIZED_REGEX.test(words[i + 1].word)) {
+        name.push(token);
+        continue;
+      }
+      flushName();
+    }
+    flushName();
+
+    // 小写名词短语：2-3 个连续的小写词，首尾不是虚词（句首词按小写计）
+    const lowered = words.map(token => (
+      token && token.initial && CAPITALIZED_REGEX.test(token.word) ? { ...token, word: token.word.toLowerCase() } : token
+    ));
+    for (let i = 0; i < lowered.length; i++) {
+      for (const size of [2, 3]) {
+        const gram = lowered.slice(i, i + size);
+        if (gram.length < size || gram.some(token => !token || !/^[a-z][a-z-]+$/.test(token.word))) continue;
+        if (STOPWORDS.has(gram[0].word) || STOPWORDS.has(gram[size - 1].word)) continue;
+        if (gram.some(token => token.word.length < 3 && !STOPWORDS.has(token.word))) continue;
+        add(gram.map(token => token.word).join(' '), 'phrase', segmentId);
+      }
+    }
+  }
+
+  // 句首大写的短语（Translation Memory）并入对应的小写短语
+  for (const [term, entry] of [...candidates]) {
+    const phrase = candidates.get(term.toLowerCase());
+    if (entry.type === 'name' && phrase?.type === 'phrase') {
+      phrase.frequency += entry.frequency;
+      entry.segmentIds.forEach(id => phrase.segmentIds.add(id));
+      candidates.delete(term);
+    }
+  }
+
+  // 短语被更长的短语完全包含且次数相同时只保留长的
+  const phrases = [...candidates].filter(([, entry]) => entry.type === 'phrase');
+  for (const [term, entry] of phrases) {
+    const covered = phrases.some(([other, otherEntry]) => (
+      other !== term && other.includes(term) && otherEntry.frequency >= entry.frequency
+    ));
+    if (covered) candidates.delete(term);
+  }
+
+  return [...candidates]
+    .filter(([term, entry]) => (
+      !exclude.has(term.toLowerCase())
+      && (entry.frequency >= minFrequency || (entry.type !== 'phrase' && entry.type !== 'name'))
+    ))
+    .sort(([a, x], [b, y]) => y.frequency - x.frequency || b.length - a.length || a.localeCompare(b))
+    .slice(0, maxTerms)
+    .map(([term, entry]) => ({
+      term,
+      type: entry.type,
+      frequency: entry.frequency,
+      examples: [...entry.segmentIds].slice(0, maxExamples).map(id => exampleAround(texts.get(id), term)),
+    }));
+}
+
+/**
+ * 构造请 LLM 给出术语译文的消息
+ * @param {Array<{ term: string, examples?: string[] }>} terms
+ * @param {object} params
+ * @param {string} params.targetLang - 目标语言名称或代码
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildTermTranslationMessages(terms, { targetLang }) {
+  const systemPrompt = '你是一名专业的术语译者。请为给定的术语提供准确、统一的译文，专有名词和通用缩写可以保留原文。只输出 JSON，不要任何解释或额外内容。';
+  const list = terms.map(({ term, examples = [] }) => (
+    examples[0] ? `- ${term}（例句：${examples[0]}）` : `- ${term}`
+  )).join('\n');
+  const userPrompt = `请把下列术语翻译为 ${targetLang}。
+
+术语：
+${list}
+
+输出格式为一个 JSON 对象，键为术语原文，值为译文，例如：
+{"API": "API", "translation memory": "翻译记忆库"}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+/**
+ * 解析 LLM 返回的术语译文（允许包在代码块里，或逐行 "术语: 译文"）
+ * @param {string} content
+ * @returns {Object<string, string>}
+ */
+export function parseTermTranslations(content) {
+  const text = (content || '').replace(/```(?:json)?/gi, '').trim();
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      return Object.fromEntries(
+        Object.entries(parsed).filter(([, value]) => typeof value === 'string' && value.trim())
+          .map(([key, value]) => [key.trim(), value.trim()])
+      );
+    } catch {
+      // 不是合法 JSON 时按行解析
+    }
+  }
+
+  const result = {};
+  for (const line of text.split('\n')) {
+    const match = line.replace(/^\s*[-*\d.]+\s*/, '').match(/^(.+?)\s*(?:=>|->|：|:|=)\s*(.+)$/);
+    if (match) result[match[1].trim().replace(/^["']|["']$/g, '')] = match[2].trim().replace(/^["']|["'],?$/g, '');
+  }
+  return result;
+}
+
+export default {
+  DEFAULT_EXTRACTION_OPTIONS,
+  extractTerms,
+  buildTermTranslationMessages,
+  parseTermTranslations,
+};
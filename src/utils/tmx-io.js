@@ -0,0 +1,371 @@
+// src/utils/tmx-io.js
+// TMX 1.4b 导入/导出工具
+//
+// 用于历史记录、收藏夹文件夹、翻译记忆库与其他 CAT 工具交换双语段落
+// 统一的中间格式（TMX 单元）：
+// { source, target, sourceLang, targetLang, note, createdAt, props }
+
+import { LANGUAGES } from '../config/constants.js';
+
+const TOOL_NAME = 'T-Translate';
+const TOOL_VERSION = '1.0';
+
+// 已支持的语言代码（小写 → 应用内代码）
+const KNOWN_CODES = new Map(LANGUAGES.map(lang => [lang.code.toLowerCase(), lang.code]));
+
+// 中文变体 → 应用内代码
+const CHINESE_VARIANTS = {
+  'zh-cn': 'zh', 'zh-sg': 'zh', 'zh-hans': 'zh', 'zh-hans-cn': 'zh',
+  'zh-tw': 'zh-TW', 'zh-hk': 'zh-TW', 'zh-mo': 'zh-TW', 'zh-hant': 'zh-TW', 'zh-hant-tw': 'zh-TW',
+};
+
+/**
+ * 应用内语言代码 → TMX (RFC 4646) 语言代码
+ * @param {string} code - LANGUAGES 中的代码
+ * @returns {string}
+ */
+export function toTMXLang(code) {
+  if (!code || code === 'auto') return 'und';
+  if (code === 'zh') return 'zh-CN';
+  return code;
+}
+
+/**
+ * TMX 语言代码 → 应用内语言代码
+ * 无法映射到 LANGUAGES 时保留主语言子标签
+ * @param {string} tmxLang - 如 en-US、zh-Hans、pt-BR
+ * @returns {{ code: string, mapped: boolean }}
+ */
+export function fromTMXLang(tmxLang) {
+  const lower = (tmxLang || '').trim().toLowerCase().replace(/_/g, '-');
+  if (!lower || lower === 'und' || lower === '*all*') return { code: 'auto', mapped: true };
+
+  if (CHINESE_VARIANTS[lower]) return { code: CHINESE_VARIANTS[lower], mapped: true };
+  if (KNOWN_CODES.has(lower)) return { code: KNOWN_CODES.get(lower), mapped: true };
+
+  const primary = lower.split('-')[0];
+  if (KNOWN_CODES.has(primary)) return { code: KNOWN_CODES.get(primary), mapped: true };
+
+  return { code: primary, mapped: false };
+}
+
+const escapeXML = (str) => {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const unescapeXML = (str) => {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * 时间 → TMX 日期格式（YYYYMMDDThhmmssZ）
+ */
+function toTMXDate(value) {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) return toTMXDate(Date.now());
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * TMX 日期 → 时间戳
+ */
+function fromTMXDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+}
+
+/**
+ * 读取标签属性
+ */
+function getAttr(attrs, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*"([^"]*)"`, 'i').exec(attrs)
+    || new RegExp(`(?:^|\\s)${name}\\s*=\\s*'([^']*)'`, 'i').exec(attrs);
+  return match ? unescapeXML(match[1]) : null;
+}
+
+/**
+ * <seg> 内容 → 纯文本
+ * bpt/ept/ph/it 是原格式的标记代码，连同内容一起去掉；hi/sub 保留内部文本
+ */
+function segToText(seg) {
+  return unescapeXML(
+    seg
+      .replace(/<(bpt|ept|ph|it)\b[^>]*\/>/gi, '')
+      .replace(/<(bpt|ept|ph|it)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<\/?(hi|sub|ut)\b[^>]*>/gi, '')
+  );
+}
+
+/**
+ * 导出为 TMX 1.4b
+ * @param {Array} units - TMX 单元列表
+ * @param {object} options - { srcLang, note }
+ * @returns {string} TMX XML 字符串
+ */
+export function exportToTMX(units, options = {}) {
+  const sourceLangs = new Set(units.map(u => u.sourceLang || 'auto'));
+  const srcLang = options.srcLang
+    || (sourceLangs.size === 1 ? toTMXLang([...sourceLangs][0]) : '*all*');
+  const headerSrcLang = srcLang === 'und' ? '*all*' : srcLang;
+
+  const tus = units.map((unit, index) => {
+    const props = Object.entries(unit.props || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([type, value]) => `\n      <prop type="${escapeXML(type)}">${escapeXML(value)}</prop>`)
+      .join('');
+    const note = unit.note ? `\n      <note>${escapeXML(unit.note)}</note>` : '';
+    const tuSrcLang = toTMXLang(unit.sourceLang);
+
+    return `    <tu tuid="${index + 1}" srclang="${escapeXML(tuSrcLang)}" creationdate="${toTMXDate(unit.createdAt)}">${props}${note}
+      <tuv xml:lang="${escapeXML(tuSrcLang)}">
+        <seg>${escapeXML(unit.source)}</seg>
+      </tuv>
+      <tuv xml:lang="${escapeXML(toTMXLang(unit.targetLang))}">
+        <seg>${escapeXML(unit.target)}</seg>
+      </tuv>
+    </tu>`;
+  }).join('\n');
+
+  const headerNote = options.note ? `\n    <note>${escapeXML(options.note)}</note>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE tmx SYSTEM "tmx14.dtd">
+<tmx version="1.4">
+  <header creationtool="${TOOL_NAME}" creationtoolversion="${TOOL_VERSION}" datatype="plaintext" segtype="sentence" adminlang="en-US" srclang="${escapeXML(headerSrcLang)}" o-tmf="${TOOL_NAME}" creationdate="${toTMXDate()}">${headerNote}
+  </header>
+  <body>
+${tus}
+  </body>
+</tmx>`;
+}
+
+/**
+ * 从 TMX 导入
+ * 一个 <tu> 含多个目标语言时，每个目标语言生成一个单元
+ * @param {string} tmxString - TMX XML 字符串
+ * @returns {{ units: Array, invalid: number, unmappedLanguages: string[] }}
+ */
+export function importFromTMX(tmxString) {
+  if (!/<tmx[\s>]/i.test(tmxString || '')) {
+    throw new Error('不是有效的 TMX 文件');
+  }
+
+  // 简单的 XML 解析（不使用 DOMParser 以兼容 Node.js）
+  const headerMatch = /<header\b([^>]*)>/i.exec(tmxString);
+  const headerSrcLang = headerMatch ? getAttr(headerMatch[1], 'srclang') : null;
+
+  const tuRegex = /<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi;
+  const tuvRegex = /<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/gi;
+  const segRegex = /<seg\b[^>]*>([\s\S]*?)<\/seg>/i;
+  const propRegex = /<prop\b([^>]*)>([\s\S]*?)<\/prop>/gi;
+  const noteRegex = /<note\b[^>]*>([\s\S]*?)<\/note>/i;
+
+  const units = [];
+  const unmapped = new Set();
+  let invalid = 0;
+
+  const mapLang = (lang) => {
+    const { code, mapped } = fromTMXLang(lang);
+    if (!mapped) unmapped.add(lang);
+    return code;
+  };
+
+  let tuMatch;
+  while ((tuMatch = tuRegex.exec(tmxString)) !== null) {
+    const [, tuAttrs, tuContent] = tuMatch;
+    // tu 级别的 prop / note 在第一个 tuv 之前
+    const tuHead = tuContent.split(/<tuv\b/i)[0];
+
+    const props = {};
+    let propMatch;
+    propRegex.lastIndex = 0;
+    while ((propMatch = propRegex.exec(tuHead)) !== null) {
+      const type = getAttr(propMatch[1], 'type');
+      if (type) props[type] = unescapeXML(propMatch[2].trim());
+    }
+    const noteMatch = noteRegex.exec(tuHead);
+
+    const variants = [];
+    let tuvMatch;
+    tuvRegex.lastIndex = 0;
+    while ((tuvMatch = tuvRegex.exec(tuContent)) !== null) {
+      const lang = getAttr(tuvMatch[1], 'xml:lang') || getAttr(tuvMatch[1], 'lang');
+      const segMatch = segRegex.exec(tuvMatch[2]);
+      if (!lang || !segMatch) continue;
+      variants.push({ lang, text: segToText(segMatch[1]).trim() });
+    }
+
+    const tuSrcLang = getAttr(tuAttrs, 'srclang') || headerSrcLang;
+    const sourceIndex = tuSrcLang && tuSrcLang !== '*all*'
+      ? Math.max(0, variants.findIndex(v => v.lang.toLowerCase() === tuSrcLang.toLowerCase()))
+      : 0;
+    const sourceVariant = variants[sourceIndex];
+    const targets = variants.filter((_, i) => i !== sourceIndex && variants[i].text);
+
+    if (!sourceVariant?.text || targets.length === 0) {
+      invalid++;
+      continue;
+    }
+
+    const createdAt = fromTMXDate(getAttr(tuAttrs, 'changedate'))
+      || fromTMXDate(getAttr(tuAttrs, 'creationdate'))
+      || Date.now();
+
+    for (const targetVariant of targets) {
+      units.push({
+        source: sourceVariant.text,
+        target: targetVariant.text,
+        sourceLang: mapLang(sourceVariant.lang),
+        targetLang: mapLang(targetVariant.lang),
+        note: noteMatch ? unescapeXML(noteMatch[1].trim()) : '',
+        createdAt,
+        props,
+      });
+    }
+  }
+
+  return { units, invalid, unmappedLanguages: [...unmapped] };
+}
+
+// ==================== 数据适配 ====================
+
+/**
+ * 历史记录 → TMX 单元
+ */
+export function historyToTMXUnits(history = []) {
+  return history
+    .filter(item => item.sourceText && item.translatedText)
+    .map(item => ({
+      source: item.sourceText,
+      target: item.translatedText,
+      sourceLang: item.sourceLanguage || 'auto',
+      targetLang: item.targetLanguage || 'zh',
+      createdAt: item.timestamp,
+      props: { 'x-origin': 'history', 'x-model': item.model },
+    }));
+}
+
+/**
+ * 收藏 → TMX 单元（文件夹与标签写入 prop，导回时还原）
+ */
+export function favoritesToTMXUnits(favorites = []) {
+  return favorites
+    .filter(item => item.sourceText && item.translatedText)
+    .map(item => ({
+      source: item.sourceText,
+      target: item.translatedText,
+      sourceLang: item.sourceLanguage || 'auto',
+      targetLang: item.targetLanguage || 'zh',
+      note: item.note || '',
+      createdAt: item.timestamp || item.createdAt,
+      props: {
+        'x-origin': 'favorites',
+        'x-folder': item.folderId || '',
+        'x-tags': (item.tags || []).join(','),
+      },
+    }));
+}
+
+/**
+ * 翻译记忆库条目 → TMX 单元
+ */
+export function memoryToTMXUnits(entries = []) {
+  return entries.map(entry => ({
+    source: entry.source,
+    target: entry.target,
+    sourceLang: entry.sourceLang || 'auto',
+    targetLang: entry.targetLang || 'zh',
+    note: entry.note || '',
+    createdAt: entry.updatedAt || entry.createdAt,
+    props: { 'x-origin': entry.origin || 'memory', 'x-provider': entry.provider },
+  }));
+}
+
+/**
+ * 段落对去重 Key（忽略首尾与连续空白）
+ */
+export function tmxUnitKey(source, target, sourceLang, targetLang) {
+  const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  return `${sourceLang || 'auto'}>${targetLang || 'zh'}\u0000${norm(source)}\u0000${norm(target)}`;
+}
+
+/**
+ * 合并前去重并生成单文件报告
+ * @param {Array} units - 待导入单元
+ * @param {Set<string>} existingKeys - 已有条目的 tmxUnitKey 集合（会被更新）
+ * @param {object} meta - { filename, invalid, unmappedLanguages }
+ * @returns {{ fresh: Array, report: object }}
+ */
+export function dedupeTMXUnits(units, existingKeys, meta = {}) {
+  const fresh = [];
+  const languages = new Set();
+  let duplicates = 0;
+
+  for (const unit of units) {
+    const key = tmxUnitKey(unit.source, unit.target, unit.sourceLang, unit.targetLang);
+    if (existingKeys.has(key)) {
+      duplicates++;
+      continue;
+    }
+    existingKeys.add(key);
+    languages.add(`${unit.sourceLang}>${unit.targetLang}`);
+    fresh.push(unit);
+  }
+
+  return {
+    fresh,
+    report: {
+      filename: meta.filename || '',
+      total: units.length + (meta.invalid || 0),
+      added: fresh.length,
+      duplicates,
+      skipped: meta.invalid || 0,
+      languages: [...languages],
+      unmappedLanguages: meta.unmappedLanguages || [],
+    },
+  };
+}
+
+/**
+ * 合并报告 → 提示文本
+ * @param {object} report - dedupeTMXUnits / importMemoryTMX 返回的报告
+ * @param {Function} t - i18next 的 t 函数
+ * @returns {string}
+ */
+export function formatTMXReport(report, t) {
+  let message = t('tmx.report', report);
+  if (report.conflicts > 0) message += t('tmx.conflicts', { conflicts: report.conflicts });
+  if (report.dropped > 0) message += t('tmx.dropped', { dropped: report.dropped });
+  if (report.unmappedLanguages?.length > 0) {
+    message += t('tmx.unmapped', { languages: report.unmappedLanguages.join(', ') });
+  }
+  return message;
+}
+
+export default {
+  toTMXLang,
+  fromTMXLang,
+  exportToTMX,
+  importFromTMX,
+  historyToTMXUnits,
+  favoritesToTMXUnits,
+  memoryToTMXUnits,
+  tmxUnitKey,
+  dedupeTMXUnits,
+  formatTMXReport,
+};
@@ -0,0 +1,340 @@
+// src/utils/translation-qa.js
+// 译文质量检查（QA）：逐段检查数字、占位符、标签、括号、未翻译、多余空格和长度比例
+//
+// 检查项：
+// - numbers       原文中的数字在译文中缺失或被改动
+// - placeholders  ⟦…⟧ 保护标记 / 内联占位符没有完整保留
+// - tags          HTML/XML 标签缺失、多出或嵌套不平衡
+// - brackets      括号在原文中成对、在译文中不成对
+// - untranslated  译文与原文相同，或 detectLanguage 仍判断为原文语言
+// - doubleSpace   译文中出现原文没有的连续空格
+// - length        译文与原文的长度比例异常（中日韩字符按 2 计）
+//
+// 结果只是提示，不修改译文
+
+import { detectLanguage } from './text.js';
+
+/**
+ * 检查项（按显示顺序）
+ */
+export const QA_CHECKS = ['numbers', 'placeholders', 'tags', 'brackets', 'untranslated', 'doubleSpace', 'length'];
+
+/**
+ * 各检查项的级别
+ */
+export const QA_SEVERITY = {
+  numbers: 'warning',
+  placeholders: 'error',
+  tags: 'error',
+  brackets: 'warning',
+  untranslated: 'error',
+  doubleSpace: 'warning',
+  length: 'warning',
+};
+
+/**
+ * 默认设置
+ */
+export const DEFAULT_QA_OPTIONS = {
+  lengthRatio: { min: 0.4, max: 2.5 },
+  minLengthForRatio: 20,  // 原文太短时不检查长度比例
+};
+
+const PLACEHOLDER_REGEX = /⟦[^⟦⟧]*⟧/g;
+const TAG_REGEX = /<(\/?)([A-Za-z][\w:.-]*)\b[^<>]*?(\/?)>/g;
+const NUMBER_REGEX = /\d+(?:[., \u00a0']\d+)*/g;
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'source', 'track', 'wbr']);
+const BRACKET_PAIRS = [['(', ')'], ['[', ']'], ['{', '}'], ['《', '》'], ['「', '」'], ['『', '』']];
+const FULLWIDTH_BRACKETS = { '（': '(', '）': ')', '【': '[', '】': ']', '［': '[', '］': ']', '｛': '{', '｝': '}' };
+const CJK_LANGS = new Set(['zh', 'ja', 'ko']);
+
+/**
+ * 多重集合差：a 中有而 b 中没有（按次数）
+ */
+function multisetDiff(a, b) {
+  const counts = new Map();
+  for (const item of b) counts.set(item, (counts.get(item) || 0) + 1);
+  const result = [];
+  for (const item of a) {
+    const count = counts.get(item) || 0;
+    if (count > 0) counts.set(item, count - 1);
+    else result.push(item);
+  }
+  return result;
+}
+
+/**
+ * 去掉占位符和标签后的纯文本
+ */
+function plainText(text) {
+  return text.replace(PLACEHOLDER_REGEX, ' ').replace(TAG_REGEX, ' ');
+}
+
+/**
+ * 全角数字转半角
+ */
+function toHalfWidthDigits(text) {
+  return text.replace(/[\uff10-\uff19]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xfee0));
+}
+
+/**
+ * 提取数字（去掉千分位 / 小数点等分隔符后比较：1,000 = 1 000 = 1000，2.5 = 2,5）
+ */
+function extractNumbers(text) {
+  return (toHalfWidthDigits(plainText(text)).match(NUMBER_REGEX) || [])
+    .map(number => number.replace(/[^\d]/g, ''));
+}
+
+/**
+ * 标签序列 [{ name, closing, selfClosing }]
+ */
+function extractTags(text) {
+  return [...text.matchAll(TAG_REGEX)].map(match => ({
+    name: match[2].toLowerCase(),
+    closing: match[1] === '/',
+    selfClosing: match[3] === '/' || VOID_TAGS.has(match[2].toLowerCase()),
+  }));
+}
+
+/**
+ * 标签是否正确嵌套
+ */
+function tagsBalanced(tags) {
+  const stack = [];
+  for (const tag of tags) {
+    if (tag.selfClosing) continue;
+    if (!tag.closing) {
+      stack.push(tag.name);
+    } else if (stack.pop() !== tag.name) {
+      return false;
+    }
+  }
+  return stack.length === 0;
+}
+
+/**
+ * 不成对的括号（返回括号对，例如 "()"）
+ */
+function unbalancedBrackets(text) {
+  const normalized = plainText(text).replace(/[（）【】［］｛｝]/g, ch => FULLWIDTH_BRACKETS[ch]);
+  return BRACKET_PAIRS
+    .filter(([open, close]) => normalized.split(open).length !== normalized.split(close).length)
+    .map(([open, close]) => open + close);
+}
+
+/**
+ * 按显示宽度计算长度（中日韩字符按 2 计）
+ */
+function weightedLength(text) {
+  const plain = plainText(text).replace(/\s+/g, ' ').trim();
+  return plain.length + (plain.match(CJK_REGEX) || []).length;
+}
+
+/**
+ * detectLanguage 能区分的语言类别（拉丁字母语言都归为 en）
+ */
+function languageCategory(lang) {
+  const base = (lang || '').toLowerCase().split(/[-_]/)[0];
+  if (!base || base === 'auto') return null;
+  return CJK_LANGS.has(base) ? base : 'en';
+}
+
+/**
+ * 检查一对原文 / 译文
+ * @param {string} source
+ * @param {string} target
+ * @param {object} [options]
+ * @param {string} [options.sourceLang]
+ * @param {string} [options.targetLang]
+ * @param {{ min: number, max: number }} [options.lengthRatio]
+ * @param {number} [options.minLengthForRatio]
+ * @returns {Array<{ type: string, severity: 'error'|'warning' }>} 其余字段随检查项而定（missing / extra / pairs / ratio 等）
+ */
+export function checkTranslation(source, target, options = {}) {
+  const { targetLang, lengthRatio, minLengthForRatio } = { ...DEFAULT_QA_OPTIONS, ...options };
+  if (!source?.trim() || !target?.trim()) return [];
+
+  const issues = [];
+  const add = (type, details = {}) => issues.push({ type, severity: QA_SEVERITY[type], ...details });
+
+  // 数字
+  const sourceNumbers = extractNumbers(source);
+  const targetNumbers = extractNumbers(target);
+  const missingNumbers = multisetDiff(sourceNumbers, targetNumbers);
+  if (missingNumbers.length > 0) {
+    add('numbers', { missing: missingNumbers, extra: multisetDiff(targetNumbers, sourceNumbers) });
+  }
+
+  // 占位符（⟦…⟧ 完整保留，且没有残缺的 ⟦ / ⟧）
+  const sourcePlaceholders = source.match(PLACEHOLDER_REGEX) || [];
+  const targetPlaceholders = target.match(PLACEHOLDER_REGEX) || [];
+  const missingPlaceholders = multisetDiff(sourcePlaceholders, targetPlaceholders);
+  const extraPlaceholders = multisetDiff(targetPlaceholders, sourcePlaceholders);
+  const brokenMarkers = (target.replace(PLACEHOLDER_REGEX, '').match(/[⟦⟧]/g) || []).length
+    > (source.replace(PLACEHOLDER_REGEX, '').match(/[⟦⟧]/g) || []).length;
+  if (missingPlaceholders.length > 0 || extraPlaceholders.length > 0 || brokenMarkers) {
+    add('placeholders', { missing: missingPlaceholders, extra: extraPlaceholders, broken: brokenMarkers });
+  }
+
+  // 标签
+  const sourceTags = extractTags(source);
+  const targetTags = extractTags(target);
+  const tagKey = tag => (tag.closing ? `</${tag.name}>` : `<${tag.name}>`);
+  const missingTags = multisetDiff(sourceTags.map(tagKey), targetTags.map(tagKey));
+  const extraTags = multisetDiff(targetTags.map(tagKey), sourceTags.map(tagKey));
+  const unbalanced = tagsBalanced(sourceTags) && !tagsBalanced(targetTags);
+  if (missingTags.length > 0 || extraTags.length > 0 || unbalanced) {
+    add('tags', { missing: missingTags, extra: extraTags, unbalanced });
+  }
+
+  // 括号
+  const sourceUnbalanced = new Set(unbalancedBrackets(source));
+  const brackets = unbalancedBrackets(target).filter(pair => !sourceUnbalanced.has(pair));
+  if (brackets.length > 0) {
+    add('brackets', { pairs: brackets });
+  }
+
+  // 未翻译
+  const normalize = text => plainText(text).replace(/\s+/g, ' ').trim().toLowerCase();
+  const expected = languageCategory(targetLang);
+  const sourceDetected = detectLanguage(plainText(source));
+  const hasWords = /\p{L}{2,}/u.test(plainText(source));
+  if (hasWords && normalize(source) === normalize(target)) {
+    add('untranslated', { reason: 'identical' });
+  } else if (hasWords && expected && sourceDetected !== expected
+    && detectLanguage(plainText(target)) === sourceDetected) {
+    add('untranslated', { reason: 'language', detected: sourceDetected });
+  }
+
+  // 多余的连续空格（行首缩进不算）
+  const doubleSpaces = target.match(/\S[ \u00a0]{2,}(?=\S)/g) || [];
+  if (doubleSpaces.length > (source.match(/\S[ \u00a0]{2,}(?=\S)/g) || []).length) {
+    add('doubleSpace', { count: doubleSpaces.length });
+  }
+
+  // 长度比例
+  const sourceLength = weightedLength(source);
+  if (sourceLength >= minLengthForRatio) {
+    const ratio = weightedLength(target) / sourceLength;
+    if (ratio < lengthRatio.min || ratio > lengthRatio.max) {
+      add('length', { ratio: Math.round(ratio * 100) / 100 });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 检查文档中所有已翻译的段落
+ * @param {Array} segments - { id, original, translated, status }
+ * @param {object} [options] - 同 checkTranslation
+ * @returns {{ issues: Array, counts: Object<string, number> }}
+ */
+export function checkDocumentQA(segments, options = {}) {
+  const issues = [];
+  const counts = Object.fromEntries(QA_CHECKS.map(type => [type, 0]));
+
+  segments.forEach((segment, index) => {
+    if (segment.status === 'skipped' || !segment.translated) return;
+    for (const issue of checkTranslation(segment.original, segment.translated, options)) {
+      issues.push({ ...issue, segmentId: segment.id, index });
+      counts[issue.type]++;
+    }
+  });
+
+  return { issues, counts };
+}
+
+/**
+ * 说明文字的默认模板（未传入 t 时使用；传入 t 时对应 i18n 的 qa.* 键）
+ */
+const DEFAULT_MESSAGES = {
+  missing: 'missing: {{items}}',
+  extra: 'extra: {{items}}',
+  broken: 'broken marker',
+  unbalanced: 'unbalanced',
+  unpaired: 'unpaired: {{items}}',
+  identical: 'same as source',
+  detected: 'still in {{lang}}',
+  spaces: '{{count}} double spaces',
+  ratio: 'length ratio {{ratio}}',
+};
+
+/**
+ * 问题的说明文字
+ * @param {object} issue - checkTranslation 返回的问题
+ * @param {Function} [t] - i18next 的 t（使用 qa.* 键）
+ * @returns {string}
+ */
+export function describeIssue(issue, t) {
+  const message = (key, params = {}) => (
+    t
+      ? t(`qa.${key}`, params)
+      : DEFAULT_MESSAGES[key].replace(/\{\{(\w+)\}\}/g, (_, name) => params[name])
+  );
+  const list = items => items.join(' ');
+
+  const parts = [];
+  if (issue.missing?.length) parts.push(message('missing', { items: list(issue.missing) }));
+  if (issue.extra?.length) parts.push(message('extra', { items: list(issue.extra) }));
+  if (issue.broken) parts.push(message('broken'));
+  if (issue.unbalanced) parts.push(message('unbalanced'));
+  if (issue.pairs) parts.push(message('unpaired', { items: list(issue.pairs) }));
+  if (issue.reason === 'identical') parts.push(message('identical'));
+  if (issue.reason === 'language') {
+    parts.push(message('detected', { lang: t ? t(`languages.${issue.detected}`) : issue.detected }));
+  }
+  if (issue.count) parts.push(message('spaces', { count: issue.count }));
+  if (issue.ratio !== undefined) parts.push(message('ratio', { ratio: issue.ratio }));
+  return parts.join('; ');
+}
+
+/**
+ * 导出 QA 报告为 CSV
+ * @param {Array} issues - checkDocumentQA 的 issues
+ * @param {Array} segments
+ * @param {object} [options]
+ * @param {string[]} [options.headers] - 表头（段落、检查项、级别、说明、原文、译文）
+ * @param {(issue: object) => string} [options.label] - 检查项名称
+ * @param {(issue: object) => string} [options.describe] - 说明文字
+ * @returns {string}
+ */
+export function qaReportToCSV(issues, segments, options = {}) {
+  const {
+    headers = ['段落', '检查项', '级别', '说明', '原文', '译文'],
+    label = issue => issue.type,
+    describe = describeIssue,
+  } = options;
+  const segmentMap = new Map(segments.map(segment => [segment.id, segment]));
+
+  const escapeCSV = (value) => {
+    const str = String(value ?? '');
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const rows = issues.map(issue => {
+    const segment = segmentMap.get(issue.segmentId) || {};
+    return [
+      issue.index + 1,
+      label(issue),
+      issue.severity,
+      describe(issue),
+      segment.original,
+      segment.translated,
+    ].map(escapeCSV).join(',');
+  });
+
+  // 添加 BOM 以支持 Excel 打开中文
+  return '\ufeff' + [headers.map(escapeCSV).join(','), ...rows].join('\n');
+}
+
+export default {
+  QA_CHECKS,
+  QA_SEVERITY,
+  DEFAULT_QA_OPTIONS,
+  checkTranslation,
+  checkDocumentQA,
+  describeIssue,
+  qaReportToCSV,
+};
@@ -0,0 +1,92 @@
+// tests/unit/ass.test.js
+// ASS / SSA 字幕解析与导出测试
+//
+// 覆盖: 覆盖标签占位符, 换行转换, Comment / 绘图跳过, 仅译文 / 双语（同事件换行、独立样式）
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseASS, exportASS } = await import('../../src/utils/formats/ass.js');
+const { exportSRT } = await import('../../src/utils/document-parser.js');
+
+const SCRIPT = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Alignment, MarginV',
+  'Style: Default,Arial,48,&H00FFFFFF,0,2,20',
+  'Style: Sign,Arial,36,&H0000FFFF,-1,8,10',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:01.50,0:00:03.20,Default,,0,0,0,,Hello, {\\i1}world{\\i0}!\\NSecond line',
+  'Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,Translator note',
+  'Dialogue: 0,0:00:04.00,0:00:05.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}',
+  'Dialogue: 0,0:00:04.00,0:00:05.00,Sign,,0,0,0,,{\\pos(320,50)}Exit\\hhere',
+  'Dialogue: 0,0:00:06.00,0:00:07.00,Default,,0,0,0,,{\\k20}',
+].join('\r\n');
+
+const TRANSLATIONS = {
+  'Hello, ⟦tag1⟧world⟦tag2⟧!\nSecond line': '你好，⟦tag1⟧世界⟦tag2⟧！\n第二行',
+  '⟦tag1⟧Exit\u00a0here': '⟦tag1⟧出口\u00a0在此',
+};
+
+function translated() {
+  return parseASS(SCRIPT).segments.map(s => ({ ...s, status: 'completed', translated: TRANSLATIONS[s.original] }));
+}
+
+describe('ASS', () => {
+  it('只提取 Dialogue 文本，覆盖标签转为占位符', () => {
+    const { segments, styles } = parseASS(SCRIPT);
+    expect(styles).toEqual(['Default', 'Sign']);
+    expect(segments.map(s => [s.assIndex, s.key, s.timecode, s.original])).toEqual([
+      [0, 'Default', '00:00:01,500 --> 00:00:03,200', 'Hello, ⟦tag1⟧world⟦tag2⟧!\nSecond line'],
+      [2, 'Sign', '00:00:04,000 --> 00:00:05,000', '⟦tag1⟧Exit\u00a0here'],
+    ]);
+    expect(segments[1].inlineTags['⟦tag1⟧']).toBe('{\\pos(320,50)}');
+  });
+
+  it('仅译文：只替换文本字段，其余行不变', () => {
+    const output = exportASS(SCRIPT, translated());
+    const lines = output.split('\r\n');
+    expect(lines[10]).toBe('Dialogue: 0,0:00:01.50,0:00:03.20,Default,,0,0,0,,你好，{\\i1}世界{\\i0}！\\N第二行');
+    expect(lines[13]).toBe('Dialogue: 0,0:00:04.00,0:00:05.00,Sign,,0,0,0,,{\\pos(320,50)}出口\\h在此');
+    expect(lines[11]).toBe('Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,Translator note');
+    expect(lines[12]).toBe('Dialogue: 0,0:00:04.00,0:00:05.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}');
+    expect(lines).toHaveLength(15);
+  });
+
+  it('双语：原文作为第二行，并添加缩小字号的原文样式', () => {
+    const lines = exportASS(SCRIPT, translated(), { style: 'bilingual' }).split('\r\n');
+    expect(lines.slice(5, 9)).toEqual([
+      'Style: Default,Arial,48,&H00FFFFFF,0,2,20',
+      'Style: Default-Original,Arial,36,&H00FFFFFF,0,2,20',
+      'Style: Sign,Arial,36,&H0000FFFF,-1,8,10',
+      'Style: Sign-Original,Arial,27,&H0000FFFF,-1,8,10',
+    ]);
+    expect(lines[12]).toBe('Dialogue: 0,0:00:01.50,0:00:03.20,Default,,0,0,0,,'
+      + '你好，{\\i1}世界{\\i0}！\\N第二行\\N{\\rDefault-Original}Hello, {\\i1}world{\\i0}!\\NSecond line');
+  });
+
+  it('双语：原文作为独立样式的单独事件', () => {
+    const lines = exportASS(SCRIPT, translated(), { style: 'bilingual', layout: 'style' }).split('\r\n');
+    expect(lines.slice(12, 14)).toEqual([
+      'Dialogue: 0,0:00:01.50,0:00:03.20,Default,,0,0,0,,你好，{\\i1}世界{\\i0}！\\N第二行',
+      'Dialogue: 0,0:00:01.50,0:00:03.20,Default-Original,,0,0,0,,Hello, {\\i1}world{\\i0}!\\NSecond line',
+    ]);
+  });
+
+  it('导出 SRT 时去掉覆盖标签', () => {
+    expect(exportSRT(translated())).toBe('1\n00:00:01,500 --> 00:00:03,200\n你好，世界！\n第二行\n\n'
+      + '2\n00:00:04,000 --> 00:00:05,000\n出口\u00a0在此');
+  });
+});
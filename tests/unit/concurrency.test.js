@@ -0,0 +1,68 @@
+// tests/unit/concurrency.test.js
+// 并发任务池与 RPM 限制测试
+//
+// 覆盖: 并发上限, 乱序完成, 停止后不再开始新任务, 滑动窗口限速
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const { runConcurrent, RateLimiter } = await import('../../src/utils/concurrency.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runConcurrent', () => {
+  it('同时进行的任务不超过上限，全部完成', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    await runConcurrent([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(ms);
+      active--;
+      done.push(index);
+    });
+    expect(peak).toBe(2);
+    expect([...done].sort()).toEqual([0, 1, 2, 3, 4]);
+    // 完成顺序与输入顺序无关
+    expect(done).not.toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('停止后不再开始新任务', async () => {
+    let stop = false;
+    const started = [];
+    await runConcurrent([1, 2, 3, 4, 5], 2, async (item) => {
+      started.push(item);
+      if (item === 2) stop = true;
+      await delay(1);
+    }, { shouldStop: () => stop });
+    expect(started).toEqual([1, 2]);
+  });
+});
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('超过每分钟请求数时等待窗口滑过', async () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter(2);
+    const granted = [];
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire().then(() => granted.push(Date.now()));
+    }
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(granted).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(59999);
+    expect(granted).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(granted).toHaveLength(3);
+  });
+
+  it('未设置上限时不等待', async () => {
+    const limiter = new RateLimiter(0);
+    await Promise.all(Array.from({ length: 100 }, () => limiter.acquire()));
+    expect(limiter.timestamps).toHaveLength(0);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/unit/document-context.test.js
+// 滚动上下文测试
+//
+// 覆盖: 章节路径, 标题下的章节, 只取已完成的前文, token 预算
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { detectHeadings, estimateTokens } = await import('../../src/utils/document-parser.js');
+const { getHeadingPath, getSectionSegments, buildDocumentContext } = await import('../../src/utils/document-context.js');
+
+const segment = (id, original, translated = '', status = translated ? 'completed' : 'pending') => (
+  { id, original, translated, status }
+);
+
+const SEGMENTS = [
+  segment(0, 'Chapter 1: The Visit', '第一章：来访', 'completed'),
+  segment(1, '1.1. Arrival', '1.1. 抵达'),
+  segment(2, 'She opened the door.', '她打开了门。'),
+  segment(3, 'He was not there.', '', 'error'),
+  segment(4, 'Nobody answered her call.', '没有人回应她的呼唤。'),
+  segment(5, 'She waited for an hour.'),
+  segment(6, 'Chapter 2: The Letter'),
+  segment(7, 'A letter arrived.'),
+];
+
+describe('getHeadingPath', () => {
+  it('从顶级标题到最近的标题', () => {
+    const headings = detectHeadings(SEGMENTS);
+    expect(getHeadingPath(headings, SEGMENTS, 5)).toEqual(['Chapter 1: The Visit', 'Arrival']);
+    expect(getHeadingPath(headings, SEGMENTS, 7)).toEqual(['Chapter 2: The Letter']);
+    expect(getHeadingPath(headings, SEGMENTS, 0)).toEqual(['Chapter 1: The Visit']);
+  });
+});
+
+describe('getSectionSegments', () => {
+  const headings = detectHeadings(SEGMENTS);
+  const ids = (headingId) => getSectionSegments(headings, SEGMENTS, headingId).map(s => s.id);
+
+  it('包含子章节，到下一个同级标题为止', () => {
+    expect(ids(0)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(ids(1)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('最后一章到文档末尾，不是标题时为空', () => {
+    expect(ids(6)).toEqual([6, 7]);
+    expect(ids(2)).toEqual([]);
+  });
+});
+
+describe('buildDocumentContext', () => {
+  it('只附带已完成的前文，按文档顺序排列', () => {
+    const headings = detectHeadings(SEGMENTS);
+    const context = buildDocumentContext(SEGMENTS, 5, { headings, maxPairs: 2 });
+    expect(context.headingPath).toEqual(['Chapter 1: The Visit', 'Arrival']);
+    expect(context.pairs).toEqual([
+      { source: 'She opened the door.', target: '她打开了门。' },
+      { source: 'Nobody answered her call.', target: '没有人回应她的呼唤。' },
+    ]);
+  });
+
+  it('不超过 token 预算，超出时丢弃较早的段落', () => {
+    const pathTokens = estimateTokens('Chapter 1: The Visit > Arrival');
+    const lastPair = estimateTokens('Nobody answered her call.') + estimateTokens('没有人回应她的呼唤。');
+    const context = buildDocumentContext(SEGMENTS, 5, {
+      headings: detectHeadings(SEGMENTS),
+      maxTokens: pathTokens + lastPair + 1,
+    });
+    expect(context.pairs).toEqual([{ source: 'Nobody answered her call.', target: '没有人回应她的呼唤。' }]);
+    expect(context.tokens).toBeLessThanOrEqual(pathTokens + lastPair + 1);
+  });
+
+  it('没有可用的上下文时返回 null', () => {
+    expect(buildDocumentContext([segment(0, 'Hello there.')], 0)).toBeNull();
+    expect(buildDocumentContext(SEGMENTS, 5, { maxTokens: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+// tests/unit/document-jobs.test.js
+// 文档翻译任务持久化测试
+//
+// 覆盖: 快照序列化, 进度统计, 防抖保存（maxWait）, 写入串行, 放弃任务
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  DocumentJobs,
+  serializeJob,
+  summarizeProgress,
+  isJobFinished,
+} = await import('../../src/services/document-jobs.js');
+
+const SEGMENTS = [
+  { id: 0, original: 'One', translated: '一', status: 'completed' },
+  { id: 1, original: 'Two', translated: '', status: 'translating' },
+  { id: 2, original: '3', translated: '', status: 'skipped' },
+  { id: 3, original: 'Four', translated: '', status: 'error', error: 'timeout' },
+];
+
+describe('serializeJob', () => {
+  it('翻译中的段落恢复为待翻译，原文件二进制不写入 JSON', () => {
+    const job = serializeJob({
+      id: 'job-1',
+      fingerprint: 'abc',
+      createdAt: 1,
+      document: { filename: 'a.docx', format: 'docx', formatName: 'Word', sourceBuffer: new ArrayBuffer(4) },
+      segments: SEGMENTS,
+      settings: { targetLang: 'zh' },
+      glossary: [{ source: 'API', target: 'API' }],
+    });
+
+    expect(job).toMatchObject({ id: 'job-1', fingerprint: 'abc', filename: 'a.docx', format: 'docx' });
+    expect(job.document).toEqual({ filename: 'a.docx', format: 'docx', formatName: 'Word', sourceKind: 'buffer' });
+    expect(job.segments.map(s => s.status)).toEqual(['completed', 'pending', 'skipped', 'error']);
+    expect(job.progress).toEqual({ total: 4, completed: 1, failed: 1, skipped: 1 });
+    expect(job.glossary).toHaveLength(1);
+  });
+});
+
+describe('isJobFinished', () => {
+  it('跳过的段落不计入未完成', () => {
+    expect(isJobFinished(summarizeProgress(SEGMENTS))).toBe(false);
+    expect(isJobFinished(summarizeProgress([SEGMENTS[0], SEGMENTS[2]]))).toBe(true);
+    expect(isJobFinished(summarizeProgress([]))).toBe(false);
+  });
+});
+
+describe('DocumentJobs', () => {
+  let api;
+  let jobs;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    api = {
+      save: vi.fn().mockResolvedValue({ success: true }),
+      delete: vi.fn().mockResolvedValue({ success: true }),
+    };
+    window.electron = { jobs: api };
+    jobs = new DocumentJobs({ saveDelay: 1000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete window.electron;
+  });
+
+  it('间隔内多次修改只写入最后一次', async () => {
+    jobs.scheduleSave({ id: 'job-1', segments: [SEGMENTS[1]] });
+    jobs.scheduleSave({ id: 'job-1', segments: SEGMENTS });
+    expect(api.save).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(api.save).toHaveBeenCalledTimes(1);
+    expect(api.save.mock.calls[0][0].segments).toHaveLength(4);
+  });
+
+  it('持续修改时最多等待 maxWait 就写入一次', async () => {
+    jobs = new DocumentJobs({ saveDelay: 1000, maxWait: 3000 });
+    for (let i = 0; i < 7; i++) {
+      jobs.scheduleSave({ id: 'job-1', segments: SEGMENTS.slice(0, (i % 4) + 1) });
+      await vi.advanceTimersByTimeAsync(500);
+    }
+
+    expect(api.save).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(api.save).toHaveBeenCalledTimes(2);
+  });
+
+  it('同一任务的写入依次进行', async () => {
+    const resolvers = [];
+    api.save.mockImplementation(() => new Promise(resolve => resolvers.push(resolve)));
+
+    jobs.scheduleSave({ id: 'job-1', segments: [SEGMENTS[1]] });
+    const first = jobs.flush('job-1');
+    jobs.scheduleSave({ id: 'job-1', segments: SEGMENTS });
+    const second = jobs.flush('job-1');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(api.save).toHaveBeenCalledTimes(1);
+
+    resolvers[0]({ success: true });
+    await first;
+    await vi.advanceTimersByTimeAsync(0);
+    expect(api.save).toHaveBeenCalledTimes(2);
+    expect(api.save.mock.calls[1][0].segments).toHaveLength(4);
+
+    resolvers[1]({ success: true });
+    await second;
+  });
+
+  it('放弃任务时丢弃未写入的修改', async () => {
+    jobs.scheduleSave({ id: 'job-1', segments: SEGMENTS });
+    await jobs.discard('job-1');
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(api.save).not.toHaveBeenCalled();
+    expect(api.delete).toHaveBeenCalledWith('job-1');
+  });
+});
@@ -0,0 +1,173 @@
+// tests/unit/epub.test.js
+// HTML 块提取与 EPUB 译本导出测试
+//
+// 覆盖: 行内标签占位符, 整体保留的元素, spine 顺序, 仅译文 / 双语对照, 元数据, EPUB 2 升级
+
+import { describe, it, expect, vi } from 'vitest';
+import JSZip from 'jszip';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { scanHTMLBlocks } = await import('../../src/utils/formats/html.js');
+const { parseEPUBPackage, exportEPUB } = await import('../../src/utils/formats/epub.js');
+
+const CHAPTER_ONE = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en">
+<head><title>One</title><style>p { margin: 0; }</style></head>
+<body>
+  <h1 id="c1">Chapter&nbsp;One</h1>
+  <p class="text" id="p1">It was a <b>dark</b> and
+    stormy <a href="#n1" id="r1">night</a>.</p>
+  <pre>keep   this</pre>
+  <p>Run <code>npm test</code> first.</p>
+  <table><tr><td>Cell</td></tr></table>
+  <script>var x = 1;</script>
+</body>
+</html>`;
+
+const CHAPTER_TWO = `<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Two</title></head>
+<body><div>Intro text<p>Nested para</p></div><p><img src="../images/a.png" alt=""/></p></body></html>`;
+
+async function buildEPUB() {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>');
+  zip.file('OEBPS/content.opf', `<package xmlns="http://www.idpf.org/2007/opf" version="2.0" unique-identifier="id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+<dc:title>The Book</dc:title><dc:creator opf:role="aut">Author</dc:creator><dc:language>en</dc:language>
+</metadata>
+<manifest>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="c2" href="text/two.xhtml" media-type="application/xhtml+xml"/>
+<item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+<item id="img" href="images/a.png" media-type="image/png"/>
+</manifest>
+<spine toc="ncx"><itemref idref="c1"/><itemref idref="c2"/></spine>
+</package>`);
+  zip.file('OEBPS/toc.ncx', `<ncx><navMap>
+<navPoint id="n1"><navLabel><text>Chapter One</text></navLabel><content src="text/one.xhtml"/>
+<navPoint id="n2"><navLabel><text>Part &amp; More</text></navLabel><content src="text/one.xhtml#p1"/></navPoint>
+</navPoint>
+<navPoint id="n3"><navLabel><text>Two</text></navLabel><content src="text/two.xhtml"/></navPoint>
+</navMap></ncx>`);
+  zip.file('OEBPS/text/one.xhtml', CHAPTER_ONE);
+  zip.file('OEBPS/text/two.xhtml', CHAPTER_TWO);
+  zip.file('OEBPS/style.css', 'p { color: red; }');
+  zip.file('OEBPS/images/a.png', 'binary');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+const TRANSLATIONS = {
+  One: '一',
+  'Chapter\u00a0One': '第一章',
+  'It was a ⟦b1⟧dark⟦/b1⟧ and stormy ⟦a2⟧night⟦/a2⟧.': '那是一个⟦b1⟧黑暗⟦/b1⟧的暴风雨之⟦a2⟧夜⟦/a2⟧。',
+  'Run ⟦code1⟧ first.': '先运行 ⟦code1⟧。',
+  Cell: '单元格',
+  'Intro text': '引言',
+  'Nested para': '嵌套段落',
+};
+
+async function translatedSegments(source) {
+  const { segments } = await parseEPUBPackage(source);
+  return segments.map(s => ({ ...s, status: 'completed', translated: TRANSLATIONS[s.original] }));
+}
+
+describe('scanHTMLBlocks', () => {
+  it('行内标签转为占位符，空白折叠，整体保留的元素不拆分', () => {
+    const units = scanHTMLBlocks(CHAPTER_ONE);
+    expect(units.map(u => u.text)).toEqual([
+      'One',
+      'Chapter\u00a0One',
+      'It was a ⟦b1⟧dark⟦/b1⟧ and stormy ⟦a2⟧night⟦/a2⟧.',
+      'Run ⟦code1⟧ first.',
+      'Cell',
+    ]);
+    expect(units[1].headingLevel).toBe(1);
+    expect(units[3].tags['⟦code1⟧']).toBe('<code>npm test</code>');
+    expect(units[4].block.name).toBe('td');
+  });
+
+  it('块级元素中混排的文本单独成段', () => {
+    const units = scanHTMLBlocks(CHAPTER_TWO);
+    expect(units.map(u => [u.text, u.block?.name ?? null])).toEqual([
+      ['Two', 'title'],
+      ['Intro text', null],
+      ['Nested para', 'p'],
+    ]);
+  });
+});
+
+describe('EPUB', () => {
+  it('按 spine 顺序解析章节', async () => {
+    const { segments, title, chapterCount } = await parseEPUBPackage(await buildEPUB());
+    expect(title).toBe('The Book');
+    expect(chapterCount).toBe(2);
+    expect(segments.map(s => s.key)).toEqual([
+      ...Array(5).fill('text/one.xhtml'),
+      ...Array(3).fill('text/two.xhtml'),
+    ]);
+  });
+
+  it('仅译文：替换正文，写入元数据并升级为 EPUB 3', async () => {
+    const source = await buildEPUB();
+    const output = await exportEPUB(source, await translatedSegments(source), {
+      targetLang: 'zh', titleSuffix: ' (中文版)', outputType: 'uint8array',
+    });
+    const zip = await JSZip.loadAsync(output);
+
+    expect(Object.keys(zip.files)[0]).toBe('mimetype');
+    const one = await zip.file('OEBPS/text/one.xhtml').async('text');
+    expect(one).toContain('<!DOCTYPE html>');
+    expect(one).toContain('<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="zh-CN" lang="zh-CN">');
+    expect(one).toContain('<h1 id="c1">第一章</h1>');
+    expect(one).toContain('<p class="text" id="p1">那是一个<b>黑暗</b>的暴风雨之<a href="#n1" id="r1">夜</a>。</p>');
+    expect(one).toContain('<pre>keep   this</pre>');
+    expect(one).toContain('<p>先运行 <code>npm test</code>。</p>');
+    expect(one).toContain('<head><title>一</title><style>p { margin: 0; }</style></head>');
+
+    const two = await zip.file('OEBPS/text/two.xhtml').async('text');
+    expect(two).toContain('<div>引言<p>嵌套段落</p></div>');
+
+    const opf = await zip.file('OEBPS/content.opf').async('text');
+    expect(opf).toContain('version="3.0"');
+    expect(opf).toContain('<dc:title>The Book (中文版)</dc:title>');
+    expect(opf).toContain('<dc:language>zh-CN</dc:language>');
+    expect(opf).toContain('<dc:creator>Author</dc:creator>');
+    expect(opf).toMatch(/<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+    expect(opf).toContain('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>');
+
+    const nav = await zip.file('OEBPS/nav.xhtml').async('text');
+    expect(nav).toContain('<nav epub:type="toc" id="toc"><ol><li><a href="text/one.xhtml">Chapter One</a>'
+      + '<ol><li><a href="text/one.xhtml#p1">Part &amp; More</a></li></ol></li>'
+      + '<li><a href="text/two.xhtml">Two</a></li></ol></nav>');
+    expect(await zip.file('OEBPS/toc.ncx').async('text')).toContain('<text>Chapter One</text>');
+    expect(await zip.file('OEBPS/images/a.png').async('text')).toBe('binary');
+  });
+
+  it('双语：原文段落后追加译文段落，去掉重复 id', async () => {
+    const source = await buildEPUB();
+    const output = await exportEPUB(source, await translatedSegments(source), {
+      style: 'bilingual', targetLang: 'zh', outputType: 'uint8array',
+    });
+    const zip = await JSZip.loadAsync(output);
+    const one = await zip.file('OEBPS/text/one.xhtml').async('text');
+
+    expect(one).toContain('<h1 id="c1">Chapter&#160;One</h1><h1 xml:lang="zh-CN" lang="zh-CN">第一章</h1>');
+    expect(one).toContain('night</a>.</p><p class="text" xml:lang="zh-CN" lang="zh-CN">那是一个<b>黑暗</b>的暴风雨之<a href="#n1">夜</a>。</p>');
+    // 表格单元格不复制，在原单元格内换行追加
+    expect(one).toContain('<td>Cell<br/><span lang="zh-CN" xml:lang="zh-CN">单元格</span></td>');
+
+    const opf = await zip.file('OEBPS/content.opf').async('text');
+    expect(opf).toContain('<dc:title>The Book（双语）</dc:title>');
+    expect(opf).toContain('<dc:language>zh-CN</dc:language><dc:language>en</dc:language>');
+  });
+});
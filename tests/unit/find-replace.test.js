@@ -0,0 +1,102 @@
+// tests/unit/find-replace.test.js
+// 查找替换测试
+//
+// 覆盖: 普通 / 正则 / 大小写 / 整词, 无效正则, 捕获组替换, 查找范围与上下文, 替换全部并记录修改
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  buildSearchRegex,
+  replaceInText,
+  findMatches,
+  replaceAllInSegments,
+} = await import('../../src/utils/find-replace.js');
+
+const segments = [
+  { id: 0, original: 'Open AcmeDrive settings', translated: '打开 AcmeDrive 设置', status: 'completed' },
+  { id: 1, original: 'acmedrive syncs files', translated: 'acmedrive 同步文件，AcmeDrive 很快', status: 'completed' },
+  { id: 2, original: 'AcmeDrive', translated: '', status: 'pending' },
+  { id: 3, original: 'AcmeDrive skipped', translated: '', status: 'skipped' },
+];
+
+describe('buildSearchRegex', () => {
+  it('普通文本会转义特殊字符', () => {
+    const pattern = buildSearchRegex('v1.0 (beta)');
+    expect('Release v1.0 (beta)'.match(pattern)).toEqual(['v1.0 (beta)']);
+    expect('v1x0 (beta)'.match(pattern)).toBe(null);
+  });
+
+  it('整词与大小写', () => {
+    expect('cat concat Cat'.match(buildSearchRegex('cat', { wholeWord: true }))).toEqual(['cat', 'Cat']);
+    expect('cat concat Cat'.match(buildSearchRegex('cat', { wholeWord: true, caseSensitive: true }))).toEqual(['cat']);
+    expect('café cafés'.match(buildSearchRegex('café', { wholeWord: true }))).toEqual(['café']);
+  });
+
+  it('空内容返回 null，无效正则抛出异常', () => {
+    expect(buildSearchRegex('')).toBe(null);
+    expect(() => buildSearchRegex('(unclosed', { regex: true })).toThrow(SyntaxError);
+  });
+});
+
+describe('replaceInText', () => {
+  it('正则模式展开捕获组', () => {
+    const pattern = buildSearchRegex('(\\d+)-(?<unit>[a-z]+)', { regex: true });
+    expect(replaceInText('10-kg and 5-m', pattern, '$<unit>:$1 [$&] $$', { regex: true }))
+      .toEqual({ text: 'kg:10 [10-kg] $ and m:5 [5-m] $', count: 2 });
+  });
+
+  it('普通模式按字面替换', () => {
+    const pattern = buildSearchRegex('price');
+    expect(replaceInText('Price: $1', pattern, 'cost $1')).toEqual({ text: 'cost $1: $1', count: 1 });
+  });
+
+  it('忽略空匹配', () => {
+    const pattern = buildSearchRegex('x*', { regex: true });
+    expect(replaceInText('abc', pattern, '-', { regex: true })).toEqual({ text: 'abc', count: 0 });
+  });
+});
+
+describe('findMatches', () => {
+  it('按范围查找并给出上下文', () => {
+    const pattern = buildSearchRegex('AcmeDrive');
+    const both = findMatches(segments, pattern);
+    expect(both.total).toBe(6);
+    expect(both.segmentCount).toBe(3);
+
+    const target = findMatches(segments, pattern, { scope: 'target', replacement: 'CloudBox' });
+    expect(target.matches.map(m => [m.segmentId, m.field, m.text, m.replaced])).toEqual([
+      [0, 'target', 'AcmeDrive', 'CloudBox'],
+      [1, 'target', 'acmedrive', 'CloudBox'],
+      [1, 'target', 'AcmeDrive', 'CloudBox'],
+    ]);
+    expect(target.matches[0]).toMatchObject({ before: '打开 ', after: ' 设置', index: 0 });
+  });
+
+  it('限制列出的数量但统计全部', () => {
+    const result = findMatches(segments, buildSearchRegex('AcmeDrive'), { limit: 2 });
+    expect(result.matches).toHaveLength(2);
+    expect(result.total).toBe(6);
+  });
+});
+
+describe('replaceAllInSegments', () => {
+  it('只替换译文并在修改记录中记下替换', () => {
+    const pattern = buildSearchRegex('AcmeDrive', { caseSensitive: true });
+    const result = replaceAllInSegments(segments, pattern, 'CloudBox', { query: 'AcmeDrive' });
+    expect(result).toMatchObject({ changed: 2, count: 2 });
+    expect(result.segments.map(s => s.translated)).toEqual([
+      '打开 CloudBox 设置',
+      'acmedrive 同步文件，CloudBox 很快',
+      '',
+      '',
+    ]);
+    expect(result.segments[0].original).toBe('Open AcmeDrive settings');
+    expect(result.segments[0]).toMatchObject({ review: 'edited' });
+    expect(result.segments[0].undoStack[0]).toMatchObject({
+      translated: '打开 AcmeDrive 设置',
+      change: { type: 'replace', find: 'AcmeDrive', replace: 'CloudBox', count: 1 },
+    });
+    // 没有匹配的段落保持原对象
+    expect(result.segments[2]).toBe(segments[2]);
+  });
+});
@@ -0,0 +1,100 @@
+// tests/unit/glossary-match.test.js
+// 术语注入测试
+//
+// 覆盖: 整词匹配（含非 ASCII 字母）, 中文子串匹配, 长术语优先, 占位符替换与还原, 已有占位符不参与匹配, 签名
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  matchGlossaryTerms,
+  protectGlossaryTerms,
+  glossarySignature,
+} = await import('../../src/utils/glossary-match.js');
+
+const GLOSSARY = [
+  { source: 'API', target: '应用程序接口' },
+  { source: 'translation memory', target: '翻译记忆库' },
+  { source: 'memory', target: '内存' },
+  { source: '机器学习', target: 'machine learning' },
+  { source: 'app', target: '应用' },
+  { source: 'empty', target: '' },
+];
+
+describe('matchGlossaryTerms', () => {
+  it('returns only the terms that appear, longest first', () => {
+    const terms = matchGlossaryTerms('The translation memory is used by the api.', GLOSSARY);
+    expect(terms.map(term => term.source)).toEqual(['translation memory', 'memory', 'API']);
+  });
+
+  it('matches latin terms as whole words', () => {
+    expect(matchGlossaryTerms('Applications and apps', GLOSSARY)).toEqual([]);
+    expect(matchGlossaryTerms('Open the app.', GLOSSARY).map(term => term.source)).toEqual(['app']);
+  });
+
+  it('uses Unicode word boundaries for accented and Cyrillic terms', () => {
+    const glossary = [
+      { source: 'über', target: 'about' },
+      { source: 'сеть', target: 'network' },
+      { source: 'café', target: '咖啡馆' },
+    ];
+    expect(matchGlossaryTerms('Er kam drüber. Подсеть готова. Cafés', glossary)).toEqual([]);
+    expect(matchGlossaryTerms('Über uns: сеть, café', glossary).map(t => t.source)).toEqual(['über', 'сеть', 'café']);
+  });
+
+  it('matches CJK terms as substrings', () => {
+    const terms = matchGlossaryTerms('深度机器学习模型', GLOSSARY);
+    expect(terms).toEqual([{ source: '机器学习', target: 'machine learning' }]);
+  });
+
+  it('ignores text inside placeholders and entries without a target', () => {
+    expect(matchGlossaryTerms('⟦app_0⟧ is empty', GLOSSARY)).toEqual([]);
+  });
+
+  it('handles missing input', () => {
+    expect(matchGlossaryTerms('', GLOSSARY)).toEqual([]);
+    expect(matchGlossaryTerms('API', null)).toEqual([]);
+  });
+
+  it('respects case-sensitive entries', () => {
+    const glossary = [{ source: 'Apple', target: '苹果公司', caseSensitive: true }];
+    expect(matchGlossaryTerms('an apple a day', glossary)).toEqual([]);
+    expect(matchGlossaryTerms('Apple devices', glossary)).toHaveLength(1);
+  });
+
+  it('limits the number of terms', () => {
+    expect(matchGlossaryTerms('API memory app', GLOSSARY, { maxTerms: 2 })).toHaveLength(2);
+  });
+});
+
+describe('protectGlossaryTerms', () => {
+  it('replaces terms with placeholders mapped to their translations', () => {
+    const text = 'The Translation Memory stores API calls. Translation memory is fast.';
+    const terms = matchGlossaryTerms(text, GLOSSARY);
+    const { processed, protectedMap } = protectGlossaryTerms(text, terms);
+    expect(processed).toBe('The ⟦term_0⟧ stores ⟦term_1⟧ calls. ⟦term_0⟧ is fast.');
+    expect(protectedMap.get('⟦term_0⟧')).toBe('翻译记忆库');
+    expect(protectedMap.get('⟦term_1⟧')).toBe('应用程序接口');
+  });
+
+  it('does not split longer terms or existing placeholders', () => {
+    const text = 'memory ⟦url_0⟧ translation memory';
+    const terms = matchGlossaryTerms(text, GLOSSARY);
+    const { processed, protectedMap } = protectGlossaryTerms(text, terms);
+    expect(processed).toBe('⟦term_1⟧ ⟦url_0⟧ ⟦term_0⟧');
+    expect(protectedMap.size).toBe(2);
+  });
+
+  it('returns the text unchanged without terms', () => {
+    expect(protectGlossaryTerms('API', [])).toEqual({ processed: 'API', protectedMap: new Map() });
+  });
+});
+
+describe('glossarySignature', () => {
+  it('is stable regardless of order and changes with translations', () => {
+    const a = [{ source: 'API', target: '接口' }, { source: 'app', target: '应用' }];
+    const b = [...a].reverse();
+    expect(glossarySignature(a)).toBe(glossarySignature(b));
+    expect(glossarySignature(a)).not.toBe(glossarySignature([{ source: 'API', target: '应用程序接口' }, a[1]]));
+    expect(glossarySignature([])).toBe('');
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/html.test.js
+// HTML 解析与回写测试
+//
+// 覆盖: 行内标签占位符, 可译属性, translate="no" / script / code / pre 跳过, 原文档回写
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseHTML, exportHTML } = await import('../../src/utils/formats/html.js');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Welcome page</title>
+  <style>.x { content: "Do not translate"; }</style>
+  <script>alert("Hello there");</script>
+</head>
+<body>
+  <nav aria-label="Main menu"><a href="/" title="Go home">Home</a> | <a href=/docs>Docs</a></nav>
+  <p>Click <b>Save</b> to keep <em>your</em> changes &amp; continue.</p>
+  <p>Logo: <img src="logo.png" alt="Company logo"></p>
+  <p><img src="icon.png" alt='Settings icon'></p>
+  <input type="text" placeholder=Search>
+  <p translate="no">Brand Name Inc</p>
+  <p>Use <span translate="no">FooBar</span> and <code>npm run build</code>.</p>
+  <pre>
+    Preformatted text
+  </pre>
+</body>
+</html>`;
+
+const TRANSLATIONS = {
+  'Welcome page': '欢迎页',
+  'Main menu': '主菜单',
+  'Go home': '回到首页',
+  '⟦a1⟧Home⟦/a1⟧ | ⟦a2⟧Docs⟦/a2⟧': '⟦a1⟧首页⟦/a1⟧ | ⟦a2⟧文档⟦/a2⟧',
+  'Click ⟦b1⟧Save⟦/b1⟧ to keep ⟦em2⟧your⟦/em2⟧ changes & continue.': '点击⟦b1⟧保存⟦/b1⟧以保留⟦em2⟧你的⟦/em2⟧更改并继续。',
+  'Logo: ⟦img1⟧': '标志：⟦img1⟧',
+  'Company logo': '公司 "标志"',
+  'Settings icon': "设置'图标",
+  Search: '搜索',
+  'Use ⟦span1⟧ and ⟦code2⟧.': '使用 ⟦span1⟧ 和 ⟦code2⟧。',
+};
+
+describe('HTML', () => {
+  it('只提取文本节点与可译属性，行内标签不拆句', () => {
+    const { segments } = parseHTML(PAGE);
+    expect(segments.map(s => [s.key ?? null, s.original])).toEqual([
+      [null, 'Welcome page'],
+      ['@aria-label', 'Main menu'],
+      [null, '⟦a1⟧Home⟦/a1⟧ | ⟦a2⟧Docs⟦/a2⟧'],
+      ['@title', 'Go home'],
+      [null, 'Click ⟦b1⟧Save⟦/b1⟧ to keep ⟦em2⟧your⟦/em2⟧ changes & continue.'],
+      [null, 'Logo: ⟦img1⟧'],
+      ['@alt', 'Company logo'],
+      ['@alt', 'Settings icon'],
+      ['@placeholder', 'Search'],
+      [null, 'Use ⟦span1⟧ and ⟦code2⟧.'],
+    ]);
+    expect(segments[9].inlineTags['⟦span1⟧']).toBe('<span translate="no">FooBar</span>');
+  });
+
+  it('导出时原位替换文本和属性，其余内容不变', () => {
+    const { segments } = parseHTML(PAGE);
+    const translated = segments.map(s => ({ ...s, status: 'completed', translated: TRANSLATIONS[s.original] }));
+    const output = exportHTML(PAGE, translated, { targetLang: 'zh' });
+
+    expect(output).toContain('<html lang="zh-CN">');
+    expect(output).toContain('<title>欢迎页</title>');
+    expect(output).toContain('<script>alert("Hello there");</script>');
+    expect(output).toContain('<nav aria-label="主菜单"><a href="/" title="回到首页">首页</a> | <a href=/docs>文档</a></nav>');
+    expect(output).toContain('<p>点击<b>保存</b>以保留<em>你的</em>更改并继续。</p>');
+    // 段落内图片的 alt 随段落写回，段落外的单独替换
+    expect(output).toContain('<p>标志：<img src="logo.png" alt="公司 &quot;标志&quot;"></p>');
+    expect(output).toContain("<p><img src=\"icon.png\" alt='设置&#39;图标'></p>");
+    expect(output).toContain('<input type="text" placeholder="搜索">');
+    expect(output).toContain('<p translate="no">Brand Name Inc</p>');
+    expect(output).toContain('<p>使用 <span translate="no">FooBar</span> 和 <code>npm run build</code>。</p>');
+    expect(output).toContain('<pre>\n    Preformatted text\n  </pre>');
+  });
+
+  it('未翻译的段落保持原文', () => {
+    const { segments } = parseHTML(PAGE);
+    expect(exportHTML(PAGE, segments)).toBe(PAGE);
+  });
+});
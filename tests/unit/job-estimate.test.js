@@ -0,0 +1,139 @@
+// tests/unit/job-estimate.test.js
+// 文档任务预估测试
+//
+// 覆盖: 批量 / 单条请求数（按翻译源 / 模板设置分批）, token 与字符计费, 延迟 / 并发 / RPM 耗时, 价格表查找, 实际用量对比
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  PROMPT_OVERHEAD_TOKENS,
+  getPrice,
+  planRequests,
+  estimateJob,
+  createUsage,
+  recordUsage,
+  compareWithActual,
+} = await import('../../src/utils/job-estimate.js');
+
+// 每段 40 个英文字符 → 14 tokens
+const segments = Array.from({ length: 12 }, (_, id) => ({ id, original: 'x'.repeat(40), status: 'pending' }));
+
+const providers = [
+  { id: 'openai', name: 'OpenAI', type: 'llm', model: 'gpt-4o-mini', latency: { ms: 1000, samples: 5, level: 'fast' } },
+  { id: 'deepl', name: 'DeepL', type: 'api', latency: { ms: null, samples: 0, level: 'fast' } },
+];
+
+describe('planRequests', () => {
+  it('单条模式每段一个请求，批量模式按 batchSegments 分批', () => {
+    expect(planRequests(segments)).toHaveLength(12);
+    expect(planRequests(segments, { batchMode: true, batchSize: 5 }).map(batch => batch.length)).toEqual([5, 5, 2]);
+  });
+
+  it('失败的段落也参与分批', () => {
+    const mixed = segments.slice(0, 3).map(s => ({ ...s, status: 'error' }));
+    expect(planRequests(mixed, { batchMode: true, batchSize: 5 })).toHaveLength(1);
+  });
+
+  it('批次同时受 token 上限限制', () => {
+    const long = segments.slice(0, 3).map(s => ({ ...s, tokens: 1500 }));
+    expect(planRequests(long, { batchMode: true, batchSize: 5 }).map(batch => batch.length)).toEqual([1, 1, 1]);
+  });
+
+  it('指定了翻译源 / 模板的段落只和设置相同的段落同批', () => {
+    const override = { provider: 'deepl', template: 'formal' };
+    const mixed = segments.slice(0, 4).map((s, i) => (i % 2 ? { ...s, override } : s));
+    const batches = planRequests(mixed, { batchMode: true, batchSize: 5 });
+    expect(batches.map(batch => batch.map(s => s.id))).toEqual([[0, 2], [1, 3]]);
+  });
+});
+
+describe('getPrice', () => {
+  it('模型价格优先，其次翻译源价格，最后默认价格', () => {
+    const prices = { openai: { input: 1, output: 2 }, 'openai:gpt-4o': { input: 5, output: 15 } };
+    expect(getPrice(prices, 'openai', 'gpt-4o')).toEqual({ input: 5, output: 15 });
+    expect(getPrice(prices, 'openai', 'gpt-4o-mini')).toEqual({ input: 1, output: 2 });
+    expect(getPrice({}, 'deepl')).toEqual({ input: 25 });
+    expect(getPrice({}, 'gemini', 'flash')).toBe(null);
+  });
+});
+
+describe('estimateJob', () => {
+  it('LLM 按 token 计费，机器翻译按字符计费', () => {
+    const estimate = estimateJob(segments, {
+      providers,
+      sourceLang: 'en',
+      targetLang: 'zh',
+      batchMode: true,
+      batchSize: 5,
+      concurrency: 2,
+      contextTokens: 100,
+      prices: { 'openai:gpt-4o-mini': { input: 1, output: 4 } },
+    });
+    expect(estimate).toMatchObject({ segments: 12, sourceTokens: 168, sourceChars: 480 });
+
+    const [openai, deepl] = estimate.rows;
+    expect(openai).toMatchObject({
+      unit: 'tokens',
+      requests: 3,
+      inputTokens: 168 + 3 * (PROMPT_OVERHEAD_TOKENS + 100),
+      // 英文 → 中文约为原文 token 的两倍
+      outputTokens: 336,
+      latencyMs: 1000,
+      measured: true,
+      seconds: 2,
+    });
+    expect(openai.cost).toBeCloseTo((1068 * 1 + 336 * 4) / 1e6);
+
+    expect(deepl).toMatchObject({ unit: 'chars', chars: 480, outputTokens: 0, measured: false, latencyMs: 500 });
+    expect(deepl.cost).toBeCloseTo(480 / 1e6 * 25);
+  });
+
+  it('每分钟请求数上限拉长耗时；没有价格时费用为 null', () => {
+    const [row] = estimateJob(segments, {
+      providers: [{ id: 'gemini', type: 'llm', latency: { ms: null, level: 'medium' } }],
+      concurrency: 4,
+      rpmLimits: { gemini: 6 },
+    }).rows;
+    expect(row.seconds).toBe(120);
+    expect(row.cost).toBe(null);
+  });
+});
+
+describe('compareWithActual', () => {
+  it('汇总实际请求并与预估对比', () => {
+    let usage = createUsage();
+    usage = recordUsage(usage, { provider: 'openai', source: 'x'.repeat(40), target: '你好', success: true });
+    usage = recordUsage(usage, { provider: 'openai', source: 'x'.repeat(40), target: '世界', success: true });
+    usage = recordUsage(usage, { source: 'x'.repeat(40), success: false });
+    expect(usage).toMatchObject({ requests: 3, failed: 1 });
+    expect(usage.providers.openai).toEqual({ requests: 2, sourceTokens: 28, outputTokens: 8, chars: 80 });
+
+    const row = { requests: 2, inputTokens: 428, outputTokens: 8, chars: 80, seconds: 4, cost: 0.001 };
+    const comparison = compareWithActual(row, usage, {
+      elapsedMs: 6000,
+      providers,
+      prices: { openai: { input: 1, output: 4 } },
+    });
+    const byKey = Object.fromEntries(comparison.map(item => [item.key, item]));
+    expect(byKey.requests).toEqual({ key: 'requests', estimated: 2, actual: 3, diff: 0.5 });
+    expect(byKey.inputTokens.actual).toBe(28 + 2 * PROMPT_OVERHEAD_TOKENS);
+    expect(byKey.time).toMatchObject({ actual: 6, diff: 0.5 });
+    expect(byKey.cost.actual).toBeCloseTo((428 + 8 * 4) / 1e6);
+  });
+
+  it('用到没有价格的翻译源时实际费用为 null', () => {
+    const usage = recordUsage(createUsage(), { provider: 'gemini', source: 'abc', target: 'x', success: true });
+    const cost = compareWithActual({ requests: 1, cost: null }, usage, { providers: [{ id: 'gemini', type: 'llm' }] })
+      .find(item => item.key === 'cost');
+    expect(cost).toEqual({ key: 'cost', estimated: null, actual: null, diff: null });
+  });
+});
@@ -0,0 +1,160 @@
+// tests/unit/markdown.test.js
+// Markdown 结构化解析与回写测试
+//
+// 覆盖: 非正文保持原样, 行内结构占位符, 表格单元格, 列表 / 引用前缀, 逐字节回写
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseMarkdown, exportMarkdown } = await import('../../src/utils/formats/markdown.js');
+const { detectHeadings } = await import('../../src/utils/document-parser.js');
+
+const README = `---
+title: Demo
+tags: [a, b]
+---
+
+# Getting Started #
+
+Install the [CLI tool](https://example.com/cli "Docs") with \`npm i -g demo\`.
+It works on <kbd>Linux</kbd> and macOS.
+
+![Screenshot of the app](./docs/shot.png)
+
+\`\`\`bash
+# not a heading
+npm install demo
+\`\`\`
+
+<div align="center">
+  <img src="logo.png">
+</div>
+
+- First item
+  continues here
+- [ ] Task item
+1. Numbered
+
+> Quoted text
+> on two lines
+
+| Option | Description |
+| ------ | :---------- |
+| \`--out\` | Output directory |
+
+Setext Title
+------------
+
+    indented code block
+
+[cli]: https://example.com/cli
+***
+`;
+
+const texts = (segments) => segments.filter(s => s.status === 'pending').map(s => s.original);
+
+// 模拟翻译：把字母转成大写，占位符保持不变
+const upper = (segments) => segments.map(s => (
+  s.status === 'skipped' ? s : {
+    ...s,
+    status: 'completed',
+    translated: s.original.replace(/⟦[^⟧]*⟧|[a-z]+/g, m => (m.startsWith('⟦') ? m : m.toUpperCase())),
+  }
+));
+
+describe('parseMarkdown', () => {
+  it('只提取正文节点', () => {
+    const { segments } = parseMarkdown(README);
+    const all = texts(segments).join('\n');
+
+    expect(all).not.toContain('title: Demo');
+    expect(all).not.toContain('npm install demo');
+    expect(all).not.toContain('not a heading');
+    expect(all).not.toContain('logo.png');
+    expect(all).not.toContain('indented code block');
+    expect(all).not.toContain('https://example.com');
+    expect(all).not.toContain('-----');
+  });
+
+  it('标题、列表、引用去掉标记，链接文字和图片 alt 可译', () => {
+    const { segments } = parseMarkdown(README);
+    const list = texts(segments);
+
+    expect(list[0]).toBe('Getting Started');
+    expect(list[1]).toMatch(/^Install the ⟦a\d+⟧CLI tool⟦\/a\d+⟧ with ⟦code\d+⟧\.\nIt works on ⟦html\d+⟧Linux⟦html\d+⟧ and macOS\.$/);
+    expect(list[2]).toMatch(/^⟦img\d+⟧Screenshot of the app⟦\/img\d+⟧$/);
+    expect(list).toContain('First item\ncontinues here');
+    expect(list).toContain('Task item');
+    expect(list).toContain('Numbered');
+    expect(list).toContain('Quoted text\non two lines');
+    expect(list).toEqual(expect.arrayContaining(['Option', 'Description', 'Output directory']));
+  });
+
+  it('列表后的表格 / 代码围栏 / 标题结束列表，之后的缩进代码块不翻译', () => {
+    const tail = '\n\n    indented code\n';
+    const blocks = ['| A | B |\n|---|---|\n| c | d |', '```\nfenced\n```', '## Heading', '---'];
+    blocks.forEach((block) => {
+      const source = `- item\n\n${block}${tail}`;
+      const { segments } = parseMarkdown(source);
+      expect(texts(segments)).not.toContain('indented code');
+      expect(exportMarkdown(source, upper(segments))).toContain(tail);
+    });
+  });
+
+  it('标题级别用于大纲', () => {
+    const { segments } = parseMarkdown(README);
+    const headings = detectHeadings(segments);
+    expect(headings.map(h => [h.level, h.text])).toEqual([[1, 'Getting Started'], [2, 'Setext Title']]);
+  });
+
+  it('仅含代码的单元格跳过', () => {
+    const { segments } = parseMarkdown(README);
+    const cell = segments.find(s => s.blockType === 'table-cell' && s.inlineTags && Object.values(s.inlineTags).includes('`--out`'));
+    expect(cell.status).toBe('skipped');
+  });
+});
+
+describe('exportMarkdown', () => {
+  it('未翻译时逐字节不变', () => {
+    const { segments } = parseMarkdown(README);
+    expect(exportMarkdown(README, segments)).toBe(README);
+  });
+
+  it('只替换正文，结构原样保留', () => {
+    const { segments } = parseMarkdown(README);
+    const output = exportMarkdown(README, upper(segments));
+
+    expect(output).toContain('---\ntitle: Demo\ntags: [a, b]\n---');
+    expect(output).toContain('# GETTING STARTED #');
+    expect(output).toContain('INSTALL THE [CLI TOOL](https://example.com/cli "Docs") WITH `npm i -g demo`.\nIT WORKS ON <kbd>LINUX</kbd> AND MACOS.');
+    expect(output).toContain('![SCREENSHOT OF THE APP](./docs/shot.png)');
+    expect(output).toContain('```bash\n# not a heading\nnpm install demo\n```');
+    expect(output).toContain('- FIRST ITEM\n  CONTINUES HERE\n- [ ] TASK ITEM\n1. NUMBERED');
+    expect(output).toContain('> QUOTED TEXT\n> ON TWO LINES');
+    expect(output).toContain('| OPTION | DESCRIPTION |\n| ------ | :---------- |\n| `--out` | OUTPUT DIRECTORY |');
+    expect(output).toContain('SETEXT TITLE\n------------');
+    expect(output).toContain('    indented code block\n\n[cli]: https://example.com/cli\n***\n');
+  });
+
+  it('译文行数变化时使用续行前缀', () => {
+    const source = '> one\n> two\n> three\n';
+    const { segments } = parseMarkdown(source);
+    const translated = [{ ...segments[0], status: 'completed', translated: '一二三' }];
+    expect(exportMarkdown(source, translated)).toBe('> 一二三\n');
+  });
+
+  it('表格单元格内的 | 和换行被转义', () => {
+    const source = '| A |\n|---|\n| cell |\n';
+    const { segments } = parseMarkdown(source);
+    const translated = segments.map(s => ({ ...s, status: 'completed', translated: s.original === 'cell' ? 'x | y\nz' : 'B' }));
+    expect(exportMarkdown(source, translated)).toBe('| B |\n|---|\n| x \\| y z |\n');
+  });
+});
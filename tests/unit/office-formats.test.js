@@ -0,0 +1,258 @@
+// tests/unit/office-formats.test.js
+// PPTX / XLSX 解析与回写测试
+//
+// 覆盖: 幻灯片顺序, 备注与表格, run 格式占位符, 共享 / 内联字符串, 工作表与列过滤,
+//       Word 超链接 / 文本框 / 页眉脚注, 回写原始包
+
+import { describe, it, expect, vi } from 'vitest';
+import JSZip from 'jszip';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseDOCXPackage, exportDOCXPackage } = await import('../../src/utils/formats/docx.js');
+const { parsePPTX, exportPPTX } = await import('../../src/utils/formats/pptx.js');
+const { parseXLSX, exportXLSX, parseColumnFilter } = await import('../../src/utils/formats/xlsx.js');
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const rels = (items) => `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+  items.map(([id, type, target]) => `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`).join('')
+}</Relationships>`;
+
+async function buildPPTX() {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<p:presentation xmlns:p="p" xmlns:r="r">
+    <p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst>
+  </p:presentation>`);
+  // rId2 → slide1, rId3 → slide2：放映顺序以 sldIdLst 为准
+  zip.file('ppt/_rels/presentation.xml.rels', rels([['rId2', 'slide', 'slides/slide1.xml'], ['rId3', 'slide', 'slides/slide2.xml']]));
+  zip.file('ppt/slides/slide1.xml', `<p:sld><p:txBody>
+    <a:p><a:r><a:rPr lang="en-US"/><a:t>Second slide</a:t></a:r></a:p>
+  </p:txBody></p:sld>`);
+  zip.file('ppt/slides/slide2.xml', `<p:sld><p:txBody>
+    <a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US" sz="2400"/><a:t>Hello </a:t></a:r><a:r><a:rPr lang="en-US" sz="2400" b="1"/><a:t>bold</a:t></a:r><a:r><a:rPr lang="en-US" sz="2400" dirty="0"/><a:t> world &amp; more</a:t></a:r><a:br><a:rPr/></a:br><a:r><a:rPr lang="en-US" sz="2400"/><a:t>Line two</a:t></a:r><a:endParaRPr lang="en-US"/></a:p>
+    <a:p><a:fld id="{1}" type="slidenum"><a:t>1</a:t></a:fld></a:p>
+  </p:txBody><a:tbl><a:tr><a:tc><a:txBody><a:p><a:r><a:t>Cell text</a:t></a:r></a:p></a:txBody></a:tc></a:tr></a:tbl></p:sld>`);
+  zip.file('ppt/slides/_rels/slide2.xml.rels', rels([['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']]));
+  zip.file('ppt/notesSlides/notesSlide1.xml', '<p:notes><a:p><a:r><a:t>Speaker notes</a:t></a:r></a:p></p:notes>');
+  zip.file('ppt/media/image1.png', 'binary');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+async function buildDOCX() {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document><w:body>'
+    + '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Service Agreement</w:t></w:r></w:p>'
+    + '<w:p w:rsidR="00A1"><w:pPr><w:jc w:val="both"/></w:pPr><w:bookmarkStart w:id="0" w:name="_Ref1"/>'
+    + '<w:r><w:rPr><w:lang w:val="en-US"/></w:rPr><w:t xml:space="preserve">The </w:t></w:r><w:proofErr w:type="spellStart"/>'
+    + '<w:r><w:rPr><w:b/><w:lang w:val="en-US"/></w:rPr><w:t>Client</w:t></w:r><w:bookmarkEnd w:id="0"/>'
+    + '<w:r><w:rPr><w:lang w:val="en-US"/></w:rPr><w:t xml:space="preserve"> agrees to the terms at</w:t><w:tab/><w:t xml:space="preserve"> </w:t></w:r>'
+    + '<w:hyperlink r:id="rId9"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t>our site</w:t></w:r></w:hyperlink>'
+    + '<w:r><w:t>.</w:t></w:r></w:p>'
+    + '<w:p><w:r><w:drawing><wp:anchor><mc:AlternateContent><mc:Choice><wps:txbx><w:txbxContent>'
+    + '<w:p><w:r><w:t>Box text</w:t></w:r></w:p></w:txbxContent></wps:txbx></mc:Choice>'
+    + '<mc:Fallback><w:pict><v:textbox><w:txbxContent><w:p><w:r><w:t>Box text</w:t></w:r></w:p></w:txbxContent></v:textbox></w:pict></mc:Fallback>'
+    + '</mc:AlternateContent></wp:anchor></w:drawing></w:r></w:p>'
+    + '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Cell one</w:t></w:r></w:p></w:tc></w:tr></w:tbl>'
+    + '<w:p/>'
+    + '<w:p><w:r><w:t>See note</w:t></w:r><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="1"/></w:r></w:p>'
+    + '<w:sectPr><w:headerReference r:id="rId2"/></w:sectPr></w:body></w:document>');
+  zip.file('word/_rels/document.xml.rels', rels([
+    ['rId2', 'header', 'header1.xml'],
+    ['rId3', 'footnotes', 'footnotes.xml'],
+    ['rId4', 'styles', 'styles.xml'],
+  ]));
+  zip.file('word/header1.xml', '<w:hdr><w:p><w:r><w:t>Confidential</w:t></w:r></w:p></w:hdr>');
+  zip.file('word/footnotes.xml', '<w:footnotes>'
+    + '<w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>'
+    + '<w:footnote w:id="1"><w:p><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> A footnote</w:t></w:r></w:p></w:footnote>'
+    + '</w:footnotes>');
+  zip.file('word/styles.xml', '<w:styles/>');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+async function buildXLSX() {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<workbook xmlns:r="r"><sheets>
+    <sheet name="Main" sheetId="1" r:id="rId1"/><sheet name="Other" sheetId="2" r:id="rId2"/>
+  </sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', rels([
+    ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+    ['rId2', 'worksheet', 'worksheets/sheet2.xml'],
+    ['rId3', 'sharedStrings', 'sharedStrings.xml'],
+  ]));
+  zip.file('xl/sharedStrings.xml', `<sst count="5" uniqueCount="3">`
+    + '<si><t>Name</t></si>'
+    + '<si><r><t xml:space="preserve">Total </t></r><r><rPr><b/></rPr><t>amount</t></r></si>'
+    + '<si><t>Shared label</t></si>'
+    + '</sst>');
+  zip.file('xl/worksheets/sheet1.xml', '<worksheet><sheetData><row r="1">'
+    + '<c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c>'
+    + '<c r="D1"><f>SUM(E1:E2)</f><v>3</v></c>'
+    + '<c r="E1" t="inlineStr"><is><t>Inline note</t></is></c>'
+    + '</row></sheetData></worksheet>');
+  zip.file('xl/worksheets/sheet2.xml', '<worksheet><sheetData><row r="1">'
+    + '<c r="A1" t="s"><v>2</v></c><c r="B1" t="s"><v>0</v></c>'
+    + '</row></sheetData></worksheet>');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+const translateAll = (segments, map) => segments.map(s => (
+  s.status === 'skipped' ? s : { ...s, status: 'completed', translated: map(s.original) }
+));
+
+describe('PPTX', () => {
+  it('按放映顺序提取幻灯片、表格和备注', async () => {
+    const { segments, slideCount } = await parsePPTX(await buildPPTX());
+    expect(slideCount).toBe(2);
+    // 只有页码域的段落没有文本 run，不产生段落
+    expect(segments.map(s => s.key)).toEqual(['slide1', 'slide1:table', 'slide1:notes', 'slide2']);
+    expect(segments[0].original).toMatch(/^Hello ⟦r\d+⟧bold⟦\/r\d+⟧ world & more⟦br\d+⟧Line two$/);
+    expect(segments[2].original).toBe('Speaker notes');
+  });
+
+  it('回写 run，保留段落属性与其它部件', async () => {
+    const source = await buildPPTX();
+    const { segments } = await parsePPTX(source);
+    const translated = translateAll(segments, text => text
+      .replace('Hello ', '你好 ')
+      .replace('bold', '粗体')
+      .replace(' world & more', ' 世界 & 更多')
+      .replace('Line two', '第二行')
+      .replace('Cell text', '单元格')
+      .replace('Speaker notes', '演讲者备注')
+      .replace('Second slide', '第二张'));
+
+    const output = await exportPPTX(source, translated, { targetLang: 'zh', outputType: 'uint8array' });
+    const zip = await JSZip.loadAsync(output);
+    const slide = await zip.file('ppt/slides/slide2.xml').async('text');
+
+    expect(slide).toContain('<a:pPr algn="ctr"/><a:r><a:rPr lang="zh-CN" sz="2400"/><a:t>你好 </a:t></a:r>'
+      + '<a:r><a:rPr lang="zh-CN" sz="2400" b="1"/><a:t>粗体</a:t></a:r>'
+      + '<a:r><a:rPr lang="zh-CN" sz="2400"/><a:t> 世界 &amp; 更多</a:t></a:r><a:br><a:rPr/></a:br>'
+      + '<a:r><a:rPr lang="zh-CN" sz="2400"/><a:t>第二行</a:t></a:r><a:endParaRPr lang="en-US"/>');
+    expect(slide).toContain('<a:fld id="{1}" type="slidenum"><a:t>1</a:t></a:fld>');
+    expect(slide).toContain('<a:t>单元格</a:t>');
+    expect(await zip.file('ppt/notesSlides/notesSlide1.xml').async('text')).toContain('演讲者备注');
+    expect(await zip.file('ppt/media/image1.png').async('text')).toBe('binary');
+  });
+});
+
+describe('DOCX', () => {
+  it('按段落提取正文、文本框、表格、脚注和页眉', async () => {
+    const { segments } = await parseDOCXPackage(await buildDOCX());
+    expect(segments.map(s => [s.location, s.original.replace(/⟦\/?[a-z]+\d+⟧/g, '')])).toEqual([
+      ['body', 'Service Agreement'],
+      ['body', 'The Client agrees to the terms at our site.'],
+      ['textbox', 'Box text'],
+      ['body', 'Cell one'],
+      ['body', 'See note'],
+      ['footnote', ' A footnote'],
+      ['header', 'Confidential'],
+    ]);
+    expect(segments[0].headingLevel).toBe(1);
+    // lang 不同不算格式变化，拼写标记丢弃，书签 / 制表符 / 超链接为占位符
+    expect(segments[1].original).toMatch(/^The ⟦r\d+⟧Client⟦\/r\d+⟧⟦bookmarkend\d+⟧ agrees to the terms at⟦tab\d+⟧ ⟦link\d+⟧⟦r\d+⟧our site⟦\/r\d+⟧⟦\/link\d+⟧\.$/);
+  });
+
+  it('回写原始包，保留段落属性、超链接与文本框备用内容', async () => {
+    const source = await buildDOCX();
+    const { segments } = await parseDOCXPackage(source);
+    const translated = translateAll(segments, text => text
+      .replace('Service Agreement', '服务协议')
+      .replace('The ', '')
+      .replace('Client', '客户')
+      .replace(' agrees to the terms at', '同意以下条款')
+      .replace('our site', '我们的网站')
+      .replace('.', '。')
+      .replace('Box text', '文本框')
+      .replace('Cell one', '单元格')
+      .replace('See note', '见注释')
+      .replace(' A footnote', ' 脚注')
+      .replace('Confidential', '机密'));
+
+    const output = await exportDOCXPackage(source, translated, { targetLang: 'zh', outputType: 'uint8array' });
+    const zip = await JSZip.loadAsync(output);
+    const doc = await zip.file('word/document.xml').async('text');
+
+    expect(doc).toContain('<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">服务协议</w:t></w:r></w:p>');
+    expect(doc).toContain('<w:pPr><w:jc w:val="both"/></w:pPr><w:bookmarkStart w:id="0" w:name="_Ref1"/>'
+      + '<w:r><w:rPr><w:b/><w:lang w:val="zh-CN"/></w:rPr><w:t xml:space="preserve">客户</w:t></w:r><w:bookmarkEnd w:id="0"/>'
+      + '<w:r><w:rPr><w:lang w:val="zh-CN"/></w:rPr><w:t xml:space="preserve">同意以下条款</w:t></w:r>'
+      + '<w:r><w:rPr><w:lang w:val="zh-CN"/></w:rPr><w:tab/></w:r>'
+      + '<w:r><w:rPr><w:lang w:val="zh-CN"/></w:rPr><w:t xml:space="preserve"> </w:t></w:r>'
+      + '<w:hyperlink r:id="rId9"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t xml:space="preserve">我们的网站</w:t></w:r></w:hyperlink>'
+      + '<w:r><w:rPr><w:lang w:val="zh-CN"/></w:rPr><w:t xml:space="preserve">。</w:t></w:r></w:p>');
+    expect(doc).toContain('<w:txbxContent><w:p><w:r><w:t xml:space="preserve">文本框</w:t></w:r></w:p></w:txbxContent></wps:txbx>');
+    expect(doc).toContain('<mc:Fallback><w:pict><v:textbox><w:txbxContent><w:p><w:r><w:t>Box text</w:t></w:r></w:p>');
+    expect(doc).toContain('<w:p/>');
+    expect(doc).toContain('<w:footnoteReference w:id="1"/></w:r></w:p><w:sectPr>');
+    expect(await zip.file('word/header1.xml').async('text')).toContain('机密');
+    const footnotes = await zip.file('word/footnotes.xml').async('text');
+    expect(footnotes).toContain('<w:separator/>');
+    expect(footnotes).toContain('<w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> 脚注</w:t></w:r>');
+  });
+});
+
+describe('XLSX', () => {
+  it('共享字符串去重，公式单元格不提取', async () => {
+    const { segments, sheets } = await parseXLSX(await buildXLSX());
+    expect(sheets).toEqual(['Main', 'Other']);
+    expect(segments.map(s => s.key)).toEqual(['Main!A1', 'Main!B1', 'Main!C1', 'Main!E1']);
+    expect(segments[1].original).toMatch(/^Total ⟦r\d+⟧amount⟦\/r\d+⟧$/);
+    expect(segments[2].cells).toHaveLength(2);
+  });
+
+  it('工作表与列过滤', async () => {
+    const source = await buildXLSX();
+    const bySheet = await parseXLSX(source, { sheets: ['Other'] });
+    expect(bySheet.segments.map(s => s.key)).toEqual(['Other!A1', 'Other!B1']);
+
+    const byColumn = await parseXLSX(source, { columns: 'A, C-E' });
+    expect(byColumn.segments.map(s => s.key)).toEqual(['Main!A1', 'Main!C1', 'Main!E1']);
+    expect([...parseColumnFilter('b-d')]).toEqual([2, 3, 4]);
+  });
+
+  it('全部引用都选中时原地替换', async () => {
+    const source = await buildXLSX();
+    const { segments } = await parseXLSX(source);
+    const output = await exportXLSX(source, translateAll(segments, text => `[${text}]`), { outputType: 'uint8array' });
+    const zip = await JSZip.loadAsync(output);
+    const shared = await zip.file('xl/sharedStrings.xml').async('text');
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('text');
+
+    expect(shared).toContain('<si><t xml:space="preserve">[Name]</t></si>');
+    expect(shared).toContain('<r><t xml:space="preserve">[Total </t></r><r><rPr><b/></rPr><t xml:space="preserve">amount</t></r><r><t xml:space="preserve">]</t></r>');
+    expect(shared).toContain('uniqueCount="3"');
+    expect(sheet).toContain('<f>SUM(E1:E2)</f><v>3</v>');
+    expect(sheet).toContain('<is><t xml:space="preserve">[Inline note]</t></is>');
+  });
+
+  it('过滤掉的单元格保持原文', async () => {
+    const source = await buildXLSX();
+    const { segments } = await parseXLSX(source, { sheets: ['Main'] });
+    const output = await exportXLSX(source, translateAll(segments, text => `[${text}]`), { outputType: 'uint8array' });
+    const zip = await JSZip.loadAsync(output);
+    const shared = await zip.file('xl/sharedStrings.xml').async('text');
+    const main = await zip.file('xl/worksheets/sheet1.xml').async('text');
+    const other = await zip.file('xl/worksheets/sheet2.xml').async('text');
+
+    // 共享字符串 0、2 也被 Other 引用：追加新条目，Main 改指向新索引
+    expect(shared).toContain('<si><t>Name</t></si>');
+    expect(shared).toContain('<si><t>Shared label</t></si>');
+    expect(shared).toContain('uniqueCount="5"');
+    expect(shared).toMatch(/<si><t xml:space="preserve">\[Name\]<\/t><\/si><si><t xml:space="preserve">\[Shared label\]<\/t><\/si><\/sst>$/);
+    expect(main).toContain('<c r="A1" t="s"><v>3</v></c>');
+    expect(main).toContain('<c r="C1" t="s"><v>4</v></c>');
+    expect(main).toContain('<c r="B1" t="s"><v>1</v></c>');
+    expect(other).toContain('<c r="A1" t="s"><v>2</v></c><c r="B1" t="s"><v>0</v></c>');
+  });
+});
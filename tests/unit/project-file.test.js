@@ -0,0 +1,80 @@
+// tests/unit/project-file.test.js
+// 项目文件（.ttproj）测试
+//
+// 覆盖: 文本 / 二进制原文件往返, 设置与备注, 术语表子集, 无效文件
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  createProjectFile,
+  readProjectFile,
+  selectGlossarySubset,
+} = await import('../../src/utils/project-file.js');
+
+const SEGMENTS = [
+  { id: 0, original: 'Open the API settings.', translated: '打开 API 设置。', status: 'completed' },
+  { id: 1, original: 'Then restart.', translated: '', status: 'translating' },
+];
+
+describe('createProjectFile / readProjectFile', () => {
+  it('文本原文件、段落、设置和备注往返不变', async () => {
+    const data = await createProjectFile({
+      document: { filename: 'guide.md', format: 'md', formatName: 'Markdown', sourceContent: '# Guide\n\nOpen the API settings.' },
+      segments: SEGMENTS,
+      outline: [{ level: 1, text: 'Guide', segmentId: 0, children: [] }],
+      settings: { targetLang: 'zh', template: 'precise', provider: 'deepl' },
+      glossary: [{ source: 'API', target: 'API' }],
+      notes: 'Check headings',
+    }, { type: 'uint8array' });
+
+    const project = await readProjectFile(data);
+    expect(project.document).toEqual({
+      filename: 'guide.md',
+      format: 'md',
+      formatName: 'Markdown',
+      sourceContent: '# Guide\n\nOpen the API settings.',
+    });
+    expect(project.segments.map(s => s.status)).toEqual(['completed', 'pending']);
+    expect(project.segments[0].translated).toBe('打开 API 设置。');
+    expect(project.outline[0].text).toBe('Guide');
+    expect(project.settings).toEqual({ targetLang: 'zh', template: 'precise', provider: 'deepl' });
+    expect(project.glossary).toEqual([{ source: 'API', target: 'API' }]);
+    expect(project.notes).toBe('Check headings');
+  });
+
+  it('二进制原文件按字节保存', async () => {
+    const bytes = new Uint8Array([80, 75, 3, 4, 0, 255]);
+    const data = await createProjectFile({
+      document: { filename: 'deck.pptx', format: 'pptx', sourceBuffer: bytes.buffer },
+      segments: SEGMENTS,
+    }, { type: 'uint8array' });
+
+    const project = await readProjectFile(data);
+    expect(new Uint8Array(project.document.sourceBuffer)).toEqual(bytes);
+    expect(project.document.sourceContent).toBeUndefined();
+  });
+
+  it('拒绝不是项目文件的内容', async () => {
+    await expect(readProjectFile(new TextEncoder().encode('hello'))).rejects.toThrow('不是有效的项目文件');
+  });
+});
+
+describe('selectGlossarySubset', () => {
+  it('只保留原文中出现的术语（忽略大小写）', () => {
+    const glossary = [
+      { source: 'api', target: 'API' },
+      { source: 'Dashboard', target: '仪表盘' },
+    ];
+    expect(selectGlossarySubset(glossary, SEGMENTS)).toEqual([{ source: 'api', target: 'API' }]);
+    expect(selectGlossarySubset([], SEGMENTS)).toEqual([]);
+  });
+});
@@ -0,0 +1,323 @@
+// tests/unit/resource-formats.test.js
+// 软件本地化资源文件解析与回写测试
+//
+// 覆盖: 占位符保护, PO (msgctxt/复数/fuzzy), i18n JSON（一般 JSON 的过滤）, Android strings.xml（<resources> 识别）, Apple .strings,
+//       YAML（非文本值、flow 集合）
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { protectPlaceholders } = await import('../../src/utils/formats/placeholders.js');
+const { createInlineTagCollector } = await import('../../src/utils/formats/xml-utils.js');
+const { parsePO, exportPO } = await import('../../src/utils/formats/po.js');
+const { parseI18nJSON, exportI18nJSON } = await import('../../src/utils/formats/i18n-json.js');
+const { isAndroidStringsXML, parseAndroidStrings, exportAndroidStrings } = await import('../../src/utils/formats/android-strings.js');
+const { parseAppleStrings, exportAppleStrings } = await import('../../src/utils/formats/apple-strings.js');
+const { parseYAML, exportYAML } = await import('../../src/utils/formats/yaml.js');
+
+// 模拟翻译：逐段给出译文，占位符原样保留
+function translate(segments, map) {
+  return segments.map(s => (
+    s.status === 'skipped' ? s : { ...s, status: 'completed', translated: map(s.original, s) }
+  ));
+}
+
+describe('protectPlaceholders', () => {
+  const protect = (text, options) => protectPlaceholders(text, createInlineTagCollector(), options);
+
+  it('保护 printf / 命名占位符', () => {
+    const { text, tags } = protect('Hello %1$s, you have %d items (%.2f%%) and %{count} {{name}}');
+    expect(text).not.toMatch(/%1\$s|%d|%\.2f|%%|%\{count\}|\{\{name\}\}/);
+    expect(Object.values(tags)).toEqual(
+      expect.arrayContaining(['%1$s', '%d', '%.2f', '%%', '%{count}', '{{name}}'])
+    );
+  });
+
+  it('ICU 复数只保护结构，分支文本可翻译', () => {
+    const { text, tags } = protect('{count, plural, one {# file} other {# files}}');
+    expect(text).toContain('file');
+    expect(text).toContain('files');
+    expect(text).not.toContain('plural');
+    expect(Object.values(tags).join('')).toContain('{count, plural,');
+  });
+
+  it('简单 ICU 变量整体保护', () => {
+    const { text } = protect('Welcome back, {userName}!');
+    expect(text).not.toContain('userName');
+    expect(text).toContain('Welcome back');
+  });
+});
+
+const PO = `msgid ""
+msgstr ""
+"Project-Id-Version: demo\\n"
+"Content-Type: text/plain; charset=UTF-8\\n"
+
+#. Main menu
+#: src/menu.c:12
+msgctxt "menu"
+msgid "Open"
+msgstr ""
+
+#, fuzzy, c-format
+msgid "Hello %s"
+msgstr "旧的 %s"
+
+msgid "Saved"
+msgstr "已保存"
+
+msgid "%d file"
+msgid_plural "%d files"
+msgstr[0] ""
+msgstr[1] ""
+
+#~ msgid "Obsolete"
+#~ msgstr "过时"
+`;
+
+describe('PO', () => {
+  it('解析 msgctxt、fuzzy、复数，已翻译条目跳过', () => {
+    const { segments } = parsePO(PO);
+    expect(segments.map(s => s.key)).toEqual(['menu', '', '', '', '(plural)']);
+    expect(segments[0].note).toContain('msgctxt: menu');
+    expect(segments[0].note).toContain('Main menu');
+    expect(segments[1].status).toBe('pending');
+    expect(segments[1].note).toContain('fuzzy');
+    expect(segments[2].status).toBe('skipped');
+    expect(segments[2].filterReason).toBe('已翻译');
+    expect(segments.some(s => s.original === 'Obsolete')).toBe(false);
+  });
+
+  it('回写 msgstr，保留 flags，按 nplurals 写复数', () => {
+    const { segments } = parsePO(PO);
+    const translated = translate(segments, (text) => `[zh]${text}`);
+    const output = exportPO(PO, translated, { targetLang: 'zh' });
+
+    expect(output).toContain('msgctxt "menu"\nmsgid "Open"\nmsgstr "[zh]Open"');
+    expect(output).toContain('#, fuzzy, c-format');
+    expect(output).toContain('msgstr "[zh]Hello %s"');
+    expect(output).toContain('msgstr "已保存"');
+    // 中文只有一种复数形式，使用复数译文
+    expect(output).toContain('msgstr[0] "[zh]%d files"');
+    expect(output).not.toContain('msgstr[1]');
+    expect(output).toContain('"Language: zh_CN\\n"');
+    expect(output).toContain('"Plural-Forms: nplurals=1; plural=0;\\n"');
+    expect(output).toContain('#~ msgid "Obsolete"');
+  });
+});
+
+describe('i18n JSON', () => {
+  const JSON_SOURCE = `{
+    "app": {
+      "title": "Translator",
+      "count": "{{n}} items",
+      "ok": "OK"
+    },
+    "list": ["First", "https://example.com"],
+    "version": 2
+}
+`;
+
+  it('每个字符串一个段落，键路径只用于定位', () => {
+    const { segments } = parseI18nJSON(JSON_SOURCE);
+    expect(segments.map(s => s.key)).toEqual(['app.title', 'app.count', 'app.ok', 'list[0]', 'list[1]']);
+    expect(segments[2].status).toBe('pending'); // 短字符串不再被丢弃
+    expect(segments[4].filterReason).toBe('非文本');
+    expect(segments[1].original).not.toContain('{{n}}');
+  });
+
+  it('一般 JSON 数据中的 URL / 日期 / ID 跳过，并应用文档过滤设置', () => {
+    const data = JSON.stringify({
+      homepage: 'https://example.com/docs?page=2',
+      createdAt: '2024-05-01T08:30:00.000Z',
+      id: '3f1c2a9e-8b7d-4c6e-9a1b-2d3e4f5a6b7c',
+      count: '42',
+      label: 'Hi',
+      description: 'A longer sentence to translate.',
+    });
+
+    const { segments } = parseI18nJSON(data, { filters: { skipShort: true, minLength: 5 } });
+    expect(segments.filter(s => s.status === 'pending').map(s => s.key)).toEqual(['description']);
+    expect(segments.slice(0, 4).every(s => s.filterReason === '非文本')).toBe(true);
+    expect(segments[4].filterReason).toBe('过短');
+  });
+
+  it('按原结构和缩进回写', () => {
+    const { segments } = parseI18nJSON(JSON_SOURCE);
+    const translated = translate(segments, (text) => `${text}!`);
+    const output = exportI18nJSON(JSON_SOURCE, translated);
+    const data = JSON.parse(output);
+
+    expect(data.app.title).toBe('Translator!');
+    expect(data.app.count).toBe('{{n}} items!');
+    expect(data.list).toEqual(['First!', 'https://example.com']);
+    expect(data.version).toBe(2);
+    expect(output).toMatch(/^\{\n {4}"app"/);
+    expect(output.endsWith('}\n')).toBe(true);
+  });
+});
+
+describe('Android strings.xml', () => {
+  const XML = `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:xliff="urn:oasis:names:tc:xliff:document:1.2">
+    <!-- App name in launcher -->
+    <string name="app_name">My App</string>
+    <string name="api_key" translatable="false">abc123</string>
+    <string name="welcome">Don\\'t <b>forget</b>, <xliff:g id="user">%1$s</xliff:g>!</string>
+    <string name="alias">@string/app_name</string>
+    <plurals name="songs">
+        <item quantity="one">%d song</item>
+        <item quantity="other">%d songs</item>
+    </plurals>
+    <string-array name="planets">
+        <item>Mercury</item>
+        <item>Venus</item>
+    </string-array>
+</resources>`;
+
+  it('解析 string / plurals / string-array，跳过不翻译和引用', () => {
+    const { segments } = parseAndroidStrings(XML);
+    expect(segments.map(s => s.key)).toEqual([
+      'app_name', 'api_key', 'welcome', 'alias',
+      'songs[one]', 'songs[other]', 'planets[0]', 'planets[1]',
+    ]);
+    expect(segments[0].note).toBe('App name in launcher');
+    expect(segments[1].filterReason).toBe('不翻译');
+    expect(segments[3].filterReason).toBe('资源引用');
+    expect(segments[2].original).toContain("Don't");
+    expect(segments[2].original).not.toContain('%1$s');
+    expect(segments[2].original).not.toContain('<b>');
+  });
+
+  it('回写时转义并还原内联标签', () => {
+    const { segments } = parseAndroidStrings(XML);
+    const translated = translate(segments, (text) => text.replace("Don't", "N'oubliez pas").replace('forget', 'oublier'));
+    const output = exportAndroidStrings(XML, translated);
+
+    expect(output).toContain('<string name="welcome">N\\\'oubliez pas <b>oublier</b>, <xliff:g id="user">%1$s</xliff:g>!</string>');
+    expect(output).toContain('<string name="api_key" translatable="false">abc123</string>');
+    expect(output).toContain('<item quantity="other">%d songs</item>');
+    expect(output).toContain('<!-- App name in launcher -->');
+  });
+
+  it('只有根元素为 <resources> 的 XML 按 Android 资源解析', () => {
+    expect(isAndroidStringsXML(XML)).toBe(true);
+    expect(isAndroidStringsXML('<!-- strings -->\n<resources/>')).toBe(true);
+    expect(isAndroidStringsXML('<?xml version="1.0"?>\n<project><string>Name</string></project>')).toBe(false);
+    expect(isAndroidStringsXML('<xliff version="1.2"><resources/></xliff>')).toBe(false);
+  });
+});
+
+describe('Apple .strings', () => {
+  const STRINGS = `/* Title of the main window */
+"main.title" = "Welcome";
+
+/* No comment provided by engineer. */
+"greeting" = "Hello, %@! Say \\"hi\\"";
+plainKey = "Line\\nbreak";
+`;
+
+  it('解析键值与注释', () => {
+    const { segments } = parseAppleStrings(STRINGS);
+    expect(segments.map(s => s.key)).toEqual(['main.title', 'greeting', 'plainKey']);
+    expect(segments[0].note).toBe('Title of the main window');
+    expect(segments[1].note).toBe('');
+    expect(segments[1].original).toContain('Say "hi"');
+    expect(segments[1].original).not.toContain('%@');
+    expect(segments[2].original).toBe('Line\nbreak');
+  });
+
+  it('只替换值字面量', () => {
+    const { segments } = parseAppleStrings(STRINGS);
+    const translated = translate(segments, (text) => text.replace('Welcome', '欢迎').replace('Hello', '你好').replace('Line', '行'));
+    const output = exportAppleStrings(STRINGS, translated);
+
+    expect(output).toContain('"main.title" = "欢迎";');
+    expect(output).toContain('"greeting" = "你好, %@! Say \\"hi\\"";');
+    expect(output).toContain('plainKey = "行\\nbreak";');
+    expect(output).toContain('/* Title of the main window */');
+  });
+});
+
+describe('YAML', () => {
+  const YAML = `# Rails locale
+en:
+  app:
+    # Window title
+    title: Translator
+    greeting: "Hello, %{name}!"
+    quote: 'It''s here'
+    enabled: true
+    body: |
+      First line
+      Second line
+  menu:
+    - Open
+    - Save: now
+  base: &base
+    label: Base
+  copy: *base
+`;
+
+  it('解析嵌套映射、序列和块标量', () => {
+    const { segments } = parseYAML(YAML);
+    expect(segments.map(s => s.key)).toEqual([
+      'en.app.title', 'en.app.greeting', 'en.app.quote', 'en.app.body',
+      'en.menu[0]', 'en.menu[1].Save', 'en.base.label',
+    ]);
+    expect(segments[0].note).toBe('Window title');
+    expect(segments[1].original).not.toContain('%{name}');
+    expect(segments[2].original).toBe("It's here");
+    expect(segments[3].original).toBe('First line\nSecond line');
+  });
+
+  it('保持引号风格和缩进回写', () => {
+    const { segments } = parseYAML(YAML);
+    const translated = translate(segments, (text) => text
+      .replace('Translator', 'Traducteur: pro')
+      .replace('Hello', 'Bonjour')
+      .replace("It's here", "C'est ici")
+      .replace('First line\nSecond line', 'Ligne un\nLigne deux')
+      .replace(/^Open$/, 'Ouvrir'));
+    const output = exportYAML(YAML, translated);
+
+    // plain 值含 ": " 时自动加引号
+    expect(output).toContain('    title: "Traducteur: pro"');
+    expect(output).toContain('    greeting: "Bonjour, %{name}!"');
+    expect(output).toContain("    quote: 'C''est ici'");
+    expect(output).toContain('    enabled: true');
+    expect(output).toContain('    body: |\n      Ligne un\n      Ligne deux\n  menu:');
+    expect(output).toContain('    - Ouvrir');
+    expect(output).toContain('  base: &base\n');
+    expect(output).toContain('  copy: *base');
+  });
+
+  it('URL、路径和数字标为非文本，flow 集合整体跳过', () => {
+    const { segments } = parseYAML(`links:
+  home: https://example.com/docs
+  logo: assets/images/logo.png
+  config: /etc/app/config.yml
+  build: "1.2.3"
+  port: '8080'
+  label: Read more
+  tags: [news, sports]
+  sizes: {small: Small, large: Large}
+`);
+    expect(segments.map(s => [s.key, s.filterReason || null])).toEqual([
+      ['links.home', '非文本'],
+      ['links.logo', '非文本'],
+      ['links.config', '非文本'],
+      ['links.build', '非文本'],
+      ['links.port', '非文本'],
+      ['links.label', null],
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/review-io.test.js
+// 双语审校表测试
+//
+// 覆盖: Word / Excel 导出后导回, 修订模式与共享字符串, 按 ID 匹配与原文校验, 接受修改并记录, 差异高亮
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+
+const {
+  buildReviewRows,
+  exportReviewDOCX,
+  exportReviewXLSX,
+  importReviewFile,
+  diffReviewRows,
+  applyReviewCorrections,
+  diffText,
+} = await import('../../src/utils/review-io.js');
+
+const segments = [
+  { id: 0, original: 'Hello world', translated: '你好世界', status: 'completed' },
+  { id: 1, original: 'Line one\nLine two', translated: '第一行\n第二行', status: 'completed' },
+  { id: 2, original: '<b>', translated: '', status: 'skipped' },
+  { id: 3, original: 'Save ⟦r1⟧now⟦/r1⟧ & exit', translated: '', status: 'pending' },
+];
+
+/**
+ * 修改包内部件（模拟审校人员编辑）
+ */
+async function editPart(data, path, edit) {
+  const zip = await JSZip.loadAsync(data);
+  zip.file(path, edit(await zip.file(path).async('text')));
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('buildReviewRows', () => {
+  it('跳过的段落不导出，ID 转为字符串', () => {
+    expect(buildReviewRows(segments).map(row => row.id)).toEqual(['0', '1', '3']);
+  });
+});
+
+describe('Word 审校表', () => {
+  it('导出后原样导回', async () => {
+    const data = await exportReviewDOCX(segments, { comments: true, title: 'Doc', outputType: 'uint8array' });
+    const rows = await importReviewFile(data, 'review.docx');
+    expect(rows).toEqual([
+      { id: '0', source: 'Hello world', target: '你好世界', comment: '' },
+      { id: '1', source: 'Line one\nLine two', target: '第一行\n第二行', comment: '' },
+      { id: '3', source: 'Save ⟦r1⟧now⟦/r1⟧ & exit', target: '', comment: '' },
+    ]);
+  });
+
+  it('去掉 XML 不允许的控制字符，保留制表符', async () => {
+    const bell = { id: 'a', original: 'Bell\u0007', translated: '铃\t声', status: 'completed' };
+    const data = await exportReviewDOCX([bell], { outputType: 'uint8array' });
+    const rows = await importReviewFile(data, 'review.docx');
+    expect(rows).toEqual([{ id: 'a', source: 'Bell', target: '铃\t声', comment: '' }]);
+    expect(diffReviewRows([bell], rows)).toMatchObject({ unchanged: 1, mismatched: 0 });
+  });
+
+  it('修订模式：删除的文字不计入，插入的文字计入', async () => {
+    const data = await exportReviewDOCX(segments, { comments: true, outputType: 'uint8array' });
+    const edited = await editPart(data, 'word/document.xml', xml => xml
+      .replace('<w:t xml:space="preserve">你好世界</w:t></w:r>',
+        '<w:t xml:space="preserve">你好</w:t></w:r><w:del w:id="1"><w:r><w:delText>世界</w:delText></w:r></w:del>'
+        + '<w:ins w:id="2"><w:r><w:t>，世界！</w:t></w:r></w:ins>')
+      .replace(/(<w:tc><w:tcPr><w:tcW w:w="2200" w:type="dxa"\/><\/w:tcPr>)<w:p><w:r><\/w:r><\/w:p>/, '$1<w:p><w:r><w:t>加标点</w:t></w:r></w:p>'));
+    const rows = await importReviewFile(edited, 'review.docx');
+    expect(rows[0]).toMatchObject({ target: '你好，世界！', comment: '加标点' });
+  });
+});
+
+describe('Excel 审校表', () => {
+  it('导出后原样导回', async () => {
+    const data = await exportReviewXLSX(segments, { outputType: 'uint8array' });
+    const rows = await importReviewFile(data, 'review.xlsx');
+    expect(rows.map(row => [row.id, row.source, row.target])).toEqual([
+      ['0', 'Hello world', '你好世界'],
+      ['1', 'Line one\nLine two', '第一行\n第二行'],
+      ['3', 'Save ⟦r1⟧now⟦/r1⟧ & exit', ''],
+    ]);
+  });
+
+  it('读取共享字符串和数字 ID', async () => {
+    const data = await exportReviewXLSX(segments, { comments: true, outputType: 'uint8array' });
+    const zip = await JSZip.loadAsync(data);
+    zip.file('xl/sharedStrings.xml', '<sst><si><t>你好，世界</t></si><si><r><t>语气</t></r><r><rPr><b/></rPr><t>太生硬</t></r><rPh><t>ご</t></rPh></si></sst>');
+    zip.file('xl/_rels/workbook.xml.rels', (await zip.file('xl/_rels/workbook.xml.rels').async('text'))
+      .replace('</Relationships>', '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/></Relationships>'));
+    zip.file('xl/worksheets/sheet1.xml', (await zip.file('xl/worksheets/sheet1.xml').async('text'))
+      .replace(/<c r="A2" t="inlineStr" s="2"><is>.*?<\/is><\/c>/, '<c r="A2"><v>0</v></c>')
+      .replace(/<c r="C2" t="inlineStr" s="3"><is>.*?<\/is><\/c>/, '<c r="C2" t="s" s="3"><v>0</v></c>')
+      .replace(/<c r="D2" t="inlineStr" s="3"><is>.*?<\/is><\/c>/, '<c r="D2" t="s"><v>1</v></c>'));
+    const rows = await importReviewFile(await zip.generateAsync({ type: 'uint8array' }), 'Review.XLSX');
+    expect(rows[0]).toEqual({ id: '0', source: 'Hello world', target: '你好，世界', comment: '语气太生硬' });
+  });
+
+  it('不支持的格式报错', async () => {
+    await expect(importReviewFile(new Uint8Array(), 'review.csv')).rejects.toThrow('.csv');
+  });
+});
+
+describe('diffReviewRows / applyReviewCorrections', () => {
+  const rows = [
+    { id: '0', source: 'Hello  world ', target: '你好，世界', comment: '加标点' },
+    { id: '1', source: 'Line one Line two', target: '第一行\n第二行 ', comment: '没问题' },
+    { id: '3', source: 'Save ⟦r1⟧now⟦/r1⟧ & exit', target: '', comment: '' },
+    { id: '2', source: '<b>', target: '粗体', comment: '' },
+    { id: '9', source: 'Missing', target: '缺失', comment: '' },
+    { id: '0', source: 'Hello world', target: '重复', comment: '' },
+  ];
+
+  it('按 ID 匹配，忽略原文空白差异', () => {
+    const result = diffReviewRows(segments, rows);
+    expect(result.corrections).toEqual([
+      { segmentId: 0, index: 0, before: '你好世界', after: '你好，世界', comment: '加标点' },
+    ]);
+    expect(result.comments).toEqual([{ segmentId: 1, index: 1, comment: '没问题' }]);
+    // 空译文视为未修改；跳过的段落、找不到的 ID、重复的行都算未知
+    expect(result).toMatchObject({ unchanged: 2, unknown: 3, mismatched: 0 });
+  });
+
+  it('原文不一致的行不导入', () => {
+    const result = diffReviewRows(segments, [{ id: '0', source: 'Other text', target: '别的', comment: '' }]);
+    expect(result).toMatchObject({ corrections: [], mismatched: 1 });
+  });
+
+  it('接受的修改记入修改记录', () => {
+    const { corrections } = diffReviewRows(segments, rows);
+    const result = applyReviewCorrections(segments, corrections);
+    expect(result.changed).toBe(1);
+    expect(result.segments[0]).toMatchObject({ translated: '你好，世界', review: 'edited' });
+    expect(result.segments[0].undoStack[0]).toMatchObject({
+      translated: '你好世界',
+      change: { type: 'review', comment: '加标点' },
+    });
+    expect(result.segments[1]).toBe(segments[1]);
+  });
+});
+
+describe('diffText', () => {
+  it('英文按词、中文按字比较', () => {
+    expect(diffText('The quick fox', 'The slow fox')).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' fox' },
+    ]);
+    expect(diffText('你好世界', '你好，世界')).toEqual([
+      { type: 'equal', text: '你好' },
+      { type: 'insert', text: '，' },
+      { type: 'equal', text: '世界' },
+    ]);
+  });
+
+  it('空文本', () => {
+    expect(diffText('', 'abc')).toEqual([{ type: 'insert', text: 'abc' }]);
+    expect(diffText('abc', 'abc')).toEqual([{ type: 'equal', text: 'abc' }]);
+  });
+});
@@ -0,0 +1,198 @@
+// tests/unit/segment-review.test.js
+// 段落审校状态测试
+//
+// 覆盖: 状态推断, 编辑 / 确认 / 撤销, 整句字幕拆分译文的修改, 修改记录, 机器翻译不覆盖用户译文, 重新翻译版本与切换, 下一个未确认段落, 计数, 只导出已确认
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  REVIEW_STATUS,
+  getReviewStatus,
+  isReviewLocked,
+  applyMachineResult,
+  editSegment,
+  editCueParts,
+  confirmSegment,
+  undoSegment,
+  addSegmentVersion,
+  switchSegmentVersion,
+  findNextUnconfirmed,
+  countReviewStatuses,
+  keepConfirmedOnly,
+} = await import('../../src/utils/segment-review.js');
+
+const segment = (id, extra = {}) => ({ id, original: `Text ${id}`, translated: '', status: 'pending', ...extra });
+const machine = (id) => segment(id, { translated: `译文 ${id}`, status: 'completed' });
+
+describe('getReviewStatus', () => {
+  it('没有 review 字段时按翻译状态推断', () => {
+    expect(getReviewStatus(segment(0))).toBe(REVIEW_STATUS.DRAFT);
+    expect(getReviewStatus(segment(0, { status: 'error' }))).toBe(REVIEW_STATUS.DRAFT);
+    expect(getReviewStatus(machine(0))).toBe(REVIEW_STATUS.MACHINE);
+    expect(getReviewStatus({ ...machine(0), review: 'confirmed' })).toBe(REVIEW_STATUS.CONFIRMED);
+  });
+});
+
+describe('editSegment / confirmSegment / undoSegment', () => {
+  it('编辑后标记为 edited 并可撤销', () => {
+    const edited = editSegment(machine(1), '新译文');
+    expect(edited).toMatchObject({ translated: '新译文', status: 'completed', review: 'edited' });
+    expect(isReviewLocked(edited)).toBe(true);
+
+    const undone = undoSegment(edited);
+    expect(undone).toMatchObject({ translated: '译文 1', status: 'completed', review: 'machine', undoStack: [] });
+  });
+
+  it('编辑失败的段落会清除错误', () => {
+    const edited = editSegment(segment(2, { status: 'error', error: 'timeout' }), '手动译文');
+    expect(edited).toMatchObject({ status: 'completed', review: 'edited', error: undefined });
+  });
+
+  it('清空译文回到待翻译', () => {
+    const cleared = editSegment(machine(3), '  ');
+    expect(cleared).toMatchObject({ status: 'pending', review: 'draft' });
+    expect(isReviewLocked(cleared)).toBe(false);
+  });
+
+  it('内容不变时不记录撤销点', () => {
+    const original = machine(4);
+    expect(editSegment(original, '译文 4')).toBe(original);
+  });
+
+  it('保存并确认只记一个撤销点', () => {
+    const confirmed = editSegment(machine(5), '改好的译文', { confirm: true });
+    expect(confirmed).toMatchObject({ review: 'confirmed', translated: '改好的译文' });
+    expect(confirmed.undoStack).toHaveLength(1);
+    expect(undoSegment(confirmed)).toMatchObject({ review: 'machine', translated: '译文 5' });
+  });
+
+  it('没有译文的段落不能确认', () => {
+    const pending = segment(6);
+    expect(confirmSegment(pending)).toBe(pending);
+    expect(confirmSegment(machine(6))).toMatchObject({ review: 'confirmed' });
+  });
+
+  it('撤销点记录修改类型和时间', () => {
+    const confirmed = confirmSegment(editSegment(machine(8), '人工'));
+    expect(confirmed.undoStack.map(entry => entry.change)).toEqual([{ type: 'edit' }, { type: 'confirm' }]);
+    expect(typeof confirmed.undoStack[0].time).toBe('number');
+    expect(editSegment(machine(8), '新', { confirm: true }).undoStack[0].change).toEqual({ type: 'edit', confirm: true });
+  });
+
+  it('修改整句字幕的拆分译文：已确认的段落改为 edited，撤销恢复原来的拆分', () => {
+    const sentence = {
+      ...machine(9),
+      review: 'confirmed',
+      cues: [{ original: 'A' }, { original: 'B' }],
+      cueParts: ['译文', '9'],
+      cuePartsFor: '译文 9',
+    };
+    const fixed = editCueParts(sentence, ['译文\n', '9'], { change: { type: 'balance' } });
+    expect(fixed).toMatchObject({ translated: '译文 9', cueParts: ['译文\n', '9'], cuePartsFor: '译文 9', review: 'edited' });
+    expect(fixed.undoStack[0].change).toEqual({ type: 'balance' });
+
+    expect(undoSegment(fixed)).toMatchObject({ review: 'confirmed', cueParts: ['译文', '9'], cuePartsFor: '译文 9' });
+  });
+
+  it('撤销记录有上限', () => {
+    let current = machine(7);
+    for (let i = 0; i < 30; i++) current = editSegment(current, `版本 ${i}`);
+    expect(current.undoStack).toHaveLength(20);
+  });
+});
+
+describe('applyMachineResult', () => {
+  it('写入机器译文并标记为 machine', () => {
+    expect(applyMachineResult(segment(0), { status: 'completed', translated: '机翻' }))
+      .toMatchObject({ translated: '机翻', review: 'machine' });
+    expect(applyMachineResult(segment(0), { status: 'translating' })).toMatchObject({ review: 'draft' });
+  });
+
+  it('不覆盖用户编辑或确认过的译文', () => {
+    const edited = editSegment(machine(1), '人工译文');
+    expect(applyMachineResult(edited, { status: 'completed', translated: '机翻' })).toBe(edited);
+    const confirmed = confirmSegment(machine(2));
+    expect(applyMachineResult(confirmed, { status: 'error', error: 'x' })).toBe(confirmed);
+  });
+});
+
+describe('addSegmentVersion / switchSegmentVersion', () => {
+  const precise = { provider: 'deepl', template: 'precise' };
+
+  it('旧译文保留为 v1，新译文为当前版本', () => {
+    const next = addSegmentVersion(machine(1), '精确译文', precise, { provider: 'openai', template: 'natural' });
+    expect(next).toMatchObject({ translated: '精确译文', review: 'machine', currentVersionId: 'v2' });
+    expect(next.versions).toMatchObject([
+      { id: 'v1', type: 'original', text: '译文 1', provider: 'openai', template: 'natural' },
+      { id: 'v2', type: 'retranslation', text: '精确译文', provider: 'deepl', template: 'precise' },
+    ]);
+    expect(next.undoStack.at(-1).change).toEqual({ type: 'retranslate', provider: 'deepl', template: 'precise' });
+  });
+
+  it('用户确认过的译文也可重新翻译，切回时恢复审校状态', () => {
+    const next = addSegmentVersion(confirmSegment(machine(2)), '新译文', precise);
+    expect(next.review).toBe('machine');
+    const back = switchSegmentVersion(next, 'v1');
+    expect(back).toMatchObject({ translated: '译文 2', review: 'confirmed', currentVersionId: 'v1' });
+  });
+
+  it('切换前把当前版本的修改写回该版本', () => {
+    const edited = editSegment(addSegmentVersion(machine(3), '新译文', precise), '新译文（改）');
+    const back = switchSegmentVersion(edited, 'v1');
+    expect(back.versions[1]).toMatchObject({ text: '新译文（改）', review: 'edited' });
+    expect(switchSegmentVersion(back, 'v2')).toMatchObject({ translated: '新译文（改）', review: 'edited' });
+  });
+
+  it('没有译文的段落只有新版本，撤销恢复之前的版本', () => {
+    expect(addSegmentVersion(segment(4), '译文', precise).versions.map(v => v.id)).toEqual(['v1']);
+    const twice = addSegmentVersion(addSegmentVersion(machine(5), 'A', precise), 'B', precise);
+    expect(twice.versions.map(v => v.text)).toEqual(['译文 5', 'A', 'B']);
+    expect(undoSegment(twice)).toMatchObject({ translated: 'A', currentVersionId: 'v2' });
+    expect(undoSegment(undoSegment(twice))).toMatchObject({ translated: '译文 5', currentVersionId: 'v1' });
+  });
+
+  it('版本不存在或已是当前版本时不变', () => {
+    const next = addSegmentVersion(machine(6), '新', precise);
+    expect(switchSegmentVersion(next, 'v9')).toBe(next);
+    expect(switchSegmentVersion(next, 'v2')).toBe(next);
+  });
+});
+
+describe('findNextUnconfirmed', () => {
+  const segments = [
+    confirmSegment(machine(0)),
+    machine(1),
+    segment(2, { status: 'skipped' }),
+    confirmSegment(machine(3)),
+    segment(4),
+  ];
+
+  it('从当前段落往后查找，跳过已确认和跳过的段落', () => {
+    expect(findNextUnconfirmed(segments, 1).id).toBe(4);
+    expect(findNextUnconfirmed(segments).id).toBe(1);
+  });
+
+  it('到末尾后从头开始，没有时返回 null', () => {
+    expect(findNextUnconfirmed(segments, 4).id).toBe(1);
+    const allConfirmed = segments.map(s => (s.status === 'skipped' ? s : editSegment(s, '已确认', { confirm: true })));
+    expect(findNextUnconfirmed(allConfirmed, 0)).toBe(null);
+  });
+});
+
+describe('countReviewStatuses / keepConfirmedOnly', () => {
+  const segments = [
+    confirmSegment(machine(0)),
+    machine(1),
+    editSegment(machine(2), '人工'),
+    segment(3),
+    segment(4, { status: 'skipped' }),
+  ];
+
+  it('按审校状态计数（不含跳过的段落）', () => {
+    expect(countReviewStatuses(segments)).toEqual({ draft: 1, machine: 1, edited: 1, confirmed: 1 });
+  });
+
+  it('只保留已确认的译文', () => {
+    expect(keepConfirmedOnly(segments).map(s => s.translated)).toEqual(['译文 0', '', '', '', '']);
+  });
+});
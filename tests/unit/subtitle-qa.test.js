@@ -0,0 +1,100 @@
+// tests/unit/subtitle-qa.test.js
+// 字幕可读性检查测试
+//
+// 覆盖: CPL / CPS / 行数检查, 中日韩单独限制, 整句模式按条检查, 重新断行, 缩短提示词
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  DEFAULT_SUBTITLE_LIMITS,
+  isCJKText,
+  checkCue,
+  checkSubtitles,
+  balanceLines,
+  buildShortenMessages,
+} = await import('../../src/utils/subtitle-qa.js');
+
+const TWO_SECONDS = '00:00:01,000 --> 00:00:03,000';
+
+describe('checkCue', () => {
+  it('符合限制的字幕没有问题', () => {
+    expect(checkCue('A short line.', TWO_SECONDS)).toEqual([]);
+  });
+
+  it('检查每行字数、行数和阅读速度', () => {
+    const text = 'This line is definitely longer than forty-two characters\nSecond\nThird';
+    expect(checkCue(text, TWO_SECONDS)).toEqual([
+      { type: 'lines', value: 3, limit: 2 },
+      { type: 'cpl', value: 56, limit: 42 },
+      { type: 'cps', value: 33.5, limit: 17 },
+    ]);
+  });
+
+  it('中日韩译文使用单独的限制，标签不计入长度', () => {
+    expect(isCJKText('<i>这是中文</i> OK')).toBe(true);
+    expect(checkCue('<i>这是一句超过十六个字的中文字幕内容啊</i>', '00:00:01,000 --> 00:00:10,000')).toEqual([
+      { type: 'cpl', value: 18, limit: 16 },
+    ]);
+    expect(checkCue('⟦tag1⟧十个字十个字十个字', '00:00:01,000 --> 00:00:02,000', { ...DEFAULT_SUBTITLE_LIMITS, maxCPSCJK: 5 }))
+      .toEqual([{ type: 'cps', value: 9, limit: 5 }]);
+  });
+});
+
+describe('checkSubtitles', () => {
+  it('只检查已完成的字幕，整句模式按拆回后的每条检查', () => {
+    const segments = [
+      { id: 0, type: 'subtitle', status: 'pending', timecode: TWO_SECONDS, translated: '' },
+      { id: 1, type: 'subtitle', status: 'completed', timecode: TWO_SECONDS, translated: '好的' },
+      {
+        id: 2,
+        type: 'subtitle',
+        status: 'completed',
+        translated: '这是第一条字幕，而这是第二条非常非常非常非常长的字幕',
+        cues: [
+          { id: 2, original: 'First cue,', timecode: '00:00:01,000 --> 00:00:05,000' },
+          { id: 3, original: 'and a second one.', timecode: '00:00:05,000 --> 00:00:10,000' },
+        ],
+        cueParts: ['这是第一条字幕，', '而这是第二条非常非常非常非常长的字幕'],
+        cuePartsFor: '这是第一条字幕，而这是第二条非常非常非常非常长的字幕',
+      },
+    ];
+    const issues = checkSubtitles(segments);
+    expect([...issues.keys()]).toEqual([2]);
+    expect(issues.get(2)).toEqual([{ type: 'cpl', value: 18, limit: 16, cue: 1 }]);
+  });
+});
+
+describe('balanceLines', () => {
+  it('能放进一行时合并为一行', () => {
+    expect(balanceLines('Short\ntext')).toBe('Short text');
+  });
+
+  it('超长时均分为两行', () => {
+    expect(balanceLines('I never thought that we would end up in this strange little place'))
+      .toBe('I never thought that we would end\nup in this strange little place');
+    expect(balanceLines('我从来没有想过，我们最后会来到这个奇怪的小地方'))
+      .toBe('我从来没有想过，\n我们最后会来到这个奇怪的小地方');
+  });
+});
+
+describe('buildShortenMessages', () => {
+  it('按时长和行长计算字数上限', () => {
+    const [system, user] = buildShortenMessages({
+      original: 'I never thought that we would end up here.',
+      translated: '我从来没有想过我们最后竟然会来到这里。',
+      timecode: TWO_SECONDS,
+    });
+    expect(system.role).toBe('system');
+    expect(user.content).toContain('总长度不超过 18 个字符，最多 2 行，每行不超过 16 个字符');
+    expect(user.content).toContain('我从来没有想过我们最后竟然会来到这里。');
+  });
+});
@@ -0,0 +1,157 @@
+// tests/unit/subtitle-sentences.test.js
+// 字幕整句模式测试
+//
+// 覆盖: 按句末标点 / 间隔 / 对话合并, 按比例与标点拆分, 手动调整, 还原为逐条字幕,
+//       合并 / 还原时保留已有译文、审校状态和撤销记录
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseSRT, exportSRT } = await import('../../src/utils/document-parser.js');
+const {
+  parseTimecode,
+  mergeCuesIntoSentences,
+  splitTranslation,
+  getCueParts,
+  expandSentences,
+} = await import('../../src/utils/subtitle-sentences.js');
+
+const SRT = `1
+00:00:01,000 --> 00:00:02,500
+I never thought that we
+
+2
+00:00:02,600 --> 00:00:04,000
+would end up
+in this place.
+
+3
+00:00:04,100 --> 00:00:05,000
+- Who are you?
+- Nobody.
+
+4
+00:00:05,100 --> 00:00:06,000
+Wait for
+
+5
+00:00:09,000 --> 00:00:10,000
+me here.`;
+
+describe('parseTimecode', () => {
+  it('支持 SRT / VTT 时间码和 VTT 设置', () => {
+    expect(parseTimecode('00:00:01,500 --> 00:00:03,000')).toMatchObject({ startMs: 1500, endMs: 3000 });
+    expect(parseTimecode('01:02.5 --> 01:04.250 align:start')).toMatchObject({ end: '01:04.250', startMs: 62500, endMs: 64250 });
+  });
+});
+
+describe('mergeCuesIntoSentences', () => {
+  it('跨字幕的句子合并，对话和长间隔断开', () => {
+    const sentences = mergeCuesIntoSentences(parseSRT(SRT));
+    expect(sentences.map(s => [s.original, s.cues.map(c => c.index)])).toEqual([
+      ['I never thought that we would end up in this place.', [1, 2]],
+      ['- Who are you?\n- Nobody.', [3]],
+      ['Wait for', [4]],
+      ['me here.', [5]],
+    ]);
+    expect(sentences[0]).toMatchObject({ id: 0, timecode: '00:00:01,000 --> 00:00:04,000', status: 'pending' });
+  });
+
+  it('中日韩文字拼接时不加空格', () => {
+    const cues = parseSRT('1\n00:00:01,000 --> 00:00:02,000\n我从来没想过\n\n2\n00:00:02,100 --> 00:00:03,000\n会走到这一步。');
+    expect(mergeCuesIntoSentences(cues)[0].original).toBe('我从来没想过会走到这一步。');
+  });
+});
+
+describe('splitTranslation', () => {
+  it('按原文长度比例拆分，断点优先落在标点', () => {
+    expect(splitTranslation('我从没想过，我们最终会来到这个地方。', ['I never thought that we', 'would end up in this place.']))
+      .toEqual(['我从没想过，', '我们最终会来到这个地方。']);
+  });
+
+  it('空格分隔的语言在词间断开', () => {
+    expect(splitTranslation('Je ne pensais pas que nous finirions ici un jour', ['aaaaaaaaaa', 'bbbbbbbbbb', 'cccccccccc']))
+      .toEqual(['Je ne pensais', 'pas que nous', 'finirions ici un jour']);
+  });
+
+  it('不切开 HTML 标签', () => {
+    const parts = splitTranslation('<i>一二三四五六</i>', ['abc', 'abc']);
+    expect(parts.join('')).toBe('<i>一二三四五六</i>');
+    expect(parts[0]).toMatch(/^<i>/);
+    expect(parts[1]).toMatch(/<\/i>$/);
+  });
+});
+
+describe('expandSentences', () => {
+  it('手动调整优先，译文变化后重新拆分', () => {
+    const [sentence] = mergeCuesIntoSentences(parseSRT(SRT));
+    const translated = { ...sentence, status: 'completed', translated: '我从没想过，我们最终会来到这个地方。' };
+    const adjusted = { ...translated, cueParts: ['我从没想过，我们', '最终会来到这个地方。'], cuePartsFor: translated.translated };
+
+    expect(getCueParts(adjusted)).toEqual(['我从没想过，我们', '最终会来到这个地方。']);
+    expect(getCueParts({ ...adjusted, translated: '我没想到，我们会来到这里。' })).toEqual(['我没想到，', '我们会来到这里。']);
+
+    expect(exportSRT(expandSentences([adjusted]))).toBe('1\n00:00:01,000 --> 00:00:02,500\n我从没想过，我们\n\n'
+      + '2\n00:00:02,600 --> 00:00:04,000\n最终会来到这个地方。');
+  });
+
+  it('未翻译的整句还原为待翻译的原字幕', () => {
+    const cues = parseSRT(SRT);
+    const expanded = expandSentences(mergeCuesIntoSentences(cues));
+    expect(expanded.map(s => [s.id, s.index, s.status, s.translated])).toEqual(
+      cues.map(c => [c.id, c.index, 'pending', '']),
+    );
+  });
+
+  it('已翻译的字幕合并时保留译文，未改动时原样还原', () => {
+    const cues = parseSRT(SRT).map((cue, i) => ({
+      ...cue,
+      status: 'completed',
+      translated: ['我从没想过我们', '最终会\n来到这个地方。', '- 你是谁？\n- 无名小卒。', '等', '我。'][i],
+      review: i === 1 ? 'confirmed' : 'machine',
+      undoStack: i === 1 ? [{ translated: '会来到这里。', review: 'machine' }] : undefined,
+    }));
+
+    const sentences = mergeCuesIntoSentences(cues);
+    expect(sentences[0]).toMatchObject({
+      translated: '我从没想过我们最终会来到这个地方。',
+      status: 'completed',
+      review: 'edited',
+    });
+    expect(getCueParts(sentences[0])).toEqual(['我从没想过我们', '最终会\n来到这个地方。']);
+
+    const expanded = expandSentences(sentences);
+    expect(expanded).toHaveLength(5);
+    expanded.forEach((cue, i) => expect(cue).toBe(cues[i]));
+  });
+
+  it('已翻译和未翻译的字幕不合并', () => {
+    const cues = parseSRT(SRT);
+    cues[0] = { ...cues[0], status: 'completed', translated: '我从没想过我们', review: 'edited' };
+
+    const sentences = mergeCuesIntoSentences(cues);
+    expect(sentences.map(s => s.cues.length)).toEqual([1, 1, 1, 1, 1]);
+    expect(sentences[0]).toMatchObject({ translated: '我从没想过我们', review: 'edited' });
+  });
+
+  it('整句修改后按新译文拆回，审校状态跟随整句', () => {
+    const cues = parseSRT(SRT).slice(0, 2).map((cue, i) => ({
+      ...cue, status: 'completed', translated: ['我从没想过我们', '最终会来到这个地方。'][i], review: 'machine',
+    }));
+    const [sentence] = mergeCuesIntoSentences(cues);
+    const edited = { ...sentence, translated: '我从没想过，我们会来到这里。', review: 'edited' };
+
+    expect(expandSentences([edited]).map(c => [c.translated, c.review])).toEqual([
+      ['我从没想过，', 'edited'],
+      ['我们会来到这里。', 'edited'],
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+// tests/unit/term-check.test.js
+// 术语检查测试
+//
+// 覆盖: 整词匹配, 词形变化（en/de/es/ru）, 中文子串, 大小写, 禁用译法, 文档报告
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  buildTermPattern,
+  containsTerm,
+  findTerm,
+  glossaryEntriesFromFavorites,
+  checkTerms,
+  checkDocumentTerms,
+} = await import('../../src/utils/term-check.js');
+
+const entry = (id, source, target, extra = {}) => ({
+  id, source, target, caseSensitive: false, forbidden: false, ...extra,
+});
+
+describe('containsTerm', () => {
+  it('uses word boundaries', () => {
+    expect(containsTerm('Pick a category', 'cat')).toBe(false);
+    expect(containsTerm('The cat sleeps', 'cat')).toBe(true);
+    expect(containsTerm('concatenate', 'cat')).toBe(false);
+  });
+
+  it('matches English inflections', () => {
+    expect(containsTerm('Two cats', 'cat', { lang: 'en' })).toBe(true);
+    expect(containsTerm('All libraries', 'library', { lang: 'en' })).toBe(true);
+    expect(containsTerm('The user\'s file', 'user', { lang: 'en' })).toBe(true);
+    expect(containsTerm('while caching data', 'cache', { lang: 'en' })).toBe(true);
+    expect(containsTerm('deployed twice', 'deploy', { lang: 'en' })).toBe(true);
+    expect(containsTerm('Three neural networks', 'neural network', { lang: 'en' })).toBe(true);
+    expect(containsTerm('A neural-network model', 'neural network', { lang: 'en' })).toBe(true);
+    expect(containsTerm('one setting', 'settings', { lang: 'en' })).toBe(true);
+  });
+
+  it('matches plural acronyms only', () => {
+    expect(containsTerm('Public APIs', 'API')).toBe(true);
+    expect(containsTerm('APIary', 'API')).toBe(false);
+  });
+
+  it('matches German, Spanish and Russian endings', () => {
+    expect(containsTerm('die Benutzern', 'Benutzer', { lang: 'de' })).toBe(true);
+    expect(containsTerm('las bibliotecas', 'biblioteca', { lang: 'es' })).toBe(true);
+    expect(containsTerm('в библиотеке', 'библиотека', { lang: 'ru' })).toBe(true);
+    expect(containsTerm('в библиотеке', 'библиотека')).toBe(true);
+  });
+
+  it('matches CJK terms as substrings', () => {
+    expect(containsTerm('这是机器学习模型', '机器学习')).toBe(true);
+    expect(containsTerm('这是机器翻译', '机器学习')).toBe(false);
+  });
+
+  it('respects case sensitivity', () => {
+    expect(containsTerm('an apple pie', 'Apple', { caseSensitive: true })).toBe(false);
+    expect(containsTerm('Apple devices', 'Apple', { caseSensitive: true })).toBe(true);
+    expect(containsTerm('an apple pie', 'Apple')).toBe(true);
+  });
+
+  it('can disable inflection', () => {
+    expect(containsTerm('Two cats', 'cat', { inflect: false })).toBe(false);
+  });
+
+  it('returns matches with positions', () => {
+    expect(findTerm('Cats and a cat', 'cat')).toEqual([
+      { text: 'Cats', index: 0 },
+      { text: 'cat', index: 11 },
+    ]);
+    expect(buildTermPattern('  ')).toBeNull();
+  });
+});
+
+describe('glossaryEntriesFromFavorites', () => {
+  it('keeps glossary items with flags', () => {
+    const entries = glossaryEntriesFromFavorites([
+      { id: '1', sourceText: 'cat', translatedText: '猫', folderId: 'glossary', forbidden: true },
+      { id: '2', sourceText: 'dog', translatedText: '狗', folderId: null },
+      { id: '3', sourceText: 'bird', translatedText: '', folderId: 'glossary' },
+    ]);
+    expect(entries).toEqual([
+      { id: '1', source: 'cat', target: '猫', note: undefined, caseSensitive: false, forbidden: true },
+    ]);
+  });
+});
+
+describe('checkTerms', () => {
+  const entries = [
+    entry('1', 'repository', '仓库'),
+    entry('2', 'repository', '存储库', { forbidden: true }),
+    entry('3', 'cat', '猫'),
+    entry('4', 'workspace', 'espace de travail'),
+  ];
+
+  it('reports missing glossary translations', () => {
+    const issues = checkTerms('Clone the repositories', '克隆代码库', entries, { sourceLang: 'en', targetLang: 'zh' });
+    expect(issues).toEqual([
+      { id: '1', type: 'missing', source: 'repository', target: '仓库', note: undefined },
+    ]);
+  });
+
+  it('does not raise false alarms for substrings', () => {
+    expect(checkTerms('Choose a category', '选择一个类别', entries)).toEqual([]);
+  });
+
+  it('accepts inflected target terms', () => {
+    const issues = checkTerms('Open the workspace', 'Ouvrez les espaces de travail', entries, { targetLang: 'fr' });
+    expect(issues).toEqual([]);
+  });
+
+  it('reports forbidden translations with the preferred replacement', () => {
+    const issues = checkTerms('Clone the repository', '克隆存储库', entries);
+    expect(issues.map(issue => issue.type)).toEqual(['missing', 'forbidden']);
+    expect(issues[1]).toMatchObject({ id: '2', found: '存储库', replacement: '仓库' });
+  });
+
+  it('handles empty input', () => {
+    expect(checkTerms('', '译文', entries)).toEqual([]);
+    expect(checkTerms('cat', '', entries)).toEqual([]);
+    expect(checkTerms('cat', '猫', [])).toEqual([]);
+  });
+});
+
+describe('checkDocumentTerms', () => {
+  it('groups issues by term across segments', () => {
+    const entries = [entry('1', 'cat', '猫'), entry('2', 'cat', '喵星人', { forbidden: true })];
+    const segments = [
+      { id: 'a', original: 'A cat', translated: '一只喵星人' },
+      { id: 'b', original: 'Two cats', translated: '两只猫' },
+      { id: 'c', original: 'The cats', translated: '那些动物' },
+      { id: 'd', original: 'A cat', translated: '' },
+    ];
+    const report = checkDocumentTerms(segments, entries, { sourceLang: 'en', targetLang: 'zh' });
+    expect(report.issues.map(issue => [issue.segmentId, issue.type])).toEqual([
+      ['a', 'missing'], ['a', 'forbidden'], ['c', 'missing'],
+    ]);
+    expect(report.byTerm[0]).toMatchObject({ type: 'missing', count: 2, segmentIds: ['a', 'c'] });
+    expect(report.byTerm[1]).toMatchObject({ type: 'forbidden', count: 1, replacement: '猫' });
+  });
+});
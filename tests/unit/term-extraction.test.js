@@ -0,0 +1,126 @@
+// tests/unit/term-extraction.test.js
+// 术语提取测试
+//
+// 覆盖: 缩写/产品名/名称/短语, 出现次数阈值, 排除已有术语, 占位符, 解析 LLM 返回的译文
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  extractTerms,
+  buildTermTranslationMessages,
+  parseTermTranslations,
+} = await import('../../src/utils/term-extraction.js');
+
+const segment = (id, original, status = 'pending') => ({ id, original, translated: '', status });
+
+const SEGMENTS = [
+  segment(0, 'The API exposes a translation memory for Project Apollo.'),
+  segment(1, 'Translation memory entries are stored locally. Open the side panel in Visual Studio Code.'),
+  segment(2, 'Call the REST APIs from JavaScript or GPT-4 clients.'),
+  segment(3, 'Project Apollo uses the side panel and the translation memory.'),
+  segment(4, 'The API is versioned.'),
+];
+
+const find = (terms, term) => terms.find(item => item.term === term);
+
+describe('extractTerms', () => {
+  it('finds acronyms and merges plurals', () => {
+    const terms = extractTerms(SEGMENTS);
+    expect(find(terms, 'API')).toMatchObject({ type: 'acronym', frequency: 3 });
+    expect(find(terms, 'APIs')).toBeUndefined();
+    expect(find(terms, 'REST')).toMatchObject({ type: 'acronym', frequency: 1 });
+  });
+
+  it('finds product names and capitalized names', () => {
+    const terms = extractTerms(SEGMENTS);
+    expect(find(terms, 'JavaScript')).toMatchObject({ type: 'product' });
+    expect(find(terms, 'GPT-4')).toMatchObject({ type: 'product' });
+    expect(find(terms, 'Project Apollo')).toMatchObject({ type: 'name', frequency: 2 });
+  });
+
+  it('keeps names seen once only when minFrequency allows', () => {
+    expect(find(extractTerms(SEGMENTS), 'Visual Studio Code')).toBeUndefined();
+    expect(find(extractTerms(SEGMENTS, { minFrequency: 1 }), 'Visual Studio Code'))
+      .toMatchObject({ type: 'name', frequency: 1 });
+  });
+
+  it('merges sentence-initial phrases into lowercase phrases', () => {
+    const terms = extractTerms(SEGMENTS);
+    expect(find(terms, 'translation memory')).toMatchObject({ type: 'phrase', frequency: 3 });
+    expect(find(terms, 'Translation Memory')).toBeUndefined();
+    expect(find(terms, 'side panel')).toMatchObject({ type: 'phrase', frequency: 2 });
+  });
+
+  it('drops infrequent phrases and sentence-initial stopwords', () => {
+    const terms = extractTerms(SEGMENTS);
+    expect(find(terms, 'entries are stored')).toBeUndefined();
+    expect(find(terms, 'The')).toBeUndefined();
+    expect(find(terms, 'Call')).toBeUndefined();
+  });
+
+  it('attaches examples from the source segments', () => {
+    const api = find(extractTerms(SEGMENTS), 'API');
+    expect(api.examples).toHaveLength(2);
+    expect(api.examples[0]).toContain('The API exposes');
+  });
+
+  it('excludes existing glossary terms case-insensitively', () => {
+    const terms = extractTerms(SEGMENTS, { exclude: ['api', 'Translation Memory'] });
+    expect(find(terms, 'API')).toBeUndefined();
+    expect(find(terms, 'translation memory')).toBeUndefined();
+  });
+
+  it('ignores skipped segments, placeholders and tags', () => {
+    const terms = extractTerms([
+      segment(0, 'Use ⟦b1⟧SDK⟦/b1⟧ with <span>HTML</span>.'),
+      segment(1, 'The CLI is internal.', 'skipped'),
+    ]);
+    expect(terms.map(item => item.term).sort()).toEqual(['HTML', 'SDK']);
+  });
+
+  it('respects maxTerms', () => {
+    expect(extractTerms(SEGMENTS, { maxTerms: 2 })).toHaveLength(2);
+  });
+});
+
+describe('buildTermTranslationMessages', () => {
+  it('lists terms with an example and the target language', () => {
+    const messages = buildTermTranslationMessages(
+      [{ term: 'API', examples: ['The API exposes'] }, { term: 'side panel' }],
+      { targetLang: 'Chinese (Simplified)' }
+    );
+    expect(messages).toHaveLength(2);
+    expect(messages[0].role).toBe('system');
+    expect(messages[1].content).toContain('Chinese (Simplified)');
+    expect(messages[1].content).toContain('- API（例句：The API exposes）');
+    expect(messages[1].content).toContain('- side panel\n');
+  });
+});
+
+describe('parseTermTranslations', () => {
+  it('parses JSON inside a code fence', () => {
+    const content = '```json\n{"API": "API", "side panel": " 侧边栏 ", "empty": ""}\n```';
+    expect(parseTermTranslations(content)).toEqual({ API: 'API', 'side panel': '侧边栏' });
+  });
+
+  it('falls back to line-based pairs', () => {
+    const content = '- translation memory: 翻译记忆库\n2. side panel => 侧边栏\nnot a pair';
+    expect(parseTermTranslations(content)).toEqual({
+      'translation memory': '翻译记忆库',
+      'side panel': '侧边栏',
+    });
+  });
+
+  it('returns an empty object for empty content', () => {
+    expect(parseTermTranslations('')).toEqual({});
+  });
+});
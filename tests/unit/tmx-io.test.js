@@ -0,0 +1,144 @@
+// tests/unit/tmx-io.test.js
+// TMX 导入/导出测试
+//
+// 覆盖: 语言代码映射, 导出/导入往返, 内联标记, 去重报告, 记忆库批量导入
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  toTMXLang,
+  fromTMXLang,
+  exportToTMX,
+  importFromTMX,
+  historyToTMXUnits,
+  tmxUnitKey,
+  dedupeTMXUnits,
+} = await import('../../src/utils/tmx-io.js');
+const { TranslationMemory } = await import('../../src/services/translation-memory.js');
+
+describe('language code mapping', () => {
+  it('maps app codes to TMX codes', () => {
+    expect(toTMXLang('zh')).toBe('zh-CN');
+    expect(toTMXLang('zh-TW')).toBe('zh-TW');
+    expect(toTMXLang('auto')).toBe('und');
+    expect(toTMXLang('en')).toBe('en');
+  });
+
+  it('maps TMX codes back to LANGUAGES codes', () => {
+    expect(fromTMXLang('zh-Hans').code).toBe('zh');
+    expect(fromTMXLang('ZH-HK').code).toBe('zh-TW');
+    expect(fromTMXLang('en-US').code).toBe('en');
+    expect(fromTMXLang('pt_BR').code).toBe('pt');
+    expect(fromTMXLang('und').code).toBe('auto');
+  });
+
+  it('flags languages that are not in LANGUAGES', () => {
+    expect(fromTMXLang('nl-NL')).toEqual({ code: 'nl', mapped: false });
+  });
+});
+
+describe('exportToTMX / importFromTMX', () => {
+  it('round-trips units including special characters and notes', () => {
+    const xml = exportToTMX([
+      { source: 'A < B & "C"', target: 'A 小于 B', sourceLang: 'en', targetLang: 'zh', note: 'math', createdAt: Date.UTC(2024, 0, 2, 3, 4, 5) },
+    ]);
+    expect(xml).toContain('<tmx version="1.4">');
+    expect(xml).toContain('srclang="en"');
+    expect(xml).toContain('creationdate="20240102T030405Z"');
+
+    const { units, invalid } = importFromTMX(xml);
+    expect(invalid).toBe(0);
+    expect(units).toHaveLength(1);
+    expect(units[0]).toMatchObject({
+      source: 'A < B & "C"',
+      target: 'A 小于 B',
+      sourceLang: 'en',
+      targetLang: 'zh',
+      note: 'math',
+      createdAt: Date.UTC(2024, 0, 2, 3, 4, 5),
+    });
+  });
+
+  it('uses the header srclang and drops inline markup codes', () => {
+    const xml = `<?xml version="1.0"?>
+<tmx version="1.4"><header srclang="en-US" datatype="html"/>
+<body>
+  <tu>
+    <tuv lang="de-DE"><seg>Hallo <bpt i="1">&lt;b&gt;</bpt>Welt<ept i="1">&lt;/b&gt;</ept></seg></tuv>
+    <tuv xml:lang="en-US"><seg>Hello <hi>world</hi><ph>&lt;br/&gt;</ph></seg></tuv>
+    <tuv xml:lang="fr-FR"><seg>Bonjour le monde</seg></tuv>
+  </tu>
+  <tu><tuv xml:lang="en-US"><seg>Lonely</seg></tuv></tu>
+</body></tmx>`;
+    const { units, invalid } = importFromTMX(xml);
+    expect(invalid).toBe(1);
+    expect(units.map(u => [u.source, u.target, u.sourceLang, u.targetLang])).toEqual([
+      ['Hello world', 'Hallo Welt', 'en', 'de'],
+      ['Hello world', 'Bonjour le monde', 'en', 'fr'],
+    ]);
+  });
+
+  it('rejects non-TMX content', () => {
+    expect(() => importFromTMX('{"a":1}')).toThrow();
+  });
+});
+
+describe('dedupeTMXUnits', () => {
+  it('reports duplicates against existing data and within the file', () => {
+    const existing = new Set([tmxUnitKey('Hello', '你好', 'en', 'zh')]);
+    const units = [
+      { source: 'Hello', target: '你好', sourceLang: 'en', targetLang: 'zh' },
+      { source: 'Bye', target: '再见', sourceLang: 'en', targetLang: 'zh' },
+      { source: 'Bye ', target: '再见', sourceLang: 'en', targetLang: 'zh' },
+    ];
+    const { fresh, report } = dedupeTMXUnits(units, existing, { filename: 'a.tmx', invalid: 2 });
+    expect(fresh).toHaveLength(1);
+    expect(report).toMatchObject({ filename: 'a.tmx', total: 5, added: 1, duplicates: 2, skipped: 2, languages: ['en>zh'] });
+  });
+
+  it('converts history items to units', () => {
+    const units = historyToTMXUnits([
+      { sourceText: 'Hi', translatedText: '嗨', sourceLanguage: 'en', targetLanguage: 'zh', timestamp: 1 },
+      { sourceText: 'Empty', translatedText: '' },
+    ]);
+    expect(units).toHaveLength(1);
+    expect(units[0]).toMatchObject({ source: 'Hi', target: '嗨', createdAt: 1 });
+  });
+});
+
+describe('TranslationMemory.importEntries', () => {
+  let tm;
+
+  beforeEach(() => {
+    localStorage.clear();
+    tm = new TranslationMemory({ storageKey: 'tm-import-test' });
+  });
+
+  it('counts duplicates and keeps existing targets on conflict', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    const result = tm.importEntries([
+      { source: 'Hello world', target: '你好世界', sourceLang: 'en', targetLang: 'zh' },
+      { source: 'Hello world', target: '世界你好', sourceLang: 'en', targetLang: 'zh' },
+      { source: 'Good night', target: '晚安', sourceLang: 'en', targetLang: 'zh' },
+      { source: '', target: 'x', sourceLang: 'en', targetLang: 'zh' },
+    ]);
+    expect(result).toEqual({ added: 1, duplicates: 1, conflicts: 1, invalid: 1 });
+    expect(tm.getBestMatch('Hello world', 'en', 'zh').target).toBe('你好世界');
+    expect(tm.size).toBe(2);
+  });
+
+  it('overwrites conflicting targets when asked', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    tm.importEntries([{ source: 'Hello world', target: '世界你好', sourceLang: 'en', targetLang: 'zh' }], { overwrite: true });
+    expect(tm.getBestMatch('Hello world', 'en', 'zh').target).toBe('世界你好');
+  });
+});
@@ -0,0 +1,146 @@
+// tests/unit/translation-memory.test.js
+// 翻译记忆库测试
+//
+// 覆盖: similarity, add/lookup, 完全匹配索引, 语言对隔离, 容量驱逐, 持久化（合并写入）
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock logger before importing translation memory
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const {
+  TranslationMemory,
+  TM_MATCH,
+  similarity,
+  tokenizeSegment,
+} = await import('../../src/services/translation-memory.js');
+
+describe('similarity', () => {
+  it('returns 100 for identical text ignoring extra whitespace', () => {
+    expect(similarity('Hello  world', ' Hello world ')).toBe(100);
+  });
+
+  it('caps case-only differences at 99', () => {
+    expect(similarity('Hello world', 'hello world')).toBe(99);
+  });
+
+  it('scores a one-word difference as a fuzzy match', () => {
+    const score = similarity(
+      'The quick brown fox jumps over the lazy dog.',
+      'The quick brown fox jumps over the sleepy dog.'
+    );
+    expect(score).toBeGreaterThanOrEqual(TM_MATCH.FUZZY);
+    expect(score).toBeLessThan(TM_MATCH.EXACT);
+  });
+
+  it('scores unrelated text low', () => {
+    expect(similarity('Open the settings panel', 'Weather is nice today')).toBeLessThan(TM_MATCH.FUZZY);
+  });
+
+  it('tokenizes CJK text by character', () => {
+    expect(tokenizeSegment('机器学习')).toEqual(['机', '器', '学', '习']);
+  });
+});
+
+describe('TranslationMemory', () => {
+  let tm;
+
+  beforeEach(() => {
+    localStorage.clear();
+    tm = new TranslationMemory({ storageKey: 'tm-test', maxSize: 10 });
+  });
+
+  it('returns an exact match at 100%', () => {
+    tm.add('Save the file before closing.', '关闭前保存文件。', 'en', 'zh');
+    const match = tm.getBestMatch('Save the file before closing.', 'en', 'zh');
+    expect(match.score).toBe(100);
+    expect(match.target).toBe('关闭前保存文件。');
+  });
+
+  it('returns fuzzy matches above the threshold', () => {
+    tm.add('Save the file before closing the window.', '关闭窗口前保存文件。', 'en', 'zh');
+    const matches = tm.lookup('Save the file before closing the tab.', 'en', 'zh');
+    expect(matches).toHaveLength(1);
+    expect(matches[0].score).toBeGreaterThanOrEqual(TM_MATCH.FUZZY);
+    expect(matches[0].score).toBeLessThan(TM_MATCH.EXACT);
+  });
+
+  it('keeps language pairs separate', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    expect(tm.lookup('Hello world', 'en', 'ja')).toEqual([]);
+  });
+
+  it('searches all source languages for auto', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    expect(tm.getBestMatch('Hello world', 'auto', 'zh')?.score).toBe(100);
+  });
+
+  it('updates the target of an existing source instead of duplicating', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    tm.add('Hello world', '世界你好', 'en', 'zh');
+    expect(tm.size).toBe(1);
+    expect(tm.getBestMatch('Hello world', 'en', 'zh').target).toBe('世界你好');
+  });
+
+  it('evicts the oldest entries when full', () => {
+    for (let i = 0; i < 12; i++) {
+      tm.add(`Sentence number ${i}`, `句子 ${i}`, 'en', 'zh');
+    }
+    expect(tm.size).toBeLessThanOrEqual(10);
+    expect(tm.getBestMatch('Sentence number 11', 'en', 'zh')?.score).toBe(100);
+  });
+
+  it('persists to localStorage', () => {
+    tm.add('Hello world', '你好世界', 'en', 'zh');
+    tm.flush();
+    const reloaded = new TranslationMemory({ storageKey: 'tm-test' });
+    expect(reloaded.size).toBe(1);
+    expect(reloaded.findExact('Hello  world', 'en', 'zh')?.target).toBe('你好世界');
+  });
+
+  it('batches writes from consecutive adds into one save', () => {
+    vi.useFakeTimers();
+    try {
+      const save = vi.spyOn(tm, 'save');
+      tm.add('One', '一', 'en', 'zh');
+      tm.add('Two', '二', 'en', 'zh');
+      expect(localStorage.getItem('tm-test')).toBeNull();
+
+      vi.advanceTimersByTime(tm.saveDelay);
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(Object.values(JSON.parse(localStorage.getItem('tm-test')))[0]).toHaveLength(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('finds exact matches through the index and keeps it in sync', () => {
+    const entry = tm.add('Hello world', '你好世界', 'en', 'zh');
+    expect(tm.findExact(' Hello world ', 'auto', 'zh')).toMatchObject({ target: '你好世界', score: 100 });
+    expect(tm.findExact('Hello', 'en', 'zh')).toBeNull();
+
+    tm.remove(entry.id);
+    expect(tm.findExact('Hello world', 'en', 'zh')).toBeNull();
+    expect(tm.getBestMatch('Hello world', 'en', 'zh')).toBeNull();
+  });
+
+  it('drops evicted entries from the exact match index', () => {
+    for (let i = 0; i < 12; i++) {
+      tm.add(`Sentence number ${i}`, `句子 ${i}`, 'en', 'zh');
+    }
+    expect(tm.findExact('Sentence number 0', 'en', 'zh')).toBeNull();
+  });
+
+  it('ignores empty segments', () => {
+    expect(tm.add('   ', '译文', 'en', 'zh')).toBeNull();
+    expect(tm.add('Source', '', 'en', 'zh')).toBeNull();
+    expect(tm.size).toBe(0);
+  });
+});
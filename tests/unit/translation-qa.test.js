@@ -0,0 +1,133 @@
+// tests/unit/translation-qa.test.js
+// 译文质量检查测试
+//
+// 覆盖: 数字（千分位 / 全角）, 占位符, 标签缺失与嵌套, 括号（全角）, 未翻译, 连续空格, 长度比例, 文档报告, 说明文字, CSV 导出
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  checkTranslation,
+  checkDocumentQA,
+  describeIssue,
+  qaReportToCSV,
+} = await import('../../src/utils/translation-qa.js');
+
+const types = issues => issues.map(issue => issue.type);
+
+describe('checkTranslation', () => {
+  it('正常译文没有问题', () => {
+    expect(checkTranslation('Version 2.5 has 1,000 users.', '2.5 版本有 1000 名用户。', { targetLang: 'zh' })).toEqual([]);
+  });
+
+  it('检查缺失或改动的数字', () => {
+    const [issue] = checkTranslation('Call 555 before 10 PM.', '请在晚上 11 点前拨打 555。', { targetLang: 'zh' });
+    expect(issue).toMatchObject({ type: 'numbers', severity: 'warning', missing: ['10'], extra: ['11'] });
+  });
+
+  it('数字比较忽略分隔符和全角', () => {
+    expect(types(checkTranslation('Price: 1,299.00', '价格：１２９９.００', { targetLang: 'zh' }))).not.toContain('numbers');
+    expect(types(checkTranslation('Price: 1 299,5', 'Prix : 1299,5'))).not.toContain('numbers');
+  });
+
+  it('检查占位符是否完整保留', () => {
+    const issues = checkTranslation('Click ⟦b1⟧Save⟦/b1⟧ now', '现在点击 ⟦b1⟧保存', { targetLang: 'zh' });
+    expect(issues[0]).toMatchObject({ type: 'placeholders', severity: 'error', missing: ['⟦/b1⟧'] });
+
+    const broken = checkTranslation('Click ⟦b1⟧Save⟦/b1⟧', '点击 ⟦b1⟧保存⟦/b1', { targetLang: 'zh' });
+    expect(broken[0]).toMatchObject({ type: 'placeholders', broken: true });
+  });
+
+  it('检查标签缺失和嵌套', () => {
+    const missing = checkTranslation('<b>Bold</b> and <i>italic</i>', '<b>粗体</b>和斜体', { targetLang: 'zh' });
+    expect(missing[0]).toMatchObject({ type: 'tags', missing: ['<i>', '</i>'], extra: [] });
+
+    const nested = checkTranslation('<b><i>Text</i></b>', '<b><i>文本</b></i>', { targetLang: 'zh' });
+    expect(nested[0]).toMatchObject({ type: 'tags', missing: [], unbalanced: true });
+
+    expect(checkTranslation('Line<br>break', '换行<br>示例', { targetLang: 'zh' })).toEqual([]);
+  });
+
+  it('检查不成对的括号（全角视为同一种）', () => {
+    expect(checkTranslation('Settings (advanced)', '设置（高级）', { targetLang: 'zh' })).toEqual([]);
+    const [issue] = checkTranslation('Settings (advanced)', '设置（高级', { targetLang: 'zh' });
+    expect(issue).toMatchObject({ type: 'brackets', pairs: ['()'] });
+    // 原文本身不成对时不提示
+    expect(types(checkTranslation('a) first', 'a) 第一', { targetLang: 'zh' }))).not.toContain('brackets');
+  });
+
+  it('检查未翻译的段落', () => {
+    const [identical] = checkTranslation('Hello world', 'Hello world', { targetLang: 'zh' });
+    expect(identical).toMatchObject({ type: 'untranslated', reason: 'identical' });
+
+    const [language] = checkTranslation('Open the file', 'Open the file please', { targetLang: 'zh' });
+    expect(language).toMatchObject({ type: 'untranslated', reason: 'language', detected: 'en' });
+
+    // 无法区分的拉丁语言不按语言判断
+    expect(checkTranslation('Open the file', 'Ouvrir le fichier', { targetLang: 'fr' })).toEqual([]);
+    // 纯数字 / 符号相同不算未翻译
+    expect(checkTranslation('42', '42', { targetLang: 'zh' })).toEqual([]);
+  });
+
+  it('检查多出的连续空格', () => {
+    const [issue] = checkTranslation('Save the file', '保存  文件', { targetLang: 'zh' });
+    expect(issue).toMatchObject({ type: 'doubleSpace', count: 1 });
+    expect(checkTranslation('Save the file', '  保存文件', { targetLang: 'zh' })).toEqual([]);
+  });
+
+  it('检查长度比例（中日韩字符按 2 计）', () => {
+    const source = 'This sentence is long enough to check the length ratio.';
+    expect(checkTranslation(source, '这个句子足够长，可以检查长度比例。', { targetLang: 'zh' })).toEqual([]);
+    const [issue] = checkTranslation(source, '句子。', { targetLang: 'zh' });
+    expect(issue.type).toBe('length');
+    expect(issue.ratio).toBeLessThan(0.4);
+    // 原文太短时不检查
+    expect(checkTranslation('OK', '好的，没问题，我知道了', { targetLang: 'zh' })).toEqual([]);
+  });
+
+  it('空译文不检查', () => {
+    expect(checkTranslation('Hello', '')).toEqual([]);
+  });
+});
+
+describe('checkDocumentQA', () => {
+  it('汇总各段落的问题并计数', () => {
+    const segments = [
+      { id: 's1', original: 'Page 3', translated: '第 4 页', status: 'completed' },
+      { id: 's2', original: 'Hello world', translated: 'Hello world', status: 'completed' },
+      { id: 's3', original: 'Skipped 1', translated: '', status: 'pending' },
+      { id: 's4', original: 'Code 7', translated: 'Code 7', status: 'skipped' },
+    ];
+    const { issues, counts } = checkDocumentQA(segments, { targetLang: 'zh' });
+    expect(issues.map(issue => [issue.segmentId, issue.index, issue.type])).toEqual([
+      ['s1', 0, 'numbers'],
+      ['s2', 1, 'untranslated'],
+    ]);
+    expect(counts).toMatchObject({ numbers: 1, untranslated: 1, tags: 0 });
+  });
+});
+
+describe('describeIssue', () => {
+  it('没有 t 时使用默认说明', () => {
+    expect(describeIssue({ type: 'numbers', missing: ['10'], extra: ['11'] })).toBe('missing: 10; extra: 11');
+    expect(describeIssue({ type: 'length', ratio: 0.2 })).toBe('length ratio 0.2');
+  });
+
+  it('传入 t 时使用 qa.* 键', () => {
+    const t = (key, params) => `${key}${params ? JSON.stringify(params) : ''}`;
+    expect(describeIssue({ type: 'untranslated', reason: 'language', detected: 'en' }, t))
+      .toBe('qa.detected{"lang":"languages.en"}');
+  });
+});
+
+describe('qaReportToCSV', () => {
+  it('导出带 BOM 的 CSV 并转义字段', () => {
+    const segments = [{ id: 's1', original: 'Page 3, "intro"', translated: '第 4 页' }];
+    const { issues } = checkDocumentQA(segments, { targetLang: 'zh' });
+    const csv = qaReportToCSV(issues, segments, { headers: ['#', 'check', 'severity', 'detail', 'src', 'tgt'] });
+    expect(csv.startsWith('\ufeff')).toBe(true);
+    expect(csv.slice(1).split('\n')).toEqual([
+      '#,check,severity,detail,src,tgt',
+      '1,numbers,warning,missing: 3; extra: 4,"Page 3, ""intro""",第 4 页',
+    ]);
+  });
+});
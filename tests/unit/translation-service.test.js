@@ -0,0 +1,218 @@
+// tests/unit/translation-service.test.js
+// 翻译服务测试（Provider 全部 mock）
+//
+// 覆盖: 翻译记忆库 100% 匹配的复用条件（模板 / 术语）, 复用检索结果, 只记忆采用的译文,
+//       批量翻译（一个请求、分隔行拆分、记忆库 / 缓存、限速、段数不符、上下文和术语）
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const mockProvider = {
+  type: 'llm',
+  translate: vi.fn(),
+};
+
+vi.mock('../../src/providers/registry.js', () => ({
+  getProvider: () => mockProvider,
+  createProvider: () => mockProvider,
+  isProviderConfigured: () => true,
+  getMissingConfig: () => [],
+  getAllProviderIds: () => ['openai'],
+  getAllProvidersStatus: () => ({}),
+  getProviderMetadata: (id) => ({ id, type: mockProvider.type }),
+  initConfigs: () => {},
+  updateProviderConfig: () => {},
+  DEFAULT_PRIORITY: { normal: ['openai'] },
+}));
+
+const { TranslationService } = await import('../../src/services/translation.js');
+const { default: translationMemory } = await import('../../src/services/translation-memory.js');
+
+const GLOSSARY = [{ source: 'widget', target: '小部件' }];
+
+function createService() {
+  const service = new TranslationService();
+  service._initialized = true;
+  return service;
+}
+
+beforeEach(() => {
+  translationMemory.clear();
+  mockProvider.type = 'llm';
+  mockProvider.translate.mockReset();
+  mockProvider.translate.mockImplementation(async (text) => ({ success: true, text: `MT:${text}` }));
+});
+
+describe('TranslationService memory reuse', () => {
+  it('reuses an exact match stored with the same template and glossary', async () => {
+    const service = createService();
+    service.rememberTranslation('Open the widget.', '打开小部件。', {
+      targetLang: 'zh', template: 'precise', glossary: GLOSSARY,
+    });
+
+    const result = await service.translate('Open the widget.', {
+      targetLang: 'zh', template: 'precise', glossary: GLOSSARY, useCache: false,
+    });
+
+    expect(result).toMatchObject({ success: true, text: '打开小部件。', fromMemory: true });
+    expect(mockProvider.translate).not.toHaveBeenCalled();
+  });
+
+  it('only references an exact match when the template differs', async () => {
+    const service = createService();
+    service.rememberTranslation('Open the widget.', '打开小部件。', { targetLang: 'zh', template: 'precise' });
+
+    const result = await service.translate('Open the widget.', {
+      targetLang: 'zh', template: 'natural', useCache: false,
+    });
+
+    expect(result.fromMemory).toBeUndefined();
+    expect(result.tmMatch.score).toBe(100);
+    expect(mockProvider.translate).toHaveBeenCalledTimes(1);
+    expect(mockProvider.translate.mock.calls[0][3].systemPrompt).toContain('打开小部件。');
+  });
+
+  it('does not reuse an exact match when the glossary terms changed', async () => {
+    const service = createService();
+    service.rememberTranslation('Open the widget.', '打开组件。', { targetLang: 'zh', template: 'natural' });
+
+    const result = await service.translate('Open the widget.', {
+      targetLang: 'zh', template: 'natural', glossary: GLOSSARY, useCache: false,
+    });
+
+    expect(result.fromMemory).toBeUndefined();
+    expect(mockProvider.translate).toHaveBeenCalledTimes(1);
+    expect(service.findReusableMemory('Open the widget.', { targetLang: 'zh', glossary: GLOSSARY })).toBeNull();
+    expect(service.findReusableMemory('Open the widget.', { targetLang: 'zh' })).toMatchObject({ target: '打开组件。' });
+  });
+
+  it('reuses TMX imports without a template as long as the glossary matches', () => {
+    const service = createService();
+    translationMemory.importEntries(
+      [{ source: 'Save changes', target: '保存更改', sourceLang: 'auto', targetLang: 'zh' }],
+      { origin: 'tmx' }
+    );
+
+    expect(service.findReusableMemory('Save changes', { targetLang: 'zh', template: 'formal' }))
+      .toMatchObject({ target: '保存更改', origin: 'tmx' });
+  });
+
+  it('checks reuse through the exact index and reuses a passed lookup result', async () => {
+    const service = createService();
+    service.rememberTranslation('Open the widget.', '打开小部件。', { targetLang: 'zh', template: 'natural' });
+    const lookup = vi.spyOn(translationMemory, 'lookup');
+
+    expect(service.findReusableMemory('Open the widget.', { targetLang: 'zh' })).toMatchObject({ score: 100 });
+    const result = await service.translate('Close the widget.', { targetLang: 'zh', useCache: false, tmMatch: null });
+
+    expect(lookup).not.toHaveBeenCalled();
+    expect(result.tmMatch).toBeNull();
+    lookup.mockRestore();
+  });
+
+  it('does not write machine translations to memory', async () => {
+    const service = createService();
+
+    await service.translate('Close the window.', { targetLang: 'zh', useCache: false });
+
+    expect(translationMemory.getEntries()).toHaveLength(0);
+  });
+});
+
+describe('TranslationService.translateBatch', () => {
+  const splitReply = (parts) => ({ success: true, text: parts.join('\n⟦SEP⟧\n') });
+
+  it('sends the remaining passages in one request and splits the reply', async () => {
+    const service = createService();
+    mockProvider.translate.mockResolvedValueOnce(splitReply(['一', '二', '三']));
+
+    const result = await service.translateBatch(['One', 'Two', 'Three'], { targetLang: 'zh', useCache: false });
+
+    expect(result).toMatchObject({
+      success: true,
+      translations: ['一', '二', '三'],
+      provider: 'openai',
+      requestedIndexes: [0, 1, 2],
+    });
+    expect(mockProvider.translate).toHaveBeenCalledTimes(1);
+    const [input, , , options] = mockProvider.translate.mock.calls[0];
+    expect(input.split('⟦SEP⟧')).toHaveLength(3);
+    expect(options.systemPrompt).toContain('exactly 3 passages');
+  });
+
+  it('fills memory and cache hits locally and only requests the rest', async () => {
+    const service = createService();
+    service.rememberTranslation('One', '壹', { targetLang: 'zh' });
+    mockProvider.translate.mockResolvedValueOnce(splitReply(['二', '三']));
+    await service.translateBatch(['Two', 'Three'], { targetLang: 'zh' });
+    mockProvider.translate.mockClear();
+
+    const result = await service.translateBatch(['One', 'Two', 'Three'], { targetLang: 'zh' });
+
+    expect(result).toMatchObject({ success: true, translations: ['壹', '二', '三'], requestedIndexes: [] });
+    expect(mockProvider.translate).not.toHaveBeenCalled();
+  });
+
+  it('waits for the rate limiter before sending', async () => {
+    const service = createService();
+    service.setRateLimits({ openai: 60 });
+    const acquire = vi.spyOn(service._rateLimiters.get('openai'), 'acquire');
+    mockProvider.translate.mockResolvedValueOnce(splitReply(['一', '二']));
+
+    await service.translateBatch(['One', 'Two'], { targetLang: 'zh', useCache: false });
+
+    expect(acquire).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails when the reply has a different number of passages', async () => {
+    const service = createService();
+    mockProvider.translate.mockResolvedValueOnce({ success: true, text: '一二' });
+
+    const result = await service.translateBatch(['One', 'Two'], { targetLang: 'zh', useCache: false });
+
+    expect(result).toMatchObject({ success: false, provider: 'openai', requestedIndexes: [0, 1] });
+    expect(result.translations).toBeUndefined();
+  });
+
+  it('passes the document context and glossary to an LLM provider', async () => {
+    const service = createService();
+    mockProvider.translate.mockResolvedValueOnce(splitReply(['打开小部件。', '关闭它。']));
+    const context = {
+      headingPath: ['Setup'],
+      pairs: [{ source: 'Install the app.', target: '安装应用。' }],
+    };
+
+    await service.translateBatch(['Open the widget.', 'Close it.'], {
+      targetLang: 'zh', context, glossary: GLOSSARY, useCache: false,
+    });
+
+    const { systemPrompt } = mockProvider.translate.mock.calls[0][3];
+    expect(systemPrompt).toContain('Current section: Setup');
+    expect(systemPrompt).toContain('Translation: 安装应用。');
+    expect(systemPrompt).toContain('widget → 小部件');
+  });
+
+  it('replaces glossary terms with placeholders for machine translation providers', async () => {
+    const service = createService();
+    mockProvider.type = 'mt';
+    mockProvider.translate.mockImplementationOnce(async (text) => ({
+      success: true,
+      text: text.replace('Open the', '打开').replace('Close the', '关闭'),
+    }));
+
+    const result = await service.translateBatch(['Open the widget', 'Close the widget'], {
+      targetLang: 'zh', glossary: GLOSSARY, useCache: false,
+    });
+
+    expect(mockProvider.translate.mock.calls[0][0]).not.toContain('widget');
+    expect(result.translations).toEqual(['打开 小部件', '关闭 小部件']);
+  });
+});
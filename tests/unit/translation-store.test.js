@@ -0,0 +1,51 @@
+// tests/unit/translation-store.test.js
+// 翻译 store 测试
+//
+// 覆盖: 历史记录 TMX 导入报告（超出上限的条目不计为新增）
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { default: useTranslationStore } = await import('../../src/stores/translation-store.js');
+const { exportToTMX } = await import('../../src/utils/tmx-io.js');
+
+function tmxFile(count) {
+  const units = Array.from({ length: count }, (_, i) => ({
+    source: `Source ${i}`,
+    target: `译文 ${i}`,
+    sourceLang: 'en',
+    targetLang: 'zh',
+    createdAt: 1000 + i,
+  }));
+  const content = exportToTMX(units);
+  return { name: 'history.tmx', text: async () => content };
+}
+
+describe('importHistory (TMX)', () => {
+  beforeEach(() => {
+    useTranslationStore.setState({ history: [], historyLimit: 3 });
+  });
+
+  it('counts only the entries kept within the history limit', async () => {
+    const result = await useTranslationStore.getState().importHistory(tmxFile(5));
+
+    expect(useTranslationStore.getState().history).toHaveLength(3);
+    expect(result).toMatchObject({ success: true, count: 3 });
+    expect(result.report).toMatchObject({ added: 3, dropped: 2 });
+  });
+
+  it('reports no dropped entries when everything fits', async () => {
+    useTranslationStore.setState({ historyLimit: 10 });
+    const result = await useTranslationStore.getState().importHistory(tmxFile(4));
+
+    expect(result.report).toMatchObject({ added: 4, dropped: 0 });
+  });
+});
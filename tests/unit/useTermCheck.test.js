@@ -1,7 +1,7 @@
 // tests/unit/useTermCheck.test.js
 // 术语一致性检测 Hook 测试
 //
-// 覆盖: checkTermConsistency, dismissTermSuggestion
+// 覆盖: checkTermConsistency, dismissTermSuggestion, 词形变化, 禁用译法
 
 import { describe, it, expect, vi } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
@@ -122,6 +122,35 @@ describe('useTermCheck', () => {
     expect(result.current.termSuggestions).toHaveLength(0);
   });
 
+  it('matches inflected source terms', () => {
+    const { result } = setup();
+
+    act(() => {
+      result.current.checkTermConsistency('Deep neural networks', '深度 NN', { sourceLang: 'en', targetLang: 'zh' });
+    });
+
+    expect(result.current.termSuggestions.map(s => s.originalTerm)).toEqual(['neural network']);
+  });
+
+  it('suggests replacing forbidden translations', () => {
+    const { result } = setup([
+      ...mockFavorites,
+      { id: 'term-3', sourceText: 'machine learning', translatedText: '机械学习', folderId: 'glossary', forbidden: true },
+    ]);
+
+    act(() => {
+      result.current.checkTermConsistency('Machine learning is great', '机械学习很棒');
+    });
+
+    const forbidden = result.current.termSuggestions.find(s => s.type === 'forbidden');
+    expect(forbidden).toMatchObject({ forbiddenTerm: '机械学习', savedTranslation: '机器学习' });
+
+    act(() => {
+      result.current.applyTermSuggestion(forbidden, '机械学习很棒');
+    });
+    expect(mockSetTranslatedText).toHaveBeenCalledWith('机器学习很棒');
+  });
+
   it('handles empty favorites gracefully', () => {
     const { result } = setup([]);
 
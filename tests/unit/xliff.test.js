@@ -0,0 +1,120 @@
+// tests/unit/xliff.test.js
+// XLIFF 解析与回写测试
+//
+// 覆盖: 1.2/2.0 解析, 内联标签占位符, final 跳过, 回写 target 与 state
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  default: () => ({
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+  }),
+}));
+
+const { parseXLIFF, exportXLIFF } = await import('../../src/utils/formats/xliff.js');
+const { restoreInlineTags } = await import('../../src/utils/formats/xml-utils.js');
+
+const XLIFF_12 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" datatype="plaintext" original="app.strings">
+    <body>
+      <trans-unit id="greeting">
+        <source>Hello <g id="1" ctype="bold">world</g> &amp; friends<x id="2"/></source>
+        <note>Shown on the home screen</note>
+      </trans-unit>
+      <trans-unit id="done">
+        <source>Done</source>
+        <target state="final">完成</target>
+      </trans-unit>
+      <trans-unit id="code">
+        <source>Press <ph id="3">&lt;kbd&gt;</ph> now</source>
+        <target state="new"></target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>`;
+
+const XLIFF_20 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en">
+  <file id="f1">
+    <unit id="u1">
+      <notes><note>Button label</note></notes>
+      <segment id="s1">
+        <source>Save <pc id="1">all</pc></source>
+      </segment>
+      <segment id="s2" state="final">
+        <source>Cancel</source>
+        <target>取消</target>
+      </segment>
+    </unit>
+  </file>
+</xliff>`;
+
+describe('parseXLIFF', () => {
+  it('parses XLIFF 1.2 units with ids, notes and placeholders', () => {
+    const { version, segments, sourceLanguage } = parseXLIFF(XLIFF_12);
+    expect(version).toBe('1.2');
+    expect(sourceLanguage).toBe('en');
+    expect(segments).toHaveLength(3);
+
+    const [greeting, done, code] = segments;
+    expect(greeting).toMatchObject({ unitId: 'greeting', note: 'Shown on the home screen', status: 'pending' });
+    expect(greeting.original).toBe('Hello ⟦g1⟧world⟦/g1⟧ & friends⟦x2⟧');
+
+    expect(done).toMatchObject({ status: 'skipped', translated: '完成' });
+    expect(code.original).toBe('Press ⟦ph1⟧ now');
+  });
+
+  it('parses XLIFF 2.0 segments and skips final ones', () => {
+    const { version, segments } = parseXLIFF(XLIFF_20);
+    expect(version).toBe('2.0');
+    expect(segments.map(s => [s.unitId, s.status])).toEqual([
+      ['u1#s1', 'pending'],
+      ['u1#s2', 'skipped'],
+    ]);
+    expect(segments[0].note).toBe('Button label');
+    expect(segments[0].original).toBe('Save ⟦pc1⟧all⟦/pc1⟧');
+  });
+
+  it('rejects non-XLIFF content', () => {
+    expect(() => parseXLIFF('<html></html>')).toThrow();
+  });
+});
+
+describe('exportXLIFF', () => {
+  it('fills targets, sets state and keeps final units untouched (1.2)', () => {
+    const { segments } = parseXLIFF(XLIFF_12);
+    segments[0] = { ...segments[0], status: 'completed', translated: '你好⟦g1⟧世界⟦/g1⟧ & 朋友⟦x2⟧' };
+    segments[2] = { ...segments[2], status: 'completed', translated: '现在按 ⟦ph1⟧' };
+
+    const output = exportXLIFF(XLIFF_12, segments, { targetLang: 'zh' });
+    expect(output).toContain('<target state="translated">你好<g id="1" ctype="bold">世界</g> &amp; 朋友<x id="2"/></target>');
+    expect(output).toContain('<target state="final">完成</target>');
+    expect(output).toContain('<target state="translated">现在按 <ph id="3">&lt;kbd&gt;</ph></target>');
+    expect(output).toContain('target-language="zh-CN"');
+
+    // 回写结果可以再次解析
+    const reparsed = parseXLIFF(output);
+    expect(reparsed.segments).toHaveLength(3);
+  });
+
+  it('sets segment state in XLIFF 2.0', () => {
+    const { segments } = parseXLIFF(XLIFF_20);
+    segments[0] = { ...segments[0], status: 'completed', translated: '全部⟦pc1⟧保存⟦/pc1⟧' };
+    const output = exportXLIFF(XLIFF_20, segments, { targetLang: 'zh' });
+    expect(output).toContain('<segment id="s1" state="translated">');
+    expect(output).toContain('<target>全部<pc id="1">保存</pc></target>');
+    expect(output).toContain('trgLang="zh-CN"');
+    expect(output).toContain('<segment id="s2" state="final">');
+  });
+});
+
+describe('restoreInlineTags', () => {
+  it('appends lost paired tags in order so the XML stays balanced', () => {
+    const tags = { '⟦g1⟧': '<g id="1">', '⟦/g1⟧': '</g>' };
+    expect(restoreInlineTags('⟦/g1⟧文本 <b>', tags)).toBe('文本 &lt;b&gt;<g id="1"></g>');
+  });
+});